@@ -15,6 +15,12 @@ Object.keys(tuneBook).forEach(function (key) {
 });
 
 abcjs.renderAbc = require('./src/api/abc_tunebook_svg');
+abcjs.renderAbcToSvgString = require('./src/api/abc_tunebook_svg_string');
+abcjs.renderAbcToPdf = require('./src/api/abc_tunebook_pdf');
+abcjs.musicXmlToAbc = require('./src/transform/musicxml2abc').convert;
+abcjs.midiToAbc = require('./src/transform/midi2abc').convert;
+abcjs.tuneToAbc = require('./src/transform/abc2abc_write').tuneToAbc;
+abcjs.transposeAbc = require('./src/transform/abc2abc_transpose').transpose;
 abcjs.TimingCallbacks = require('./src/api/abc_timing_callbacks');
 
 var glyphs = require('./src/write/abc_glyphs');
@@ -31,6 +37,7 @@ var supportsAudio = require('./src/synth/supports-audio');
 var playEvent = require('./src/synth/play-event');
 var SynthController = require('./src/synth/synth-controller');
 var getMidiFile = require('./src/synth/get-midi-file');
+var getMusicXml = require('./src/synth/get-music-xml');
 
 abcjs.synth = {
 	CreateSynth: CreateSynth,
@@ -44,9 +51,13 @@ abcjs.synth = {
 	supportsAudio: supportsAudio,
 	playEvent: playEvent,
 	getMidiFile: getMidiFile,
+	getMusicXml: getMusicXml,
 };
 
 var editor = require('./src/edit/abc_editor');
 abcjs['Editor'] = editor;
+abcjs['EditArea'] = require('./src/edit/abc_editarea');
+abcjs['CodeMirrorEditArea'] = require('./src/edit/codemirror_editarea');
+abcjs['ContentEditableEditArea'] = require('./src/edit/contenteditable_editarea');
 
 module.exports = abcjs;
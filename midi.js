@@ -15,6 +15,12 @@ Object.keys(tunebook).forEach(function (key) {
 });
 
 abcjs.renderAbc = require('./src/api/abc_tunebook_svg');
+abcjs.renderAbcToSvgString = require('./src/api/abc_tunebook_svg_string');
+abcjs.renderAbcToPdf = require('./src/api/abc_tunebook_pdf');
+abcjs.musicXmlToAbc = require('./src/transform/musicxml2abc').convert;
+abcjs.midiToAbc = require('./src/transform/midi2abc').convert;
+abcjs.tuneToAbc = require('./src/transform/abc2abc_write').tuneToAbc;
+abcjs.transposeAbc = require('./src/transform/abc2abc_transpose').transpose;
 abcjs.renderMidi = require('./src/api/abc_tunebook_midi');
 abcjs.TimingCallbacks = require('./src/api/abc_timing_callbacks');
 
@@ -30,6 +36,7 @@ var registerAudioContext = require('./src/synth/register-audio-context');
 var activeAudioContext = require('./src/synth/active-audio-context');
 var playEvent = require('./src/synth/play-event');
 var SynthController = require('./src/synth/synth-controller');
+var getMusicXml = require('./src/synth/get-music-xml');
 
 abcjs.synth = {
 	CreateSynth: CreateSynth,
@@ -39,11 +46,15 @@ abcjs.synth = {
 	SynthSequence: SynthSequence,
 	CreateSynthControl: CreateSynthControl,
 	activeAudioContext: activeAudioContext,
-	playEvent: playEvent
+	playEvent: playEvent,
+	getMusicXml: getMusicXml
 };
 
 var editor = require('./src/edit/abc_editor');
 abcjs['Editor'] = editor;
+abcjs['EditArea'] = require('./src/edit/abc_editarea');
+abcjs['CodeMirrorEditArea'] = require('./src/edit/codemirror_editarea');
+abcjs['ContentEditableEditArea'] = require('./src/edit/contenteditable_editarea');
 require("./src/midi/abc_midi_ui_generator");
 
 var midi = require('./src/midi/abc_midi_controls');
@@ -13,11 +13,12 @@ var TimingCallbacks = function(target, params) {
 	self.lineEndCallback = params.lineEndCallback;   // This is called when the end of a line is approaching.
 	self.lineEndAnticipation = params.lineEndAnticipation ? parseInt(params.lineEndAnticipation, 10) : 0;   // How many milliseconds before the end should the call happen.
 	self.beatSubdivisions = params.beatSubdivisions ? parseInt(params.beatSubdivisions, 10) : 1; // how many callbacks per beat is desired.
+	self.swing = { swing: params.swing, swingSubdivision: params.swingSubdivision }; // The same swing that the audio is played with.
 
 	self.replaceTarget = function(newTarget) {
-		newTarget.setTiming(self.qpm, self.extraMeasuresAtBeginning);
+		newTarget.setTiming(self.qpm, self.extraMeasuresAtBeginning, self.swing);
 		if (newTarget.noteTimings.length === 0)
-			newTarget.setTiming(0,0);
+			newTarget.setTiming(0,0, self.swing);
 		if (self.lineEndCallback) {
 			self.lineEndTimings = getLineEndTimings(newTarget.noteTimings, self.lineEndAnticipation);
 		}
@@ -32,7 +33,8 @@ var TimingCallbacks = function(target, params) {
 	self.noteTimings = target.noteTimings;
 	self.millisecondsPerBeat = 1000 / (self.qpm / 60) / self.beatSubdivisions;
 	self.lastMoment = self.noteTimings[self.noteTimings.length-1].milliseconds;
-	self.totalBeats = Math.round(self.lastMoment / self.millisecondsPerBeat);
+	self.beatTimings = getBeatTimings(target.beatTimings, self.millisecondsPerBeat, self.beatSubdivisions, self.lastMoment);
+	self.totalBeats = self.beatTimings.length - 1;
 
 	self.startTime = null;
 	self.currentBeat = 0;
@@ -56,7 +58,9 @@ var TimingCallbacks = function(target, params) {
 		currentTime += 50; // Add a little slop because this function isn't called exactly.
 
 		var oldBeat = self.currentBeat;
-		self.currentBeat = Math.floor(currentTime / self.millisecondsPerBeat);
+		self.currentBeat = 0;
+		while (self.currentBeat < self.totalBeats && self.beatTimings[self.currentBeat + 1] <= currentTime)
+			self.currentBeat++;
 		if (self.beatCallback && oldBeat !== self.currentBeat) // If the movement caused the beat to change, then immediately report it to the client.
 			self.beatCallback(self.currentBeat / self.beatSubdivisions, self.totalBeats / self.beatSubdivisions, self.lastMoment);
 
@@ -101,7 +105,7 @@ var TimingCallbacks = function(target, params) {
 			}
 			if (currentTime < self.lastMoment) {
 				requestAnimationFrame(self.doTiming);
-				if (self.currentBeat * self.millisecondsPerBeat < currentTime) {
+				if (self.currentBeat <= self.totalBeats && self.beatTimings[self.currentBeat] < currentTime) {
 					if (self.beatCallback)
 						self.beatCallback(self.currentBeat / self.beatSubdivisions, self.totalBeats / self.beatSubdivisions, self.lastMoment);
 					self.currentBeat++;
@@ -162,6 +166,28 @@ var TimingCallbacks = function(target, params) {
 	};
 };
 
+function getBeatTimings(tuneBeats, millisecondsPerBeat, subdivisions, lastMoment) {
+	// Returns an array of milliseconds to call the beatCallback. The last one is the end of the tune.
+	// If the tune has beats of different lengths, like in M:2+2+3/8, then the tune knows where they are, and each of them is divided evenly.
+	var callbackTimes = [];
+	if (!tuneBeats || tuneBeats.length === 0) {
+		var totalBeats = Math.round(lastMoment / millisecondsPerBeat);
+		for (var i = 0; i <= totalBeats; i++)
+			callbackTimes.push(i * millisecondsPerBeat);
+		return callbackTimes;
+	}
+	// If there are extra measures at the beginning, they have the regular beat.
+	for (var t = 0; t < tuneBeats[0] - 1; t += millisecondsPerBeat)
+		callbackTimes.push(t);
+	for (var j = 0; j < tuneBeats.length; j++) {
+		var end = j < tuneBeats.length - 1 ? tuneBeats[j + 1] : lastMoment;
+		for (var k = 0; k < subdivisions; k++)
+			callbackTimes.push(tuneBeats[j] + (end - tuneBeats[j]) * k / subdivisions);
+	}
+	callbackTimes.push(lastMoment);
+	return callbackTimes;
+}
+
 function getLineEndTimings(timings, anticipation) {
 	// Returns an array of milliseconds to call the lineEndCallback.
 	// This figures out the timing of the beginning of each line and subtracts the anticipation from it.
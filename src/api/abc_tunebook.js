@@ -35,12 +35,14 @@ var tunebook = {};
 	var TuneBook = tunebook.TuneBook = function(book) {
 		var This = this;
 		var directives = "";
+		// The whitespace at the start is thrown away, but the positions are still counted from the start of the original string.
+		var leading = book.length - book.replace(/^\s+/, '').length;
 		book = parseCommon.strip(book);
 		var tunes = book.split("\nX:");
 		for (var i = 1; i < tunes.length; i++)	// Put back the X: that we lost when splitting the tunes.
 			tunes[i] = "X:" + tunes[i];
 		// Keep track of the character position each tune starts with.
-		var pos = 0;
+		var pos = leading;
 		This.tunes = [];
 		parseCommon.each(tunes, function(tune) {
 			This.tunes.push({ abc: tune, startPos: pos});
@@ -53,7 +55,8 @@ var tunebook = {};
 			var dir = This.tunes.shift();
 			var arrDir = dir.abc.split('\n');
 			parseCommon.each(arrDir, function(line) {
-				if (parseCommon.startsWith(line, '%%'))
+				// Macros defined in the file header also apply to every tune.
+				if (parseCommon.startsWith(line, '%%') || parseCommon.startsWith(line, 'm:'))
 					directives += line + '\n';
 			});
 		}
@@ -142,6 +145,12 @@ var tunebook = {};
 				if (currentTune >= 0 && currentTune < book.tunes.length) {
 					abcParser.parse(book.tunes[currentTune].abc, params, book.tunes[currentTune].startPos - book.header.length);
 					var tune = abcParser.getTune();
+					var warnings = abcParser.getWarningObjects();
+					if (warnings) {
+						for (var w = 0; w < warnings.length; w++)
+							warnings[w].tuneNumber = currentTune;
+						tune.warnings = warnings;
+					}
 					var override = callback(div, tune, i, book.tunes[currentTune].abc);
 					ret.push(override ? override : tune);
 				} else {
@@ -166,9 +175,11 @@ var tunebook = {};
 						staves[k] = staff;
 					else {
 						for (var i = 0; i < staff.voices.length; i++) {
+							// A voice that enters in the middle of the tune has rests before it, so it is on every line. A voice that is still missing is an overlay that starts later.
 							if (staves[k].voices[i])
 								staves[k].voices[i] = staves[k].voices[i].concat(staff.voices[i]);
-							// TODO-PER: If staves[k].voices[i] doesn't exist, that means a voice appeared in the middle of the tune. That isn't handled yet.
+							else
+								staves[k].voices[i] = staff.voices[i];
 						}
 					}
 				}
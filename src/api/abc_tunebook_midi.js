@@ -85,7 +85,7 @@ var renderMidi = function(output, abc, parserParams, midiParams, renderParams) {
                 var drumIntro = params.drumIntro ? params.drumIntro : 0;
                 parent.abcjsAnimate = params.animate.listener;
                 parent.abcjsTune = params.animate.target; // We need the version of the tune that was drawn: extra info is added during the drawing process.
-                parent.abcjsTune.setTiming(params.qpm, drumIntro);
+                parent.abcjsTune.setTiming(params.qpm, drumIntro, params);
             }
         }
         if (params.generateInline && params.inlineControls && params.inlineControls.startPlaying) {
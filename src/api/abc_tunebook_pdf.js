@@ -0,0 +1,67 @@
+var tunebook = require('./abc_tunebook');
+var renderAbc = require('./abc_tunebook_svg');
+var VirtualSvgDocument = require('../write/virtual-svg-document');
+var PdfDocument = require('../write/pdf-document');
+var svgToPdf = require('../write/svg-to-pdf');
+
+// Creates a PDF of the tunes without a browser and without a print dialog. The music is laid out the same way as when
+// printing (the paginate and print params are turned on), so the pages are the size from %%papersize (or %%pagewidth and
+// %%pageheight), each tune starts on a new page, and %%newpage starts a new page.
+//
+// parameters:
+//      abc: text representing a tune or an entire tune book in ABC notation.
+//      params: the same as the params for renderAbc, plus:
+//          measureText: the same as for renderAbcToSvgString.
+//          fonts: the TrueType fonts to embed, as { "Family name": data }, where data is a Uint8Array, ArrayBuffer or binary string
+//              of the .ttf file. A different file can be given for the styles with keys like "Family name bold", "Family name italic" and
+//              "Family name bold italic". Text in any other font is written with the closest standard PDF font.
+//          numberOfTunes: how many tunes to put in the PDF, starting at startingTune. The default is all of them.
+//
+// The return value is a Uint8Array with the contents of the PDF file.
+var renderAbcToPdf = function(abc, params) {
+	params = params ? params : {};
+	var renderParams = { print: true };
+	for (var key in params) {
+		if (params.hasOwnProperty(key))
+			renderParams[key] = params[key];
+	}
+	renderParams.paginate = true;
+	// These don't make sense for a file.
+	delete renderParams.viewportHorizontal;
+	delete renderParams.viewportVertical;
+	delete renderParams.responsive;
+	delete renderParams.oneSvgPerLine;
+	delete renderParams.measureText;
+	delete renderParams.fonts;
+	delete renderParams.numberOfTunes;
+
+	var doc = new VirtualSvgDocument(params.measureText);
+	var startingTune = renderParams.startingTune ? parseInt(renderParams.startingTune, 10) : 0;
+	var numTunes = new tunebook.TuneBook(abc).tunes.length - startingTune;
+	if (params.numberOfTunes !== undefined)
+		numTunes = Math.min(numTunes, params.numberOfTunes);
+
+	var pdf = new PdfDocument(params.fonts);
+	// The tunes are done one at a time so that the page numbers keep counting up through the whole tune book.
+	for (var t = 0; t < numTunes; t++) {
+		var div = doc.createElement("div");
+		renderParams.startingTune = startingTune + t;
+		var tune = renderAbc(div, abc, renderParams)[0];
+		renderParams.firstPageNumber = tune.engraver.pageNumber + 1;
+		var width = tune.formatting.pagewidth;
+		var height = tune.formatting.pageheight;
+		for (var p = 0; p < div.children.length; p++) {
+			var svg = div.children[p].children[0];
+			pdf.addPage(width, height, svgToPdf.page(svg, pdf, svgScale(svg) * 0.75, height));
+		}
+	}
+	return pdf.output();
+};
+
+// The svg is drawn in pixels, and it is scaled with a transform if the music is bigger or smaller than normal.
+function svgScale(svg) {
+	var match = /scale\(([\d.]+)/.exec(svg.style.transform || "");
+	return match ? parseFloat(match[1]) : 1;
+}
+
+module.exports = renderAbcToPdf;
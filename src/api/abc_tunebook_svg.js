@@ -128,7 +128,7 @@ function renderEachLineSeparately(div, tune, params, tuneNumber) {
     var origPaddingBottom = ep.paddingbottom;
     div.innerHTML = "";
     for (var k = 0; k < tunes.length; k++) {
-        var lineEl = document.createElement("div");
+        var lineEl = (div.ownerDocument || document).createElement("div");
         div.appendChild(lineEl);
 
         if (k === 0) {
@@ -0,0 +1,53 @@
+var tunebook = require('./abc_tunebook');
+var renderAbc = require('./abc_tunebook_svg');
+var VirtualSvgDocument = require('../write/virtual-svg-document');
+
+// Renders the tunes without a browser and returns the svg markup. This is useful for creating the images on a server.
+//
+// parameters:
+//      abc: text representing a tune or an entire tune book in ABC notation.
+//      params: the same as the params for renderAbc, plus:
+//          measureText: function(text, font) that returns { width, height } in pixels, where font is { face, size, weight, style }.
+//              If this is not present, the text is measured with the metrics of the standard PostScript fonts.
+//
+// The return value is an array with one string for each tune. If oneSvgPerLine is set, then the string contains one svg per line.
+var renderAbcToSvgString = function(abc, params) {
+	params = params ? params : {};
+	var renderParams = {};
+	for (var key in params) {
+		if (params.hasOwnProperty(key))
+			renderParams[key] = params[key];
+	}
+	// The viewport options create html around the music, which isn't needed for a standalone image.
+	delete renderParams.viewportHorizontal;
+	delete renderParams.viewportVertical;
+	delete renderParams.measureText;
+
+	var doc = new VirtualSvgDocument(params.measureText);
+	var numTunes = tunebook.numberOfTunes(abc) - (renderParams.startingTune ? parseInt(renderParams.startingTune, 10) : 0);
+	var divs = [];
+	for (var i = 0; i < numTunes; i++)
+		divs.push(doc.createElement("div"));
+
+	renderAbc(divs, abc, renderParams);
+
+	var svgs = [];
+	for (var j = 0; j < divs.length; j++) {
+		svgs.push(svgMarkup(divs[j]));
+	}
+	return svgs;
+};
+
+// When oneSvgPerLine is used there is a div around each svg, so only return the svgs themselves.
+function svgMarkup(el) {
+	if (el.tagName === 'svg')
+		return el.toString();
+	var str = "";
+	for (var i = 0; i < el.children.length; i++) {
+		if (el.children[i].children)
+			str += svgMarkup(el.children[i]);
+	}
+	return str;
+}
+
+module.exports = renderAbcToSvgString;
@@ -0,0 +1,126 @@
+// abc_meter.js: Figures out how long a measure is and where its beats fall from the meter that the parser creates.
+// An additive meter, like M:2+2+3/8, has beats of different lengths: each number on top is a group, so that meter has two
+// beats of a quarter note and one of a dotted quarter. A meter made of more than one fraction, like M:3/8+2/4, has the beats
+// of each fraction one after the other.
+// All the lengths are a fraction of a whole note, the same as the durations of the notes.
+
+var meterInfo = {};
+
+(function() {
+	"use strict";
+
+	function groups(num) {
+		var parts = (num + '').split(/[+.]/);
+		var ret = [];
+		for (var i = 0; i < parts.length; i++) {
+			var n = parseInt(parts[i], 10);
+			if (isNaN(n))
+				return null;
+			ret.push(n);
+		}
+		return ret;
+	}
+
+	// Returns true if the beats aren't all the same length because the top number is added up or there is more than one fraction.
+	meterInfo.isAdditive = function(meter) {
+		if (!meter || meter.type !== 'specified' || !meter.value || meter.value.length === 0)
+			return false;
+		return meter.value.length > 1 || /[+.]/.test(meter.value[0].num);
+	};
+
+	// Returns the parts that the measure is made of, as { num: 3, den: 8 }. Each number that is added up on the top is a part,
+	// so M:2+2+3/8 is 2/8, 2/8, and 3/8, and each fraction that isn't added up is a part, so M:3/4 2/4 is 3/4 and 2/4.
+	meterInfo.groups = function(meter) {
+		if (!meter || meter.type !== 'specified' || !meter.value)
+			return null;
+		var ret = [];
+		for (var i = 0; i < meter.value.length; i++) {
+			var den = parseInt(meter.value[i].den, 10);
+			var nums = groups(meter.value[i].num);
+			if (!den || !nums)
+				return null;
+			for (var j = 0; j < nums.length; j++)
+				ret.push({ num: nums[j], den: den });
+		}
+		return ret;
+	};
+
+	// Returns an array with the length of each beat in the measure, or null if the meter doesn't say how long the measure is.
+	// A meter that isn't additive has its usual beat: 6/8, for instance, has two dotted quarter beats.
+	meterInfo.beats = function(meter) {
+		if (!meter)
+			return null;
+		switch (meter.type) {
+			case 'common_time': return [ 1/4, 1/4, 1/4, 1/4 ];
+			case 'cut_time': return [ 1/2, 1/2 ];
+			case 'specified': break;
+			default: return null;
+		}
+		if (!meter.value || meter.value.length === 0)
+			return null;
+		var beats = [];
+		for (var i = 0; i < meter.value.length; i++) {
+			var den = parseInt(meter.value[i].den, 10);
+			var nums = groups(meter.value[i].num);
+			if (!den || !nums)
+				return null;
+			if (nums.length > 1) {
+				for (var j = 0; j < nums.length; j++)
+					beats.push(nums[j] / den);
+			} else {
+				var num = nums[0];
+				var compound = (den === 8 && num % 3 === 0 && num <= 12) || (num === 6 && den === 4);
+				var beatCount = compound ? num / 3 : num;
+				for (var k = 0; k < beatCount; k++)
+					beats.push((compound ? 3 : 1) / den);
+			}
+		}
+		return beats;
+	};
+
+	// Returns the length of a measure, or null if the meter doesn't say.
+	meterInfo.measureLength = function(meter) {
+		if (!meterInfo.beats(meter))
+			return null;
+		if (meter.type !== 'specified')
+			return 1;
+		var total = 0;
+		for (var i = 0; i < meter.value.length; i++) {
+			var nums = groups(meter.value[i].num);
+			var num = 0;
+			for (var j = 0; j < nums.length; j++)
+				num += nums[j];
+			total += num / parseInt(meter.value[i].den, 10);
+		}
+		return total;
+	};
+
+	// Returns the shortest bottom number of the meter, which is the note that additive meters are counted in. For M:3/8+2/4, that is an eighth note.
+	meterInfo.unit = function(meter) {
+		if (!meter || meter.type !== 'specified' || !meter.value)
+			return null;
+		var unit = null;
+		for (var i = 0; i < meter.value.length; i++) {
+			var den = parseInt(meter.value[i].den, 10);
+			if (den && (unit === null || 1/den < unit))
+				unit = 1/den;
+		}
+		return unit;
+	};
+
+	// Returns where each beat starts in the measure. The first beat is always 0.
+	meterInfo.beatStarts = function(meter) {
+		var beats = meterInfo.beats(meter);
+		if (!beats)
+			return null;
+		var starts = [];
+		var time = 0;
+		for (var i = 0; i < beats.length; i++) {
+			starts.push(time);
+			time += beats[i];
+		}
+		return starts;
+	};
+})();
+
+module.exports = meterInfo;
@@ -0,0 +1,168 @@
+// abc_part_order.js: Rearranges the music so that it follows the order of the parts given in the header's P: field.
+// The header can contain something like P:A2B(CD)2, and the body is divided into parts with P:A, P:B, etc.
+// The part boundaries are found in the voice that contains the P: elements, and they are applied to the other voices
+// by counting measures, since the P: element is only attached to one voice.
+
+var partOrder = {};
+
+(function() {
+	"use strict";
+
+	// Turns a string like "A2B(CD)2" into an array like [ "A", "A", "B", "C", "D", "C", "D" ]. Dots and spaces are ignored.
+	partOrder.parse = function(str) {
+		var index = 0;
+
+		function getCount() {
+			var num = "";
+			while (index < str.length && str.charAt(index) >= '0' && str.charAt(index) <= '9') {
+				num += str.charAt(index);
+				index++;
+			}
+			return num.length > 0 ? parseInt(num, 10) : 1;
+		}
+
+		function parseGroup() {
+			var parts = [];
+			while (index < str.length) {
+				var ch = str.charAt(index);
+				index++;
+				var group;
+				if (ch === ')')
+					return parts;
+				if (ch === '(')
+					group = parseGroup();
+				else if (/[A-Za-z]/.test(ch))
+					group = [ ch ];
+				else
+					continue;
+				var count = getCount();
+				for (var i = 0; i < count; i++)
+					parts = parts.concat(group);
+			}
+			return parts;
+		}
+
+		if (!str)
+			return [];
+		return parseGroup();
+	};
+
+	// The part names in the body are compared to the single letters in the header.
+	function partName(title) {
+		return title ? title.replace(/^\s+/, '').charAt(0) : '';
+	}
+
+	// classify(item) returns one of "part", "bar", "note", or anything else for items that don't matter here.
+	// A measure is counted whenever there is a bar line that comes after a note, so that bar lines at the start of lines are ignored.
+	// Returns an array of { name, measure }, where measure is the number of measures that occur before the part starts.
+	partOrder.findBoundaries = function(voices, classify, getTitle) {
+		for (var v = 0; v < voices.length; v++) {
+			var boundaries = [];
+			var measure = 0;
+			var noteFound = false;
+			var voice = voices[v];
+			for (var i = 0; i < voice.length; i++) {
+				switch (classify(voice[i])) {
+					case "part":
+						boundaries.push({ name: partName(getTitle(voice[i])), measure: measure });
+						break;
+					case "bar":
+						if (noteFound)
+							measure++;
+						noteFound = false;
+						break;
+					case "note":
+						noteFound = true;
+						break;
+				}
+			}
+			if (boundaries.length > 0)
+				return boundaries;
+		}
+		return [];
+	};
+
+	// Keeps track of the measures in one voice while it is being processed. Call this before each note or bar element.
+	// It returns the name of the part that starts at this element, or null.
+	partOrder.Tracker = function(boundaries) {
+		var measure = 0;
+		var noteFound = false;
+		var next = 0;
+
+		this.check = function(type) {
+			var name = null;
+			while (next < boundaries.length && boundaries[next].measure <= measure) {
+				name = boundaries[next].name;
+				next++;
+			}
+			if (type === "bar") {
+				if (noteFound)
+					measure++;
+				noteFound = false;
+			} else if (type === "note")
+				noteFound = true;
+			return name;
+		};
+	};
+
+	// Divides a voice that has not had its repeats expanded into the parts. Returns an array of { name, start }.
+	partOrder.split = function(voice, boundaries, classify) {
+		var starts = [];
+		var tracker = new partOrder.Tracker(boundaries);
+		for (var i = 0; i < voice.length; i++) {
+			var type = classify(voice[i]);
+			if (type === "note" || type === "bar") {
+				var name = tracker.check(type);
+				if (name !== null)
+					starts.push({ name: name, start: i });
+			}
+		}
+		return starts;
+	};
+
+	// Returns the voice rearranged in the order of the parts, along with the position in the new array where each part starts.
+	// Anything that is before the first part is played first.
+	// stateTypes are the types of elements that should be in effect when a part starts, so they are repeated at the start of each part.
+	partOrder.arrange = function(voice, starts, order, getType, stateTypes) {
+		if (starts.length === 0 || order.length === 0)
+			return { items: voice, partStarts: [] };
+
+		var chunks = {};
+		for (var i = 0; i < starts.length; i++) {
+			var end = i < starts.length - 1 ? starts[i+1].start : voice.length;
+			if (!chunks[starts[i].name])
+				chunks[starts[i].name] = [];
+			chunks[starts[i].name].push({ start: starts[i].start, end: end });
+		}
+
+		var items = voice.slice(0, starts[0].start);
+		var partStarts = [];
+		for (var j = 0; j < order.length; j++) {
+			var sections = chunks[order[j]];
+			if (!sections)
+				continue;
+			for (var k = 0; k < sections.length; k++) {
+				partStarts.push(items.length);
+				items = items.concat(stateAt(voice, sections[k].start, getType, stateTypes));
+				items = items.concat(voice.slice(sections[k].start, sections[k].end));
+			}
+		}
+		return { items: items, partStarts: partStarts };
+	};
+
+	// Find the last element of each of the state types that occurs before the position.
+	function stateAt(voice, position, getType, stateTypes) {
+		var found = {};
+		var state = [];
+		for (var i = position - 1; i >= 0; i--) {
+			var type = getType(voice[i]);
+			if (stateTypes.indexOf(type) >= 0 && !found[type]) {
+				found[type] = true;
+				state.unshift(voice[i]);
+			}
+		}
+		return state;
+	}
+})();
+
+module.exports = partOrder;
@@ -17,6 +17,9 @@
 var parseCommon = require('../parse/abc_common');
 var parseKeyVoice = require('../parse/abc_parse_key_voice');
 var spacing = require('../write/abc_spacing');
+var partOrder = require('./abc_part_order');
+var meterInfo = require('./abc_meter');
+var swing = require('../midi/abc_midi_swing');
 
 /**
  * This is the data for a single ABC tune. It is created and populated by the window.ABCJS.parse.Parse class.
@@ -64,7 +67,10 @@ var Tune = function() {
 					if (this.lines[i].staff[j].meter) {
 						var meter = this.lines[i].staff[j].meter;
 						if (meter.type === "specified") {
-							if (meter.value.length > 0) {
+							if (meterInfo.isAdditive(meter)) {
+								// The beats aren't the same length, so the tempo is counted in the shortest note of the meter.
+								return meterInfo.unit(meter) || 1/4;
+							} else if (meter.value.length > 0) {
 								var num = parseInt(meter.value[0].num, 10);
 								var den = parseInt(meter.value[0].den, 10);
 								if (num === 3 && den === 8) return 3/8;
@@ -152,7 +158,9 @@ var Tune = function() {
 	this.getBeatsPerMeasure = function() {
 		var beatsPerMeasure;
 		var meter = this.getMeterFraction();
-		if (meter.num % 3 === 0) {
+		if (meterInfo.isAdditive(this.getMeter())) {
+			beatsPerMeasure = meter.num; // The meter is counted in its shortest note.
+		} else if (meter.num % 3 === 0) {
 			beatsPerMeasure = meter.num / 3;
 		} else {
 			beatsPerMeasure = meter.num;
@@ -278,9 +286,154 @@ var Tune = function() {
 		}
 	}
 
+	function cloneKey(key, clef) {
+		var newKey = parseCommon.clone(key);
+		newKey.accidentals = [];
+		parseCommon.each(key.accidentals, function(acc) { newKey.accidentals.push(parseCommon.clone(acc)); });
+		parseKeyVoice.addPosToKey(clef, newKey);
+		return newKey;
+	}
+
+	function restsForVoice(reference, clef, stem) {
+		// Make a voice that has the same bar lines, key changes, and meter changes as the reference voice, but has a whole rest for each measure.
+		// None of these are in the abc string, so they don't get a startChar or endChar. That keeps them from being selected or edited.
+		var voice = [];
+		if (stem)
+			voice.push({ el_type: 'stem', direction: stem.direction });
+		var durationThisBar = 0;
+		var tripletMultiplier = 1;
+		var inOverlay = false;
+		var endMeasure = function() {
+			if (durationThisBar > 0)
+				voice.push({ el_type: "note", duration: durationThisBar, rest: {type: "whole"} });
+			durationThisBar = 0;
+		};
+		for (var i = 0; i < reference.length; i++) {
+			var event = reference[i];
+			switch (event.el_type) {
+				case "note":
+					if (event.startTriplet)
+						tripletMultiplier = event.tripletMultiplier;
+					if (!inOverlay && (!event.rest || event.rest.type !== 'spacer'))
+						durationThisBar += event.duration * tripletMultiplier;
+					if (event.endTriplet)
+						tripletMultiplier = 1;
+					break;
+				case "bar":
+					endMeasure();
+					inOverlay = false;
+					var bar = { el_type: "bar", type: event.type };
+					if (event.startEnding)
+						bar.startEnding = event.startEnding;
+					if (event.endEnding)
+						bar.endEnding = event.endEnding;
+					voice.push(bar);
+					break;
+				case "overlay":
+					inOverlay = true;
+					break;
+				case "key":
+					var key = cloneKey(event, clef);
+					delete key.startChar;
+					delete key.endChar;
+					voice.push(key);
+					break;
+				case "meter":
+					var meter = parseCommon.clone(event);
+					delete meter.startChar;
+					delete meter.endChar;
+					voice.push(meter);
+					break;
+			}
+		}
+		endMeasure();
+		return voice;
+	}
+
+	function addImpliedRests(lines) {
+		// If a voice enters after the first line, then it has a full measure rest for each measure before it enters.
+		// That way the staff is drawn all the way through, and the voice stays lined up with the other voices when it is played.
+		var firstLine = -1;
+		var entrances = [];
+		var i, s, v, staff;
+		for (i = 0; i < lines.length; i++) {
+			if (lines[i].staff) {
+				if (firstLine < 0)
+					firstLine = i;
+				for (s = 0; s < lines[i].staff.length; s++) {
+					staff = lines[i].staff[s];
+					if (staff) {
+						if (!entrances[s])
+							entrances[s] = [];
+						for (v = 0; v < staff.voices.length; v++) {
+							if (staff.voices[v] !== undefined && entrances[s][v] === undefined)
+								entrances[s][v] = i;
+						}
+					}
+				}
+			}
+		}
+		for (s = 0; s < entrances.length; s++) {
+			if (!entrances[s])
+				continue;
+			for (v = 0; v < entrances[s].length; v++) {
+				var entrance = entrances[s][v];
+				if (entrance === undefined || entrance === firstLine)
+					continue;
+				var entranceStaff = lines[entrance].staff[s];
+				var entranceVoice = entranceStaff.voices[v];
+				var stem = entranceVoice.length > 0 && entranceVoice[0].el_type === 'stem' ? entranceVoice[0] : null;
+				var addedStaff = false;
+				for (i = firstLine; i < entrance; i++) {
+					var line = lines[i];
+					if (!line.staff)
+						continue;
+					// The measures are copied from the first voice on the line that has some music in it.
+					var reference = null;
+					for (var r = 0; r < line.staff.length && !reference; r++) {
+						if (line.staff[r] && line.staff[r].voices[0] && line.staff[r].voices[0].length > 0)
+							reference = line.staff[r];
+					}
+					if (!reference)
+						continue;
+					staff = line.staff[s];
+					if (!staff) {
+						var clef = parseCommon.clone(entranceStaff.clef);
+						staff = { voices: [], clef: clef, key: cloneKey(reference.key, clef), workingClef: clef };
+						if (reference.meter) staff.meter = reference.meter;
+						if (entranceStaff.staffscale) staff.staffscale = entranceStaff.staffscale;
+						if (entranceStaff.tripletfont) staff.tripletfont = entranceStaff.tripletfont;
+						if (entranceStaff.vocalfont) staff.vocalfont = entranceStaff.vocalfont;
+						if (entranceStaff.bracket) staff.bracket = entranceStaff.bracket;
+						if (entranceStaff.brace) staff.brace = entranceStaff.brace;
+						if (entranceStaff.connectBarLines) staff.connectBarLines = entranceStaff.connectBarLines;
+						line.staff[s] = staff;
+						addedStaff = true;
+					}
+					if (staff.voices[v] !== undefined)
+						continue;
+					staff.voices[v] = restsForVoice(reference.voices[0], staff.clef, stem);
+					if (entranceStaff.title && entranceStaff.title[v]) {
+						if (!staff.title)
+							staff.title = [];
+						staff.title[v] = entranceStaff.title[v];
+					}
+				}
+				// The staff was given the time signature when it was created, but that is only a change of meter if the other staffs change, too.
+				if (addedStaff && entranceStaff.meter) {
+					var otherStaff = lines[entrance].staff[s === 0 ? 1 : 0];
+					if (otherStaff && !otherStaff.meter)
+						delete entranceStaff.meter;
+				}
+			}
+		}
+	}
+
 	this.cleanUp = function(defWidth, defLength, barsperstaff, staffnonote, currSlur) {
 		this.closeLine();	// Close the last line.
 
+		addImpliedRests(this.lines);
+
 		// If the tempo was created with a string like "Allegro", then the duration of a beat needs to be set at the last moment, when it is most likely known.
 		if (this.metaText.tempo && this.metaText.tempo.bpm && !this.metaText.tempo.duration)
 			this.metaText.tempo.duration = [ this.getBeatLength() ];
@@ -326,6 +479,8 @@ var Tune = function() {
 			}
 		}
 
+		fixTitles(this.lines);
+
 		// If we were passed staffnonote, then we want to get rid of all staffs that contain only rests.
 		if (staffnonote) {
 			anyDeleted = false;
@@ -340,6 +495,11 @@ var Tune = function() {
 						}
 						if (!keepThis) {
 							anyDeleted = true;
+							// The staff isn't drawn, but it is still played, so remember where it was.
+							if (!this.lines[i].hiddenStaffs)
+								this.lines[i].hiddenStaffs = [];
+							delete this.lines[i].staff[s].workingClef;
+							this.lines[i].hiddenStaffs.push({ index: s, staff: this.lines[i].staff[s] });
 							this.lines[i].staff[s] = null;
 						}
 					}
@@ -353,8 +513,6 @@ var Tune = function() {
 			}
 		}
 
-		fixTitles(this.lines);
-
 		// Remove the temporary working variables
 		for (i = 0; i < this.lines.length; i++) {
 			if (this.lines[i].staff) {
@@ -889,7 +1047,7 @@ var Tune = function() {
 				if (thisStaff.voices[0]!== undefined) {
 					var found = false;
 					for (var i = 0; i < thisStaff.voices[0].length; i++) {
-						if (thisStaff.voices[0].el_type === 'stem')
+						if (thisStaff.voices[0][i].el_type === 'stem')
 							found = true;
 					}
 					if (!found) {
@@ -961,6 +1119,22 @@ var Tune = function() {
 		return barNumber;
 	};
 
+	this.hasStartedVoice = function() {
+		// return true if the current voice already has a place on the current line
+		var line = this.lines[this.lineNum];
+		return line !== undefined && line.staff !== undefined && line.staff[this.staffNum] !== undefined && line.staff[this.staffNum].voices[this.voiceNum] !== undefined;
+	};
+
+	this.firstLineOfVoice = function(staffNum, voiceNum) {
+		// return the first line that the voice is on, or -1 if it hasn't been used yet.
+		for (var i = 0; i < this.lines.length; i++) {
+			var staff = this.lines[i].staff;
+			if (staff && staff[staffNum] && staff[staffNum].voices[voiceNum] !== undefined)
+				return i;
+		}
+		return -1;
+	};
+
 	this.hasBeginMusic = function() {
 		// return true if there exists at least one line that contains "staff"
 		for (var i = 0; i < this.lines.length; i++) {
@@ -997,7 +1171,11 @@ var Tune = function() {
 		var num = 4;
 		var den = 4;
 		if (meter) {
-			if (meter.type === 'specified') {
+			if (meterInfo.isAdditive(meter) && meterInfo.unit(meter) && meterInfo.measureLength(meter)) {
+				// This is the whole measure counted in the shortest note, so M:2+2+3/8 is 7/8 and M:3/8+2/4 is also 7/8.
+				den = Math.round(1 / meterInfo.unit(meter));
+				num = Math.round(meterInfo.measureLength(meter) * den);
+			} else if (meter.type === 'specified') {
 				num = parseInt(meter.value[0].num, 10);
 				den = parseInt(meter.value[0].den,10);
 			} else if (meter.type === 'cut_time') {
@@ -1031,10 +1209,18 @@ var Tune = function() {
 		else return null;
 	};
 
-	this.setCurrentVoice = function(staffNum, voiceNum) {
+	this.setCurrentVoice = function(staffNum, voiceNum, voicesTakeTurns) {
 		this.staffNum = staffNum;
 		this.voiceNum = voiceNum;
-		for (var i = 0; i < this.lines.length; i++) {
+		// If the voices take turns, then a voice that hasn't been used yet enters on the line that the other voices are on now, not on the first line,
+		// and after that it is never put on a line before the one it entered on.
+		var first = 0;
+		if (voicesTakeTurns) {
+			first = this.firstLineOfVoice(staffNum, voiceNum);
+			if (first < 0)
+				return;
+		}
+		for (var i = first; i < this.lines.length; i++) {
 			if (this.lines[i].staff) {
 				if (this.lines[i].staff[staffNum] === undefined || this.lines[i].staff[staffNum].voices[voiceNum] === undefined ||
 					!this.containsNotes(this.lines[i].staff[staffNum].voices[voiceNum] )) {
@@ -1111,6 +1297,9 @@ var Tune = function() {
 		var realDuration = element.durationClass ? element.durationClass : element.duration;
 		if (element.abcelem.rest && element.abcelem.rest.type === "spacer")
 			realDuration = 0;
+		// The tablature shares the abcelem with the music above it, so only the music contributes the pitches.
+		var midiPitches = element.isTablature ? undefined : element.abcelem.midiPitches;
+		var midiGraceNotePitches = element.isTablature ? undefined : element.abcelem.midiGraceNotePitches;
 		if (realDuration > 0) {
 			var es = [];
 			// If there is an invisible rest, then there are not elements, so don't push a null one.
@@ -1146,6 +1335,8 @@ var Tune = function() {
 					isTiedState = undefined;
 			} else {
 				// the last note wasn't tied.
+				// The rests that are added for a voice that comes in late aren't in the abc string, so they don't have a position to add.
+				var hasChars = element.abcelem.startChar !== undefined;
 				if (!eventHash["event" + voiceTimeMilliseconds]) {
 					eventHash["event" + voiceTimeMilliseconds] = {
 						type: "event",
@@ -1157,14 +1348,14 @@ var Tune = function() {
 						left: element.x,
 						width: element.w,
 						elements: [es],
-						startChar: element.abcelem.startChar,
-						endChar: element.abcelem.endChar,
-						startCharArray: [element.abcelem.startChar],
-						endCharArray: [element.abcelem.endChar],
-						midiPitches: element.abcelem.midiPitches ? parseCommon.cloneArray(element.abcelem.midiPitches) : []
+						startChar: hasChars ? element.abcelem.startChar : null,
+						endChar: hasChars ? element.abcelem.endChar : null,
+						startCharArray: hasChars ? [element.abcelem.startChar] : [],
+						endCharArray: hasChars ? [element.abcelem.endChar] : [],
+						midiPitches: midiPitches ? parseCommon.cloneArray(midiPitches) : []
 					};
-					if (element.abcelem.midiGraceNotePitches)
-						eventHash["event" + voiceTimeMilliseconds].midiGraceNotePitches = parseCommon.cloneArray(element.abcelem.midiGraceNotePitches);
+					if (midiGraceNotePitches)
+						eventHash["event" + voiceTimeMilliseconds].midiGraceNotePitches = parseCommon.cloneArray(midiGraceNotePitches);
 				} else {
 					// If there is more than one voice then two notes can fall at the same time. Usually they would be lined up in the same place, but if it is a whole rest, then it is placed funny. In any case, the left most element wins.
 					if (eventHash["event" + voiceTimeMilliseconds].left)
@@ -1172,23 +1363,25 @@ var Tune = function() {
 					else
 						eventHash["event" + voiceTimeMilliseconds].left = element.x;
 					eventHash["event" + voiceTimeMilliseconds].elements.push(es);
-					eventHash["event" + voiceTimeMilliseconds].startCharArray.push(element.abcelem.startChar);
-					eventHash["event" + voiceTimeMilliseconds].endCharArray.push(element.abcelem.endChar);
-					if (eventHash["event" + voiceTimeMilliseconds].startChar === null)
-						eventHash["event" + voiceTimeMilliseconds].startChar =element.abcelem.startChar;
-					if (eventHash["event" + voiceTimeMilliseconds].endChar === null)
-						eventHash["event" + voiceTimeMilliseconds].endChar =element.abcelem.endChar;
-					if (element.abcelem.midiPitches && element.abcelem.midiPitches.length) {
+					if (hasChars) {
+						eventHash["event" + voiceTimeMilliseconds].startCharArray.push(element.abcelem.startChar);
+						eventHash["event" + voiceTimeMilliseconds].endCharArray.push(element.abcelem.endChar);
+						if (eventHash["event" + voiceTimeMilliseconds].startChar === null)
+							eventHash["event" + voiceTimeMilliseconds].startChar =element.abcelem.startChar;
+						if (eventHash["event" + voiceTimeMilliseconds].endChar === null)
+							eventHash["event" + voiceTimeMilliseconds].endChar =element.abcelem.endChar;
+					}
+					if (midiPitches && midiPitches.length) {
 						if (!eventHash["event" + voiceTimeMilliseconds].midiPitches)
 							eventHash["event" + voiceTimeMilliseconds].midiPitches = [];
-						for (var i = 0; i < element.abcelem.midiPitches.length; i++)
-							eventHash["event" + voiceTimeMilliseconds].midiPitches.push(element.abcelem.midiPitches[i]);
+						for (var i = 0; i < midiPitches.length; i++)
+							eventHash["event" + voiceTimeMilliseconds].midiPitches.push(midiPitches[i]);
 					}
-					if (element.abcelem.midiGraceNotePitches && element.abcelem.midiGraceNotePitches.length) {
+					if (midiGraceNotePitches && midiGraceNotePitches.length) {
 						if (!eventHash["event" + voiceTimeMilliseconds].midiGraceNotePitches)
 							eventHash["event" + voiceTimeMilliseconds].midiGraceNotePitches = [];
-						for (var j = 0; j < element.abcelem.midiGraceNotePitches.length; j++)
-							eventHash["event" + voiceTimeMilliseconds].midiGraceNotePitches.push(element.abcelem.midiGraceNotePitches[j]);
+						for (var j = 0; j < midiGraceNotePitches.length; j++)
+							eventHash["event" + voiceTimeMilliseconds].midiGraceNotePitches.push(midiGraceNotePitches[j]);
 					}
 				}
 				if (nextIsBar) {
@@ -1234,7 +1427,35 @@ var Tune = function() {
 		return voicesArr;
 	};
 
-	this.setupEvents = function(startingDelay, timeDivider, bpm) {
+	// If there is a part order in the header, then rearrange the voices so they are in the order they are played.
+	// This changes the voices array that is passed in, and returns, for each voice, the indexes where a part starts.
+	this.arrangeParts = function(voices) {
+		var partStarts = [];
+		var v;
+		for (v = 0; v < voices.length; v++)
+			partStarts.push([]);
+		var order = partOrder.parse(this.metaText.partOrder);
+		if (order.length === 0)
+			return partStarts;
+		var classify = function(item) {
+			var type = item.elem.abcelem.el_type;
+			if (type === 'note')
+				return item.elem.abcelem.rest && item.elem.abcelem.rest.type === 'spacer' ? 'spacer' : 'note';
+			return type;
+		};
+		var boundaries = partOrder.findBoundaries(voices, classify, function(item) { return item.elem.abcelem.title; });
+		if (boundaries.length === 0)
+			return partStarts;
+		for (v = 0; v < voices.length; v++) {
+			var starts = partOrder.split(voices[v], boundaries, classify);
+			var arranged = partOrder.arrange(voices[v], starts, order, function(item) { return item.elem.abcelem.el_type; }, [ 'tempo' ]);
+			voices[v] = arranged.items;
+			partStarts[v] = arranged.partStarts;
+		}
+		return partStarts;
+	};
+
+	this.setupEvents = function(startingDelay, timeDivider, bpm, options) {
 		var timingEvents = [];
 
 		var eventHash = {};
@@ -1244,13 +1465,48 @@ var Tune = function() {
 		var isTiedState;
 		var nextIsBar = true;
 		var voices = this.makeVoicesArray();
+		var parts = this.arrangeParts(voices);
+		var lineStartTimes = []; // When each line starts in the first voice, so a voice that isn't drawn until a later line starts at the right time.
+		var measures = []; // When each measure starts in the first voice, and its meter, so the beats can be found when they aren't evenly spaced.
+		var swingFactors = getSwingFactors(this.lines, this.formatting, options ? options : {});
+		var swung = function(element, duration) {
+			var factor = swingFactors[element.abcelem.startChar];
+			return factor ? duration * factor : duration;
+		};
+		var meter = this.getMeter();
+		var noteMeasure = function(element, startTime, endTime, timeDivider) {
+			var lastMeasure = measures.length > 0 ? measures[measures.length - 1] : null;
+			if (element.type === 'staff-extra time-signature') {
+				meter = element.abcelem;
+				// A meter at the start of a measure is the meter of that measure.
+				if (lastMeasure && Math.abs(lastMeasure.time - startTime) < 0.0001)
+					lastMeasure.meter = meter;
+			}
+			if (!lastMeasure)
+				measures.push({ time: startTime, meter: meter, timeDivider: timeDivider });
+			else if (element.type === 'bar') {
+				if (Math.abs(lastMeasure.time - endTime) < 0.0001)
+					lastMeasure.timeDivider = timeDivider; // Two bar lines in a row don't make a measure.
+				else
+					measures.push({ time: endTime, meter: meter, timeDivider: timeDivider });
+			}
+		};
 		for (var v = 0; v < voices.length; v++) {
 			var voiceTime = time;
+			var elements = voices[v];
+			if (v > 0 && elements.length > 0 && lineStartTimes[elements[0].line] !== undefined)
+				voiceTime = lineStartTimes[elements[0].line];
 			var voiceTimeMilliseconds = Math.round(voiceTime * 1000);
 			var startingRepeatElem = 0;
 			var endingRepeatElem = -1;
-			var elements = voices[v];
 			for (var elem = 0; elem < elements.length; elem++) {
+				if (v === 0 && lineStartTimes[elements[elem].line] === undefined)
+					lineStartTimes[elements[elem].line] = voiceTime;
+				if (parts[v].indexOf(elem) >= 0) {
+					// A repeat can't go back past the start of a part.
+					startingRepeatElem = elem;
+					endingRepeatElem = -1;
+				}
 				var element = elements[elem].elem;
 				if (element.abcelem.el_type === "tempo") {
 					var bpm = this.getBpm(element.abcelem);
@@ -1261,7 +1517,10 @@ var Tune = function() {
 				var ret = this.addElementToEvents(eventHash, element, voiceTimeMilliseconds, elements[elem].top, elements[elem].height, elements[elem].line, elements[elem].measureNumber, timeDivider, isTiedState, nextIsBar);
 				isTiedState = ret.isTiedState;
 				nextIsBar = ret.nextIsBar;
-				voiceTime += ret.duration;
+				var duration = swung(element, ret.duration);
+				if (v === 0)
+					noteMeasure(element, voiceTime, voiceTime + duration, timeDivider);
+				voiceTime += duration;
 				voiceTimeMilliseconds = Math.round(voiceTime * 1000);
 				if (element.type === 'bar') {
 					var barType = element.abcelem.type;
@@ -1276,7 +1535,10 @@ var Tune = function() {
 							ret = this.addElementToEvents(eventHash, element2, voiceTimeMilliseconds, elements[el2].top, elements[el2].height, elements[el2].line, elements[el2].measureNumber, timeDivider, isTiedState, nextIsBar);
 							isTiedState = ret.isTiedState;
 							nextIsBar = ret.nextIsBar;
-							voiceTime += ret.duration;
+							duration = swung(element2, ret.duration);
+							if (v === 0)
+								noteMeasure(element2, voiceTime, voiceTime + duration, timeDivider);
+							voiceTime += duration;
 							voiceTimeMilliseconds = Math.round(voiceTime * 1000);
 						}
 						nextIsBar = true;
@@ -1288,7 +1550,10 @@ var Tune = function() {
 						startingRepeatElem = elem;
 				}
 			}
+			if (v === 0)
+				measures.push({ time: voiceTime }); // This is where the last measure ends.
 		}
+		this.beatTimings = hasUnevenBeats(this.lines, this.getBeatLength()) ? getBeatTimings(measures, this.getBeatLength()) : undefined;
 		// now we have all the events, but if there are multiple voices then there may be events out of order or duplicated, so normalize it.
 		timingEvents = makeSortedArray(eventHash);
 		addVerticalInfo(timingEvents);
@@ -1305,6 +1570,132 @@ var Tune = function() {
 		}
 	};
 
+	// The beats are evenly spaced unless there is a meter whose beats aren't the same length as the beat of the tune, like M:2+2+3/8,
+	// or the tune changes to a meter with a different beat, like going from 3/4 to 6/8.
+	function hasUnevenBeats(lines, beatLength) {
+		var isUneven = function(meter) {
+			var beats = meterInfo.beats(meter);
+			if (!beats)
+				return false;
+			for (var i = 0; i < beats.length; i++) {
+				if (Math.abs(beats[i] - beatLength) > 0.0001)
+					return true;
+			}
+			return false;
+		};
+		for (var i = 0; i < lines.length; i++) {
+			var staffs = lines[i].staff || [];
+			for (var j = 0; j < staffs.length; j++) {
+				if (isUneven(staffs[j].meter))
+					return true;
+				for (var v = 0; v < staffs[j].voices.length; v++) {
+					var voice = staffs[j].voices[v];
+					for (var k = 0; k < voice.length; k++) {
+						if (voice[k].el_type === 'meter' && isUneven(voice[k]))
+							return true;
+					}
+				}
+			}
+		}
+		return false;
+	}
+
+	// Swung notes are played for a different length than they are written, so this returns how much each one is stretched, by its startChar.
+	// It follows the same rules as the playback: the swing option overrides %%MIDI ratio, and the pairs start over in each measure.
+	function getSwingFactors(lines, formatting, options) {
+		var factors = {};
+		var subdivision = options.swingSubdivision ? options.swingSubdivision : 0.125;
+		var startingRatio = options.swing ? options.swing : 1;
+		if (!options.swing && formatting.midi && formatting.midi.ratio && formatting.midi.ratio.length === 2)
+			startingRatio = swing.ratio(formatting.midi.ratio);
+		var voices = {};
+		for (var i = 0; i < lines.length; i++) {
+			if (!lines[i].staff)
+				continue;
+			// The staffs that weren't drawn are put back so that each voice is in the same place on every line.
+			var staffs = [].concat(lines[i].staff);
+			if (lines[i].hiddenStaffs) {
+				for (var h = 0; h < lines[i].hiddenStaffs.length; h++)
+					staffs.splice(lines[i].hiddenStaffs[h].index, 0, lines[i].hiddenStaffs[h].staff);
+			}
+			for (var s = 0; s < staffs.length; s++) {
+				for (var v = 0; v < staffs[s].voices.length; v++) {
+					var id = s + '-' + v;
+					if (!voices[id])
+						voices[id] = { ratio: startingRatio, measureLength: null, barBeat: 0, multiplier: 1 };
+					var state = voices[id];
+					if (staffs[s].meter)
+						state.measureLength = meterInfo.measureLength(staffs[s].meter);
+					var voice = staffs[s].voices[v];
+					for (var k = 0; k < voice.length; k++) {
+						var elem = voice[k];
+						switch (elem.el_type) {
+							case 'bar':
+								state.barBeat = 0;
+								break;
+							case 'meter':
+								state.measureLength = meterInfo.measureLength(elem);
+								break;
+							case 'midi':
+								if (elem.cmd === 'ratio' && elem.params.length === 2 && !options.swing)
+									state.ratio = swing.ratio(elem.params);
+								break;
+							case 'note':
+								if (elem.rest && elem.rest.type === 'spacer')
+									break;
+								if (elem.startTriplet)
+									state.multiplier = elem.tripletMultiplier;
+								var duration = (elem.durationClass ? elem.durationClass : elem.duration) * state.multiplier;
+								// Without a measure length, every pair is swung.
+								var swungDuration = swing.length(state.barBeat, duration, state.ratio, subdivision, state.measureLength === null ? Infinity : state.measureLength);
+								if (duration > 0 && elem.startChar !== undefined && Math.abs(swungDuration - duration) > 0.0001)
+									factors[elem.startChar] = swungDuration / duration;
+								state.barBeat += duration;
+								if (elem.endTriplet)
+									state.multiplier = 1;
+								break;
+						}
+					}
+				}
+			}
+		}
+		return factors;
+	}
+
+	// Returns the number of milliseconds from the start of the tune to each beat, using the meter of each measure.
+	// A first measure that is shorter than its meter is a pickup, so its beats are the last beats of the meter.
+	function getBeatTimings(measures, beatLength) {
+		var timings = [];
+		for (var i = 0; i < measures.length - 1; i++) {
+			var measure = measures[i];
+			var length = (measures[i + 1].time - measure.time) * measure.timeDivider;
+			if (length < 0.0001)
+				continue;
+			var beats = meterInfo.beats(measure.meter);
+			if (!beats)
+				beats = [ beatLength ];
+			var measureLength = 0;
+			for (var b = 0; b < beats.length; b++)
+				measureLength += beats[b];
+			var offset = 0;
+			var beat = 0;
+			if (i === 0 && length < measureLength - 0.0001) {
+				offset = length - measureLength;
+				while (offset + beats[beat] < 0.0001) {
+					offset += beats[beat];
+					beat++;
+				}
+			}
+			// A measure that is longer than its meter keeps going with the beats from the beginning of the meter.
+			while (offset < length - 0.0001) {
+				timings.push(Math.round((measure.time + Math.max(offset, 0) / measure.timeDivider) * 1000));
+				offset += beats[beat];
+				beat = (beat + 1) % beats.length;
+			}
+		}
+		return timings;
+	}
+
 	function getVertical(group) {
 		var voices = group.voices;
 		var firstStaff = group.staffs[0];
@@ -1329,14 +1720,14 @@ var Tune = function() {
 			bpm = 180;
 			// Compensate for compound meter, where the beat isn't a beat.
 			var meter = this.getMeterFraction();
-			if (meter && (meter.num % 3 === 0)) {
+			if (meter && (meter.num % 3 === 0) && !meterInfo.isAdditive(this.getMeter())) {
 				bpm = 120;
 			}
 		}
 		return bpm;
 	};
 
-	this.setTiming = function (bpm, measuresOfDelay) {
+	this.setTiming = function (bpm, measuresOfDelay, options) {
 		if (!bpm) {
 			var tempo = this.metaText ? this.metaText.tempo : null;
 			bpm = this.getBpm(tempo);
@@ -1352,7 +1743,7 @@ var Tune = function() {
 			startingDelay -= this.getPickupLength() / beatLength / beatsPerSecond;
 		var timeDivider = beatLength * beatsPerSecond;
 
-		this.noteTimings = this.setupEvents(startingDelay, timeDivider, bpm);
+		this.noteTimings = this.setupEvents(startingDelay, timeDivider, bpm, options);
 	};
 };
 
@@ -0,0 +1,98 @@
+// abc_editarea.js: The textarea that the Editor uses by default, and the description of what any other control needs to do to be used instead.
+//
+// EditArea is the interface between the Editor and the control that the user types in. As long as an object has
+// these methods, the Editor can use it. There are adapters for CodeMirror and for a contenteditable element in
+// codemirror_editarea.js and contenteditable_editarea.js.
+//
+// EditArea:
+// - addSelectionListener(listener)
+//		listener.fireSelectionChanged() should be called whenever the user changes the selection.
+// - addChangeListener(listener)
+//		listener.fireChanged() should be called whenever the text might have changed. It is ok to call it when nothing changed.
+// - getSelection()
+//		returns the object { start: , end: } with the current selection in characters
+// - setSelection(start, end)
+//		start and end are the character positions that should be selected.
+// - getString()
+//		returns the ABC text that is currently displayed.
+// - setString(str)
+//		sets the ABC text that is currently displayed, and resets the initialText variable. The change listener should be called.
+// - getElem()
+//		returns the element that the user types in. It is used for setting the readonly and dirty classes.
+// - string initialText
+//		Contains the starting text. This can be compared against the current text to see if anything changed.
+// - highlight(tokens) (optional)
+//		Called after the text is parsed with an array of { start: , end: , type: } that says which kind of ABC item is at each
+//		range of characters. The types are in abc_highlight.js. A control that can color its text should give each range
+//		the class "abcjs-token-" + type. The textarea can't do that, so it doesn't have this method.
+//
+
+/*global document */
+
+var EditArea = function(textareaid) {
+  this.textarea = document.getElementById(textareaid);
+  this.initialText = this.textarea.value;
+  this.isDragging = false;
+}
+
+EditArea.prototype.addSelectionListener = function(listener) {
+  this.textarea.onmousemove = function(ev) {
+	  if (this.isDragging)
+	    listener.fireSelectionChanged();
+  };
+};
+
+EditArea.prototype.addChangeListener = function(listener) {
+  this.changelistener = listener;
+  this.textarea.onkeyup = function() {
+    listener.fireChanged();
+  };
+  this.textarea.onmousedown = function() {
+	this.isDragging = true;
+    listener.fireSelectionChanged();
+  };
+  this.textarea.onmouseup = function() {
+	this.isDragging = false;
+    listener.fireChanged();
+  };
+  this.textarea.onchange = function() {
+    listener.fireChanged();
+  };
+};
+
+//TODO won't work under IE?
+EditArea.prototype.getSelection = function() {
+  return {start: this.textarea.selectionStart, end: this.textarea.selectionEnd};
+};
+
+EditArea.prototype.setSelection = function(start, end) {
+	if(this.textarea.setSelectionRange)
+	   this.textarea.setSelectionRange(start, end);
+	else if(this.textarea.createTextRange) {
+		// For IE8
+	   var e = this.textarea.createTextRange();
+	   e.collapse(true);
+	   e.moveEnd('character', end);
+	   e.moveStart('character', start);
+	   e.select();
+	}
+  this.textarea.focus();
+};
+
+EditArea.prototype.getString = function() {
+  return this.textarea.value;
+};
+
+EditArea.prototype.setString = function(str) {
+  this.textarea.value = str;
+  this.initialText = this.getString();
+  if (this.changelistener) {
+    this.changelistener.fireChanged();
+  }
+};
+
+EditArea.prototype.getElem = function() {
+  return this.textarea;
+};
+
+module.exports = EditArea;
@@ -2,33 +2,17 @@
 // window.ABCJS.Editor is the interface class for the area that contains the ABC text. It is responsible for
 // holding the text of the tune and calling the parser and the rendering engines.
 //
-// EditArea is an example of using a textarea as the control that is shown to the user. As long as
-// the same interface is used, window.ABCJS.Editor can use a different type of object.
-//
-// EditArea:
-// - constructor(textareaid)
-//		This contains the id of a textarea control that will be used.
-// - addSelectionListener(listener)
-//		A callback class that contains the entry point fireSelectionChanged()
-// - addChangeListener(listener)
-//		A callback class that contains the entry point fireChanged()
-// - getSelection()
-//		returns the object { start: , end: } with the current selection in characters
-// - setSelection(start, end)
-//		start and end are the character positions that should be selected.
-// - getString()
-//		returns the ABC text that is currently displayed.
-// - setString(str)
-//		sets the ABC text that is currently displayed, and resets the initialText variable
-// - getElem()
-//		returns the textarea element
-// - string initialText
-//		Contains the starting text. This can be compared against the current text to see if anything changed.
+// The control that the user types in is an EditArea. See abc_editarea.js for the methods it needs.
 //
 
 /*global document, window, clearTimeout, setTimeout */
 
 var TuneBook = require('../api/abc_tunebook').TuneBook;
+var EditArea = require('./abc_editarea');
+var highlight = require('./abc_highlight');
+var moveNote = require('./abc_move_note');
+var abc2abcTranspose = require('../transform/abc2abc_transpose');
+var noteEntry = require('../write/note-entry');
 var parseCommon = require('../parse/abc_common');
 var Parse = require('../parse/abc_parse');
 var TextPrinter = require('../transform/abc2abc_write');
@@ -52,72 +36,6 @@ try {
 	// if we aren't in a browser, this code will crash, but it is not needed then either.
 }
 
-var EditArea = function(textareaid) {
-  this.textarea = document.getElementById(textareaid);
-  this.initialText = this.textarea.value;
-  this.isDragging = false;
-}
-
-EditArea.prototype.addSelectionListener = function(listener) {
-  this.textarea.onmousemove = function(ev) {
-	  if (this.isDragging)
-	    listener.fireSelectionChanged();
-  };
-};
-
-EditArea.prototype.addChangeListener = function(listener) {
-  this.changelistener = listener;
-  this.textarea.onkeyup = function() {
-    listener.fireChanged();
-  };
-  this.textarea.onmousedown = function() {
-	this.isDragging = true;
-    listener.fireSelectionChanged();
-  };
-  this.textarea.onmouseup = function() {
-	this.isDragging = false;
-    listener.fireChanged();
-  };
-  this.textarea.onchange = function() {
-    listener.fireChanged();
-  };
-};
-
-//TODO won't work under IE?
-EditArea.prototype.getSelection = function() {
-  return {start: this.textarea.selectionStart, end: this.textarea.selectionEnd};
-};
-
-EditArea.prototype.setSelection = function(start, end) {
-	if(this.textarea.setSelectionRange)
-	   this.textarea.setSelectionRange(start, end);
-	else if(this.textarea.createTextRange) {
-		// For IE8
-	   var e = this.textarea.createTextRange();
-	   e.collapse(true);
-	   e.moveEnd('character', end);
-	   e.moveStart('character', start);
-	   e.select();
-	}
-  this.textarea.focus();
-};
-
-EditArea.prototype.getString = function() {
-  return this.textarea.value;
-};
-
-EditArea.prototype.setString = function(str) {
-  this.textarea.value = str;
-  this.initialText = this.getString();
-  if (this.changelistener) {
-    this.changelistener.fireChanged();
-  }
-};
-
-EditArea.prototype.getElem = function() {
-  return this.textarea;
-};
-
 //
 // window.ABCJS.Editor:
 //
@@ -144,10 +62,10 @@ EditArea.prototype.getElem = function() {
 // - setDirtyStyle(bool)
 //		adds or removes the class abc_textarea_dirty
 // - renderTune(abc, parserparams, div)
-//		Immediately renders the tune. (Useful for creating the SVG output behind the scenes, if div is hidden)
+//		Immediately renders the tunes, each in its own div. (Useful for creating the SVG output behind the scenes, if div is hidden)
 //		string abc: the ABC text
 //		parserparams: params to send to the parser
-//		div: the HTML id to render to.
+//		div: the HTML id or element to render to.
 // - modelChanged()
 //		Called when the model has been changed to trigger re-rendering
 // - parseABC()
@@ -165,8 +83,14 @@ EditArea.prototype.getElem = function() {
 //		Called by the client app to reset the dirty flag
 // - isDirty()
 //		Returns true or false, whether the textarea contains the same text that it started with.
-// - highlight(abcelem)
-//		Called by the engraver_controller to highlight an area.
+// - highlight(abcelem, tuneNumber, classes, analysis, dragStep)
+//		Called by the engraver_controller to highlight an area. If the note was dragged, the ABC text is changed instead.
+// - undo(), redo()
+//		Puts back the text from before the last edit, or the edit that was undone. Returns false if there was nothing to do.
+// - canUndo(), canRedo()
+//		Returns true if there is something to undo or redo.
+// - currentTune()
+//		Returns the number of the tune that the cursor is in. The audio control plays that tune.
 // - pause(bool)
 //		Stops the automatic rendering when the user is typing.
 //
@@ -269,6 +193,11 @@ var Editor = function(editarea, params) {
     this.abcjsParams.editable = true;
   }
   this.oldt = "";
+  this.tuneCache = [];
+  this.undoStack = [];
+  this.redoStack = [];
+  this.lastText = this.editarea.getString();
+  this.addUndoKeys();
   this.bReentry = false;
   this.parseABC();
   this.modelChanged();
@@ -305,12 +234,20 @@ var Editor = function(editarea, params) {
 };
 
 Editor.prototype.renderTune = function(abc, params, div) {
+  if (typeof div === "string")
+    div = document.getElementById(div);
+  div.innerHTML = "";
   var tunebook = new TuneBook(abc);
-  var abcParser = Parse();
-  abcParser.parse(tunebook.tunes[0].abc, params, tunebook.tunes[0].startPos - tunebook.header.length); //TODO handle multiple tunes
-  var tune = abcParser.getTune();
-  var engraver_controller = new EngraverController(div, this.abcjsParams);
-  engraver_controller.engraveABC(tune);
+  // Each tune goes in its own div, the same way the editor draws them.
+  for (var i = 0; i < tunebook.tunes.length; i++) {
+	  var abcParser = new Parse();
+	  abcParser.parse(tunebook.tunes[i].abc, params, tunebook.tunes[i].startPos - tunebook.header.length);
+	  var tuneDiv = document.createElement("div");
+	  tuneDiv.className = "abcjs-editor-tune";
+	  div.appendChild(tuneDiv);
+	  var engraver_controller = new EngraverController(tuneDiv, this.abcjsParams);
+	  engraver_controller.engraveABC(abcParser.getTune(), i);
+  }
 };
 
 Editor.prototype.redrawMidi = function() {
@@ -326,13 +263,29 @@ Editor.prototype.redrawMidi = function() {
 		});
 		window.dispatchEvent(event);
 	}
-	if (this.synth) {
-		if (!this.synth.synthControl) {
-			this.synth.synthControl = new SynthController();
-			this.synth.synthControl.load(this.synth.el, this.synth.cursorControl, this.synth.options);
-		}
-		this.synth.synthControl.setTune(this.tunes[0], false, this.abcjsParams);
+	if (this.synth)
+		this.setSynthTune();
+};
+
+// The audio control plays the tune that the cursor is in.
+Editor.prototype.setSynthTune = function() {
+	if (!this.synth.synthControl) {
+		this.synth.synthControl = new SynthController();
+		this.synth.synthControl.load(this.synth.el, this.synth.cursorControl, this.synth.options);
+	}
+	this.synth.synthTune = this.currentTune();
+	this.synth.synthControl.setTune(this.tunes[this.synth.synthTune], false, this.abcjsParams);
+};
+
+// The number of the tune that the cursor is in. If the cursor is above the first tune, then it is the first tune.
+Editor.prototype.currentTune = function() {
+	var pos = this.editarea.getSelection().start;
+	var tuneNumber = 0;
+	for (var i = 1; i < this.startPos.length; i++) {
+		if (this.startPos[i] <= pos)
+			tuneNumber = i;
 	}
+	return tuneNumber;
 };
 
 Editor.prototype.modelChanged = function() {
@@ -342,6 +295,12 @@ Editor.prototype.modelChanged = function() {
     if (this.inlineMidi !== undefined)
 		this.inlineMidi.innerHTML = "";
     this.div.innerHTML = "";
+	this.tuneCache = [];
+	this.engraver_controller = undefined;
+	if (this.warningsdiv)
+		this.warningsdiv.innerHTML = "";
+	if (this.editarea.highlight)
+		this.editarea.highlight([]);
 	return;
   }
 
@@ -349,24 +308,95 @@ Editor.prototype.modelChanged = function() {
     return; // TODO is this likely? maybe, if we rewrite abc immediately w/ abc2abc
   this.bReentry = true;
   this.timerId = null;
-  this.div.innerHTML = "";
-  this.engraver_controller = new EngraverController(this.div, this.abcjsParams);
-  this.engraver_controller.engraveABC(this.tunes);
-	this.tunes[0].engraver = this.engraver_controller;	// TODO-PER: We actually want an output object for each tune, not the entire controller. When refactoring, don't save data in the controller.
+
+	// Each tune is drawn in its own div, and only the tunes that were re-parsed are drawn again. The rest keep their SVG.
+	var i;
+	if (this.abcjsParams.noteEntry === true)
+		this.abcjsParams.noteEntry = noteEntry.defaults(); // This is shared by each drawing so that the user's choice of note is kept.
+	var keep = [];
+	for (i = 0; i < this.tuneCache.length; i++) {
+		var entry = this.tuneCache[i];
+		if (!entry.div) {
+			entry.div = document.createElement("div");
+			entry.div.className = "abcjs-editor-tune";
+		}
+		if (entry.needsRender) {
+			entry.div.innerHTML = "";
+			entry.engraver = new EngraverController(entry.div, this.abcjsParams);
+			entry.engraver.engraveABC(entry.tune, i);
+			entry.engraver.addSelectListener(this.highlight.bind(this));
+			entry.engraver.addEntryListener(this.insertNote.bind(this));
+			entry.needsRender = false;
+			if (this.focusTune === i) {
+				// A note was just added by clicking, so the keys should still go to the music.
+				var svg = entry.engraver.renderer.paper.svg;
+				if (svg.focus)
+					svg.focus();
+			}
+		}
+		entry.tune.engraver = entry.engraver;	// TODO-PER: We actually want an output object for each tune, not the entire controller. When refactoring, don't save data in the controller.
+		keep.push(entry.div);
+	}
+	this.focusTune = undefined;
+	// Remove whatever isn't one of the current tunes, then put the tunes in order. Moving a node that is already there doesn't redraw it.
+	for (i = this.div.childNodes.length-1; i >= 0; i--) {
+		if (keep.indexOf(this.div.childNodes[i]) < 0)
+			this.div.removeChild(this.div.childNodes[i]);
+	}
+	for (i = 0; i < keep.length; i++) {
+		if (this.div.childNodes[i] !== keep[i])
+			this.div.insertBefore(keep[i], this.div.childNodes[i] || null);
+	}
+	this.engraver_controller = this.tuneCache[0].engraver;
 	this.redrawMidi();
 
   if (this.warningsdiv) {
-    this.warningsdiv.innerHTML = (this.warnings) ? this.warnings.join("<br />") : "No errors";
+    this.warningsdiv.innerHTML = this.warningsHtml();
   }
   if (this.target) {
-    var textprinter = new TextPrinter(this.target, true);
-    textprinter.printABC(this.tunes[0]); //TODO handle multiple tunes
+    this.printTunes();
   }
-  this.engraver_controller.addSelectListener(this.highlight.bind(this));
+	if (this.editarea.highlight)
+		this.editarea.highlight(highlight.tokens(this.oldt, this.tunes));
   this.updateSelection();
   this.bReentry = false;
 };
 
+// The warnings are listed under the tune that they are in, unless there is only one tune. If no tune has warnings, then that is said.
+Editor.prototype.warningsHtml = function() {
+	var html = [];
+	for (var i = 0; i < this.tuneWarnings.length; i++) {
+		if (this.tuneWarnings[i].length === 0)
+			continue;
+		if (this.tuneWarnings.length > 1) {
+			var title = this.tunes[i].metaText.title;
+			html.push("<b>Tune " + (i + 1) + (title ? ": " + escapeHtml(title) : "") + "</b>");
+		}
+		html = html.concat(this.tuneWarnings[i]);
+	}
+	return html.length > 0 ? html.join("<br />") : "No errors";
+};
+
+function escapeHtml(str) {
+	return str.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+// When the music can be changed directly, the text is written again from all the tunes. Since the
+// positions are set by the printer, each tune's positions are moved to where that tune is in the whole text.
+Editor.prototype.printTunes = function() {
+	var text = "";
+	for (var i = 0; i < this.tuneCache.length; i++) {
+		var output = {};
+		new TextPrinter(output, true).printABC(this.tunes[i]);
+		if (text.length > 0) {
+			text += "\n";
+			shiftCharPositions({ tune: this.tunes[i], diagnostics: [] }, text.length);
+		}
+		text += output.value;
+	}
+	this.target.value = text;
+};
+
 // Call this to reparse in response to the printing parameters changing
 Editor.prototype.paramChanged = function(engraverParams) {
 	if (engraverParams) {
@@ -377,6 +407,7 @@ Editor.prototype.paramChanged = function(engraverParams) {
 		}
 	}
 	this.oldt = "";
+	this.tuneCache = [];
 	this.fireChanged();
 };
 
@@ -389,36 +420,111 @@ Editor.prototype.parseABC = function() {
   }
 
   this.oldt = t;
+  if (t !== this.lastText) {
+	  this.recordUndo(this.lastText, "typing");
+	  this.lastText = t;
+  }
   if (t === "") {
 	this.tunes = undefined;
 	this.warnings = "";
+	this.tuneWarnings = [];
+	this.diagnostics = [];
 	return true;
   }
   var tunebook = new TuneBook(t);
-
+  var oldCache = this.tuneCache;
+  var numTunes = tunebook.tunes.length;
+
+	// Only the tunes that were touched by the edit need to be parsed again. Those are the ones between the tunes that
+	// are the same at the top and the tunes that are the same at the bottom. The tunes at the bottom may have moved, though.
+	var top = 0;
+	while (top < numTunes && top < oldCache.length && oldCache[top].abc === tunebook.tunes[top].abc)
+		top++;
+	var bottom = 0;
+	while (bottom < numTunes - top && bottom < oldCache.length - top &&
+		oldCache[oldCache.length - 1 - bottom].abc === tunebook.tunes[numTunes - 1 - bottom].abc)
+		bottom++;
+
+  this.tuneCache = [];
   this.tunes = [];
   this.startPos = [];
   this.warnings = [];
-  for (var i=0; i<tunebook.tunes.length; i++) {
-    var abcParser = new Parse();
-    abcParser.parse(tunebook.tunes[i].abc, this.abcjsParams, tunebook.tunes[i].startPos - tunebook.header.length);
-    this.tunes[i] = abcParser.getTune();
+  this.tuneWarnings = [];
+  this.diagnostics = [];
+  for (var i=0; i<numTunes; i++) {
+	  var offset = tunebook.tunes[i].startPos - tunebook.header.length;
+	  var entry;
+	  if (i < top || i >= numTunes - bottom) {
+		  entry = (i < top) ? oldCache[i] : oldCache[oldCache.length - numTunes + i];
+		  if (entry.offset !== offset) {
+			  shiftCharPositions(entry, offset - entry.offset);
+			  entry.offset = offset;
+		  }
+		  if (i >= top && oldCache.length !== numTunes)
+			  entry.needsRender = true; // The tune number is part of what was drawn.
+	  } else {
+		  var abcParser = new Parse();
+		  abcParser.parse(tunebook.tunes[i].abc, this.abcjsParams, offset);
+		  entry = {
+			  abc: tunebook.tunes[i].abc,
+			  offset: offset,
+			  tune: abcParser.getTune(),
+			  warnings: abcParser.getWarnings() || [],
+			  diagnostics: abcParser.getWarningObjects() || [],
+			  div: i < oldCache.length - bottom ? oldCache[i].div : undefined,
+			  needsRender: true
+		  };
+	  }
+	  this.tuneCache.push(entry);
+    this.tunes[i] = entry.tune;
 	  this.startPos[i] = tunebook.tunes[i].startPos;
-    var warnings = abcParser.getWarnings() || [];
-    for (var j=0; j<warnings.length; j++) {
-      this.warnings.push(warnings[j]);
+	  this.tuneWarnings[i] = entry.warnings;
+    for (var j=0; j<entry.warnings.length; j++) {
+      this.warnings.push(entry.warnings[j]);
+    }
+    for (var k=0; k<entry.diagnostics.length; k++) {
+      entry.diagnostics[k].tuneNumber = i;
+      this.diagnostics.push(entry.diagnostics[k]);
     }
   }
   return true;
 };
 
+// When the text above a tune changes length, the tune itself doesn't need to be parsed again, but
+// all the character positions in it need to move.
+function shiftCharPositions(entry, delta) {
+	var shift = function(el) {
+		if (el.startChar !== undefined && el.startChar >= 0) {
+			el.startChar += delta;
+			el.endChar += delta;
+		}
+	};
+	var lines = entry.tune.lines;
+	for (var i = 0; i < lines.length; i++) {
+		var staffs = lines[i].staff || [];
+		for (var j = 0; j < staffs.length; j++) {
+			var voices = staffs[j].voices || [];
+			for (var k = 0; k < voices.length; k++) {
+				for (var m = 0; m < voices[k].length; m++)
+					shift(voices[k][m]);
+			}
+		}
+	}
+	for (i = 0; i < entry.diagnostics.length; i++)
+		shift(entry.diagnostics[i]);
+}
+
 Editor.prototype.updateSelection = function() {
   var selection = this.editarea.getSelection();
-  try {
-    this.engraver_controller.rangeHighlight(selection.start, selection.end);
-  } catch (e) {} // maybe printer isn't defined yet?
+  for (var i = 0; i < this.tuneCache.length; i++) {
+    try {
+      this.tuneCache[i].engraver.rangeHighlight(selection.start, selection.end);
+    } catch (e) {} // maybe printer isn't defined yet?
+  }
 	if (this.selectionChangeCallback)
 		this.selectionChangeCallback(selection.start, selection.end);
+	if (this.synth && this.synth.synthControl && this.tunes && this.synth.synthTune !== this.currentTune())
+		this.setSynthTune();
 };
 
 Editor.prototype.fireSelectionChanged = function() {
@@ -488,15 +594,171 @@ Editor.prototype.isDirty = function() {
 	return this.editarea.initialText !== this.editarea.getString();
 };
 
-Editor.prototype.highlight = function(abcelem, tuneNumber, classes) {
-	// TODO-PER: The marker appears to get off by one for each tune parsed. I'm not sure why, but adding the tuneNumber in corrects it for the time being.
-//	var offset = (tuneNumber !== undefined) ? this.startPos[tuneNumber] + tuneNumber : 0;
-
+// The character positions in each tune are already from the start of the whole text, so they can be used for any of the tunes.
+Editor.prototype.highlight = function(abcelem, tuneNumber, classes, analysis, dragStep) {
+	if (dragStep) {
+		// The drag step is positive when the note was moved down the page.
+		this.dragNote(abcelem, -dragStep);
+		return;
+	}
+	if (abcelem.startChar === undefined) // The rests that are added for a voice that comes in late aren't in the text.
+		return;
   this.editarea.setSelection(abcelem.startChar, abcelem.endChar);
 	if (this.selectionChangeCallback)
 		this.selectionChangeCallback(abcelem.startChar, abcelem.endChar);
 };
 
+// Change the text of a note or chord because it was dragged on the staff. This can be undone like any other edit.
+Editor.prototype.dragNote = function(abcelem, steps) {
+	var t = this.editarea.getString();
+	var noteText = t.substring(abcelem.startChar, abcelem.endChar);
+	var newText = moveNote(noteText, steps);
+	if (newText === noteText)
+		return;
+	this.recordUndo(t, "drag");
+	this.replaceText(t.substring(0, abcelem.startChar) + newText + t.substring(abcelem.endChar));
+	this.editarea.setSelection(abcelem.startChar, abcelem.startChar + newText.length);
+	if (this.selectionChangeCallback)
+		this.selectionChangeCallback(abcelem.startChar, abcelem.startChar + newText.length);
+};
+
+// Rewrite the ABC text so that all the tunes are that many half steps higher (or lower, if it is negative). This can be undone like any other edit.
+Editor.prototype.transpose = function(halfSteps) {
+	var t = this.editarea.getString();
+	var newText = abc2abcTranspose.transpose(t, halfSteps);
+	if (newText === t)
+		return;
+	this.recordUndo(t, "transpose");
+	this.replaceText(newText);
+};
+
+// Add a note because the user clicked on the staff. info is what the engraver_controller sends: see note-entry.js.
+Editor.prototype.insertNote = function(info) {
+	var t = this.editarea.getString();
+	var length = info.duration / unitLength(t, this.startPos[info.tuneNumber] || 0, info.startChar);
+	var noteText = (info.rest ? "z" : info.accidental + moveNote.pitchToNote(info.pitch)) + lengthToString(length);
+	this.recordUndo(t, "entry");
+	this.focusTune = info.tuneNumber;
+	this.replaceText(t.substring(0, info.startChar) + noteText + t.substring(info.startChar));
+};
+
+// The L: that is in effect at that position in the tune. If there isn't one, the default depends on the meter.
+function unitLength(text, tuneStart, pos) {
+	var before = text.substring(tuneStart, pos);
+	var re = /(?:^|\n|\[)L:\s*(\d+)\s*\/\s*(\d+)/g;
+	var match;
+	var found = null;
+	while ((match = re.exec(before)) !== null)
+		found = parseInt(match[1], 10) / parseInt(match[2], 10);
+	if (found)
+		return found;
+	var meter = /(?:^|\n)M:\s*(\d+)\s*\/\s*(\d+)/.exec(before);
+	if (meter && parseInt(meter[1], 10) / parseInt(meter[2], 10) < 0.75)
+		return 0.0625;
+	return 0.125;
+}
+
+// The ABC length of a note that is this many times the unit length.
+function lengthToString(length) {
+	var den = 1;
+	while (den < 256 && Math.abs(length * den - Math.round(length * den)) > 0.0001)
+		den *= 2;
+	var num = Math.round(length * den);
+	if (den === 1)
+		return num === 1 ? "" : "" + num;
+	if (num === 1)
+		return den === 2 ? "/" : "/" + den;
+	return num + "/" + den;
+}
+
+// Typing is saved in one step until there is a pause of this many milliseconds.
+var typingPause = 1000;
+var maxUndo = 100;
+
+Editor.prototype.recordUndo = function(text, kind) {
+	var now = new Date().getTime();
+	var last = this.undoStack[this.undoStack.length-1];
+	var continuesTyping = kind === "typing" && last && last.kind === "typing" && now - this.lastTypingTime < typingPause;
+	if (kind === "typing")
+		this.lastTypingTime = now;
+	this.redoStack = [];
+	if (continuesTyping)
+		return;
+	this.undoStack.push({ text: text, kind: kind });
+	if (this.undoStack.length > maxUndo)
+		this.undoStack.shift();
+};
+
+// Put the text in the edit area without it being recorded as an edit or changing the dirty flag's starting point.
+Editor.prototype.replaceText = function(text) {
+	var wasPaused = this.bIsPaused;
+	var initialText = this.editarea.initialText;
+	this.lastText = text;
+	this.bIsPaused = true;
+	this.editarea.setString(text);
+	this.editarea.initialText = initialText;
+	this.bIsPaused = wasPaused;
+	this.fireChanged();
+};
+
+Editor.prototype.restoreText = function(from, to) {
+	var entry = from.pop();
+	var current = this.editarea.getString();
+	to.push({ text: current, kind: entry.kind });
+	this.replaceText(entry.text);
+	// Put the cursor where the change was.
+	var pos = 0;
+	while (pos < current.length && pos < entry.text.length && current[pos] === entry.text[pos])
+		pos++;
+	this.editarea.setSelection(pos, pos);
+};
+
+Editor.prototype.undo = function() {
+	if (!this.canUndo())
+		return false;
+	this.restoreText(this.undoStack, this.redoStack);
+	return true;
+};
+
+Editor.prototype.redo = function() {
+	if (!this.canRedo())
+		return false;
+	this.restoreText(this.redoStack, this.undoStack);
+	return true;
+};
+
+Editor.prototype.canUndo = function() {
+	return this.undoStack.length > 0;
+};
+
+Editor.prototype.canRedo = function() {
+	return this.redoStack.length > 0;
+};
+
+// Ctrl-Z (or Cmd-Z) undoes, and Ctrl-Y or Ctrl-Shift-Z redoes, both in the edit area and in the music.
+Editor.prototype.addUndoKeys = function() {
+	var self = this;
+	var onKey = function(ev) {
+		if (!(ev.ctrlKey || ev.metaKey) || ev.altKey || !ev.key)
+			return;
+		var key = ev.key.toLowerCase();
+		if (key === 'z' && !ev.shiftKey)
+			self.undo();
+		else if (key === 'y' || key === 'z')
+			self.redo();
+		else
+			return;
+		// The control might have its own undo, so don't let it see the key.
+		ev.preventDefault();
+		ev.stopPropagation();
+	};
+	var elem = this.editarea.getElem();
+	if (elem && elem.addEventListener)
+		elem.addEventListener("keydown", onKey, true);
+	if (this.div && this.div.addEventListener)
+		this.div.addEventListener("keydown", onKey, true);
+};
+
 Editor.prototype.pause = function(shouldPause) {
 	this.bIsPaused = shouldPause;
 	if (!shouldPause)
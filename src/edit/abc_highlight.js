@@ -0,0 +1,141 @@
+// abc_highlight.js: Figures out which kind of ABC item is at each range of characters, so that an editor can color them.
+// The notes and bars come from the parsed tunes, so their positions are exactly what the parser saw. The rest of the
+// lines (header fields, lyrics, directives and comments) are found by looking at the beginning of each line.
+//
+// Each token is { start: , end: , type: }, where type is one of:
+//	field, lyrics, directive, comment, note, rest, bar, decoration, chord-symbol
+// The tokens are in order and don't overlap. Any characters that aren't in a token are left alone.
+
+var highlight = {};
+
+(function() {
+	"use strict";
+
+	var decorationShortcuts = ".~HLMOPSTuv";
+	var noteStart = "ABCDEFGabcdefgzZxXy[^_=";
+
+	function isSpace(ch) {
+		return ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r';
+	}
+
+	function addToken(tokens, abc, start, end, type) {
+		while (start < end && isSpace(abc[start]))
+			start++;
+		while (end > start && isSpace(abc[end-1]))
+			end--;
+		if (end > start)
+			tokens.push({ start: start, end: end, type: type });
+	}
+
+	// The decorations and chord symbols are part of the note as far as the parser is concerned, so they are picked out here.
+	function addNoteTokens(tokens, abc, start, end, type) {
+		var inNote = false;
+		var segmentStart = start;
+		var i = start;
+		while (i < end) {
+			var ch = abc[i];
+			var close = -1;
+			var subType;
+			if (ch === '!' || ch === '+') {
+				close = abc.indexOf(ch, i+1);
+				subType = 'decoration';
+			} else if (ch === '"') {
+				close = abc.indexOf(ch, i+1);
+				subType = 'chord-symbol';
+			} else if (!inNote && decorationShortcuts.indexOf(ch) >= 0) {
+				close = i;
+				subType = 'decoration';
+			} else if (noteStart.indexOf(ch) >= 0)
+				inNote = true;
+			if (close >= 0 && close < end) {
+				addToken(tokens, abc, segmentStart, i, type);
+				addToken(tokens, abc, i, close+1, subType);
+				i = close + 1;
+				segmentStart = i;
+			} else
+				i++;
+		}
+		addToken(tokens, abc, segmentStart, end, type);
+	}
+
+	function addLineTokens(tokens, musicLines, abc) {
+		var lines = abc.split('\n');
+		var pos = 0;
+		for (var i = 0; i < lines.length; i++) {
+			var line = lines[i];
+			if (line.indexOf('%%') === 0)
+				addToken(tokens, abc, pos, pos + line.length, 'directive');
+			else if (line[0] === '%')
+				addToken(tokens, abc, pos, pos + line.length, 'comment');
+			else if (/^[wW]:/.test(line))
+				addToken(tokens, abc, pos, pos + line.length, 'lyrics');
+			else if (/^[A-Za-z+]:/.test(line))
+				addToken(tokens, abc, pos, pos + line.length, 'field');
+			else {
+				var comment = line.search(/(^|[^\\])%/);
+				var musicEnd = line.length;
+				if (comment >= 0) {
+					if (line[comment] !== '%')
+						comment++;
+					musicEnd = comment;
+				}
+				var re = /\[[A-Za-z]:[^\]]*\]/g;
+				var field;
+				while ((field = re.exec(line.substring(0, musicEnd))) !== null)
+					addToken(tokens, abc, pos + field.index, pos + field.index + field[0].length, 'field');
+				if (comment >= 0)
+					addToken(tokens, abc, pos + comment, pos + line.length, 'comment');
+				musicLines.push({ start: pos, end: pos + musicEnd });
+			}
+			pos += line.length + 1;
+		}
+	}
+
+	function inMusic(musicLines, start) {
+		for (var i = 0; i < musicLines.length; i++) {
+			if (start >= musicLines[i].start && start < musicLines[i].end)
+				return true;
+		}
+		return false;
+	}
+
+	// abc is the whole string that was parsed and tunes is the array of tunes that the parser returned for it.
+	highlight.tokens = function(abc, tunes) {
+		var tokens = [];
+		var musicLines = [];
+		addLineTokens(tokens, musicLines, abc);
+		for (var t = 0; tunes && t < tunes.length; t++) {
+			var lines = tunes[t].lines;
+			for (var i = 0; i < lines.length; i++) {
+				var staffs = lines[i].staff || [];
+				for (var j = 0; j < staffs.length; j++) {
+					var voices = staffs[j].voices || [];
+					for (var k = 0; k < voices.length; k++) {
+						for (var m = 0; m < voices[k].length; m++) {
+							var el = voices[k][m];
+							if (el.startChar === undefined || el.startChar < 0 || !inMusic(musicLines, el.startChar))
+								continue;
+							if (el.el_type === 'bar')
+								addToken(tokens, abc, el.startChar, el.endChar, 'bar');
+							else if (el.el_type === 'note')
+								addNoteTokens(tokens, abc, el.startChar, el.endChar, el.rest ? 'rest' : 'note');
+						}
+					}
+				}
+			}
+		}
+
+		tokens.sort(function(a, b) { return a.start - b.start; });
+		var ret = [];
+		var lastEnd = 0;
+		for (i = 0; i < tokens.length; i++) {
+			if (tokens[i].start >= lastEnd) {
+				ret.push(tokens[i]);
+				lastEnd = tokens[i].end;
+			}
+		}
+		return ret;
+	};
+})();
+
+module.exports = highlight;
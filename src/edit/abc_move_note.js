@@ -0,0 +1,66 @@
+// abc_move_note.js: Rewrites the ABC text of a note or chord so that it is a number of steps higher or lower on the staff.
+// This is what happens to the text when a note is dragged. Each step is one line or space, so the letter changes and the
+// octave marks are adjusted. An accidental that was written on the note is removed, since it was for the old pitch.
+// Chord symbols, decorations and grace notes are left alone.
+
+var pitches = "CDEFGAB";
+
+function noteToStep(letter, octaveMarks) {
+	var step = pitches.indexOf(letter.toUpperCase());
+	if (letter === letter.toLowerCase())
+		step += 7;
+	for (var i = 0; i < octaveMarks.length; i++)
+		step += octaveMarks[i] === "'" ? 7 : -7;
+	return step;
+}
+
+function stepToNote(step) {
+	var octave = Math.floor(step / 7);
+	var letter = pitches[step - octave * 7];
+	var str;
+	if (octave >= 1) {
+		str = letter.toLowerCase();
+		for (var i = 1; i < octave; i++)
+			str += "'";
+	} else {
+		str = letter;
+		for (var j = 0; j > octave; j--)
+			str += ",";
+	}
+	return str;
+}
+
+// steps is positive to go up.
+var moveNote = function(text, steps) {
+	var out = "";
+	var i = 0;
+	while (i < text.length) {
+		var ch = text[i];
+		var close;
+		if (ch === '"' || ch === '!' || ch === '+' || ch === '{') {
+			close = text.indexOf(ch === '{' ? '}' : ch, i+1);
+			if (close < 0)
+				close = text.length-1;
+			out += text.substring(i, close+1);
+			i = close+1;
+			continue;
+		}
+		var match = /^[_^=]*([A-Ga-g])([,']*)/.exec(text.substring(i));
+		if (match) {
+			out += stepToNote(noteToStep(match[1], match[2]) + steps);
+			i += match[0].length;
+		} else {
+			out += ch;
+			i++;
+		}
+	}
+	return out;
+};
+
+// The ABC letter and octave marks for a pitch, where middle C is 0.
+moveNote.pitchToNote = stepToNote;
+
+// The pitch of an ABC letter followed by its octave marks, where middle C is 0.
+moveNote.noteToPitch = noteToStep;
+
+module.exports = moveNote;
@@ -0,0 +1,64 @@
+// codemirror_editarea.js: An EditArea that lets the Editor use a CodeMirror (version 5) editor instead of a textarea.
+// abcjs doesn't include CodeMirror; the page creates the editor and passes it in, for instance:
+//		var cm = CodeMirror.fromTextArea(document.getElementById("abc"), { lineNumbers: true });
+//		new ABCJS.Editor(new ABCJS.CodeMirrorEditArea(cm), { canvas_id: "paper" });
+// The ABC items are colored by marking the text with the class "abcjs-token-" + type. See abc_highlight.js for the types.
+
+var CodeMirrorEditArea = function(codeMirror) {
+	this.cm = codeMirror;
+	this.initialText = this.cm.getValue();
+	this.marks = [];
+};
+
+CodeMirrorEditArea.prototype.addSelectionListener = function(listener) {
+	this.cm.on("cursorActivity", function() {
+		listener.fireSelectionChanged();
+	});
+};
+
+CodeMirrorEditArea.prototype.addChangeListener = function(listener) {
+	// CodeMirror sends this for every change, including setValue, so there is no need to call the listener in setString.
+	this.cm.on("changes", function() {
+		listener.fireChanged();
+	});
+};
+
+CodeMirrorEditArea.prototype.getSelection = function() {
+	var range = this.cm.listSelections()[0];
+	var anchor = this.cm.indexFromPos(range.anchor);
+	var head = this.cm.indexFromPos(range.head);
+	return { start: Math.min(anchor, head), end: Math.max(anchor, head) };
+};
+
+CodeMirrorEditArea.prototype.setSelection = function(start, end) {
+	this.cm.setSelection(this.cm.posFromIndex(start), this.cm.posFromIndex(end));
+	this.cm.focus();
+};
+
+CodeMirrorEditArea.prototype.getString = function() {
+	return this.cm.getValue();
+};
+
+CodeMirrorEditArea.prototype.setString = function(str) {
+	this.initialText = str;
+	this.cm.setValue(str);
+};
+
+CodeMirrorEditArea.prototype.getElem = function() {
+	return this.cm.getWrapperElement();
+};
+
+CodeMirrorEditArea.prototype.highlight = function(tokens) {
+	var self = this;
+	this.cm.operation(function() {
+		for (var i = 0; i < self.marks.length; i++)
+			self.marks[i].clear();
+		self.marks = [];
+		for (i = 0; i < tokens.length; i++) {
+			var token = tokens[i];
+			self.marks.push(self.cm.markText(self.cm.posFromIndex(token.start), self.cm.posFromIndex(token.end), { className: "abcjs-token-" + token.type }));
+		}
+	});
+};
+
+module.exports = CodeMirrorEditArea;
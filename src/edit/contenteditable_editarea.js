@@ -0,0 +1,151 @@
+// contenteditable_editarea.js: An EditArea that uses an element with contenteditable so that the ABC items can be colored.
+//		new ABCJS.Editor(new ABCJS.ContentEditableEditArea("abc"), { canvas_id: "paper" });
+// The element should only contain the ABC text. It is shown with "white-space: pre-wrap" so that the line breaks and
+// spaces are kept, and the text is kept as plain text: Enter puts in a newline and pasting only pastes the text.
+// Each ABC item is put in a span with the class "abcjs-token-" + type. See abc_highlight.js for the types.
+
+/*global document, window */
+
+var ContentEditableEditArea = function(elem) {
+	this.elem = (typeof elem === "string") ? document.getElementById(elem) : elem;
+	this.elem.setAttribute("contenteditable", "true");
+	this.elem.setAttribute("spellcheck", "false");
+	this.elem.style.whiteSpace = "pre-wrap";
+	this.initialText = this.getString();
+	this.isDragging = false;
+
+	var self = this;
+	this.elem.addEventListener("keydown", function(ev) {
+		if (ev.key === "Enter") {
+			ev.preventDefault();
+			self.insertText("\n");
+		}
+	});
+	this.elem.addEventListener("paste", function(ev) {
+		ev.preventDefault();
+		self.insertText(ev.clipboardData.getData("text/plain"));
+	});
+};
+
+ContentEditableEditArea.prototype.addSelectionListener = function(listener) {
+	var self = this;
+	this.elem.addEventListener("mousemove", function() {
+		if (self.isDragging)
+			listener.fireSelectionChanged();
+	});
+};
+
+ContentEditableEditArea.prototype.addChangeListener = function(listener) {
+	var self = this;
+	this.changelistener = listener;
+	this.elem.addEventListener("input", function() {
+		listener.fireChanged();
+	});
+	this.elem.addEventListener("keyup", function() {
+		listener.fireChanged();
+	});
+	this.elem.addEventListener("mousedown", function() {
+		self.isDragging = true;
+		listener.fireSelectionChanged();
+	});
+	this.elem.addEventListener("mouseup", function() {
+		self.isDragging = false;
+		listener.fireChanged();
+	});
+};
+
+ContentEditableEditArea.prototype.getSelection = function() {
+	var selection = window.getSelection();
+	if (selection.rangeCount === 0)
+		return { start: 0, end: 0 };
+	var range = selection.getRangeAt(0);
+	if (!this.elem.contains(range.startContainer) || !this.elem.contains(range.endContainer))
+		return { start: 0, end: 0 };
+	return { start: this.charOffset(range.startContainer, range.startOffset), end: this.charOffset(range.endContainer, range.endOffset) };
+};
+
+ContentEditableEditArea.prototype.setSelection = function(start, end) {
+	var range = document.createRange();
+	var startPos = this.nodeAt(start);
+	var endPos = this.nodeAt(end);
+	range.setStart(startPos.node, startPos.offset);
+	range.setEnd(endPos.node, endPos.offset);
+	var selection = window.getSelection();
+	selection.removeAllRanges();
+	selection.addRange(range);
+	this.elem.focus();
+};
+
+ContentEditableEditArea.prototype.getString = function() {
+	return this.elem.textContent;
+};
+
+ContentEditableEditArea.prototype.setString = function(str) {
+	this.elem.textContent = str;
+	this.initialText = this.getString();
+	if (this.changelistener) {
+		this.changelistener.fireChanged();
+	}
+};
+
+ContentEditableEditArea.prototype.getElem = function() {
+	return this.elem;
+};
+
+ContentEditableEditArea.prototype.highlight = function(tokens) {
+	var hasFocus = this.elem.contains(document.activeElement);
+	var selection = hasFocus ? this.getSelection() : null;
+	var text = this.getString();
+	var pos = 0;
+	this.elem.innerHTML = "";
+	for (var i = 0; i < tokens.length; i++) {
+		var token = tokens[i];
+		if (token.start > pos)
+			this.elem.appendChild(document.createTextNode(text.substring(pos, token.start)));
+		var span = document.createElement("span");
+		span.className = "abcjs-token-" + token.type;
+		span.textContent = text.substring(token.start, token.end);
+		this.elem.appendChild(span);
+		pos = token.end;
+	}
+	if (pos < text.length)
+		this.elem.appendChild(document.createTextNode(text.substring(pos)));
+	if (selection)
+		this.setSelection(selection.start, selection.end);
+};
+
+// Replaces the selection with the text, the way a textarea would.
+ContentEditableEditArea.prototype.insertText = function(str) {
+	var selection = this.getSelection();
+	var text = this.getString();
+	this.elem.textContent = text.substring(0, selection.start) + str + text.substring(selection.end);
+	this.setSelection(selection.start + str.length, selection.start + str.length);
+	if (this.changelistener)
+		this.changelistener.fireChanged();
+};
+
+// The number of characters of text between the start of the element and the position in the DOM.
+ContentEditableEditArea.prototype.charOffset = function(node, offset) {
+	var range = document.createRange();
+	range.setStart(this.elem, 0);
+	range.setEnd(node, offset);
+	return range.toString().length;
+};
+
+// The text node and the offset in it for a character position.
+ContentEditableEditArea.prototype.nodeAt = function(index) {
+	var pos = 0;
+	var last = null;
+	var walker = document.createTreeWalker(this.elem, 4); // 4 is NodeFilter.SHOW_TEXT
+	while (walker.nextNode()) {
+		last = walker.currentNode;
+		if (index <= pos + last.nodeValue.length)
+			return { node: last, offset: index - pos };
+		pos += last.nodeValue.length;
+	}
+	if (last)
+		return { node: last, offset: last.nodeValue.length };
+	return { node: this.elem, offset: 0 };
+};
+
+module.exports = ContentEditableEditArea;
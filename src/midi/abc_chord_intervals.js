@@ -0,0 +1,138 @@
+// abc_chord_intervals.js: The notes in each kind of chord symbol, as the number of half steps above the root.
+// This is shared by the flattener, which plays the chords, and the chord diagrams, which draw them.
+
+var chordIntervals;
+
+(function() {
+	"use strict";
+
+	var intervals = {
+		// diminished (all flat 5 chords)
+		'dim': [ 0, 3, 6 ],
+		'°': [ 0, 3, 6 ],
+		'˚': [ 0, 3, 6 ],
+
+		'dim7': [ 0, 3, 6, 9 ],
+		'°7': [ 0, 3, 6, 9 ],
+		'˚7': [ 0, 3, 6, 9 ],
+
+		'ø7': [ 0, 3, 6, 10 ],
+		'm7(b5)': [ 0, 3, 6, 10 ],
+		'm7b5': [ 0, 3, 6, 10 ],
+		'm7♭5': [ 0, 3, 6, 10 ],
+		'-7(b5)': [ 0, 3, 6, 10 ],
+		'-7b5': [ 0, 3, 6, 10 ],
+
+		'7b5': [ 0, 4, 6, 10 ],
+		'7(b5)': [ 0, 4, 6, 10 ],
+		'7♭5': [ 0, 4, 6, 10 ],
+
+		'7(b9,b5)': [ 0, 4, 6, 10, 13 ],
+		'7b9,b5': [ 0, 4, 6, 10, 13 ],
+		'7(#9,b5)': [ 0, 4, 6, 10, 15 ],
+		'7#9b5': [ 0, 4, 6, 10, 15 ],
+		'maj7(b5)': [ 0, 3, 6, 11 ],
+		'maj7b5': [ 0, 3, 6, 11 ],
+		'13(b5)': [ 0, 4, 6, 10, 14, 18 ],
+		'13b5': [ 0, 4, 6, 10, 14, 18 ],
+
+		// minor (all normal 5, minor 3 chords)
+		'm': [ 0, 3, 7 ],
+		'-': [ 0, 3, 7 ],
+		'm6': [ 0, 3, 7, 9 ],
+		'-6': [ 0, 3, 7, 9 ],
+		'm7': [ 0, 3, 7, 10 ],
+		'-7': [ 0, 3, 7, 10 ],
+
+		'-(b6)': [ 0, 3, 7, 8 ],
+		'-b6': [ 0, 3, 7, 8 ],
+		'-6/9': [ 0, 3, 7, 9, 14 ],
+		'-7(b9)': [ 0, 3, 7, 10, 13 ],
+		'-7b9': [ 0, 3, 7, 10, 13 ],
+		'-maj7': [ 0, 3, 7, 11 ],
+		'-9+7': [ 0, 3, 7, 11, 13 ],
+		'-11': [  0, 3, 7, 11, 14, 16 ],
+
+		// major (all normal 5, major 3 chords)
+		'M': [ 0, 4, 7 ],
+		'6': [ 0, 4, 7, 9 ],
+		'6/9': [ 0, 4, 7, 9, 14 ],
+
+		'7': [ 0, 4, 7, 10 ],
+		'9': [ 0, 4, 7, 10, 14 ],
+		'11': [ 0, 4, 7, 10, 14, 16 ],
+		'13': [ 0, 4, 7, 10, 14, 18 ],
+		'7b9': [ 0, 4, 7, 10, 13 ],
+		'7♭9': [ 0, 4, 7, 10, 13 ],
+		'7(b9)': [ 0, 4, 7, 10, 13 ],
+		'7(#9)': [ 0, 4, 7, 10, 15 ],
+		'7#9': [ 0, 4, 7, 10, 15 ],
+		'(13)': [ 0, 4, 7, 10, 14, 18 ],
+		'7(9,13)': [ 0, 4, 7, 10, 14, 18 ],
+		'7(#9,b13)': [ 0, 4, 7, 10, 15, 17 ],
+		'7(#11)': [ 0, 4, 7, 10, 14, 17 ],
+		'7#11': [ 0, 4, 7, 10, 14, 17 ],
+		'7(b13)': [ 0, 4, 7, 10, 17 ],
+		'7b13': [ 0, 4, 7, 10, 17 ],
+		'9(#11)': [ 0, 4, 7, 10, 14, 17 ],
+		'9#11': [ 0, 4, 7, 10, 14, 17 ],
+		'13(#11)': [ 0, 4, 7, 10, 15, 18 ],
+		'13#11': [ 0, 4, 7, 10, 15, 18 ],
+
+		'maj7': [ 0, 4, 7, 11 ],
+		'∆7': [ 0, 4, 7, 11 ],
+		'Δ7': [ 0, 4, 7, 11 ],
+		'maj9': [ 0, 4, 7, 11, 14 ],
+		'maj7(9)': [ 0, 4, 7, 11, 14 ],
+		'maj7(11)': [ 0, 4, 7, 11, 16 ],
+		'maj7(#11)': [ 0, 4, 7, 11, 17 ],
+		'maj7(13)': [ 0, 4, 7, 11, 18 ],
+		'maj7(9,13)': [ 0, 4, 7, 11, 14, 18 ],
+
+		'7sus4': [ 0, 5, 7, 10 ],
+		'm7sus4': [ 0, 5, 7, 10 ],
+		'sus4': [ 0, 5, 7 ],
+		'sus2': [ 0, 2, 7 ],
+		'7sus2': [ 0, 2, 7, 10 ],
+		'9sus4': [ 0, 5, 7, 14 ],
+		'13sus4': [ 0, 5, 7, 18 ],
+
+		// augmented (all sharp 5 chords)
+		'aug7': [ 0, 4, 8, 10 ],
+		'+7': [ 0, 4, 8, 10 ],
+		'+': [ 0, 4, 8 ],
+		'7#5': [ 0, 4, 8, 10 ],
+		'7♯5': [ 0, 4, 8, 10 ],
+		'7+5': [ 0, 4, 8, 10 ],
+		'9#5': [ 0, 4, 8, 10, 14 ],
+		'9♯5': [ 0, 4, 8, 10, 14 ],
+		'9+5': [ 0, 4, 8, 10, 14 ],
+		'-7(#5)': [ 0, 3, 8, 10 ],
+		'-7#5': [ 0, 3, 8, 10 ],
+		'7(#5)': [ 0, 4, 8, 10 ],
+		'7(b9,#5)': [ 0, 4, 8, 10, 13 ],
+		'7b9#5': [ 0, 4, 8, 10, 13 ],
+		'maj7(#5)': [ 0, 4, 8, 11 ],
+		'maj7#5': [ 0, 4, 8, 11 ],
+		'maj7(#5,#11)': [ 0, 4, 8, 11, 14 ],
+		'maj7#5#11': [ 0, 4, 8, 11, 14 ],
+		'9(#5)': [ 0, 4, 8, 10, 14 ],
+		'13(#5)': [ 0, 4, 8, 10, 14, 18 ],
+		'13#5': [ 0, 4, 8, 10, 14, 18 ]
+	};
+
+	// The modifier is what comes after the root, like "m7" in "Am7". If it isn't recognized, it is treated
+	// as a minor triad if it starts with "m", and as a major triad otherwise.
+	chordIntervals = function(modifier) {
+		var ret = intervals[modifier];
+		if (!ret) {
+			if (modifier.charAt(0) === 'm')
+				ret = intervals.m;
+			else
+				ret = intervals.M;
+		}
+		return ret;
+	};
+})();
+
+module.exports = chordIntervals;
@@ -18,6 +18,9 @@
 // of the grace notes, decorations, ties, triplets, rests, transpositions, keys, and accidentals into actual note durations.
 // It also extracts guitar chords to a separate voice and resolves their rhythm.
 
+var chordIntervals = require('./abc_chord_intervals');
+var swing = require('./abc_midi_swing');
+
 var flatten;
 
 (function() {
@@ -46,11 +49,22 @@ var flatten;
 	var chordTrackFinished;
 	var chordChannel;
 	var chordInstrument = 0;
+	var chordOctave = 0;
+	var chordVolume = 48;
+	var bassTrack;
+	var bassChannel;
+	var bassInstrument = 0;
+	var bassOctave = 0;
+	var bassVolume = 64;
+	var lastChordProgram;
+	var lastBassProgram;
 	var drumInstrument = 128;
 	var currentChords;
 	var lastChord;
 	var barBeat;
 	var gChordTacet = false;
+	var gChordPattern;
+	var gChordCarried; // The chord that is still in effect at the start of the measure.
 	var doBeatAccents = true;
 	var stressBeat1 = 105;
 	var stressBeatDown = 95;
@@ -59,11 +73,18 @@ var flatten;
 	var nextVolume;
 	var nextVolumeDelta;
 	var slurCount = 0;
+	var swingRatio = 1;
+	var swingSubdivision = 0.125;
 
 	var drumTrack;
 	var drumTrackFinished;
 	var drumDefinition = {};
 
+	var droneTrack;
+	var droneChannel;
+	var droneSounding;
+	var droneTime;
+
 	var normalBreakBetweenNotes = 1.0/128;	// a 128th note of silence between notes for articulation.
 
 	flatten = function(voices, options) {
@@ -89,10 +110,26 @@ var flatten;
 		chordTrack = [];
 		chordChannel = voices.length; // first free channel for chords
 		chordTrackFinished = false;
+		chordInstrument = 0;
+		chordOctave = 0;
+		chordVolume = 48;
+		// The bass notes of the accompaniment are in their own track so they can have their own instrument and volume.
+		// The channel after the drums is used, skipping the channel that MIDI reserves for percussion.
+		bassTrack = [];
+		bassChannel = voices.length + 2;
+		if (bassChannel === 9)
+			bassChannel++;
+		bassInstrument = 0;
+		bassOctave = 0;
+		bassVolume = 64;
+		lastChordProgram = undefined;
+		lastBassProgram = undefined;
 		currentChords = [];
 		lastChord = undefined;
 		barBeat = 0;
 		gChordTacet = options.chordsOff ? true : false;
+		gChordPattern = undefined;
+		gChordCarried = undefined;
 
 		doBeatAccents = true;
 		stressBeat1 = 105;
@@ -102,12 +139,21 @@ var flatten;
 		nextVolume = undefined;
 		nextVolumeDelta = undefined;
 		slurCount = 0;
+		swingSubdivision = options.swingSubdivision ? options.swingSubdivision : 0.125;
 
 		// For the drum/metronome track.
 		drumTrack = [];
 		drumTrackFinished = false;
 		drumDefinition = {};
 
+		// For the drone track.
+		droneTrack = [];
+		droneChannel = bassChannel + 1;
+		if (droneChannel === 9)
+			droneChannel++;
+		droneSounding = undefined;
+		droneTime = 0;
+
 		zeroOutMilliseconds(voices);
 
 		for (var i = 0; i < voices.length; i++) {
@@ -118,6 +164,8 @@ var flatten;
 			currentTrackCounter = 0;
 			currentTrackName = undefined;
 			pitchesTied = {};
+			// The swing in one voice shouldn't leak into the next voice, or the voices would no longer line up.
+			swingRatio = options.swing ? options.swing : 1;
 			for (var j = 0; j < voice.length; j++) {
 				var element = voice[j];
 				switch (element.el_type) {
@@ -180,10 +228,31 @@ var flatten;
 					case "drum":
 						drumDefinition = normalizeDrumDefinition(element.params);
 						break;
+					case "drone":
+						if (i === 0) // The drone follows the timing of the first voice.
+							changeDrone(element);
+						break;
 					case "gchord":
 						if (!options.chordsOff)
 							gChordTacet = element.tacet;
 						break;
+					case "gchordpattern":
+						gChordPattern = parseGChordPattern(element.pattern);
+						break;
+					case "bassprog":
+						bassInstrument = element.value;
+						bassOctave = element.octave;
+						break;
+					case "chordprog":
+						chordInstrument = element.value;
+						chordOctave = element.octave;
+						break;
+					case "bassvol":
+						bassVolume = element.volume;
+						break;
+					case "chordvol":
+						chordVolume = element.volume;
+						break;
 					case "beat":
 						stressBeat1 = element.beats[0];
 						stressBeatDown = element.beats[1];
@@ -199,12 +268,18 @@ var flatten;
 					case "beataccents":
 						doBeatAccents = element.value;
 						break;
+					case "swing":
+						if (!options.swing) // The option overrides what is in the tune.
+							swingRatio = element.ratio;
+						break;
 					default:
 						// This should never happen
 						console.log("MIDI creation. Unknown el_type: " + element.el_type + "\n");// jshint ignore:line
 						break;
 				}
 			}
+			if (i === 0 && droneSounding)
+				changeDrone({ on: false });
 			if (currentTrack[0].instrument === undefined)
 				currentTrack[0].instrument = instrument ? instrument : 0;
 			if (currentTrackName)
@@ -215,10 +290,14 @@ var flatten;
 			if (drumTrack.length > 0) // Don't do drums on more than one track, so turn off drum after we create it.
 				drumTrackFinished = true;
 		}
-		if (chordTrack.length > 0)
+		if (chordTrack.length > 0) {
 			tracks.push(chordTrack);
+			tracks.push(bassTrack);
+		}
 		if (drumTrack.length > 0)
 			tracks.push(drumTrack);
+		if (droneTrack.length > 0)
+			tracks.push(droneTrack);
 		// Adjust the tempo according to the meter. The rules are this:
 		// 1) If the denominator is 2 or 4, then always make a beat be the denominator.
 		//
@@ -298,8 +377,11 @@ var flatten;
 	//		- If 3/4, play root chord chord
 	//		- If 4/4 or common time, play root chord fifth chord
 	//		- If 6/8, play root(1) chord(3) fifth(4) chord(6)
+	//		- If it is an additive meter, like 2+2+3/8 or 3/4 2/4, play each of its parts in turn. See additivePattern.
 	//		- For any other meter, play the full chord on each beat. (TODO-PER: expand this as more support is added.)
 	//
+	// - If there is a %%MIDI gchord pattern, then that is used instead for every meter. See writeGChordPattern.
+	//
 	//	- If there is a chord specified that is not on a beat, move it earlier to the previous beat, unless there is already a chord on that beat.
 	//	- Otherwise, move it later, unless there is already a chord on that beat.
 	// 	- Otherwise, ignore it. (TODO-PER: expand this as more support is added.)
@@ -337,6 +419,25 @@ var flatten;
 		return distance;
 	}
 
+	function swingLength(start, length) {
+		var measureLength = parseInt(meter.num, 10) / parseInt(meter.den, 10);
+		return swing.length(start, length, swingRatio, swingSubdivision, measureLength);
+	}
+
+	// The beats of an additive meter aren't evenly spaced, so they are looked up; otherwise each beat is a multiple of the beat fraction.
+	function isBeatStart(time) {
+		if (meter.beats) {
+			var start = 0;
+			for (var i = 0; i < meter.beats.length && start < time + 0.001; i++) {
+				if (Math.abs(start - time) < 0.001)
+					return true;
+				start += meter.beats[i];
+			}
+			return false;
+		}
+		return time % beatFraction < 0.001; // A little slop because of JavaScript floating point math.
+	}
+
 	function writeNote(elem, voiceOff) {
 		//
 		// Create a series of note events to append to the current track.
@@ -355,7 +456,7 @@ var flatten;
 		} else {
 			if (barBeat === 0)
 				volume = stressBeat1;
-			else if (barBeat % beatFraction < 0.001) // A little slop because of JavaScript floating point math.
+			else if (isBeatStart(barBeat))
 				volume = stressBeatDown;
 			else
 				volume = stressBeatUp;
@@ -378,10 +479,13 @@ var flatten;
 				// However, if there are chords on more than one voice, then just use the first voice.
 				if (chordTrack.length === 0) {
 					chordTrack.push({cmd: 'program', channel: chordChannel, instrument: chordInstrument});
+					bassTrack.push({cmd: 'program', channel: bassChannel, instrument: bassInstrument});
+					lastChordProgram = chordInstrument;
+					lastBassProgram = bassInstrument;
 					// need to figure out how far in time the chord started: if there are pickup notes before the chords start, we need pauses.
 					var distance = timeFromStart();
 					if (distance > 0)
-						addMove(chordTrack, distance*tempoChangeFactor);
+						accompanimentMove(distance*tempoChangeFactor);
 				}
 
 				lastChord = c;
@@ -394,7 +498,9 @@ var flatten;
 		}
 
 		var duration = (elem.durationClass ? elem.durationClass : elem.duration) *multiplier;
+		var swungDuration = swingLength(barBeat, duration);
 		barBeat += duration;
+		duration = swungDuration;
 
 		// if there are grace notes, then also play them.
 		// I'm not sure there is an exact rule for the length of the notes. My rule, unless I find
@@ -743,128 +849,8 @@ var flatten;
 		return { boom: bass, boom2: bass2, chick: chick };
 	}
 
-	var chordIntervals = {
-		// diminished (all flat 5 chords)
-		'dim': [ 0, 3, 6 ],
-		'°': [ 0, 3, 6 ],
-		'˚': [ 0, 3, 6 ],
-
-		'dim7': [ 0, 3, 6, 9 ],
-		'°7': [ 0, 3, 6, 9 ],
-		'˚7': [ 0, 3, 6, 9 ],
-
-		'ø7': [ 0, 3, 6, 10 ],
-		'm7(b5)': [ 0, 3, 6, 10 ],
-		'm7b5': [ 0, 3, 6, 10 ],
-		'm7♭5': [ 0, 3, 6, 10 ],
-		'-7(b5)': [ 0, 3, 6, 10 ],
-		'-7b5': [ 0, 3, 6, 10 ],
-
-		'7b5': [ 0, 4, 6, 10 ],
-		'7(b5)': [ 0, 4, 6, 10 ],
-		'7♭5': [ 0, 4, 6, 10 ],
-
-		'7(b9,b5)': [ 0, 4, 6, 10, 13 ],
-		'7b9,b5': [ 0, 4, 6, 10, 13 ],
-		'7(#9,b5)': [ 0, 4, 6, 10, 15 ],
-		'7#9b5': [ 0, 4, 6, 10, 15 ],
-		'maj7(b5)': [ 0, 3, 6, 11 ],
-		'maj7b5': [ 0, 3, 6, 11 ],
-		'13(b5)': [ 0, 4, 6, 10, 14, 18 ],
-		'13b5': [ 0, 4, 6, 10, 14, 18 ],
-
-		// minor (all normal 5, minor 3 chords)
-		'm': [ 0, 3, 7 ],
-		'-': [ 0, 3, 7 ],
-		'm6': [ 0, 3, 7, 9 ],
-		'-6': [ 0, 3, 7, 9 ],
-		'm7': [ 0, 3, 7, 10 ],
-		'-7': [ 0, 3, 7, 10 ],
-
-		'-(b6)': [ 0, 3, 7, 8 ],
-		'-b6': [ 0, 3, 7, 8 ],
-		'-6/9': [ 0, 3, 7, 9, 14 ],
-		'-7(b9)': [ 0, 3, 7, 10, 13 ],
-		'-7b9': [ 0, 3, 7, 10, 13 ],
-		'-maj7': [ 0, 3, 7, 11 ],
-		'-9+7': [ 0, 3, 7, 11, 13 ],
-		'-11': [  0, 3, 7, 11, 14, 16 ],
-
-		// major (all normal 5, major 3 chords)
-		'M': [ 0, 4, 7 ],
-		'6': [ 0, 4, 7, 9 ],
-		'6/9': [ 0, 4, 7, 9, 14 ],
-
-		'7': [ 0, 4, 7, 10 ],
-		'9': [ 0, 4, 7, 10, 14 ],
-		'11': [ 0, 4, 7, 10, 14, 16 ],
-		'13': [ 0, 4, 7, 10, 14, 18 ],
-		'7b9': [ 0, 4, 7, 10, 13 ],
-		'7♭9': [ 0, 4, 7, 10, 13 ],
-		'7(b9)': [ 0, 4, 7, 10, 13 ],
-		'7(#9)': [ 0, 4, 7, 10, 15 ],
-		'7#9': [ 0, 4, 7, 10, 15 ],
-		'(13)': [ 0, 4, 7, 10, 14, 18 ],
-		'7(9,13)': [ 0, 4, 7, 10, 14, 18 ],
-		'7(#9,b13)': [ 0, 4, 7, 10, 15, 17 ],
-		'7(#11)': [ 0, 4, 7, 10, 14, 17 ],
-		'7#11': [ 0, 4, 7, 10, 14, 17 ],
-		'7(b13)': [ 0, 4, 7, 10, 17 ],
-		'7b13': [ 0, 4, 7, 10, 17 ],
-		'9(#11)': [ 0, 4, 7, 10, 14, 17 ],
-		'9#11': [ 0, 4, 7, 10, 14, 17 ],
-		'13(#11)': [ 0, 4, 7, 10, 15, 18 ],
-		'13#11': [ 0, 4, 7, 10, 15, 18 ],
-
-		'maj7': [ 0, 4, 7, 11 ],
-		'∆7': [ 0, 4, 7, 11 ],
-		'Δ7': [ 0, 4, 7, 11 ],
-		'maj9': [ 0, 4, 7, 11, 14 ],
-		'maj7(9)': [ 0, 4, 7, 11, 14 ],
-		'maj7(11)': [ 0, 4, 7, 11, 16 ],
-		'maj7(#11)': [ 0, 4, 7, 11, 17 ],
-		'maj7(13)': [ 0, 4, 7, 11, 18 ],
-		'maj7(9,13)': [ 0, 4, 7, 11, 14, 18 ],
-
-		'7sus4': [ 0, 5, 7, 10 ],
-		'm7sus4': [ 0, 5, 7, 10 ],
-		'sus4': [ 0, 5, 7 ],
-		'sus2': [ 0, 2, 7 ],
-		'7sus2': [ 0, 2, 7, 10 ],
-		'9sus4': [ 0, 5, 7, 14 ],
-		'13sus4': [ 0, 5, 7, 18 ],
-
-		// augmented (all sharp 5 chords)
-		'aug7': [ 0, 4, 8, 10 ],
-		'+7': [ 0, 4, 8, 10 ],
-		'+': [ 0, 4, 8 ],
-		'7#5': [ 0, 4, 8, 10 ],
-		'7♯5': [ 0, 4, 8, 10 ],
-		'7+5': [ 0, 4, 8, 10 ],
-		'9#5': [ 0, 4, 8, 10, 14 ],
-		'9♯5': [ 0, 4, 8, 10, 14 ],
-		'9+5': [ 0, 4, 8, 10, 14 ],
-		'-7(#5)': [ 0, 3, 8, 10 ],
-		'-7#5': [ 0, 3, 8, 10 ],
-		'7(#5)': [ 0, 4, 8, 10 ],
-		'7(b9,#5)': [ 0, 4, 8, 10, 13 ],
-		'7b9#5': [ 0, 4, 8, 10, 13 ],
-		'maj7(#5)': [ 0, 4, 8, 11 ],
-		'maj7#5': [ 0, 4, 8, 11 ],
-		'maj7(#5,#11)': [ 0, 4, 8, 11, 14 ],
-		'maj7#5#11': [ 0, 4, 8, 11, 14 ],
-		'9(#5)': [ 0, 4, 8, 10, 14 ],
-		'13(#5)': [ 0, 4, 8, 10, 14, 18 ],
-		'13#5': [ 0, 4, 8, 10, 14, 18 ]
-};
 	function chordNotes(bass, modifier) {
-		var intervals = chordIntervals[modifier];
-		if (!intervals) {
-			if (modifier.charAt(0) === 'm')
-				intervals = chordIntervals.m;
-			else
-				intervals = chordIntervals.M;
-		}
+		var intervals = chordIntervals(modifier);
 		bass += 12;	// the chord is an octave above the bass note.
 		var notes = [ ];
 		for (var i = 0; i < intervals.length; i++) {
@@ -873,23 +859,47 @@ var flatten;
 		return notes;
 	}
 
+	// The chord and bass tracks always move together so that they stay in time with each other.
+	function accompanimentMove(duration) {
+		addMove(chordTrack, duration);
+		addMove(bassTrack, duration);
+	}
+
+	// If there was a bassprog or chordprog since the last measure, then the instrument changes starting with this measure.
+	function setAccompanimentPrograms() {
+		if (lastChordProgram !== chordInstrument) {
+			chordTrack.push({cmd: 'program', channel: chordChannel, instrument: chordInstrument});
+			lastChordProgram = chordInstrument;
+		}
+		if (lastBassProgram !== bassInstrument) {
+			bassTrack.push({cmd: 'program', channel: bassChannel, instrument: bassInstrument});
+			lastBassProgram = bassInstrument;
+		}
+	}
+
+	// Plays the bass notes and the chord notes together for the length given.
+	function writeAccompaniment(bass, chord, length) {
+		var b, c;
+		for (b = 0; b < bass.length; b++)
+			bassTrack.push({cmd: 'start', pitch: bass[b] + bassOctave*12, volume: bassVolume});
+		for (c = 0; c < chord.length; c++)
+			chordTrack.push({cmd: 'start', pitch: chord[c] + chordOctave*12, volume: chordVolume});
+		accompanimentMove(length);
+		for (b = 0; b < bass.length; b++)
+			bassTrack.push({ cmd: 'stop', pitch: bass[b] + bassOctave*12 });
+		for (c = 0; c < chord.length; c++)
+			chordTrack.push({ cmd: 'stop', pitch: chord[c] + chordOctave*12 });
+	}
+
 	function writeBoom(boom, beatLength) {
 		// undefined means there is a stop time.
-		if (boom !== undefined)
-			chordTrack.push({cmd: 'start', pitch: boom, volume: 64});
-		addMove(chordTrack, (beatLength/2)*tempoChangeFactor);
-		if (boom !== undefined)
-			chordTrack.push({ cmd: 'stop', pitch: boom });
-		addMove(chordTrack, (beatLength/2)*tempoChangeFactor);
+		writeAccompaniment(boom !== undefined ? [ boom ] : [], [], (beatLength/2)*tempoChangeFactor);
+		accompanimentMove((beatLength/2)*tempoChangeFactor);
 	}
 
 	function writeChick(chick, beatLength) {
-		for (var c = 0; c < chick.length; c++)
-			chordTrack.push({cmd: 'start', pitch: chick[c], volume: 48});
-		addMove(chordTrack, (beatLength/2)*tempoChangeFactor);
-		for (c = 0; c < chick.length; c++)
-			chordTrack.push({ cmd: 'stop', pitch: chick[c] });
-		addMove(chordTrack, (beatLength/2)*tempoChangeFactor);
+		writeAccompaniment([], chick, (beatLength/2)*tempoChangeFactor);
+		accompanimentMove((beatLength/2)*tempoChangeFactor);
 	}
 
 	var rhythmPatterns = { "2/2": [ 'boom', 'chick' ],
@@ -902,11 +912,42 @@ var flatten;
 		"12/8": [ 'boom', '', 'chick', 'boom2', '', 'chick', 'boom2', '', 'chick', 'boom2', '', 'chick' ],
 	};
 
+	// An additive meter is played as each of its parts one after the other, so 3/4 2/4 is played like a measure of 3/4 and then a measure of 2/4.
+	// A part that doesn't have its own pattern, like each part of 2+2+3/8, has a bass note at its start and a chord in the middle of it.
+	// The pattern that is returned has an item for each note of the shortest length in the meter.
+	function additivePattern(groups, beatLength) {
+		var pattern = [];
+		for (var i = 0; i < groups.length; i++) {
+			var units = Math.round(groups[i].num / groups[i].den / beatLength);
+			var part = rhythmPatterns[groups[i].num + '/' + groups[i].den];
+			var unitsPerItem = part ? units / part.length : 1;
+			if (!part) {
+				part = [];
+				for (var j = 0; j < units; j++)
+					part.push(j === 0 ? 'boom' : j === Math.ceil(units / 2) ? 'chick' : '');
+			}
+			for (var k = 0; k < part.length; k++) {
+				var item = part[k];
+				if (item === 'boom' && i > 0)
+					item = 'boom2';
+				pattern.push(item);
+				for (var u = 1; u < unitsPerItem; u++)
+					pattern.push('');
+			}
+		}
+		return pattern;
+	}
+
 	function resolveChords() {
+		setAccompanimentPrograms();
+		if (gChordPattern) {
+			writeGChordPattern();
+			return;
+		}
 		var num = meter.num;
 		var den = meter.den;
 		var beatLength = 1/den;
-		var pattern = rhythmPatterns[num+'/'+den];
+		var pattern = meter.groups ? additivePattern(meter.groups, beatLength) : rhythmPatterns[num+'/'+den];
 		var thisMeasureLength = parseInt(num,10)/parseInt(den,10);
 		// See if this is a full measure: unfortunately, with triplets, there isn't an exact match, what with the floating point, so we just see if it is "close".
 		var portionOfAMeasure = Math.abs(thisMeasureLength - barBeat);
@@ -925,18 +966,19 @@ var flatten;
 		}
 		if (currentChords.length === 1) {
 			for (var m = 0; m < pattern.length; m++) {
+				var len = swingLength(m*beatLength, beatLength);
 				switch (pattern[m]) {
 					case 'boom':
-						writeBoom(currentChords[0].chord.boom, beatLength);
+						writeBoom(currentChords[0].chord.boom, len);
 						break;
 					case 'boom2':
-						writeBoom(currentChords[0].chord.boom2, beatLength);
+						writeBoom(currentChords[0].chord.boom2, len);
 						break;
 					case 'chick':
-						writeChick(currentChords[0].chord.chick, beatLength);
+						writeChick(currentChords[0].chord.chick, len);
 						break;
 					case '':
-						addMove(chordTrack, beatLength*tempoChangeFactor);
+						accompanimentMove(len*tempoChangeFactor);
 						break;
 				}
 			}
@@ -957,34 +999,111 @@ var flatten;
 		// - Likewise, if there is a chord on the fourth beat of 4/4, play a chord on the third beat instead of a bass note.
 		for (var m2 = 0; m2 < pattern.length; m2++) {
 			var thisChord;
+			var len2 = swingLength(m2*beatLength, beatLength);
 			if (beats[''+m2])
 				thisChord = beats[''+m2];
 			switch (pattern[m2]) {
 				case 'boom':
 					if (beats[''+(m2+1)]) // If there is not a chord change on the next beat, play a bass note.
-						writeChick(thisChord.chord.chick, beatLength);
+						writeChick(thisChord.chord.chick, len2);
 					else
-						writeBoom(thisChord.chord.boom, beatLength);
+						writeBoom(thisChord.chord.boom, len2);
 					break;
 				case 'boom2':
 					if (beats[''+(m2+1)])
-						writeChick(thisChord.chord.chick, beatLength);
+						writeChick(thisChord.chord.chick, len2);
 					else
-						writeBoom(thisChord.chord.boom2, beatLength);
+						writeBoom(thisChord.chord.boom2, len2);
 					break;
 				case 'chick':
-					writeChick(thisChord.chord.chick, beatLength);
+					writeChick(thisChord.chord.chick, len2);
 					break;
 				case '':
 					if (beats[''+m2])	// If there is an explicit chord on this beat, play it.
-						writeChick(thisChord.chord.chick, beatLength);
+						writeChick(thisChord.chord.chick, len2);
 					else
-						addMove(chordTrack, beatLength*tempoChangeFactor);
+						accompanimentMove(len2*tempoChangeFactor);
 					break;
 			}
 		}
 	}
 
+	// The gchord string is the same as abc2midi: each letter is what is played, and it can be followed by a number that is how many units it lasts.
+	// The measure is divided evenly by the total number of units, so "fzcz" in 4/4 is four quarter notes and "f2c2" in 6/8 is two dotted quarters.
+	//	f: the bass note
+	//	c: the chord
+	//	b: the bass note and the chord together
+	//	z: silence
+	//	g h i j: the first, second, third, or fourth note of the chord, for arpeggios. The upper case letters are an octave lower.
+	// If the string can't be understood, then undefined is returned and the normal rhythm for the meter is used.
+	function parseGChordPattern(str) {
+		if (!str)
+			return undefined;
+		var pattern = [];
+		var re = /([fcbzghijGHIJ])(\d*)/g;
+		var match;
+		var matched = 0;
+		while ((match = re.exec(str)) !== null) {
+			if (match.index !== matched)
+				return undefined;
+			matched = re.lastIndex;
+			var len = match[2] ? parseInt(match[2], 10) : 1;
+			if (len > 0)
+				pattern.push({ letter: match[1], len: len });
+		}
+		if (matched !== str.length || pattern.length === 0)
+			return undefined;
+		return pattern;
+	}
+
+	function chordAtBeat(beat) {
+		var chord = gChordCarried;
+		for (var i = 0; i < currentChords.length; i++) {
+			if (currentChords[i].beat <= beat + 0.0001 && currentChords[i].chord)
+				chord = currentChords[i].chord;
+		}
+		return chord;
+	}
+
+	// Returns the notes that the letter plays: the f goes to the bass track and the others go to the chord track.
+	function gChordPitches(letter, chord) {
+		var notes = { bass: [], chord: [] };
+		if (!chord)
+			return notes;
+		var arpeggio = "ghij".indexOf(letter.toLowerCase());
+		if (arpeggio >= 0) {
+			var pitch = chord.chick[arpeggio];
+			if (pitch !== undefined)
+				notes.chord.push(letter === letter.toUpperCase() ? pitch - 12 : pitch);
+			return notes;
+		}
+		if ((letter === 'f' || letter === 'b') && chord.boom !== undefined)
+			notes.bass.push(chord.boom);
+		if (letter === 'c' || letter === 'b')
+			notes.chord = chord.chick;
+		return notes;
+	}
+
+	function writeGChordPattern() {
+		var measureLength = parseInt(meter.num, 10) / parseInt(meter.den, 10);
+		var units = 0;
+		for (var i = 0; i < gChordPattern.length; i++)
+			units += gChordPattern[i].len;
+		var unitLength = measureLength / units;
+
+		// If this isn't a full measure, like a pickup, then only the beginning of the pattern is played.
+		var time = 0;
+		for (i = 0; i < gChordPattern.length && time < barBeat - 0.0001; i++) {
+			var len = Math.min(gChordPattern[i].len * unitLength, barBeat - time);
+			var notes = gChordPitches(gChordPattern[i].letter, chordAtBeat(time));
+			writeAccompaniment(notes.bass, notes.chord, swingLength(time, len) * tempoChangeFactor);
+			time += len;
+		}
+		if (time < barBeat)
+			accompanimentMove(swingLength(time, barBeat - time) * tempoChangeFactor);
+		gChordCarried = chordAtBeat(barBeat);
+	}
+
 	function normalizeDrumDefinition(params) {
 		// Be very strict with the drum definition. If anything is not perfect,
 		// just turn the drums off.
@@ -1076,6 +1195,35 @@ var flatten;
 		return ret;
 	}
 
+	// The drone is one long note for each of its two pitches that lasts from when it is turned on until it is turned off or the tune ends.
+	// If the drone is changed while it is sounding, then the old notes are stopped and the new notes are started.
+	function changeDrone(definition) {
+		var now = timeFromStart();
+		addMove(droneTrack, now - droneTime);
+		droneTime = Math.max(now, droneTime);
+
+		if (droneSounding) {
+			for (var i = 0; i < droneSounding.pitches.length; i++)
+				droneTrack.push({ cmd: 'stop', pitch: droneSounding.pitches[i] - 60 });
+			droneSounding = undefined;
+		}
+		if (definition.on) {
+			if (droneTrack.length === 0 || definition.program !== currentDroneProgram())
+				droneTrack.push({cmd: 'program', channel: droneChannel, instrument: definition.program});
+			for (var j = 0; j < definition.pitches.length; j++)
+				droneTrack.push({ cmd: 'start', pitch: definition.pitches[j] - 60, volume: definition.velocities[j] });
+			droneSounding = definition;
+		}
+	}
+
+	function currentDroneProgram() {
+		for (var i = droneTrack.length - 1; i >= 0; i--) {
+			if (droneTrack[i].cmd === 'program')
+				return droneTrack[i].instrument;
+		}
+		return undefined;
+	}
+
 	function drumBeat(pitch, soundLength, volume) {
 		drumTrack.push({ cmd: 'start', pitch: pitch - 60, volume: volume});
 		addMove(drumTrack, soundLength);
@@ -1102,8 +1250,11 @@ var flatten;
 			addMove(drumTrack, measureLen * tempoChangeFactor);
 			return;
 		}
+		// The pattern can be spread over more than one measure, so the swing is figured from the place in each measure.
+		var time = 0;
 		for (var i = 0; i < drumDefinition.pattern.length; i++) {
-			var len = drumDefinition.pattern[i].len * tempoChangeFactor;
+			var len = swingLength(time % measureLen, drumDefinition.pattern[i].len) * tempoChangeFactor;
+			time += drumDefinition.pattern[i].len;
 			if (drumDefinition.pattern[i].pitch)
 				drumBeat(drumDefinition.pattern[i].pitch, len, drumDefinition.pattern[i].velocity);
 			else
@@ -94,7 +94,14 @@ var rendererFactory;
 	};
 
 	Midi.prototype.setInstrument = function(number) {
-		this.trackInstrument = "%00%C0" + toHex(number, 2);
+		var programChange = "%C" + (this.channel || 0).toString(16) + toHex(number, 2);
+		if (this.track.length > 0) {
+			// If the instrument changes after the track has started, then the change goes in the track at the current time.
+			this.track += toDurationHex(this.silencelength);
+			this.silencelength = 0;
+			this.track += programChange;
+		} else
+			this.trackInstrument = "%00" + programChange;
 		this.instrument = number;
 	};
 
@@ -14,6 +14,10 @@
 //    DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
 //    OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
 
+var partOrder = require('../data/abc_part_order');
+var meterInfo = require('../data/abc_meter');
+var swing = require('./abc_midi_swing');
+
 var sequence;
 
 (function() {
@@ -38,6 +42,9 @@ var sequence;
 		var drumBars = options.drumBars || 1;
 		var drumIntro = options.drumIntro || 0;
 		var drumOn = drumPattern !== "";
+		// The drone is the same as abc2midi: program, pitch1, pitch2, velocity1, velocity2.
+		var droneParams = [ 70, 45, 33, 80, 80 ];
+		var droneOn = false;
 
 		// All of the above overrides need to be integers
 		program = parseInt(program, 10);
@@ -64,8 +71,11 @@ var sequence;
 
 		// %MIDI gchordon
 		// %MIDI gchordoff
-		// %%MIDI bassprog 45
+		// %%MIDI gchord fzcz
+		// %%MIDI bassprog 45 octave=-1
 		// %%MIDI chordprog 24
+		// %%MIDI bassvol 80
+		// %%MIDI chordvol 60
 		// %%MIDI chordname name n1 n2 n3 n4 n5 n6
 
 		//%%MIDI beat ⟨int1⟩ ⟨int2⟩ ⟨int3⟩ ⟨int4⟩: controls the volumes of the notes in a measure. The first note in a bar has volume ⟨int1⟩; other ‘strong’ notes have volume ⟨int2⟩ and all the rest have volume ⟨int3⟩. These values must be in the range 0–127. The parameter ⟨int4⟩ determines which notes are ‘strong’. If the time signature is x/y, then each note is given a position number k = 0, 1, 2. . . x-1 within each bar. If k is a multiple of ⟨int4⟩, then the note is ‘strong’.
@@ -94,12 +104,30 @@ var sequence;
 				drumBars = globals.drumbars[0];
 			if (globals.drumon)
 				drumOn = true;
+			if (globals.drone && globals.drone.length === 5)
+				droneParams = globals.drone;
+			if (globals.droneon)
+				droneOn = true;
+			if (droneOn)
+				startingMidi.push(droneElement(droneOn, droneParams));
 			if (channel === 10)
 				program = PERCUSSION_PROGRAM;
 			if (globals.beat)
 				startingMidi.push({ el_type: 'beat', beats: globals.beat })
 			if (globals.nobeataccents)
 				startingMidi.push({ el_type: 'beataccents', value: false });
+			if (globals.gchord)
+				startingMidi.push({ el_type: 'gchordpattern', pattern: globals.gchord[0] });
+			if (globals.bassprog && globals.bassprog.length > 0)
+				startingMidi.push({ el_type: 'bassprog', value: globals.bassprog[0], octave: globals.bassprog[1] || 0 });
+			if (globals.chordprog && globals.chordprog.length > 0)
+				startingMidi.push({ el_type: 'chordprog', value: globals.chordprog[0], octave: globals.chordprog[1] || 0 });
+			if (globals.bassvol)
+				startingMidi.push({ el_type: 'bassvol', volume: globals.bassvol[0] });
+			if (globals.chordvol)
+				startingMidi.push({ el_type: 'chordvol', volume: globals.chordvol[0] });
+			if (globals.ratio && globals.ratio.length === 2)
+				startingMidi.push(swingElement(globals.ratio));
 
 		}
 
@@ -144,11 +172,17 @@ var sequence;
 		var startRepeatPlaceholder = []; // There is a place holder for each voice.
 		var skipEndingPlaceholder = []; // This is the place where the first ending starts.
 		var startingDrumSet = false;
+
+		// If there is a part order in the header, then find where each part starts so the voices can be rearranged at the end.
+		var order = partOrder.parse(abctune.metaText.partOrder);
+		var partBoundaries = order.length > 0 ? partOrder.findBoundaries(sourceVoices(abctune), classifyElement, function(elem) { return elem.title; }) : [];
+		var partTrackers = [];
+		var partStarts = []; // For each voice, where each part starts in the sequenced voice.
 		for (var i = 0; i < abctune.lines.length; i++) {
 			// For each group of staff lines in the tune.
 			var line = abctune.lines[i];
 			if (line.staff) {
-				var staves = line.staff;
+				var staves = playedStaffs(line);
 				var voiceNumber = 0;
 				for (var j = 0; j < staves.length; j++) {
 					var staff = staves[j];
@@ -157,6 +191,8 @@ var sequence;
 						// For each voice in a staff line
 						var voice = staff.voices[k];
 						if (!voices[voiceNumber]) {
+							partTrackers[voiceNumber] = new partOrder.Tracker(partBoundaries);
+							partStarts[voiceNumber] = [];
 							voices[voiceNumber] = [].concat(JSON.parse(JSON.stringify(startVoice)));
 							var voiceName = getTrackTitle(line.staffGroup, voiceNumber);
 							if (voiceName)
@@ -194,6 +230,16 @@ var sequence;
 						for (var v = 0; v < voice.length; v++) {
 							// For each element in a voice
 							var elem = voice[v];
+							var elemClass = classifyElement(elem);
+							if (elemClass === "note" || elemClass === "bar") {
+								var partName = partTrackers[voiceNumber].check(elemClass);
+								if (partName !== null) {
+									partStarts[voiceNumber].push({ name: partName, start: voices[voiceNumber].length });
+									// A repeat without a start repeat sign goes back to the beginning of the part, not the beginning of the tune.
+									startRepeatPlaceholder[voiceNumber] = voices[voiceNumber].length;
+									skipEndingPlaceholder[voiceNumber] = undefined;
+								}
+							}
 							switch (elem.el_type) {
 								case "note":
 									// regular items are just pushed.
@@ -265,7 +311,7 @@ var sequence;
 									// TODO-PER: If this is set to rhythm heads, then it should use the percussion channel.
 									break;
 								case 'part':
-									// TODO-PER: If there is a part section in the header, then this should probably affect the repeats.
+									// The parts were found before this loop, so this element doesn't need to be handled here.
 									break;
 								case 'stem':
 								case 'scale':
@@ -274,11 +320,20 @@ var sequence;
 								case 'midi':
 									//console.log("MIDI inline", elem); // TODO-PER: for debugging. Remove this.
 									var drumChange = false;
+									var droneChange = false;
 									switch (elem.cmd) {
 										case "drumon": drumOn = true; drumChange = true; break;
 										case "drumoff": drumOn = false; drumChange = true; break;
 										case "drum": drumPattern = elem.params; drumChange = true; break;
 										case "drumbars": drumBars = elem.params[0]; drumChange = true; break;
+										case "droneon": droneOn = true; droneChange = true; break;
+										case "droneoff": droneOn = false; droneChange = true; break;
+										case "drone":
+											if (elem.params.length === 5) {
+												droneParams = elem.params;
+												droneChange = true;
+											}
+											break;
 										case "drummap":
 											// This is handled before getting here so it can be ignored.
 											break;
@@ -295,6 +350,22 @@ var sequence;
 										case "gchordon":
 											voices[voiceNumber].push({ el_type: 'gchord', tacet: false });
 											break;
+										case "gchord":
+											voices[voiceNumber].push({ el_type: 'gchordpattern', pattern: elem.params[0] });
+											break;
+										case "bassprog":
+										case "chordprog":
+											if (elem.params.length > 0)
+												voices[voiceNumber].push({ el_type: elem.cmd, value: elem.params[0], octave: elem.params[1] || 0 });
+											break;
+										case "bassvol":
+										case "chordvol":
+											voices[voiceNumber].push({ el_type: elem.cmd, volume: elem.params[0] });
+											break;
+										case "ratio":
+											if (elem.params.length === 2)
+												voices[voiceNumber].push(swingElement(elem.params));
+											break;
 										case "beat":
 											voices[voiceNumber].push({ el_type: 'beat', beats: elem.params });
 											break;
@@ -317,6 +388,8 @@ var sequence;
 										voices[0].push({el_type: 'drum', params: { pattern: drumPattern, bars: drumBars, intro: drumIntro, on: drumOn}});
 										startingDrumSet = true;
 									}
+									if (droneChange) // Like the drums, the drone is only played once, so it is kept with the first voice.
+										voices[0].push(droneElement(droneOn, droneParams));
 									break;
 								default:
 									console.log("MIDI: element type " + elem.el_type + " not handled.");
@@ -327,6 +400,11 @@ var sequence;
 				}
 			}
 		}
+		if (partBoundaries.length > 0) {
+			for (var pv = 0; pv < voices.length; pv++) {
+				voices[pv] = partOrder.arrange(voices[pv], partStarts[pv], order, function(elem) { return elem.el_type; }, partStateTypes).items;
+			}
+		}
 		if (drumIntro) {
 			var pickups = abctune.getPickupLength();
 			// add some measures of rests to the start of each track.
@@ -350,6 +428,55 @@ var sequence;
 		return voices;
 	};
 
+	// These are the elements that need to be repeated when the parts are played in a different order than they are written.
+	var partStateTypes = [ 'key', 'meter', 'tempo', 'instrument', 'channel', 'transpose', 'beat', 'beataccents', 'vol', 'gchord', 'gchordpattern', 'bassprog', 'chordprog', 'bassvol', 'chordvol', 'drum', 'drone', 'swing' ];
+
+	// %%MIDI ratio n m: pairs of eighth notes (or of the swingSubdivision option) are played so that their lengths are in the ratio n to m. A ratio of 1 is played straight.
+	function swingElement(params) {
+		return { el_type: 'swing', ratio: swing.ratio(params) };
+	}
+
+	function droneElement(on, params) {
+		return { el_type: 'drone', on: on, program: params[0], pitches: [ params[1], params[2] ], velocities: [ params[3], params[4] ] };
+	}
+
+	function classifyElement(elem) {
+		if (elem.el_type === 'note')
+			return elem.rest && elem.rest.type === 'spacer' ? "spacer" : "note";
+		return elem.el_type;
+	}
+
+	function playedStaffs(line) {
+		// The staffs that weren't drawn because they only had rests are put back so the voices stay in the same tracks.
+		if (!line.hiddenStaffs)
+			return line.staff;
+		var staffs = [].concat(line.staff);
+		for (var i = 0; i < line.hiddenStaffs.length; i++)
+			staffs.splice(line.hiddenStaffs[i].index, 0, line.hiddenStaffs[i].staff);
+		return staffs;
+	}
+
+	// Gather each voice's elements from all the lines, in the same order that the voice numbers are assigned below.
+	function sourceVoices(abctune) {
+		var voices = [];
+		for (var i = 0; i < abctune.lines.length; i++) {
+			var line = abctune.lines[i];
+			if (line.staff) {
+				var voiceNumber = 0;
+				var staffs = playedStaffs(line);
+				for (var j = 0; j < staffs.length; j++) {
+					for (var k = 0; k < staffs[j].voices.length; k++) {
+						if (!voices[voiceNumber])
+							voices[voiceNumber] = [];
+						voices[voiceNumber] = voices[voiceNumber].concat(staffs[j].voices[k]);
+						voiceNumber++;
+					}
+				}
+			}
+		}
+		return voices;
+	}
+
 	function getTrackTitle(staffGroup, voiceNumber) {
 		if (!staffGroup || !staffGroup.staffs)
 			return undefined;
@@ -386,7 +513,15 @@ var sequence;
 				meter = { el_type: 'meter', num: 2, den: 2 };
 				break;
 			case "specified":
-				// TODO-PER: only taking the first meter, so the complex meters are not handled.
+				if (meterInfo.isAdditive(element)) {
+					// The measure is counted in the shortest note of the meter, and the beats are the groups that are added together.
+					var unit = meterInfo.unit(element);
+					var length = meterInfo.measureLength(element);
+					if (unit && length) {
+						meter = { el_type: 'meter', num: '' + Math.round(length / unit), den: '' + Math.round(1 / unit), beats: meterInfo.beats(element), groups: meterInfo.groups(element) };
+						break;
+					}
+				}
 				meter = { el_type: 'meter', num: element.value[0].num, den: element.value[0].den };
 				break;
 			default:
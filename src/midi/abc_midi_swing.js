@@ -0,0 +1,36 @@
+// abc_midi_swing.js: Figures out when a swung note is played.
+// This is shared by the flattener, which plays the notes, and the tune, which times the cursor, so the cursor moves with the notes that are heard.
+
+var swing = {};
+
+(function() {
+	"use strict";
+
+	// %%MIDI ratio n m: the first note of each pair is n/(n+m) of the pair. A ratio of 1 is played straight.
+	swing.ratio = function(params) {
+		return params[0] > 0 && params[1] > 0 ? params[0] / params[1] : 1;
+	};
+
+	// Swing plays each pair of subdivisions unevenly: the first is lengthened and the second is shortened and starts late, so that their lengths are in the swing ratio.
+	// This returns where in the measure a time in the measure is actually played. It leaves any time that isn't in a complete pair alone, so the measure is always the same length.
+	swing.time = function(time, ratio, subdivision, measureLength) {
+		if (ratio === 1)
+			return time;
+		var pair = subdivision * 2;
+		var pairStart = Math.floor(time / pair) * pair;
+		if (pairStart + pair > measureLength + 0.0001)
+			return time;
+		var first = pair * ratio / (ratio + 1);
+		var offset = time - pairStart;
+		if (offset <= subdivision)
+			return pairStart + offset * first / subdivision;
+		return pairStart + first + (offset - subdivision) * (pair - first) / subdivision;
+	};
+
+	// Returns how long a note that starts at that time in the measure is actually played.
+	swing.length = function(start, length, ratio, subdivision, measureLength) {
+		return swing.time(start + length, ratio, subdivision, measureLength) - swing.time(start, ratio, subdivision, measureLength);
+	};
+})();
+
+module.exports = swing;
@@ -70,7 +70,7 @@ var abcMidiUiGenerator;
 					if (abcjsParams.animate) {
 						var drumIntro = abcjsParams.drumIntro ? abcjsParams.drumIntro : 0;
 						parent.abcjsAnimate = abcjsParams.animate.listener;
-						parent.abcjsTune.setTiming(abcjsParams.qpm, drumIntro);
+						parent.abcjsTune.setTiming(abcjsParams.qpm, drumIntro, abcjsParams);
 					}
 				}
 			}
@@ -0,0 +1,57 @@
+// abc_diagnostics.js: The kinds of problems that the parser reports, and how serious each one is.
+// The codes are part of the API: programs check for them, so they must not be changed once they are published. The messages can change.
+//
+// An "error" means that some of the music was lost or can't be trusted, a "warning" means that something was ignored but the music
+// is probably right, and "info" means that something was ignored on purpose, like a directive that abcjs doesn't support.
+
+var diagnostics = {};
+
+(function() {
+	"use strict";
+
+	diagnostics.codes = {
+		// music
+		'unterminated-chord-symbol': 'error', // A chord symbol or annotation without the closing quote.
+		'bad-annotation-position': 'warning', // An annotation that starts with @ but doesn't have the x,y position.
+		'unknown-macro': 'error',
+		'unknown-decoration': 'warning',
+		'nested-triplet': 'error',
+		'bad-triplet': 'error', // The numbers after the ( of a triplet.
+		'words-before-music': 'error', // A w: line before there is any music for it to go with.
+		'symbols-before-music': 'error', // An s: line before there is any music for it to go with.
+		'unterminated-grace-notes': 'error',
+		'bad-grace-note': 'error',
+		'unknown-bar': 'error',
+		'space-in-chord': 'warning',
+		'unterminated-chord': 'error', // A chord of notes in [] without the closing ].
+		'unknown-character': 'warning',
+
+		// header fields
+		'bad-meter': 'error',
+		'bad-tempo': 'warning',
+		'bad-macro-definition': 'error',
+		'ignored-header': 'info',
+		'unsupported-key': 'error',
+		'bad-key': 'error',
+		'bad-key-parameter': 'warning', // Something like clef= or middle= in the K: or V: line.
+		'missing-voice-id': 'error',
+		'unknown-voice': 'error',
+		'bad-voice-parameter': 'warning',
+
+		// directives
+		'bad-directive': 'warning',
+		'unknown-directive': 'info',
+		'bad-font': 'warning',
+		'bad-midi': 'warning',
+		'bad-score': 'error', // The grouping of the voices in %%score or %%staves.
+		'bad-header-footer': 'warning',
+		'ignored-postscript': 'info',
+		'ignored-decoration-definition': 'info'
+	};
+
+	diagnostics.severity = function(code) {
+		return diagnostics.codes[code] || 'warning';
+	};
+})();
+
+module.exports = diagnostics;
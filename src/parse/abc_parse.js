@@ -17,9 +17,11 @@
 /*global window */
 
 var parseCommon = require('./abc_common');
+var diagnostics = require('./abc_diagnostics');
 var parseDirective = require('./abc_parse_directive');
 var ParseHeader = require('./abc_parse_header');
 var parseKeyVoice = require('./abc_parse_key_voice');
+var parseMacro = require('./abc_parse_macro');
 var Tokenizer = require('./abc_tokenizer');
 var transpose = require('./abc_transpose');
 var wrap = require('./wrap_lines');
@@ -41,6 +43,7 @@ var Parse = function() {
 
 			addElementToEvents: tune.addElementToEvents,
 			addUsefulCallbackInfo: tune.addUsefulCallbackInfo,
+			arrangeParts: tune.arrangeParts,
 			getBarLength: tune.getBarLength,
 			getBeatLength: tune.getBeatLength,
 			getBeatsPerMeasure: tune.getBeatsPerMeasure,
@@ -85,10 +88,12 @@ var Parse = function() {
 			this.is_in_header = true;
 			this.is_in_history = false;
 			this.partForNextLine = {};
+			this.voicesTakeTurns = false; // true if the voices are written a line at a time, so a voice that is used for the first time after the first line enters late.
 			this.havent_set_length = true;
 			this.voices = {};
 			this.staves = [];
 			this.macros = {};
+			this.textMacros = [];
 			this.currBarNumber = 1;
 			this.barCounter = {};
 			this.inTextBlock = false;
@@ -156,7 +161,11 @@ var Parse = function() {
 		return parseCommon.gsub(ret, '>', '&gt;');
 	};
 
-	var warn = function(str, line, col_num) {
+	// The details are { code, length, replacement }. The code is one of the codes in abc_diagnostics. The length is the number
+	// of characters that have the problem: it is one if it isn't specified, and zero means that something is missing at that spot.
+	// The replacement, if there is one, is the text that should replace those characters to fix the problem.
+	var warn = function(str, line, col_num, details) {
+		if (!details) details = {};
 		if (!line) line = " ";
 		var bad_char = line.charAt(col_num);
 		if (bad_char === ' ')
@@ -165,7 +174,17 @@ var Parse = function() {
 			'<span style="text-decoration:underline;font-size:1.3em;font-weight:bold;">' + bad_char + '</span>' +
 			encode(line.substring(col_num+1));
 		addWarning("Music Line:" + tune.getNumLines() + ":" + (col_num+1) + ': ' + str + ":  " + clean_line);
-		addWarningObject({message:str, line:line, startChar: multilineVars.iChar + col_num, column: col_num});
+		var length = details.length !== undefined ? details.length : 1;
+		var warningObject = {message:str, line:line, startChar: charPos(col_num), endChar: charPos(col_num + length, true), column: col_num,
+			code: details.code, severity: diagnostics.severity(details.code)};
+		if (details.replacement !== undefined)
+			warningObject.replacement = details.replacement;
+		addWarningObject(warningObject);
+	};
+
+	// If macros were expanded in the current line, then the position needs to be translated back to the original text.
+	var charPos = function(index, isEnd) {
+		return multilineVars.iChar + parseMacro.originalIndex(multilineVars.macroCharMap, index, isEnd);
 	};
 	var header = new ParseHeader(tokenizer, warn, multilineVars, tune);
 
@@ -182,7 +201,7 @@ var Parse = function() {
 		{
 			var chord = tokenizer.getBrackettedSubstring(line, i, 5);
 			if (!chord[2])
-				warn("Missing the closing quote while parsing the chord symbol", line , i);
+				warn("Missing the closing quote while parsing the chord symbol", line , i, { code: 'unterminated-chord-symbol', length: chord[0] - 1, replacement: line.substring(i, i + chord[0] - 1) + '"' });
 			// If it starts with ^, then the chord appears above.
 			// If it starts with _ then the chord appears below.
 			// (note that the 2.0 draft standard defines them as not chords, but annotations and also defines @.)
@@ -203,14 +222,14 @@ var Parse = function() {
 				chord[1] = chord[1].substring(1);
 				var x = tokenizer.getFloat(chord[1]);
 				if (x.digits === 0)
-					warn("Missing first position in absolutely positioned annotation.", line , i);
+					warn("Missing first position in absolutely positioned annotation.", line , i, { code: 'bad-annotation-position' });
 				chord[1] = chord[1].substring(x.digits);
 				if (chord[1][0] !== ',')
-					warn("Missing comma absolutely positioned annotation.", line , i);
+					warn("Missing comma absolutely positioned annotation.", line , i, { code: 'bad-annotation-position' });
 				chord[1] = chord[1].substring(1);
 				var y = tokenizer.getFloat(chord[1]);
 				if (y.digits === 0)
-					warn("Missing second position in absolutely positioned annotation.", line , i);
+					warn("Missing second position in absolutely positioned annotation.", line , i, { code: 'bad-annotation-position' });
 				chord[1] = chord[1].substring(y.digits);
 				var ws = tokenizer.skipWhiteSpace(chord[1]);
 				chord[1] = chord[1].substring(ws);
@@ -275,7 +294,7 @@ var Parse = function() {
 				if (!parseCommon.detect(multilineVars.ignoredDecorations, function(dec) {
 					return (macro === dec);
 				}))
-					warn("Unknown macro: " + macro, line, i);
+					warn("Unknown macro: " + macro, line, i, { code: 'unknown-macro' });
 				return [1, '' ];
 			}
 		}
@@ -334,7 +353,7 @@ var Parse = function() {
 				// Although it is possible that ! was used as a line break, so accept that.
 			if (line.charAt(i) === '!' && (ret[0] === 1 || line.charAt(i+ret[0]-1) !== '!'))
 					return [1, null ];
-				warn("Unknown decoration: " + ret[1], line, i);
+				warn("Unknown decoration: " + ret[1], line, i, { code: 'unknown-decoration', length: ret[0], replacement: "" });
 				ret[1] = "";
 				return ret;
 			case 'H':return [1, 'fermata'];
@@ -368,7 +387,7 @@ var Parse = function() {
 		if (ret.len === 0)
 			return [0,""];
 		if (ret.warn) {
-			warn(ret.warn, line, curr_pos);
+			warn(ret.warn, line, curr_pos, { code: 'unknown-bar' });
 			return [ret.len,""];
 		}
 
@@ -415,7 +434,7 @@ var Parse = function() {
 			if (line.charAt(i) === '(') {
 				if (i+1 < line.length && (line.charAt(i+1) >= '2' && line.charAt(i+1) <= '9')) {
 					if (ret.triplet !== undefined)
-						warn("Can't nest triplets", line, i);
+						warn("Can't nest triplets", line, i, { code: 'nested-triplet' });
 					else {
 						ret.triplet = line.charAt(i+1) - '0';
 						ret.tripletQ = tripletQ[ret.triplet];
@@ -439,7 +458,7 @@ var Parse = function() {
 									ret.num_notes = line.charAt(i+4) - '0';
 									i += 3;
 								} else
-									warn("expected number after the two colons after the triplet to mark the duration", line, i);
+									warn("expected number after the two colons after the triplet to mark the duration", line, i, { code: 'bad-triplet' });
 							} else if (i+3 < line.length && (line.charAt(i+3) >= '1' && line.charAt(i+3) <= '9')) {
 								ret.tripletQ = line.charAt(i+3) - '0';
 								if (i+4 < line.length && line.charAt(i+4) === ':') {
@@ -451,7 +470,7 @@ var Parse = function() {
 									i += 2;
 								}
 							} else
-								warn("expected number after the triplet to mark the duration", line, i);
+								warn("expected number after the triplet to mark the duration", line, i, { code: 'bad-triplet' });
 						}
 					}
 					i++;
@@ -470,7 +489,7 @@ var Parse = function() {
 	};
 
 	var addWords = function(line, words) {
-		if (!line) { warn("Can't add words before the first line of music", line, 0); return; }
+		if (!line) { warn("Can't add words before the first line of music", line, 0, { code: 'words-before-music' }); return; }
 		words = parseCommon.strip(words);
 		if (words.charAt(words.length-1) !== '-')
 			words = words + ' ';	// Just makes it easier to parse below, since every word has a divider after it.
@@ -506,7 +525,12 @@ var Parse = function() {
 					}
 					break;
 				case '_':
-					addWord(i);
+					if (!addWord(i)) {
+						// This holds the last syllable, even if there was a space before the underscore.
+						var last = parseCommon.last(word_list);
+						if (last && !last.skip)
+							last.divider = '_';
+					}
 					word_list.push({skip: true, to: 'slur'});
 					break;
 				case '*':
@@ -523,6 +547,22 @@ var Parse = function() {
 			}
 		}
 
+		// Each w: line for the same line of music is another verse. A previous verse might not have reached the end of the line,
+		// so the verse number is the most lyrics that any note has so far, and the notes that were skipped are filled in with blanks.
+		var verse = 0;
+		parseCommon.each(line, function(el) {
+			if (el.lyric && el.lyric.length > verse)
+				verse = el.lyric.length;
+		});
+		var font = multilineVars.differentFont("vocalfont", tune.formatting) ? multilineVars.vocalfont : undefined;
+		var setLyric = function(el, lyric) {
+			if (el.lyric === undefined)
+				el.lyric = [];
+			while (el.lyric.length < verse)
+				el.lyric.push({syllable: "", divider: " "});
+			el.lyric[verse] = lyric;
+		};
+
 		var inSlur = false;
 		parseCommon.each(line, function(el) {
 			if (word_list.length !== 0) {
@@ -532,21 +572,16 @@ var Parse = function() {
 						case 'slur': if (el.el_type === 'note' && el.pitches !== null) word_list.shift(); break;
 						case 'bar': if (el.el_type === 'bar') word_list.shift(); break;
 					}
-					if (el.el_type !== 'bar') {
-						if (el.lyric === undefined)
-							el.lyric = [{syllable: "", divider: " "}];
-						else
-							el.lyric.push({syllable: "", divider: " "});
-					}
+					if (el.el_type !== 'bar')
+						setLyric(el, {syllable: "", divider: " "});
 				} else {
 					if (el.el_type === 'note' && el.rest === undefined && !inSlur) {
 						var lyric = word_list.shift();
 						if (lyric.syllable)
 							lyric.syllable = lyric.syllable.replace(/ +/g,'\xA0');
-						if (el.lyric === undefined)
-							el.lyric = [ lyric ];
-						else
-							el.lyric.push(lyric);
+						if (font)
+							lyric.font = font;
+						setLyric(el, lyric);
 					}
 				}
 			}
@@ -555,7 +590,7 @@ var Parse = function() {
 
 	var addSymbols = function(line, words) {
 		// TODO-PER: Currently copied from w: line. This needs to be read as symbols instead.
-		if (!line) { warn("Can't add symbols before the first line of music", line, 0); return; }
+		if (!line) { warn("Can't add symbols before the first line of music", line, 0, { code: 'symbols-before-music' }); return; }
 		words = parseCommon.strip(words);
 		if (words.charAt(words.length-1) !== '-')
 			words = words + ' ';	// Just makes it easier to parse below, since every word has a divider after it.
@@ -968,7 +1003,7 @@ var Parse = function() {
 			// fetch the gracenotes string and consume that into the array
 			var gra = tokenizer.getBrackettedSubstring(line, i, 1, '}');
 			if (!gra[2])
-				warn("Missing the closing '}' while parsing grace note", line, i);
+				warn("Missing the closing '}' while parsing grace note", line, i, { code: 'unterminated-grace-notes' });
 			// If there is a slur after the grace construction, then move it to the last note inside the grace construction
 			if (line[i+gra[0]] === ')') {
 				gra[0]++;
@@ -1008,7 +1043,7 @@ var Parse = function() {
 						if (gracenotes.length > 0)
 							gracenotes[gracenotes.length-1].end_beam = true;
 					} else
-						warn("Unknown character '" + gra[1].charAt(ii) + "' while parsing grace note", line, i);
+						warn("Unknown character '" + gra[1].charAt(ii) + "' while parsing grace note", line, i, { code: 'bad-grace-note' });
 					ii++;
 				}
 			}
@@ -1102,7 +1137,6 @@ var Parse = function() {
 		//multilineVars.havent_set_length = false;	// To late to set this now.
 		multilineVars.is_in_header = false;	// We should have gotten a key header by now, but just in case, this is definitely out of the header.
 		var i = 0;
-		var startOfLine = multilineVars.iChar;
 		// see if there is nothing but a comment on this line. If so, just ignore it. A full line comment is optional white space followed by %
 		while (tokenizer.isWhiteSpace(line.charAt(i)) && i < line.length)
 			i++;
@@ -1246,13 +1280,13 @@ var Parse = function() {
 						el.rest = { type: 'spacer' };
 						el.duration = 0.125; // TODO-PER: I don't think the duration of this matters much, but figure out if it does.
 						multilineVars.addFormattingOptions(el, tune.formatting, 'note');
-						tune.appendElement('note', startOfLine+i, startOfLine+i+ret[0], el);
+						tune.appendElement('note', charPos(i), charPos(i+ret[0], true), el);
 						multilineVars.measureNotEmpty = true;
 						el = {};
 					}
 					var bar = {type: ret[1]};
 					if (bar.type.length === 0)
-						warn("Unknown bar type", line, i);
+						warn("Unknown bar type", line, i, { code: 'unknown-bar' });
 					else {
 						if (multilineVars.inEnding && bar.type !== 'bar_thin') {
 							bar.endEnding = true;
@@ -1283,7 +1317,7 @@ var Parse = function() {
 							}
 						}
 						multilineVars.addFormattingOptions(el, tune.formatting, 'bar');
-						tune.appendElement('bar', startOfLine+i, startOfLine+i+ret[0], bar);
+						tune.appendElement('bar', charPos(i), charPos(i+ret[0], true), bar);
 						multilineVars.measureNotEmpty = false;
 						el = {};
 					}
@@ -1300,7 +1334,7 @@ var Parse = function() {
 				} else if (line[i] === '&') {	// backtrack to beginning of measure
 					ret = letter_to_overlay(line, i);
 					if (ret[0] > 0) {
-						tune.appendElement('overlay', startOfLine, startOfLine+1, {});
+						tune.appendElement('overlay', charPos(0), charPos(1, true), {});
 						i += 1;
 						overlayLevel++;
 					}
@@ -1315,7 +1349,7 @@ var Parse = function() {
 							el.startSlur = ret.startSlur;
 						if (ret.triplet !== undefined) {
 							if (tripletNotesLeft > 0)
-								warn("Can't nest triplets", line, i);
+								warn("Can't nest triplets", line, i, { code: 'nested-triplet' });
 							else {
 								el.startTriplet = ret.triplet;
 								el.tripletMultiplier = ret.tripletQ / ret.triplet;
@@ -1375,7 +1409,7 @@ var Parse = function() {
 								delete chordNote.endChar;
 							} else if (line.charAt(i) === ' ') {
 								// Spaces are not allowed in chords, but we can recover from it by ignoring it.
-								warn("Spaces are not allowed in chords", line, i);
+								warn("Spaces are not allowed in chords", line, i, { code: 'space-in-chord', replacement: "" });
 								i++;
 							} else {
 								if (i < line.length && line.charAt(i) === ']') {
@@ -1452,7 +1486,7 @@ var Parse = function() {
 										}
 									}
 								} else
-									warn("Expected ']' to end the chords", line, i);
+									warn("Expected ']' to end the chords", line, i, { code: 'unterminated-chord', length: 0, replacement: "]" });
 
 								if (el.pitches !== undefined) {
 									if (chordDuration !== null) {
@@ -1462,7 +1496,7 @@ var Parse = function() {
 									}
 
 									multilineVars.addFormattingOptions(el, tune.formatting, 'note');
-									tune.appendElement('note', startOfLine+chordStartChar, startOfLine+i, el);
+									tune.appendElement('note', charPos(chordStartChar), charPos(i, true), el);
 									multilineVars.measureNotEmpty = true;
 									el = {};
 								}
@@ -1534,7 +1568,7 @@ var Parse = function() {
 							}
 
 							multilineVars.addFormattingOptions(el, tune.formatting, 'note');
-							tune.appendElement('note', startOfLine+startI, startOfLine+i, el);
+							tune.appendElement('note', charPos(startI), charPos(i, true), el);
 							multilineVars.measureNotEmpty = true;
 							el = {};
 						}
@@ -1542,7 +1576,7 @@ var Parse = function() {
 
 					if (i === startI) {	// don't know what this is, so ignore it.
 						if (line.charAt(i) !== ' ' && line.charAt(i) !== '`')
-							warn("Unknown character ignored", line, i);
+							warn("Unknown character ignored", line, i, { code: 'unknown-character', replacement: "" });
 						i++;
 					}
 				}
@@ -1572,8 +1606,15 @@ var Parse = function() {
 
 	var parseLine = function(line) {
 		var ret = header.parseHeader(line);
-		if (ret.regular)
-			parseRegularMusicLine(ret.str);
+		if (ret.regular) {
+			var macroLine = parseMacro.expand(multilineVars.textMacros, ret.str);
+			if (macroLine) {
+				multilineVars.macroCharMap = macroLine.charMap;
+				parseRegularMusicLine(macroLine.str);
+				delete multilineVars.macroCharMap;
+			} else
+				parseRegularMusicLine(ret.str);
+		}
 		if (ret.newline)
 			startNewLine();
 		if (ret.words)
@@ -1628,6 +1669,43 @@ var Parse = function() {
 		}
 	}
 
+	function voicesTakeTurns(lines) {
+		// The voices can either be written one after the other, each for the whole tune, or they can take turns, with
+		// each voice written for a line at a time. If any voice comes back after another voice was used, then they take turns.
+		var inBody = false;
+		var current = null;
+		var left = {};
+		for (var i = 0; i < lines.length; i++) {
+			var line = lines[i];
+			if (!inBody) {
+				inBody = /^K:/.test(line);
+				continue;
+			}
+			if (line.charAt(0) === '%')
+				continue;
+			var ids = [];
+			var field = line.match(/^V:\s*([^\s%\]]+)/);
+			if (field)
+				ids.push(field[1]);
+			else if (line.charAt(1) !== ':' || !/[A-Za-z]/.test(line.charAt(0))) {
+				var inline = /\[V:\s*([^\s\]]+)/g;
+				var m;
+				while ((m = inline.exec(line)) !== null)
+					ids.push(m[1]);
+			}
+			for (var j = 0; j < ids.length; j++) {
+				if (ids[j] !== current) {
+					if (left[ids[j]])
+						return true;
+					if (current !== null)
+						left[current] = true;
+					current = ids[j];
+				}
+			}
+		}
+		return false;
+	}
+
 	this.parse = function(strTune, switches, startPos) {
 		// the switches are optional and cause a difference in the way the tune is parsed.
 		// switches.header_only : stop parsing when the header is finished
@@ -1673,6 +1751,7 @@ var Parse = function() {
 		var lines = strTune.split('\n');
 		if (parseCommon.last(lines).length === 0)	// remove the blank line we added above.
 			lines.pop();
+		multilineVars.voicesTakeTurns = voicesTakeTurns(lines);
 		try {
 			if (switches.format) {
 				parseDirective.globalFormatting(switches.format);
@@ -1713,10 +1792,10 @@ var Parse = function() {
 			});
 			var ph = 11*72;
 			var pl = 8.5*72;
-			switch (multilineVars.papersize) {
+			switch (multilineVars.papersize ? multilineVars.papersize.trim().toLowerCase() : "") {
 				//case "letter": ph = 11*72; pl = 8.5*72; break;
 				case "legal": ph = 14*72; pl = 8.5*72; break;
-				case "A4": ph = 11.7*72; pl = 8.3*72; break;
+				case "a4": ph = 11.7*72; pl = 8.3*72; break;
 			}
 			if (multilineVars.landscape) {
 				var x = ph;
@@ -39,6 +39,7 @@ var parseDirective = {};
 		tune.formatting.footerfont  = { face: "\"Times New Roman\"", size: 12, weight: "normal", style: "normal", decoration: "none" };
 		tune.formatting.headerfont  = { face: "\"Times New Roman\"", size: 12, weight: "normal", style: "normal", decoration: "none" };
 		tune.formatting.voicefont  = { face: "\"Times New Roman\"", size: 13, weight: "bold", style: "normal", decoration: "none" };
+		tune.formatting.tablaturefont  = { face: "Helvetica", size: 9, weight: "bold", style: "normal", decoration: "none" };
 
 		// these are the default fonts for these element types. In the printer, these fonts might change as the tune progresses.
 		tune.formatting.annotationfont  = multilineVars.annotationfont;
@@ -157,7 +158,7 @@ var parseDirective = {};
 			var size = parseInt(tokens[0].token);
 			tokens.shift();
 			if (!currentSetting) {
-				warn("Can't set just the size of the font since there is no default value.", str, position);
+				warn("Can't set just the size of the font since there is no default value.", str, position, { code: 'bad-font' });
 				return { face: "\"Times New Roman\"", weight: "normal", style: "normal", decoration: "none", size: size};
 			}
 			if (tokens.length === 0) {
@@ -165,7 +166,7 @@ var parseDirective = {};
 			}
 			if (tokens.length === 1 && tokens[0].token === "box" && fontTypeCanHaveBox[cmd])
 				return { face: currentSetting.face, weight: currentSetting.weight, style: currentSetting.style, decoration: currentSetting.decoration, size: size, box: true};
-			warn("Extra parameters in font definition.", str, position);
+			warn("Extra parameters in font definition.", str, position, { code: 'bad-font' });
 			return { face: currentSetting.face, weight: currentSetting.weight, style: currentSetting.style, decoration: currentSetting.decoration, size: size};
 		}
 
@@ -175,7 +176,7 @@ var parseDirective = {};
 			if (tokens[0].type === 'number')
 				return processNumberOnly();
 			else {
-				warn("Expected font size number after *.", str, position);
+				warn("Expected font size number after *.", str, position, { code: 'bad-font' });
 			}
 		}
 
@@ -213,7 +214,7 @@ var parseDirective = {};
 					} else {
 						if (currToken.type === 'number') {
 							if (size) {
-								warn("Font size specified twice in font definition.", str, position);
+								warn("Font size specified twice in font definition.", str, position, { code: 'bad-font' });
 							} else {
 								size = currToken.token;
 							}
@@ -228,24 +229,24 @@ var parseDirective = {};
 							if (fontTypeCanHaveBox[cmd])
 								box = true;
 							else
-								warn("This font style doesn't support \"box\"", str, position);
+								warn("This font style doesn't support \"box\"", str, position, { code: 'bad-font' });
 							state = "finished";
 						} else if (word === "utf") {
 							currToken = tokens.shift(); // this gets rid of the "8" after "utf"
 							state = "size";
 						} else
-							warn("Unknown parameter " + currToken.token + " in font definition.", str, position);
+							warn("Unknown parameter " + currToken.token + " in font definition.", str, position, { code: 'bad-font' });
 					}
 					break;
 				case "size":
 					if (currToken.type === 'number') {
 						if (size) {
-							warn("Font size specified twice in font definition.", str, position);
+							warn("Font size specified twice in font definition.", str, position, { code: 'bad-font' });
 						} else {
 							size = currToken.token;
 						}
 					} else {
-						warn("Expected font size in font definition.", str, position);
+						warn("Expected font size in font definition.", str, position, { code: 'bad-font' });
 					}
 					state = 'modifier';
 					break;
@@ -260,20 +261,20 @@ var parseDirective = {};
 						if (fontTypeCanHaveBox[cmd])
 							box = true;
 						else
-							warn("This font style doesn't support \"box\"", str, position);
+							warn("This font style doesn't support \"box\"", str, position, { code: 'bad-font' });
 						state = "finished";
 					} else
-						warn("Unknown parameter " + currToken.token + " in font definition.", str, position);
+						warn("Unknown parameter " + currToken.token + " in font definition.", str, position, { code: 'bad-font' });
 					break;
 				case "finished":
-					warn("Extra characters found after \"box\" in font definition.", str, position);
+					warn("Extra characters found after \"box\" in font definition.", str, position, { code: 'bad-font' });
 					break;
 			}
 		}
 
 		if (size === undefined) {
 			if (!currentSetting) {
-				warn("Must specify the size of the font since there is no default value.", str, position);
+				warn("Must specify the size of the font since there is no default value.", str, position, { code: 'bad-font' });
 				size = 12;
 			} else
 				size = currentSetting.size;
@@ -283,7 +284,7 @@ var parseDirective = {};
 		face = face.join(' ');
 		if (face === '') {
 			if (!currentSetting) {
-				warn("Must specify the name of the font since there is no default value.", str, position);
+				warn("Must specify the name of the font since there is no default value.", str, position, { code: 'bad-font' });
 				face = "sans-serif";
 			} else
 				face = currentSetting.face;
@@ -469,29 +470,29 @@ var parseDirective = {};
 		if (midiCmdParam0.indexOf(midi_cmd) >= 0) {
 			// NO PARAMETERS
 			if (midi.length !== 0)
-				warn("Unexpected parameter in MIDI " + midi_cmd, restOfString, 0);
+				warn("Unexpected parameter in MIDI " + midi_cmd, restOfString, 0, { code: 'bad-midi' });
 		} else if (midiCmdParam1String.indexOf(midi_cmd) >= 0) {
 			// ONE STRING PARAMETER
 			if (midi.length !== 1)
-				warn("Expected one parameter in MIDI " + midi_cmd, restOfString, 0);
+				warn("Expected one parameter in MIDI " + midi_cmd, restOfString, 0, { code: 'bad-midi' });
 			else
 				midi_params.push(midi[0].token);
 		} else if (midiCmdParam1Integer.indexOf(midi_cmd) >= 0) {
 			// ONE INT PARAMETER
 			if (midi.length !== 1)
-				warn("Expected one parameter in MIDI " + midi_cmd, restOfString, 0);
+				warn("Expected one parameter in MIDI " + midi_cmd, restOfString, 0, { code: 'bad-midi' });
 			else if (midi[0].type !== "number")
-				warn("Expected one integer parameter in MIDI " + midi_cmd, restOfString, 0);
+				warn("Expected one integer parameter in MIDI " + midi_cmd, restOfString, 0, { code: 'bad-midi' });
 			else
 				midi_params.push(midi[0].intt);
 		} else if (midiCmdParam1Integer1OptionalInteger.indexOf(midi_cmd) >= 0) {
 			// ONE INT PARAMETER, ONE OPTIONAL PARAMETER
 			if (midi.length !== 1 && midi.length !== 2)
-				warn("Expected one or two parameters in MIDI " + midi_cmd, restOfString, 0);
+				warn("Expected one or two parameters in MIDI " + midi_cmd, restOfString, 0, { code: 'bad-midi' });
 			else if (midi[0].type !== "number")
-				warn("Expected integer parameter in MIDI " + midi_cmd, restOfString, 0);
+				warn("Expected integer parameter in MIDI " + midi_cmd, restOfString, 0, { code: 'bad-midi' });
 			else if (midi.length === 2 && midi[1].type !== "number")
-				warn("Expected integer parameter in MIDI " + midi_cmd, restOfString, 0);
+				warn("Expected integer parameter in MIDI " + midi_cmd, restOfString, 0, { code: 'bad-midi' });
 			else {
 				midi_params.push(midi[0].intt);
 				if (midi.length === 2)
@@ -500,9 +501,9 @@ var parseDirective = {};
 		} else if (midiCmdParam2Integer.indexOf(midi_cmd) >= 0) {
 			// TWO INT PARAMETERS
 			if (midi.length !== 2)
-				warn("Expected two parameters in MIDI " + midi_cmd, restOfString, 0);
+				warn("Expected two parameters in MIDI " + midi_cmd, restOfString, 0, { code: 'bad-midi' });
 			else if (midi[0].type !== "number" || midi[1].type !== "number")
-				warn("Expected two integer parameters in MIDI " + midi_cmd, restOfString, 0);
+				warn("Expected two integer parameters in MIDI " + midi_cmd, restOfString, 0, { code: 'bad-midi' });
 			else {
 				midi_params.push(midi[0].intt);
 				midi_params.push(midi[1].intt);
@@ -510,9 +511,9 @@ var parseDirective = {};
 		} else if (midiCmdParam1String1Integer.indexOf(midi_cmd) >= 0) {
 			// ONE STRING PARAMETER, ONE INT PARAMETER
 			if (midi.length !== 2)
-				warn("Expected two parameters in MIDI " + midi_cmd, restOfString, 0);
+				warn("Expected two parameters in MIDI " + midi_cmd, restOfString, 0, { code: 'bad-midi' });
 			else if (midi[0].type !== "alpha" || midi[1].type !== "number")
-				warn("Expected one string and one integer parameters in MIDI " + midi_cmd, restOfString, 0);
+				warn("Expected one string and one integer parameters in MIDI " + midi_cmd, restOfString, 0, { code: 'bad-midi' });
 			else {
 				midi_params.push(midi[0].token);
 				midi_params.push(midi[1].intt);
@@ -532,14 +533,14 @@ var parseDirective = {};
 				tune.formatting.midi.drummap[midi[0].token+midi[1].token] = midi[2].intt;
 				midi_params = tune.formatting.midi.drummap;
 			} else {
-				warn("Expected one note name and one integer parameter in MIDI " + midi_cmd, restOfString, 0);
+				warn("Expected one note name and one integer parameter in MIDI " + midi_cmd, restOfString, 0, { code: 'bad-midi' });
 			}
 		} else if (midiCmdParamFraction.indexOf(midi_cmd) >= 0) {
 			// ONE FRACTION PARAMETER
 			if (midi.length !== 3)
-				warn("Expected fraction parameter in MIDI " + midi_cmd, restOfString, 0);
+				warn("Expected fraction parameter in MIDI " + midi_cmd, restOfString, 0, { code: 'bad-midi' });
 			else if (midi[0].type !== "number" || midi[1].token !== "/" || midi[2].type !== "number")
-				warn("Expected fraction parameter in MIDI " + midi_cmd, restOfString, 0);
+				warn("Expected fraction parameter in MIDI " + midi_cmd, restOfString, 0, { code: 'bad-midi' });
 			else {
 				midi_params.push(midi[0].intt);
 				midi_params.push(midi[2].intt);
@@ -547,9 +548,9 @@ var parseDirective = {};
 		} else if (midiCmdParam4Integer.indexOf(midi_cmd) >= 0) {
 			// FOUR INT PARAMETERS
 			if (midi.length !== 4)
-				warn("Expected four parameters in MIDI " + midi_cmd, restOfString, 0);
+				warn("Expected four parameters in MIDI " + midi_cmd, restOfString, 0, { code: 'bad-midi' });
 			else if (midi[0].type !== "number" || midi[1].type !== "number" || midi[2].type !== "number" || midi[3].type !== "number")
-				warn("Expected four integer parameters in MIDI " + midi_cmd, restOfString, 0);
+				warn("Expected four integer parameters in MIDI " + midi_cmd, restOfString, 0, { code: 'bad-midi' });
 			else {
 				midi_params.push(midi[0].intt);
 				midi_params.push(midi[1].intt);
@@ -559,9 +560,9 @@ var parseDirective = {};
 		} else if (midiCmdParam5Integer.indexOf(midi_cmd) >= 0) {
 			// FIVE INT PARAMETERS
 			if (midi.length !== 5)
-				warn("Expected five parameters in MIDI " + midi_cmd, restOfString, 0);
+				warn("Expected five parameters in MIDI " + midi_cmd, restOfString, 0, { code: 'bad-midi' });
 			else if (midi[0].type !== "number" || midi[1].type !== "number" || midi[2].type !== "number" || midi[3].type !== "number" || midi[4].type !== "number")
-				warn("Expected five integer parameters in MIDI " + midi_cmd, restOfString, 0);
+				warn("Expected five integer parameters in MIDI " + midi_cmd, restOfString, 0, { code: 'bad-midi' });
 			else {
 				midi_params.push(midi[0].intt);
 				midi_params.push(midi[1].intt);
@@ -569,37 +570,34 @@ var parseDirective = {};
 				midi_params.push(midi[3].intt);
 				midi_params.push(midi[4].intt);
 			}
-		} else if (midiCmdParam1Integer1OptionalInteger.indexOf(midi_cmd) >= 0) {
+		} else if (midiCmdParam1IntegerOptionalOctave.indexOf(midi_cmd) >= 0) {
 			// ONE INT PARAMETER, ONE OPTIONAL OCTAVE PARAMETER
-			if (midi.length !== 1 || midi.length !== 4)
-				warn("Expected one or two parameters in MIDI " + midi_cmd, restOfString, 0);
+			// The octave is written "octave=n", which the tokenizer keeps together as one token.
+			var octave = midi.length === 2 ? midi[1].token.match(/^octave=(-?\d+)$/) : null;
+			if (midi.length !== 1 && midi.length !== 2)
+				warn("Expected one or two parameters in MIDI " + midi_cmd, restOfString, 0, { code: 'bad-midi' });
 			else if (midi[0].type !== "number")
-				warn("Expected integer parameter in MIDI " + midi_cmd, restOfString, 0);
-			else if (midi.length === 4) {
-				if (midi[1].token !== "octave")
-					warn("Expected octave parameter in MIDI " + midi_cmd, restOfString, 0);
-				if (midi[2].token !== "=")
-					warn("Expected octave parameter in MIDI " + midi_cmd, restOfString, 0);
-				if (midi[3].type !== "number")
-					warn("Expected integer parameter for octave in MIDI " + midi_cmd, restOfString, 0);
-			} else {
+				warn("Expected integer parameter in MIDI " + midi_cmd, restOfString, 0, { code: 'bad-midi' });
+			else if (midi.length === 2 && !octave)
+				warn("Expected octave parameter in MIDI " + midi_cmd, restOfString, 0, { code: 'bad-midi' });
+			else {
 				midi_params.push(midi[0].intt);
-				if (midi.length === 4)
-					midi_params.push(midi[3].intt);
+				if (octave)
+					midi_params.push(parseInt(octave[1], 10));
 			}
 		} else if (midiCmdParam1StringVariableIntegers.indexOf(midi_cmd) >= 0) {
 			// ONE STRING, VARIABLE INT PARAMETERS
 			if (midi.length < 2)
-				warn("Expected string parameter and at least one integer parameter in MIDI " + midi_cmd, restOfString, 0);
+				warn("Expected string parameter and at least one integer parameter in MIDI " + midi_cmd, restOfString, 0, { code: 'bad-midi' });
 			else if (midi[0].type !== "alpha")
-				warn("Expected string parameter and at least one integer parameter in MIDI " + midi_cmd, restOfString, 0);
+				warn("Expected string parameter and at least one integer parameter in MIDI " + midi_cmd, restOfString, 0, { code: 'bad-midi' });
 			else {
 				var p = midi.shift();
 				midi_params.push(p.token);
 				while (midi.length > 0) {
 					p = midi.shift();
 					if (p.type !== "number")
-						warn("Expected integer parameter in MIDI " + midi_cmd, restOfString, 0);
+						warn("Expected integer parameter in MIDI " + midi_cmd, restOfString, 0, { code: 'bad-midi' });
 					midi_params.push(p.intt);
 				}
 			}
@@ -801,12 +799,12 @@ var parseDirective = {};
 				break;
 			case "beginps":
 				multilineVars.inPsBlock = true;
-				warn("Postscript ignored", str, 0);
+				warn("Postscript ignored", str, 0, { code: 'ignored-postscript' });
 				break;
 			case "deco":
 				if (restOfString.length > 0)
 					multilineVars.ignoredDecorations.push(restOfString.substring(0, restOfString.indexOf(' ')));
-				warn("Decoration redefinition ignored", str, 0);
+				warn("Decoration redefinition ignored", str, 0, { code: 'ignored-decoration-definition' });
 				break;
 			case "text":
 				var textstr = tokenizer.translateString(restOfString);
@@ -865,6 +863,7 @@ var parseDirective = {};
 			case "voicefont":
 			case "footerfont":
 			case "headerfont":
+			case "tablaturefont":
 				return getGlobalFont(cmd, tokens, str);
 			case "barlabelfont":
 			case "barnumberfont":
@@ -911,27 +910,27 @@ var parseDirective = {};
 					var t = tokens.shift();
 					switch (t.token) {
 						case '(':
-							if (openParen) warn("Can't nest parenthesis in %%score", str, t.start);
+							if (openParen) warn("Can't nest parenthesis in %%score", str, t.start, { code: 'bad-score' });
 							else {openParen = true;justOpenParen = true;}
 							break;
 						case ')':
-							if (!openParen || justOpenParen) warn("Unexpected close parenthesis in %%score", str, t.start);
+							if (!openParen || justOpenParen) warn("Unexpected close parenthesis in %%score", str, t.start, { code: 'bad-score' });
 							else openParen = false;
 							break;
 						case '[':
-							if (openBracket) warn("Can't nest brackets in %%score", str, t.start);
+							if (openBracket) warn("Can't nest brackets in %%score", str, t.start, { code: 'bad-score' });
 							else {openBracket = true;justOpenBracket = true;}
 							break;
 						case ']':
-							if (!openBracket || justOpenBracket) warn("Unexpected close bracket in %%score", str, t.start);
+							if (!openBracket || justOpenBracket) warn("Unexpected close bracket in %%score", str, t.start, { code: 'bad-score' });
 							else {openBracket = false;multilineVars.staves[lastVoice.staffNum].bracket = 'end';}
 							break;
 						case '{':
-							if (openBrace ) warn("Can't nest braces in %%score", str, t.start);
+							if (openBrace ) warn("Can't nest braces in %%score", str, t.start, { code: 'bad-score' });
 							else {openBrace = true;justOpenBrace = true;}
 							break;
 						case '}':
-							if (!openBrace || justOpenBrace) warn("Unexpected close brace in %%score", str, t.start);
+							if (!openBrace || justOpenBrace) warn("Unexpected close brace in %%score", str, t.start, { code: 'bad-score' });
 							else {openBrace = false;multilineVars.staves[lastVoice.staffNum].brace = 'end';}
 							break;
 						case '|':
@@ -997,7 +996,7 @@ var parseDirective = {};
 				else
 					footer = { left: footerArr[0], center: footerArr[1], right: footerArr[2] };
 				if (footerArr.length > 3)
-					warn("Too many tabs in " + cmd + ": " + footerArr.length + " found.", restOfString, 0);
+					warn("Too many tabs in " + cmd + ": " + footerArr.length + " found.", restOfString, 0, { code: 'bad-header-footer' });
 
 				tune.addMetaTextObj(cmd, footer);
 				break;
@@ -1007,7 +1006,7 @@ var parseDirective = {};
 				if (midi.length > 0 && midi[0].token === '=')
 					midi.shift();
 				if (midi.length === 0)
-					warn("Expected midi command", restOfString, 0);
+					warn("Expected midi command", restOfString, 0, { code: 'bad-midi' });
 				else
 					parseMidiCommand(midi, tune, restOfString);
 				break;
@@ -1051,6 +1050,7 @@ var parseDirective = {};
 					case "vocalfont":
 					case "wordsfont":
 					case "annotationfont":
+					case "tablaturefont":
 						getChangingFont(cmd, tokens, value);
 						break;
 					case "scale":
@@ -1058,14 +1058,15 @@ var parseDirective = {};
 						break;
 					case "partsbox":
 						scratch = addMultilineVarBool('partsBox', cmd, tokens);
-						if (scratch !== null) warn(scratch);
+						if (scratch !== null) warn(scratch, cmd, 0, { code: 'bad-directive', length: cmd.length });
 						multilineVars.partsfont.box = multilineVars.partsBox;
 						break;
 					case "freegchord":
 						scratch = addMultilineVarBool('freegchord', cmd, tokens);
-						if (scratch !== null) warn(scratch);
+						if (scratch !== null) warn(scratch, cmd, 0, { code: 'bad-directive', length: cmd.length });
+						break;
 					default:
-						warn("Formatting directive unrecognized: ", cmd, 0);
+						warn("Formatting directive unrecognized: ", cmd, 0, { code: 'unknown-directive', length: cmd.length });
 				}
 			}
 		}
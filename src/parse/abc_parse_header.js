@@ -19,6 +19,7 @@
 var parseCommon = require('./abc_common');
 var parseDirective = require('./abc_parse_directive');
 var parseKeyVoice = require('./abc_parse_key_voice');
+var parseMacro = require('./abc_parse_macro');
 
 var ParseHeader = function(tokenizer, warn, multilineVars, tune) {
 	this.reset = function(tokenizer, warn, multilineVars, tune) {
@@ -27,6 +28,12 @@ var ParseHeader = function(tokenizer, warn, multilineVars, tune) {
 	};
 	this.reset(tokenizer, warn, multilineVars, tune);
 
+	// The whole directive, from start to end, is marked. A directive that abcjs doesn't know about is only reported as information.
+	var warnDirective = function(err, line, start, end) {
+		var code = err.indexOf("Unknown directive") === 0 ? 'unknown-directive' : 'bad-directive';
+		warn(err, line, start, { code: code, length: Math.max(end - start, 1) });
+	};
+
 	this.setTitle = function(title) {
 		if (multilineVars.hasMainTitle)
 			tune.addSubtitle(tokenizer.translateString(tokenizer.stripComment(title)));	// display secondary title
@@ -139,8 +146,11 @@ var ParseHeader = function(tokenizer, warn, multilineVars, tune) {
 						mv.den = ret.den;
 					meter.value.push(mv);
 					if (tokens.length === 0) break;
-					//var tok = tokens.shift();
-					//if (tok.token !== '+') throw "Extra characters in M: line";
+					// The fractions of an additive meter can be separated by a plus, like M:3/8+2/4, or by a space.
+					if (tokens[0].token === '+') {
+						tokens.shift();
+						if (tokens.length === 0) throw "Expected top number of meter";
+					}
 				}
 
 				if (multilineVars.havent_set_length === true) {
@@ -149,7 +159,7 @@ var ParseHeader = function(tokenizer, warn, multilineVars, tune) {
 				}
 				return meter;
 			} catch (e) {
-				warn(e, line, 0);
+				warn(e, line, 0, { code: 'bad-meter' });
 			}
 		}
 		return null;
@@ -179,7 +189,7 @@ var ParseHeader = function(tokenizer, warn, multilineVars, tune) {
 	this.addUserDefinition = function(line, start, end) {
 		var equals = line.indexOf('=', start);
 		if (equals === -1) {
-			warn("Need an = in a macro definition", line, start);
+			warn("Need an = in a macro definition", line, start, { code: 'bad-macro-definition' });
 			return;
 		}
 
@@ -187,16 +197,16 @@ var ParseHeader = function(tokenizer, warn, multilineVars, tune) {
 		var after = parseCommon.strip(line.substring(equals+1));
 
 		if (before.length !== 1) {
-			warn("Macro definitions can only be one character", line, start);
+			warn("Macro definitions can only be one character", line, start, { code: 'bad-macro-definition' });
 			return;
 		}
 		var legalChars = "HIJKLMNOPQRSTUVWXYhijklmnopqrstuvw~";
 		if (legalChars.indexOf(before) === -1) {
-			warn("Macro definitions must be H-Y, h-w, or tilde", line, start);
+			warn("Macro definitions must be H-Y, h-w, or tilde", line, start, { code: 'bad-macro-definition' });
 			return;
 		}
 		if (after.length === 0) {
-			warn("Missing macro definition", line, start);
+			warn("Missing macro definition", line, start, { code: 'bad-macro-definition' });
 			return;
 		}
 		if (multilineVars.macros === undefined)
@@ -353,7 +363,7 @@ var ParseHeader = function(tokenizer, warn, multilineVars, tune) {
 				tempo.suppress = true;
 			return {type: delaySet?'delaySet':'immediate', tempo: tempo};
 		} catch (msg) {
-			warn(msg, line, start);
+			warn(msg, line, start, { code: 'bad-tempo' });
 			return {type: 'none'};
 		}
 	};
@@ -364,26 +374,27 @@ var ParseHeader = function(tokenizer, warn, multilineVars, tune) {
 		i +=ws;
 		if (line.length >= i+5 && line.charAt(i) === '[' && line.charAt(i+2) === ':') {
 			var e = line.indexOf(']', i);
-			var startChar = multilineVars.iChar + i;
-			var endChar = multilineVars.iChar + e + 1;
+			var startChar = multilineVars.iChar + parseMacro.originalIndex(multilineVars.macroCharMap, i);
+			var endChar = multilineVars.iChar + parseMacro.originalIndex(multilineVars.macroCharMap, e + 1, true);
 			switch(line.substring(i, i+3))
 			{
 				case "[I:":
 					var err = parseDirective.addDirective(line.substring(i+3, e));
-					if (err) warn(err, line, i);
+					if (err) warnDirective(err, line, i, e >= 0 ? e + 1 : line.length);
 					return [ e-i+1+ws ];
 				case "[M:":
 					var meter = this.setMeter(line.substring(i+3, e));
-					if (tune.hasBeginMusic() && meter)
+					// If the voice hasn't started its line yet, then the line will be created with the new settings.
+					if (tune.hasBeginMusic() && meter && tune.hasStartedVoice())
 						tune.appendStartingElement('meter', startChar, endChar, meter);
 					else
 						multilineVars.meter = meter;
 					return [ e-i+1+ws ];
 				case "[K:":
 					var result = parseKeyVoice.parseKey(line.substring(i+3, e));
-					if (result.foundClef && tune.hasBeginMusic())
+					if (result.foundClef && tune.hasBeginMusic() && tune.hasStartedVoice())
 						tune.appendStartingElement('clef', startChar, endChar, multilineVars.clef);
-					if (result.foundKey && tune.hasBeginMusic())
+					if (result.foundKey && tune.hasBeginMusic() && tune.hasStartedVoice())
 						tune.appendStartingElement('key', startChar, endChar, parseKeyVoice.fixKey(multilineVars.clef, multilineVars.key));
 					return [ e-i+1+ws ];
 				case "[P:":
@@ -425,7 +436,7 @@ var ParseHeader = function(tokenizer, warn, multilineVars, tune) {
 			{
 				case "I:":
 					var err = parseDirective.addDirective(line.substring(i+2));
-					if (err) warn(err, line, i);
+					if (err) warnDirective(err, line, i, line.replace(/\s+$/, '').length);
 					return [ line.length ];
 				case "M:":
 					var meter = this.setMeter(line.substring(i+2));
@@ -483,7 +494,7 @@ var ParseHeader = function(tokenizer, warn, multilineVars, tune) {
 	this.parseHeader = function(line) {
 		if (parseCommon.startsWith(line, '%%')) {
 			var err = parseDirective.addDirective(line.substring(2));
-			if (err) warn(err, line, 2);
+			if (err) warnDirective(err, line, 2, line.replace(/\s+$/, '').length);
 			return {};
 		}
 		var i = line.indexOf('%');
@@ -564,9 +575,12 @@ var ParseHeader = function(tokenizer, warn, multilineVars, tune) {
 							return {words: true};
 						case 'X':
 							break;
-						case 'E':
 						case 'm':
-							warn("Ignored header", line, 0);
+							var macroErr = parseMacro.addMacro(multilineVars.textMacros, line.substring(2));
+							if (macroErr) warn(macroErr, line, 0, { code: 'bad-macro-definition' });
+							break;
+						case 'E':
+							warn("Ignored header", line, 0, { code: 'ignored-header' });
 							break;
 						default:
 							// It wasn't a recognized header value, so parse it as music.
@@ -417,7 +417,7 @@ var parseKeyVoice = {};
 						}
 						// Be sure that the key specified is in the list: not all keys are physically possible, like Cbmin.
 						if (parseKeyVoice.standardKey(key, retPitch.token, acc, 0) === undefined) {
-							warn("Unsupported key signature: " + key, str, 0);
+							warn("Unsupported key signature: " + key, str, 0, { code: 'unsupported-key' });
 							return ret;
 						}
 					}
@@ -458,7 +458,7 @@ var parseKeyVoice = {};
 		if (tokens.length === 0) return ret;
 		var accs = tokenizer.getKeyAccidentals2(tokens);
 		if (accs.warn)
-			warn(accs.warn, str, 0);
+			warn(accs.warn, str, 0, { code: 'bad-key' });
 		// If we have extra accidentals, first replace ones that are of the same pitch before adding them to the end.
 		if (accs.accs) {
 			if (!ret.foundKey) {		// if there are only extra accidentals, make sure this is set.
@@ -502,52 +502,52 @@ var parseKeyVoice = {};
 				case "m":
 				case "middle":
 					tokens.shift();
-					if (tokens.length === 0) { warn("Expected = after middle", str, 0); return ret; }
+					if (tokens.length === 0) { warn("Expected = after middle", str, 0, { code: 'bad-key-parameter' }); return ret; }
 					token = tokens.shift();
-					if (token.token !== "=") { warn("Expected = after middle", str, token.start); break; }
-					if (tokens.length === 0) { warn("Expected parameter after middle=", str, 0); return ret; }
+					if (token.token !== "=") { warn("Expected = after middle", str, token.start, { code: 'bad-key-parameter' }); break; }
+					if (tokens.length === 0) { warn("Expected parameter after middle=", str, 0, { code: 'bad-key-parameter' }); return ret; }
 					var pitch = tokenizer.getPitchFromTokens(tokens);
 					if (pitch.warn)
-						warn(pitch.warn, str, 0);
+						warn(pitch.warn, str, 0, { code: 'bad-key-parameter' });
 					if (pitch.position)
 						multilineVars.clef.verticalPos = pitch.position - 6;	// we get the position from the middle line, but want to offset it to the first ledger line.
 					break;
 				case "transpose":
 					tokens.shift();
-					if (tokens.length === 0) { warn("Expected = after transpose", str, 0); return ret; }
+					if (tokens.length === 0) { warn("Expected = after transpose", str, 0, { code: 'bad-key-parameter' }); return ret; }
 					token = tokens.shift();
-					if (token.token !== "=") { warn("Expected = after transpose", str, token.start); break; }
-					if (tokens.length === 0) { warn("Expected parameter after transpose=", str, 0); return ret; }
-					if (tokens[0].type !== 'number') { warn("Expected number after transpose", str, tokens[0].start); break; }
+					if (token.token !== "=") { warn("Expected = after transpose", str, token.start, { code: 'bad-key-parameter' }); break; }
+					if (tokens.length === 0) { warn("Expected parameter after transpose=", str, 0, { code: 'bad-key-parameter' }); return ret; }
+					if (tokens[0].type !== 'number') { warn("Expected number after transpose", str, tokens[0].start, { code: 'bad-key-parameter' }); break; }
 					multilineVars.clef.transpose = tokens[0].intt;
 					tokens.shift();
 					break;
 				case "stafflines":
 					tokens.shift();
-					if (tokens.length === 0) { warn("Expected = after stafflines", str, 0); return ret; }
+					if (tokens.length === 0) { warn("Expected = after stafflines", str, 0, { code: 'bad-key-parameter' }); return ret; }
 					token = tokens.shift();
-					if (token.token !== "=") { warn("Expected = after stafflines", str, token.start); break; }
-					if (tokens.length === 0) { warn("Expected parameter after stafflines=", str, 0); return ret; }
-					if (tokens[0].type !== 'number') { warn("Expected number after stafflines", str, tokens[0].start); break; }
+					if (token.token !== "=") { warn("Expected = after stafflines", str, token.start, { code: 'bad-key-parameter' }); break; }
+					if (tokens.length === 0) { warn("Expected parameter after stafflines=", str, 0, { code: 'bad-key-parameter' }); return ret; }
+					if (tokens[0].type !== 'number') { warn("Expected number after stafflines", str, tokens[0].start, { code: 'bad-key-parameter' }); break; }
 					multilineVars.clef.stafflines = tokens[0].intt;
 					tokens.shift();
 					break;
 				case "staffscale":
 					tokens.shift();
-					if (tokens.length === 0) { warn("Expected = after staffscale", str, 0); return ret; }
+					if (tokens.length === 0) { warn("Expected = after staffscale", str, 0, { code: 'bad-key-parameter' }); return ret; }
 					token = tokens.shift();
-					if (token.token !== "=") { warn("Expected = after staffscale", str, token.start); break; }
-					if (tokens.length === 0) { warn("Expected parameter after staffscale=", str, 0); return ret; }
-					if (tokens[0].type !== 'number') { warn("Expected number after staffscale", str, tokens[0].start); break; }
+					if (token.token !== "=") { warn("Expected = after staffscale", str, token.start, { code: 'bad-key-parameter' }); break; }
+					if (tokens.length === 0) { warn("Expected parameter after staffscale=", str, 0, { code: 'bad-key-parameter' }); return ret; }
+					if (tokens[0].type !== 'number') { warn("Expected number after staffscale", str, tokens[0].start, { code: 'bad-key-parameter' }); break; }
 					multilineVars.clef.staffscale = tokens[0].floatt;
 					tokens.shift();
 					break;
 				case "style":
 					tokens.shift();
-					if (tokens.length === 0) { warn("Expected = after style", str, 0); return ret; }
+					if (tokens.length === 0) { warn("Expected = after style", str, 0, { code: 'bad-key-parameter' }); return ret; }
 					token = tokens.shift();
-					if (token.token !== "=") { warn("Expected = after style", str, token.start); break; }
-					if (tokens.length === 0) { warn("Expected parameter after style=", str, 0); return ret; }
+					if (token.token !== "=") { warn("Expected = after style", str, token.start, { code: 'bad-key-parameter' }); break; }
+					if (tokens.length === 0) { warn("Expected parameter after style=", str, 0, { code: 'bad-key-parameter' }); return ret; }
 					switch (tokens[0].token) {
 						case "normal":
 						case "harmonic":
@@ -557,16 +557,16 @@ var parseKeyVoice = {};
 							tokens.shift();
 							break;
 						default:
-							warn("error parsing style element: " + tokens[0].token, str, tokens[0].start);
+							warn("error parsing style element: " + tokens[0].token, str, tokens[0].start, { code: 'bad-key-parameter' });
 							break;
 					}
 					break;
 				case "clef":
 					tokens.shift();
-					if (tokens.length === 0) { warn("Expected = after clef", str, 0); return ret; }
+					if (tokens.length === 0) { warn("Expected = after clef", str, 0, { code: 'bad-key-parameter' }); return ret; }
 					token = tokens.shift();
-					if (token.token !== "=") { warn("Expected = after clef", str, token.start); break; }
-					if (tokens.length === 0) { warn("Expected parameter after clef=", str, 0); return ret; }
+					if (token.token !== "=") { warn("Expected = after clef", str, token.start, { code: 'bad-key-parameter' }); break; }
+					if (tokens.length === 0) { warn("Expected parameter after clef=", str, 0, { code: 'bad-key-parameter' }); return ret; }
 					//break; yes, we want to fall through. That allows "clef=" to be optional.
 				case "treble":
 				case "bass":
@@ -590,7 +590,7 @@ var parseKeyVoice = {};
 						case 'f': clef.token = 'bass'; break;
 						case 'g': clef.token = 'treble'; break;
 						default:
-							warn("Expected clef name. Found " + clef.token, str, clef.start);
+							warn("Expected clef name. Found " + clef.token, str, clef.start, { code: 'bad-key-parameter' });
 							break;
 					}
 					if (tokens.length > 0 && tokens[0].type === 'number') {
@@ -608,7 +608,7 @@ var parseKeyVoice = {};
 					ret.foundClef = true;
 					break;
 				default:
-					warn("Unknown parameter: " + tokens[0].token, str, tokens[0].start);
+					warn("Unknown parameter: " + tokens[0].token, str, tokens[0].start, { code: 'bad-key-parameter' });
 					tokens.shift();
 			}
 		}
@@ -617,7 +617,7 @@ var parseKeyVoice = {};
 
 	var setCurrentVoice = function(id) {
 		multilineVars.currentVoice = multilineVars.voices[id];
-		tune.setCurrentVoice(multilineVars.currentVoice.staffNum, multilineVars.currentVoice.index);
+		tune.setCurrentVoice(multilineVars.currentVoice.staffNum, multilineVars.currentVoice.index, multilineVars.voicesTakeTurns);
 	};
 
 	parseKeyVoice.parseVoice = function(line, i, e) {
@@ -630,7 +630,7 @@ var parseKeyVoice = {};
 		//first space.
 		var id = tokenizer.getToken(line, start, end);
 		if (id.length === 0) {
-			warn("Expected a voice id", line, start);
+			warn("Expected a voice id", line, start, { code: 'missing-voice-id' });
 			return;
 		}
 		var isNew = false;
@@ -638,7 +638,7 @@ var parseKeyVoice = {};
 			multilineVars.voices[id] = {};
 			isNew = true;
 			if (multilineVars.score_is_present)
-				warn("Can't have an unknown V: id when the %score directive is present", line, start);
+				warn("Can't have an unknown V: id when the %score directive is present", line, start, { code: 'unknown-voice' });
 		}
 		start += id.length;
 		start += tokenizer.eatWhiteSpace(line, start);
@@ -647,9 +647,9 @@ var parseKeyVoice = {};
 		var addNextTokenToStaffInfo = function(name) {
 			var attr = tokenizer.getVoiceToken(line, start, end);
 			if (attr.warn !== undefined)
-				warn("Expected value for " + name + " in voice: " + attr.warn, line, start);
+				warn("Expected value for " + name + " in voice: " + attr.warn, line, start, { code: 'bad-voice-parameter' });
 			else if (attr.token.length === 0 && line.charAt(start) !== '"')
-				warn("Expected value for " + name + " in voice", line, start);
+				warn("Expected value for " + name + " in voice", line, start, { code: 'bad-voice-parameter' });
 			else
 				staffInfo[name] = attr.token;
 			start += attr.len;
@@ -657,9 +657,9 @@ var parseKeyVoice = {};
 		var addNextTokenToVoiceInfo = function(id, name, type) {
 			var attr = tokenizer.getVoiceToken(line, start, end);
 			if (attr.warn !== undefined)
-				warn("Expected value for " + name + " in voice: " + attr.warn, line, start);
+				warn("Expected value for " + name + " in voice: " + attr.warn, line, start, { code: 'bad-voice-parameter' });
 			else if (attr.token.length === 0 && line.charAt(start) !== '"')
-				warn("Expected value for " + name + " in voice", line, start);
+				warn("Expected value for " + name + " in voice", line, start, { code: 'bad-voice-parameter' });
 			else {
 				if (type === 'number')
 					attr.token = parseFloat(attr.token);
@@ -670,9 +670,9 @@ var parseKeyVoice = {};
 		var getNextToken = function(name, type) {
 			var attr = tokenizer.getVoiceToken(line, start, end);
 			if (attr.warn !== undefined)
-				warn("Expected value for " + name + " in voice: " + attr.warn, line, start);
+				warn("Expected value for " + name + " in voice: " + attr.warn, line, start, { code: 'bad-voice-parameter' });
 			else if (attr.token.length === 0 && line.charAt(start) !== '"')
-				warn("Expected value for " + name + " in voice", line, start);
+				warn("Expected value for " + name + " in voice", line, start, { code: 'bad-voice-parameter' });
 			else {
 				if (type === 'number')
 					attr.token = parseFloat(attr.token);
@@ -689,13 +689,13 @@ var parseKeyVoice = {};
 			};
 			var attr = tokenizer.getVoiceToken(line, start, end);
 			if (attr.warn !== undefined)
-				warn("Expected one of (_B, _E, _b, _e) for " + name + " in voice: " + attr.warn, line, start);
+				warn("Expected one of (_B, _E, _b, _e) for " + name + " in voice: " + attr.warn, line, start, { code: 'bad-voice-parameter' });
 			else if (attr.token.length === 0 && line.charAt(start) !== '"')
-				warn("Expected one of (_B, _E, _b, _e) for " + name + " in voice", line, start);
+				warn("Expected one of (_B, _E, _b, _e) for " + name + " in voice", line, start, { code: 'bad-voice-parameter' });
 			else {
 				var t = noteToTransposition[attr.token];
 				if (!t)
-					warn("Expected one of (_B, _E, _b, _e) for " + name + " in voice", line, start);
+					warn("Expected one of (_B, _E, _b, _e) for " + name + " in voice", line, start, { code: 'bad-voice-parameter' });
 				else
 					multilineVars.voices[id][name] = t;
 			}
@@ -708,7 +708,7 @@ var parseKeyVoice = {};
 			start += token.len;
 
 			if (token.warn) {
-				warn("Error parsing voice: " + token.warn, line, start);
+				warn("Error parsing voice: " + token.warn, line, start, { code: 'bad-voice-parameter' });
 			} else {
 				var attr = null;
 				switch (token.token) {
@@ -795,11 +795,11 @@ var parseKeyVoice = {};
 					case 'stems':
 						attr = tokenizer.getVoiceToken(line, start, end);
 						if (attr.warn !== undefined)
-							warn("Expected value for stems in voice: " + attr.warn, line, start);
+							warn("Expected value for stems in voice: " + attr.warn, line, start, { code: 'bad-voice-parameter' });
 						else if (attr.token === 'up' || attr.token === 'down')
 							multilineVars.voices[id].stem = attr.token;
 						else
-							warn("Expected up or down for voice stem", line, start);
+							warn("Expected up or down for voice stem", line, start, { code: 'bad-voice-parameter' });
 						start += attr.len;
 						break;
 					case 'up':
@@ -857,11 +857,11 @@ var parseKeyVoice = {};
 					case "style":
 						attr = tokenizer.getVoiceToken(line, start, end);
 						if (attr.warn !== undefined)
-							warn("Expected value for style in voice: " + attr.warn, line, start);
+							warn("Expected value for style in voice: " + attr.warn, line, start, { code: 'bad-voice-parameter' });
 						else if (attr.token === 'normal' || attr.token === 'harmonic' || attr.token === 'rhythm' || attr.token === 'x')
 							multilineVars.voices[id].style = attr.token;
 						else
-							warn("Expected one of [normal, harmonic, rhythm, x] for voice style", line, start);
+							warn("Expected one of [normal, harmonic, rhythm, x] for voice style", line, start, { code: 'bad-voice-parameter' });
 						start += attr.len;
 						break;
 					// default:
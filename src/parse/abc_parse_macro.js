@@ -0,0 +1,201 @@
+// abc_parse_macro.js: Handles the ABC 2.1 m: macro fields.
+// A macro is a search and replace that is done on each line of music before it is tokenized. There are two kinds:
+// static macros (m: ~G3 = G{A}G{F}G) replace the target string exactly, and transposing macros (m: ~n2 = (3o/n/m/ n) contain
+// the letter "n" in the target, which matches any note. In the replacement, "n" is that note and the letters h-w are the notes
+// that many steps below or above it, so that ~A2 becomes (3B/A/G/ A.
+// Since the music line is changed, a map is kept so that the startChar and endChar of the elements still point to the original text.
+
+var parseCommon = require('./abc_common');
+
+var parseMacro = {};
+
+(function() {
+	"use strict";
+
+	var noteLetters = "CDEFGAB";
+	var firstRelativeLetter = 'h';
+	var lastRelativeLetter = 'w';
+
+	parseMacro.addMacro = function(macros, str) {
+		var equals = str.indexOf('=');
+		if (equals === -1)
+			return "Need an = in a macro definition";
+
+		var target = parseCommon.strip(str.substring(0, equals));
+		var replacement = parseCommon.strip(str.substring(equals+1));
+		if (target.length === 0)
+			return "Missing macro target";
+		if (/\s/.test(target))
+			return "Macro targets cannot contain spaces";
+		if (replacement.length === 0)
+			return "Missing macro definition";
+
+		var macro = { target: target, replacement: replacement };
+		var n = target.indexOf('n');
+		if (n >= 0) {
+			if (target.indexOf('n', n+1) >= 0)
+				return "A transposing macro can only contain one n";
+			macro.prefix = target.substring(0, n);
+			macro.suffix = target.substring(n+1);
+		}
+
+		// A macro that is redefined replaces the earlier definition.
+		for (var i = 0; i < macros.length; i++) {
+			if (macros[i].target === target) {
+				macros[i] = macro;
+				return null;
+			}
+		}
+		macros.push(macro);
+		return null;
+	};
+
+	// Returns the length of the note at the index, including the octave marks, or 0 if there isn't a note there.
+	function noteLength(line, index) {
+		if (noteLetters.indexOf(line.charAt(index).toUpperCase()) < 0)
+			return 0;
+		var i = index + 1;
+		while (line.charAt(i) === ',' || line.charAt(i) === '\'')
+			i++;
+		return i - index;
+	}
+
+	// The note as the number of diatonic steps from middle C (that is, C=0, c=7, C,=-7)
+	function noteToStep(note) {
+		var letter = note.charAt(0);
+		var step = noteLetters.indexOf(letter.toUpperCase());
+		if (letter !== letter.toUpperCase())
+			step += 7;
+		for (var i = 1; i < note.length; i++)
+			step += note.charAt(i) === '\'' ? 7 : -7;
+		return step;
+	}
+
+	function stepToNote(step) {
+		var octave = Math.floor(step / 7);
+		var letter = noteLetters.charAt(step - octave * 7);
+		if (octave >= 1)
+			return letter.toLowerCase() + new Array(octave).join('\'');
+		return letter + new Array(1 - octave).join(',');
+	}
+
+	// Returns the number of characters the macro matches at the index, and the note it matched if it is a transposing macro.
+	function match(macro, line, index) {
+		if (macro.prefix === undefined) {
+			if (line.substring(index, index + macro.target.length) === macro.target)
+				return { len: macro.target.length };
+			return null;
+		}
+		if (line.substring(index, index + macro.prefix.length) !== macro.prefix)
+			return null;
+		var noteStart = index + macro.prefix.length;
+		var len = noteLength(line, noteStart);
+		if (len === 0)
+			return null;
+		var noteEnd = noteStart + len;
+		if (line.substring(noteEnd, noteEnd + macro.suffix.length) !== macro.suffix)
+			return null;
+		return { len: noteEnd + macro.suffix.length - index, note: line.substring(noteStart, noteEnd) };
+	}
+
+	function transposeReplacement(replacement, note) {
+		var step = noteToStep(note);
+		var out = "";
+		var inQuote = false;
+		var inDecoration = false;
+		for (var i = 0; i < replacement.length; i++) {
+			var ch = replacement.charAt(i);
+			if (ch === '"')
+				inQuote = !inQuote;
+			else if (ch === '!' && !inQuote)
+				inDecoration = !inDecoration;
+			if (!inQuote && !inDecoration && ch >= firstRelativeLetter && ch <= lastRelativeLetter)
+				out += stepToNote(step + ch.charCodeAt(0) - 'n'.charCodeAt(0));
+			else
+				out += ch;
+		}
+		return out;
+	}
+
+	// If there is some text here that shouldn't be searched for macros, return how long it is.
+	function protectedLength(line, index) {
+		var ch = line.charAt(index);
+		var end;
+		if (ch === '"' || ch === '!') {
+			end = line.indexOf(ch, index + 1);
+			return end < 0 ? line.length - index : end - index + 1;
+		}
+		if (ch === '[' && /^\[[A-Za-z]:/.test(line.substring(index, index+3))) {
+			end = line.indexOf(']', index);
+			return end < 0 ? line.length - index : end - index + 1;
+		}
+		return 0;
+	}
+
+	// Returns null if no macros were found in the line. Otherwise returns { str: the expanded line, charMap: the original position of each character }
+	parseMacro.expand = function(macros, line) {
+		if (!macros || macros.length === 0)
+			return null;
+
+		var str = "";
+		var starts = [];
+		var ends = [];
+		var found = false;
+		var i = 0;
+		while (i < line.length) {
+			var skip = protectedLength(line, i);
+			if (skip > 0) {
+				for (var j = 0; j < skip; j++) {
+					starts.push(i + j);
+					ends.push(i + j);
+				}
+				str += line.substring(i, i + skip);
+				i += skip;
+				continue;
+			}
+			// If more than one macro matches here, use the longest one.
+			var best = null;
+			var bestMacro;
+			for (var m = 0; m < macros.length; m++) {
+				var ret = match(macros[m], line, i);
+				if (ret && (best === null || ret.len > best.len)) {
+					best = ret;
+					bestMacro = macros[m];
+				}
+			}
+			if (best) {
+				var replacement = best.note !== undefined ? transposeReplacement(bestMacro.replacement, best.note) : bestMacro.replacement;
+				// All the generated characters point to the entire macro call in the original.
+				for (var k = 0; k < replacement.length; k++) {
+					starts.push(i);
+					ends.push(k === 0 ? i : i + best.len);
+				}
+				str += replacement;
+				i += best.len;
+				found = true;
+			} else {
+				starts.push(i);
+				ends.push(i);
+				str += line.charAt(i);
+				i++;
+			}
+		}
+		if (!found)
+			return null;
+		starts.push(line.length);
+		ends.push(line.length);
+		return { str: str, charMap: { starts: starts, ends: ends } };
+	};
+
+	// Translates a position in the expanded line back to the original line. If there were no macros on the line, there is no map.
+	parseMacro.originalIndex = function(charMap, index, isEnd) {
+		if (!charMap)
+			return index;
+		var arr = isEnd ? charMap.ends : charMap.starts;
+		if (index >= arr.length)
+			return arr[arr.length-1] + index - arr.length + 1;
+		return arr[index];
+	};
+})();
+
+module.exports = parseMacro;
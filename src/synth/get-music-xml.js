@@ -0,0 +1,32 @@
+var tunebook = require('../api/abc_tunebook');
+var abc2musicxml = require('../transform/abc2musicxml');
+
+// Returns the MusicXML for the tunes. If abc is a string, then every tune in it is converted and an array of strings is returned.
+// If abc is the visual object that was returned from renderAbc, then just that tune is converted and a string is returned.
+var getMusicXml = function(abc, options) {
+	if (typeof abc !== 'string')
+		return abc2musicxml.convert(abc);
+
+	var params = {};
+	if (options) {
+		for (var key in options) {
+			if (options.hasOwnProperty(key)) {
+				params[key] = options[key];
+			}
+		}
+	}
+
+	// This is "headless" so there is nothing to render: just tell the engine how many tunes to process.
+	var output = [];
+	var numTunes = tunebook.numberOfTunes(abc);
+	for (var i = 0; i < numTunes; i++)
+		output.push("*");
+
+	function callback(div, tune) {
+		return abc2musicxml.convert(tune);
+	}
+
+	return tunebook.renderEngine(callback, output, abc, params);
+};
+
+module.exports = getMusicXml;
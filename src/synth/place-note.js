@@ -1,8 +1,9 @@
 var soundsCache = require('./sounds-cache');
 var pitchToNoteName = require('./pitch-to-note-name');
 
-var OfflineAC = window.OfflineAudioContext ||
-	window.webkitOfflineAudioContext;
+// This file is loaded even when there is no browser (for instance, when rendering on a server), so don't assume window exists.
+var OfflineAC = typeof window !== 'undefined' ? (window.OfflineAudioContext ||
+	window.webkitOfflineAudioContext) : undefined;
 
 function placeNote(outputAudioBuffer, sampleRate, sound, startArray) {
 	var len = sound.len * sound.tempoMultiplier;
@@ -17,6 +18,12 @@ function placeNote(outputAudioBuffer, sampleRate, sound, startArray) {
 	// create audio buffer
 	var source = offlineCtx.createBufferSource();
 	source.buffer = noteBuffer;
+	// If the note is held longer than the sample, like a drone, then the second half of the sample is repeated until the note ends.
+	if (len > noteBuffer.duration) {
+		source.loop = true;
+		source.loopStart = noteBuffer.duration / 2;
+		source.loopEnd = noteBuffer.duration;
+	}
 
 	// add gain
 	var volume = (sound.volume / 127) * 2.0;
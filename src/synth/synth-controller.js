@@ -86,6 +86,8 @@ function SynthController() {
 				extraMeasuresAtBeginning: self.cursorControl ? self.cursorControl.extraMeasuresAtBeginning : undefined,
 				lineEndAnticipation: self.cursorControl ? self.cursorControl.lineEndAnticipation : undefined,
 				beatSubdivisions: subdivisions,
+				swing: self.options ? self.options.swing : undefined,
+				swingSubdivision: self.options ? self.options.swingSubdivision : undefined,
 			});
 			if (self.cursorControl && self.cursorControl.onReady && typeof self.cursorControl.onReady  === 'function')
 				self.cursorControl.onReady(self);
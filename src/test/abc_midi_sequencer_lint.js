@@ -117,6 +117,33 @@ var midiSequencerLint = function(tune) {
 					ret += element.tacet ? 'tacet' : 'on';
 					ret += '\n';
 					break;
+				case "gchordpattern":
+					ret += "\t\t";
+					ret += element.pattern;
+					ret += '\n';
+					break;
+				case "bassprog":
+				case "chordprog":
+					ret += "\t\t";
+					ret += element.value + " octave=" + element.octave;
+					ret += '\n';
+					break;
+				case "drone":
+					ret += "\t\t";
+					ret += "program=" + element.program + " pitches=" + element.pitches.join(",") + " velocities=" + element.velocities.join(",") + " on=" + element.on;
+					ret += '\n';
+					break;
+				case "swing":
+					ret += "\t\t";
+					ret += "ratio=" + element.ratio;
+					ret += '\n';
+					break;
+				case "bassvol":
+				case "chordvol":
+					ret += "\t\t";
+					ret += element.volume;
+					ret += '\n';
+					break;
 				case "beat":
 					ret += "\t\t";
 					ret += element.beats.join(",");
@@ -191,7 +191,8 @@ var ParserLint = function() {
 		lyric: { type: 'array', optional: true, output: "noindex", items: {
 			type: 'object', properties: {
 			syllable: { type :'string' },
-			divider: { type: 'string', Enum: [ '-', ' ', '_' ]}
+			divider: { type: 'string', Enum: [ '-', ' ', '_' ]},
+			font: fontType
 		}}},
 		noStem: { type: 'boolean', Enum: [ true ], optional: true },
 		pitches: { type: 'array',  optional: true, output: "noindex", prohibits: [ 'rest' ], items: {
@@ -534,6 +535,14 @@ var ParserLint = function() {
 						}
 					}
 				},
+				hiddenStaffs: { type: 'array', optional: true,	// the staffs that aren't drawn because of %%staffnonote, but are still played.
+					items: { type: 'object',
+						properties: {
+							index: { type: 'number' },
+							staff: { type: 'object' }
+						}
+					}
+				},
 				image: { type: 'string', optional: true },	// Corresponds to %%EPS directive.
 				newpage: { type: 'number', optional: true },	// page number if positive, or -1 for auto
 				staffbreak: { type: 'number', optional: true },
@@ -0,0 +1,316 @@
+// abc2abc_transpose.js: Transposes abc text by a number of half steps and returns the new abc text.
+// Unlike the visualTranspose parameter, which only changes what is drawn, this rewrites the text itself: the K: fields, the notes,
+// the accidentals and the chord symbols are changed, and everything else (comments, decorations, lyrics, directives and spacing) is copied as it is.
+// The new key is spelled the same way that visualTranspose spells it, and the notes keep their place in the scale, so a note that
+// is the third of the old key is the third of the new key.
+
+var moveNote = require('../edit/abc_move_note');
+
+var abc2abcTranspose = {};
+
+(function() {
+	"use strict";
+
+	var steps = "CDEFGAB";
+	var naturalSemitones = [ 0, 2, 4, 5, 7, 9, 11 ];
+	var sharpOrder = "FCGDAEB";
+	var flatOrder = "BEADGCF";
+	var sharpNames = [ 'C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B' ];
+	var flatNames = [ 'C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B' ];
+
+	// How many fifths the tonic of the mode is from the tonic of the major key with the same key signature. Only the first three letters of the mode count.
+	var modeOffsets = { "": 0, maj: 0, ion: 0, m: 3, min: 3, aeo: 3, dor: 2, phr: 4, lyd: -1, mix: 1, loc: 5 };
+
+	var accidentalStrings = { "-2": "__", "-1": "_", "-0.5": "_/", "0": "=", "0.5": "^/", "1": "^", "2": "^^" };
+	var accidentalValues = { "__": -2, "_": -1, "_/": -0.5, "=": 0, "^/": 0.5, "^": 1, "^^": 2 };
+
+	// halfSteps is positive to go up. All the tunes in the text are transposed.
+	//
+	// The keys that can't be transposed are handled this way:
+	//      K:none (or an empty K:) stays K:none. The notes are transposed as if the key were C, and every note that isn't natural gets an accidental.
+	//      K:HP and K:Hp are for the highland bagpipe, which can only play one scale, so the music in those keys is left alone.
+	abc2abcTranspose.transpose = function(abc, halfSteps) {
+		halfSteps = parseInt(halfSteps, 10);
+		if (!halfSteps)
+			return abc;
+
+		var lines = abc.split("\n");
+		// If the text doesn't start with X:, then it is treated as a tune anyway, so that a fragment can be transposed.
+		var tune = newTune(halfSteps);
+		var inText = false;
+		for (var i = 0; i < lines.length; i++) {
+			var line = lines[i];
+			if (inText) {
+				if (/^%%endtext/.test(line))
+					inText = false;
+				continue;
+			}
+			if (/^%%begintext/.test(line)) {
+				inText = true;
+				continue;
+			}
+			if (/^X:/.test(line)) {
+				tune = newTune(halfSteps);
+				continue;
+			}
+			if (/^\s*$/.test(line)) {
+				// A blank line ends the tune. Anything else until the next X: is free text.
+				tune = null;
+				continue;
+			}
+			if (!tune || line[0] === '%')
+				continue;
+			var field = /^([A-Za-z+]):(.*)$/.exec(line);
+			if (field) {
+				if (field[1] === 'K') {
+					var key = transposeKey(field[2], halfSteps);
+					lines[i] = "K:" + key.text;
+					tune.inHeader = false;
+					setKey(tune, key);
+				} else if (field[1] === 'V' && !tune.inHeader)
+					switchVoice(tune, field[2]);
+			} else if (!tune.inHeader)
+				lines[i] = transposeMusic(line, tune, halfSteps);
+		}
+		return lines.join("\n");
+	};
+
+	function newTune(halfSteps) {
+		return { inHeader: true, key: transposeKey("", halfSteps), voices: {}, voice: "" };
+	}
+
+	// Each voice keeps track of the accidentals in its own bar.
+	function currentVoice(tune) {
+		if (!tune.voices[tune.voice])
+			tune.voices[tune.voice] = { measure: {}, newMeasure: {} };
+		return tune.voices[tune.voice];
+	}
+
+	function switchVoice(tune, str) {
+		tune.voice = str.replace(/%.*$/, "").trim().split(/\s+/)[0];
+	}
+
+	// Like the parser, a key change is for all the voices that come after it, not just the voice that it is in.
+	function setKey(tune, key) {
+		var voice = currentVoice(tune);
+		tune.key = key;
+		voice.measure = {};
+		voice.newMeasure = {};
+	}
+
+	function mod(num, base) {
+		return ((num % base) + base) % base;
+	}
+
+	// The number of fifths above C, so that F is -1 and F# is 6.
+	function letterToFifths(letter, acc) {
+		return sharpOrder.indexOf(letter) - 1 + acc * 7;
+	}
+
+	function fifthsToName(fifths) {
+		var acc = Math.floor((fifths + 1) / 7);
+		return sharpOrder[mod(fifths + 1, 7)] + (acc > 0 ? "#" : acc < 0 ? "b" : "");
+	}
+
+	// The accidental of each letter in a key signature with that many sharps (or flats, if it is negative).
+	function keySignature(fifths) {
+		var sig = {};
+		for (var i = 0; i < Math.abs(fifths); i++)
+			sig[fifths > 0 ? sharpOrder[i] : flatOrder[i]] = fifths > 0 ? 1 : -1;
+		return sig;
+	}
+
+	// The pitch, in half steps from middle C, of a position on the staff (where middle C is 0) with an accidental.
+	function semitones(step, acc) {
+		return Math.floor(step / 7) * 12 + naturalSemitones[mod(step, 7)] + acc;
+	}
+
+	// Finds the accidental that a pitch needs when it is written on the new step. If that isn't an accidental that can be written,
+	// the note is spelled with the letter above or below. Double sharps and flats are only used if the original note had one.
+	function respell(pitch, newStep, acc) {
+		var newAcc = pitch - semitones(newStep, 0);
+		while (accidentalStrings[newAcc] === undefined || (Math.abs(newAcc) === 2 && Math.abs(acc) < 2)) {
+			newStep += newAcc > 0 ? 1 : -1;
+			newAcc = pitch - semitones(newStep, 0);
+		}
+		return { step: newStep, acc: newAcc };
+	}
+
+	// The value of a K: field is rewritten, and this returns the new text along with what is needed to transpose the music in that key:
+	//      steps: how many lines and spaces the notes move.
+	//      original and transposed: the accidental of each letter in the key signature, before and after.
+	//      preferFlats: whether the chord symbols are spelled with flats when they aren't in the key.
+	//      fixed: if true, the music isn't transposed.
+	function transposeKey(value, halfSteps) {
+		var comment = value.indexOf('%');
+		var text = comment >= 0 ? value.substring(0, comment) : value;
+		var after = comment >= 0 ? value.substring(comment) : "";
+		if (/^\s*H[Pp]\b/.test(text))
+			return { text: value, fixed: true };
+
+		var root = /^(\s*)([A-G])([#b]?)(\s*)([A-Za-z]*)/.exec(text);
+		var tonic = 0;
+		var offset = 0;
+		var oldName = "C";
+		if (root) {
+			var mode = root[5].toLowerCase();
+			mode = mode === "m" ? "m" : mode.substring(0, 3);
+			if (modeOffsets[mode] === undefined)
+				mode = "";
+			offset = modeOffsets[mode];
+			oldName = root[2];
+			tonic = letterToFifths(root[2], root[3] === '#' ? 1 : root[3] === 'b' ? -1 : 0);
+		}
+		var signature = tonic - offset;
+		// The same key signatures as visualTranspose: from five flats to six sharps.
+		var newSignature = halfSteps % 12 === 0 ? signature : mod(signature + 7 * halfSteps + 5, 12) - 5;
+		var newName = fifthsToName(newSignature + offset);
+
+		// The notes move by the distance between the letters of the old and new tonic, in the octave that is closest to the number of half steps.
+		var distance = mod(steps.indexOf(newName[0]) - steps.indexOf(oldName), 7);
+		var octaves = Math.round((halfSteps * 7 / 12 - distance) / 7);
+		// With "exp", only the accidentals that are listed are in the key signature.
+		var explicit = !root || /(^|\s)exp(\s|$)/.test(text);
+		var key = {
+			steps: distance + octaves * 7,
+			original: explicit ? {} : keySignature(signature),
+			transposed: explicit ? {} : keySignature(newSignature),
+			preferFlats: newSignature < 0
+		};
+
+		if (root)
+			text = root[1] + newName + root[4] + text.substring(root[1].length + root[2].length + root[3].length + root[4].length);
+		// The extra accidentals that can follow the key, like K:D ^g or K:exp _b _e.
+		text = text.replace(/(^|\s)(\^\^|__|\^\/|_\/|\^|_|=)([A-Ga-g])(?=\s|$)/g, function(all, before, acc, letter) {
+			letter = letter.toUpperCase();
+			var value = accidentalValues[acc];
+			var step = steps.indexOf(letter);
+			var newNote = respell(semitones(step, value) + halfSteps, step + key.steps, value);
+			var newLetter = steps[mod(newNote.step, 7)];
+			key.original[letter] = value;
+			key.transposed[newLetter] = newNote.acc;
+			return before + accidentalStrings[newNote.acc] + newLetter.toLowerCase();
+		});
+		key.text = text + after;
+		return key;
+	}
+
+	function transposeMusic(line, tune, halfSteps) {
+		var out = "";
+		var i = 0;
+		while (i < line.length) {
+			var ch = line[i];
+			var rest = line.substring(i);
+			var voice = currentVoice(tune);
+			var close;
+			var match;
+			if (ch === '%') {
+				out += rest;
+				break;
+			}
+			if (ch === '"') {
+				close = line.indexOf('"', i + 1);
+				if (close < 0) {
+					out += rest;
+					break;
+				}
+				out += '"' + transposeChordSymbol(line.substring(i + 1, close), tune.key, halfSteps) + '"';
+				i = close + 1;
+				continue;
+			}
+			if (ch === '!' || ch === '+') {
+				// A decoration is copied as it is.
+				close = line.indexOf(ch, i + 1);
+				close = close < 0 ? i : close;
+				out += line.substring(i, close + 1);
+				i = close + 1;
+				continue;
+			}
+			match = /^\[([A-Za-z]):([^\]]*)\]/.exec(rest);
+			if (match) {
+				if (match[1] === 'K') {
+					var key = transposeKey(match[2], halfSteps);
+					setKey(tune, key);
+					out += "[K:" + key.text + "]";
+				} else {
+					if (match[1] === 'V')
+						switchVoice(tune, match[2]);
+					out += match[0];
+				}
+				i += match[0].length;
+				continue;
+			}
+			if (ch === '|' || (ch === ':' && line[i + 1] === ':')) {
+				// The accidentals only last until the bar line.
+				voice.measure = {};
+				voice.newMeasure = {};
+			}
+			match = /^(\^\^|__|\^\/|_\/|\^|_|=)?([A-Ga-g])([,']*)/.exec(rest);
+			if (match) {
+				out += tune.key.fixed ? match[0] : transposeNote(match, tune.key, voice, halfSteps);
+				i += match[0].length;
+				continue;
+			}
+			out += ch;
+			i++;
+		}
+		return out;
+	}
+
+	function transposeNote(match, key, voice, halfSteps) {
+		var step = moveNote.noteToPitch(match[2], match[3]);
+		var written = match[1] ? accidentalValues[match[1]] : undefined;
+		var acc = written;
+		if (acc === undefined)
+			acc = voice.measure[step] !== undefined ? voice.measure[step] : key.original[steps[mod(step, 7)]] || 0;
+		else
+			voice.measure[step] = acc;
+
+		var newNote = respell(semitones(step, acc) + halfSteps, step + key.steps, acc);
+		var newStep = newNote.step;
+		var newAcc = newNote.acc;
+
+		// An accidental that was written is always written, and one is added if the key and the bar don't already give the new note.
+		var implied = voice.newMeasure[newStep] !== undefined ? voice.newMeasure[newStep] : key.transposed[steps[mod(newStep, 7)]] || 0;
+		var accString = "";
+		if (written !== undefined || implied !== newAcc) {
+			accString = accidentalStrings[newAcc];
+			voice.newMeasure[newStep] = newAcc;
+		}
+		return accString + moveNote.pitchToNote(newStep);
+	}
+
+	// A word in a chord symbol is only changed if it looks like a chord, so that text like "D.C." or "Fine" is left alone.
+	var chordPattern = /^\(?[A-G][#b\u266F\u266D]?(m|min|maj|dim|aug|sus|add|M|\+|-|o|\u00B0|\u00F8|\u0394|\d|\(|\)|[#b\u266F\u266D]|\/[A-G][#b\u266F\u266D]?)*\)?$/;
+
+	// The root and bass notes of a chord symbol are changed, like "F#m7/C#". Annotations (the strings that start with ^ _ < > or @) are left alone.
+	function transposeChordSymbol(str, key, halfSteps) {
+		if (key.fixed || /^[\^_<>@]/.test(str))
+			return str;
+		return str.replace(/[^\s;]+/g, function(word) {
+			if (!chordPattern.test(word))
+				return word;
+			return word.replace(/(^\(?|\/)([A-G])([#b\u266F\u266D]?)/g, function(all, before, letter, acc) {
+				return before + transposeChordNote(letter, acc, key, halfSteps);
+			});
+		});
+	}
+
+	function transposeChordNote(letter, acc, key, halfSteps) {
+		var value = acc === '#' || acc === '\u266F' ? 1 : acc === 'b' || acc === '\u266D' ? -1 : 0;
+		var index = steps.indexOf(letter);
+		var newIndex = mod(index + key.steps, 7);
+		var pitch = mod(naturalSemitones[index] + value + halfSteps, 12);
+		var newAcc = mod(pitch - naturalSemitones[newIndex] + 6, 12) - 6;
+		var name = steps[newIndex] + (newAcc > 0 ? "#" : newAcc < 0 ? "b" : "");
+		// Chords are easier to read without double sharps and flats, or names like E# and Cb.
+		if (Math.abs(newAcc) > 1 || /^(E#|B#|Cb|Fb)$/.test(name))
+			name = key.preferFlats ? flatNames[pitch] : sharpNames[pitch];
+		// If the chord was written with the music symbols, then it stays that way.
+		if (acc === '\u266F' || acc === '\u266D')
+			name = name.replace("#", '\u266F').replace("b", '\u266D');
+		return name;
+	}
+})();
+
+module.exports = abc2abcTranspose;
@@ -14,12 +14,30 @@
 //    DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
 //    OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
 
-var TextPrinter = function(elem, reposition) {
+var Parse = require('../parse/abc_parse');
+var meterInfo = require('../data/abc_meter');
+
+// The options are:
+//      barsPerLine: if this is set, the music is written with that many measures on each line instead of keeping the line breaks of the tune.
+//      beaming: "preserve" (the default) keeps the beams that are in the tune. "beat" beams the short notes in each beat together.
+//      decorationStyle: "!" (the default) writes decorations like !trill!, and "+" writes them like +trill+.
+var TextPrinter = function(elem, reposition, options) {
     this.elem = elem;
     this.text = "";
     this.l = 1/8;
     this.reposition = reposition || false;
-}
+    options = options || {};
+    this.barsPerLine = options.barsPerLine;
+    this.beaming = options.beaming || "preserve";
+    this.decorationStyle = options.decorationStyle === "+" ? "+" : "!";
+};
+
+// Returns the abc text for a tune that was created by the parser, or that was built the same way.
+TextPrinter.tuneToAbc = function(tune, options) {
+    var output = {};
+    new TextPrinter(output, false, options).printABC(tune);
+    return output.value;
+};
 
 TextPrinter.prototype.printString = function(str, elem) {
     if (this.reposition && elem) elem.startChar = this.text.length;
@@ -32,23 +50,57 @@ TextPrinter.prototype.printNewLine = function () {
 };
 
 TextPrinter.prototype.printSpace = function () {
-    if (this.text[this.text.length-1].match(/\s/)) return; //TODO match whitespace
+    if (this.text.length === 0 || this.text[this.text.length-1].match(/\s/)) return;
     this.text += " ";
 };
 
+TextPrinter.prototype.printLine = function (str) {
+    this.printString(str);
+    this.printNewLine();
+};
+
 TextPrinter.prototype.printABC = function(abctune) {
     this.text = "";
     this.abctune = abctune;
-    //TODO formatting
+    this.metaText = abctune.metaText || {};
+    this.formatting = abctune.formatting || {};
+    this.lines = this.restoreHiddenStaffs(abctune.lines || []);
+    this.findVoices();
+    if (this.barsPerLine)
+	this.lines = this.rebreakLines(this.lines, this.barsPerLine);
+    this.l = this.findUnitLength();
+    this.findTextFonts();
     this.printHeader();
     this.printBody();
+    this.printWords();
     this.elem.value=this.text;
 };
 
+// The staffs that weren't drawn because they only had rests are put back, so that the voices that are in them aren't lost.
+TextPrinter.prototype.restoreHiddenStaffs = function(lines) {
+    var ret = [];
+    for (var i = 0; i < lines.length; i++) {
+	var line = lines[i];
+	if (line.hiddenStaffs) {
+	    var staffs = [].concat(line.staff);
+	    for (var j = 0; j < line.hiddenStaffs.length; j++)
+		staffs.splice(line.hiddenStaffs[j].index, 0, line.hiddenStaffs[j].staff);
+	    line = { staff: staffs };
+	    for (var key in lines[i]) {
+		if (lines[i].hasOwnProperty(key) && key !== "staff" && key !== "hiddenStaffs")
+		    line[key] = lines[i][key];
+	    }
+	}
+	ret.push(line);
+    }
+    return ret;
+};
+
 TextPrinter.prototype.printHeader = function() {
     // much of this info is duplicated in metaTextHEaders in abc_parse_header.js
     this.printHeaderLine("x","X","1");
     this.printHeaderLine("title","T");
+    this.printSubtitles();
     this.printHeaderLine("composer","C");
     this.printHeaderLine("history","H");
     this.printHeaderLine("author","A");
@@ -61,38 +113,373 @@ TextPrinter.prototype.printHeader = function() {
     this.printHeaderLine("origin","O");
     this.printHeaderLine("rhythm","R");
     this.printHeaderLine("source","S");
-    this.printHeaderLine("unalignedwords","W");
     this.printHeaderLine("transcription","Z");
-    //TODO part order
-    //TODO Q tempo
-    //TODO textBlock
-    this.printHeaderLine("NULL","L","1/8"); //TODO L
+    this.printHeaderLine("partOrder","P");
+    this.printTempo();
+    this.printDirectives();
+    this.printHeaderLine("NULL","L",this.getLengthString(this.l));
+
+    var firstStaff = this.getFirstStaff();
+    if (firstStaff && firstStaff.meter)
+	this.printHeaderLine("NULL","M",this.getMeterString(firstStaff.meter));
+    this.printScore();
+    this.printVoiceDefinitions();
+    var key = this.getKeyString(firstStaff && firstStaff.key ? firstStaff.key : { root: "C", acc: "", mode: "" });
+    // With only one voice there are no V: fields, so the clef goes on the K: line.
+    if (!this.multipleVoices && firstStaff) {
+	key += this.getClefParams(firstStaff, true);
+	var style = this.getLeadingElement(firstStaff.voices[0], "style");
+	if (style)
+	    key += " style=" + style.head;
+    }
+    this.printHeaderLine("NULL","K",key);
+    this.state = {
+	key: this.getKeyString(firstStaff && firstStaff.key ? firstStaff.key : { root: "C", acc: "", mode: "" }),
+	meters: [],
+	keys: {},
+	clefs: [],
+	styles: {},
+	positions: {},
+	fonts: {}
+    };
+};
+
+TextPrinter.prototype.getFirstStaff = function() {
+    for (var i = 0; i < this.lines.length; i++) {
+	if (this.lines[i].staff)
+	    return this.lines[i].staff[0];
+    }
+    return null;
+};
+
+// The subtitles that come before the music are written as T: fields in the header. The rest are written in the body where they appear.
+TextPrinter.prototype.printSubtitles = function() {
+    this.bodyStart = 0;
+    if (!this.metaText.title)
+	return;
+    while (this.bodyStart < this.lines.length && this.lines[this.bodyStart].subtitle !== undefined && !this.lines[this.bodyStart].vskip) {
+	this.printLine("T: " + this.lines[this.bodyStart].subtitle);
+	this.bodyStart++;
+    }
+};
+
+// The voices are numbered in order, starting with the first voice on the top staff.
+// If there is more than one voice, each voice gets a V: field, and each line of music is marked with the voice it is in.
+TextPrinter.prototype.findVoices = function() {
+    this.voiceIds = [];
+    this.voiceDefinitions = [];
+    this.scoreStaffs = [];
+    var count = 0;
+    var needsDefinitions = false;
+    for (var i = 0; i < this.lines.length; i++) {
+	var staffs = this.lines[i].staff;
+	if (!staffs)
+	    continue;
+	for (var s = 0; s < staffs.length; s++) {
+	    if (!this.voiceIds[s]) {
+		this.voiceIds[s] = [];
+		this.scoreStaffs[s] = staffs[s];
+	    }
+	    var overlays = this.findOverlays(staffs[s]);
+	    for (var v = 0; v < staffs[s].voices.length; v++) {
+		if (overlays[v] === undefined && this.voiceIds[s][v] === undefined) {
+		    count++;
+		    this.voiceIds[s][v] = count;
+		    var voice = staffs[s].voices[v];
+		    var definition = {
+			id: count,
+			staff: staffs[s],
+			name: staffs[s].title ? staffs[s].title[v] : undefined,
+			subname: this.findSubname(i, s, v),
+			stem: this.getExplicitStem(staffs[s], v),
+			style: this.getLeadingElement(voice, "style"),
+			scale: this.getLeadingElement(voice, "scale")
+		    };
+		    if (definition.name || definition.subname || definition.stem || definition.scale)
+			needsDefinitions = true;
+		    this.voiceDefinitions.push(definition);
+		}
+	    }
+	}
+    }
+    this.multipleVoices = count > 1 || needsDefinitions;
+};
+
+// The parser puts the notes after an & in a voice of their own, and that voice has the same bar lines as the voice that it came from.
+// This returns, for each of those voices, the voice that they go with.
+TextPrinter.prototype.findOverlays = function(staff) {
+    var overlays = [];
+    var bars = [];
+    for (var v = 0; v < staff.voices.length; v++) {
+	bars[v] = [];
+	for (var i = 0; i < staff.voices[v].length; i++) {
+	    if (staff.voices[v][i].el_type === "bar")
+		bars[v].push(staff.voices[v][i].startChar);
+	}
+    }
+    for (v = 1; v < staff.voices.length; v++) {
+	if (bars[v].length === 0 || bars[v][0] === undefined)
+	    continue;
+	for (var m = 0; m < v; m++) {
+	    if (overlays[m] === undefined && bars[m].join(",") === bars[v].join(",")) {
+		overlays[v] = m;
+		break;
+	    }
+	}
+    }
+    return overlays;
+};
+
+// The name of a voice is shown on its first line, and the subname on the lines after that.
+TextPrinter.prototype.findSubname = function(lineNum, s, v) {
+    for (var i = lineNum+1; i < this.lines.length; i++) {
+	var staffs = this.lines[i].staff;
+	if (staffs) {
+	    if (staffs[s] && staffs[s].title && staffs[s].title[v])
+		return staffs[s].title[v];
+	    return undefined;
+	}
+    }
+    return undefined;
+};
+
+// The elements that the parser puts at the start of each line of a voice.
+TextPrinter.prototype.getLeadingElement = function(voice, type) {
+    for (var i = 0; i < voice.length; i++) {
+	if (voice[i].el_type === type)
+	    return voice[i];
+	if (voice[i].el_type === "note" || voice[i].el_type === "bar")
+	    return null;
+    }
+    return null;
+};
+
+// When there is more than one voice on a staff, the stems of the first voice go up and the others go down unless the voice says otherwise.
+TextPrinter.prototype.getExplicitStem = function(staff, v) {
+    var stem = this.getLeadingElement(staff.voices[v], "stem");
+    if (!stem)
+	return undefined;
+    var numVoices = staff.voices.length - this.findOverlays(staff).filter(function(m) { return m !== undefined; }).length;
+    var automatic = numVoices === 1 ? undefined : v === 0 ? "up" : "down";
+    return stem.direction === automatic ? undefined : stem.direction;
+};
+
+TextPrinter.prototype.printScore = function() {
+    if (!this.multipleVoices)
+	return;
+    var score = "";
+    for (var s = 0; s < this.voiceIds.length; s++) {
+	var staff = this.scoreStaffs[s];
+	var prev = s > 0 ? this.scoreStaffs[s-1] : {};
+	// When there is more than one voice on the first staff of a bracket, the parser marks it as a continuation.
+	if (staff.bracket === "start" || (staff.bracket && prev.bracket !== "start" && prev.bracket !== "continue"))
+	    score += "[";
+	if (staff.brace === "start" || (staff.brace && prev.brace !== "start" && prev.brace !== "continue"))
+	    score += "{";
+	if (this.voiceIds[s].length > 1)
+	    score += "(" + this.voiceIds[s].join(" ") + ")";
+	else
+	    score += this.voiceIds[s][0];
+	if (staff.brace === "end")
+	    score += "}";
+	if (staff.bracket === "end")
+	    score += "]";
+	if (staff.connectBarLines === "start" || staff.connectBarLines === "continue")
+	    score += " |";
+	score += " ";
+    }
+    this.printLine("%%score " + score.replace(/\s+$/, ""));
+};
+
+TextPrinter.prototype.printVoiceDefinitions = function() {
+    if (!this.multipleVoices)
+	return;
+    for (var i = 0; i < this.voiceDefinitions.length; i++) {
+	var voice = this.voiceDefinitions[i];
+	var str = "V:" + voice.id;
+	if (voice.name)
+	    str += ' name="' + voice.name + '"';
+	if (voice.subname)
+	    str += ' subname="' + voice.subname + '"';
+	str += this.getClefParams(voice.staff, false);
+	if (voice.staff.staffscale)
+	    str += " staffscale=" + voice.staff.staffscale;
+	if (voice.stem)
+	    str += " stem=" + voice.stem;
+	if (voice.style)
+	    str += " style=" + voice.style.head;
+	if (voice.scale)
+	    str += " scale=" + voice.scale.size;
+	this.printLine(str);
+    }
+};
+
+// The clef and the other staff settings that can be written on the K: or V: line.
+TextPrinter.prototype.getClefParams = function(staff, onKeyLine) {
+    var str = "";
+    var clef = staff.clef;
+    if (!clef)
+	return str;
+    var name = this.getClefName(clef);
+    if (name !== "treble")
+	str += " clef=" + name;
+    if (clef.stafflines !== undefined)
+	str += " stafflines=" + clef.stafflines;
+    if (clef.transpose)
+	str += " transpose=" + clef.transpose;
+    if (onKeyLine && staff.staffscale)
+	str += " staffscale=" + staff.staffscale;
+    return str;
+};
+
+// The parser keeps the clef as the basic type plus the line it is on, so that is turned back into the name that was written.
+TextPrinter.prototype.getClefName = function(clef) {
+    if (clef.clefPos === undefined)
+	return clef.type;
+    switch (clef.type) {
+    case "treble": return clef.clefPos === 4 ? "treble" : "treble" + clef.clefPos/2;
+    case "bass": return clef.clefPos === 8 ? "bass" : "bass" + clef.clefPos/2;
+    case "alto":
+	if (clef.clefPos === 6) return "alto";
+	if (clef.clefPos === 8) return "tenor";
+	return "alto" + clef.clefPos/2;
+    }
+    return clef.type;
+};
+
+TextPrinter.prototype.printTempo = function() {
+    var tempo = this.metaText.tempo;
+    if (tempo) {
+	if (tempo.suppress)
+	    this.printLine("%%printtempo 0");
+	this.printString("Q: " + this.getTempoString(tempo));
+	this.printNewLine();
+    }
+};
+
+TextPrinter.prototype.getTempoString = function(tempo) {
+    var str = "";
+    if (tempo.preString)
+	str += '"' + tempo.preString + '" ';
+    if (tempo.bpm && !tempo.suppressBpm) {
+	// A tempo with a beat of one is written as just the number of beats per minute.
+	if (tempo.duration && tempo.duration.length > 0 && !(tempo.duration.length === 1 && tempo.duration[0] === 1)) {
+	    var beats = [];
+	    for (var i = 0; i < tempo.duration.length; i++)
+		beats.push(this.getLengthString(tempo.duration[i]));
+	    str += beats.join(" ") + "=" + tempo.bpm;
+	} else
+	    str += tempo.bpm;
+    }
+    if (tempo.postString)
+	str += ' "' + tempo.postString + '"';
+    return str.replace(/\s+$/, "");
+};
 
-    this.printHeaderLine("NULL","M",this.getMeterString(this.abctune.lines[0].staff[0].meter));
-    this.printHeaderLine("NULL","K",this.getKeyString(this.abctune.lines[0].staff[0].key));//TODO K
+// Returns a fraction like "3/8" for a number. The denominator is a power of two, which is the only kind of length that abc can express.
+TextPrinter.prototype.getFraction = function(num) {
+    var den = 1;
+    while (Math.abs(num * den - Math.round(num * den)) > 0.0001 && den < 512)
+	den *= 2;
+    var top = Math.round(num * den);
+    return den === 1 ? "" + top : top + "/" + den;
 };
 
+// The L: field and the beats in the Q: field always have a denominator, even if it is one.
+TextPrinter.prototype.getLengthString = function(num) {
+    var fraction = this.getFraction(num);
+    return fraction.indexOf("/") < 0 ? fraction + "/1" : fraction;
+};
+
+// The unit note length is the most common length of a note, so that most notes are written without a length.
+TextPrinter.prototype.findUnitLength = function() {
+    var counts = {};
+    this.forEachElement(function(elem) {
+	if (elem.el_type !== "note" || !elem.duration || (elem.rest && (elem.rest.type === "multimeasure" || elem.rest.type === "whole")))
+	    return;
+	var length = 1;
+	while (length > elem.duration + 0.0001 && length > 1/64)
+	    length /= 2;
+	if (Math.abs(length - elem.duration) < 0.0001)
+	    counts[length] = (counts[length] || 0) + 1;
+    });
+    var best = 1/8;
+    for (var length in counts) {
+	if (counts.hasOwnProperty(length) && counts[length] > (counts[best] || 0))
+	    best = parseFloat(length);
+    }
+    return best;
+};
+
+TextPrinter.prototype.forEachElement = function(fn) {
+    for (var i = 0; i < this.lines.length; i++) {
+	var staffs = this.lines[i].staff;
+	if (!staffs)
+	    continue;
+	for (var s = 0; s < staffs.length; s++) {
+	    for (var v = 0; v < staffs[s].voices.length; v++) {
+		var voice = staffs[s].voices[v];
+		for (var e = 0; e < voice.length; e++)
+		    fn(voice[e]);
+	    }
+	}
+    }
+};
+
+var sharpOrder = "FCGDAEB";
+var flatOrder = "BEADGCF";
+var keyFifths = { F: -1, C: 0, G: 1, D: 2, A: 3, E: 4, B: 5 };
+var modeFifths = { "": 0, m: -3, Dor: -2, Phr: -4, Lyd: 1, Mix: -1, Loc: -5 };
+var accidentalStrings = { sharp: "^", dblsharp: "^^", quartersharp: "^/", flat: "_", dblflat: "__", quarterflat: "_/", natural: "=" };
+
+// The key's accidentals include the ones that come from the key signature, so only the ones that were added to it are written.
 TextPrinter.prototype.getKeyString = function(key) {
-    return key.root+key.acc+key.mode;
+    if (key.root === "HP" || key.root === "Hp")
+	return key.root;
+    var str = "none";
+    var standard = {};
+    if (keyFifths[key.root] !== undefined) {
+	str = key.root + (key.acc || "") + (key.mode || "");
+	var fifths = keyFifths[key.root] + (key.acc === "#" ? 7 : key.acc === "b" ? -7 : 0) + (modeFifths[key.mode || ""] || 0);
+	for (var i = 0; i < Math.min(Math.abs(fifths), 7); i++) {
+	    if (fifths > 0)
+		standard[sharpOrder[i]] = "sharp";
+	    else
+		standard[flatOrder[i]] = "flat";
+	}
+    }
+    var extra = [];
+    var accidentals = key.accidentals || [];
+    for (var j = 0; j < accidentals.length; j++) {
+	var note = accidentals[j].note.toUpperCase();
+	if (standard[note] === accidentals[j].acc || (accidentals[j].acc === "natural" && !standard[note]))
+	    continue;
+	extra.push(accidentalStrings[accidentals[j].acc] + accidentals[j].note);
+    }
+    return extra.length > 0 ? str + " " + extra.join(" ") : str;
 };
 
 TextPrinter.prototype.getMeterString = function(meter) {
     switch (meter.type) {
     case "cut_time": return "C|";
     case "common_time": return "C";
+    case "tempus_perfectum": return "o";
+    case "tempus_imperfectum": return "c";
+    case "tempus_perfectum_prolatio": return "o.";
+    case "tempus_imperfectum_prolatio": return "c.";
     case "specified":
-      if (meter.value[0].den)
-		return meter.value[0].num+"/"+meter.value[0].den;
-      else
-	    return meter.value[0].num;
+	var values = [];
+	for (var i = 0; i < meter.value.length; i++)
+	    values.push(meter.value[i].den ? meter.value[i].num+"/"+meter.value[i].den : meter.value[i].num);
+	return values.join(" ");
     }
-    return "";
+    return "none";
 };
 
 TextPrinter.prototype.printHeaderLine = function(fieldname, abcfield, defaut) {
-    var val = this.abctune.metaText[fieldname] || defaut;
+    var val = this.metaText[fieldname] || defaut;
     if (val !== undefined) {
-	var valarray = val.split("\n");
+	var valarray = ("" + val).split("\n");
 	for (var i=0; i<valarray.length; i++) {
 	    this.printString(abcfield+": "+valarray[i]);
 	    this.printNewLine();
@@ -100,6 +487,197 @@ TextPrinter.prototype.printHeaderLine = function(fieldname, abcfield, defaut) {
     }
 };
 
+var defaultFormatting;
+// The formatting of a tune that doesn't have any directives. Only the settings that are different from this are written.
+function getDefaultFormatting() {
+    if (!defaultFormatting) {
+	var parser = new Parse();
+	parser.parse("X:1\nK:C\n", {});
+	defaultFormatting = parser.getTune().formatting;
+    }
+    return defaultFormatting;
+}
+
+var measurementDirectives = [ "botmargin", "botspace", "composerspace", "indent", "leftmargin", "linesep", "musicspace", "partsspace", "pageheight", "pagewidth",
+    "rightmargin", "staffsep", "staffwidth", "subtitlespace", "sysstaffsep", "systemsep", "textspace", "titlespace", "topmargin", "topspace", "vocalspace", "wordsspace" ];
+var metaTextDirectives = [ "abc-copyright", "abc-creator", "abc-edited-by", "abc-version", "abc-charset" ];
+
+TextPrinter.prototype.printDirectives = function() {
+    var i;
+    for (i = 0; i < metaTextDirectives.length; i++) {
+	if (this.metaText[metaTextDirectives[i]] !== undefined)
+	    this.printLine("%%" + metaTextDirectives[i] + " " + this.metaText[metaTextDirectives[i]]);
+    }
+    var headerFooter = [ "header", "footer" ];
+    for (i = 0; i < headerFooter.length; i++) {
+	var hf = this.metaText[headerFooter[i]];
+	if (hf)
+	    this.printLine("%%" + headerFooter[i] + ' "' + hf.left + "\t" + hf.center + "\t" + hf.right + '"');
+    }
+    for (i = 0; i < this.textFonts.length; i++)
+	this.printLine("%%setfont-" + (i+1) + " " + this.getFontString(this.textFonts[i]));
+
+    var defaults = getDefaultFormatting();
+    for (var cmd in this.formatting) {
+	if (!this.formatting.hasOwnProperty(cmd) || cmd === "midi")
+	    continue;
+	var value = this.formatting[cmd];
+	if (JSON.stringify(value) === JSON.stringify(defaults[cmd]))
+	    continue;
+	if (value && typeof value === "object") {
+	    if (value.face !== undefined)
+		this.printLine("%%" + cmd + " " + this.getFontString(value));
+	} else if (value === true)
+	    this.printLine("%%" + cmd);
+	else if (measurementDirectives.indexOf(cmd) >= 0 && value !== Math.round(value))
+	    this.printLine("%%" + cmd + " " + value + "pt"); // without the unit only the whole number is read.
+	else if (value !== false && value !== undefined && value !== null)
+	    this.printLine("%%" + cmd + " " + value);
+    }
+    this.printMidi();
+    this.printBarNumbers();
+    // The staffs with only rests were hidden, so they need to be hidden again.
+    var lines = this.abctune.lines || [];
+    for (i = 0; i < lines.length; i++) {
+	if (lines[i].hiddenStaffs) {
+	    this.printLine("%%staffnonote 0");
+	    break;
+	}
+    }
+};
+
+// The faces that have quotes in them come from these PostScript font names, in the order normal, italic, bold, bold italic.
+var postscriptFonts = {
+    '"Courier New"': [ "Courier", "Courier-Oblique", "Courier-Bold", "Courier-BoldOblique" ],
+    '"Helvetica Narrow",Helvetica': [ "Helvetica-Narrow", "Helvetica-Narrow-Oblique", "Helvetica-Narrow-Bold", "Helvetica-Narrow-BoldOblique" ],
+    '"New Century",serif': [ "NewCenturySchlbk-Roman", "NewCenturySchlbk-Italic", "NewCenturySchlbk-Bold", "NewCenturySchlbk-BoldItalic" ],
+    '"Times New Roman"': [ "Times-Roman", "Times-Italic", "Times-Bold", "Times-BoldItalic" ],
+    '"Zapf Chancery",cursive,serif': [ "ZapfChancery-MediumItalic" ]
+};
+
+TextPrinter.prototype.getFontString = function(font) {
+    var face = "" + font.face;
+    var postscript = postscriptFonts[face] ? postscriptFonts[face][(font.weight === "bold" ? 2 : 0) + (font.style === "italic" ? 1 : 0)] : undefined;
+    if (postscript && font.decoration !== "underline")
+	return postscript + " " + font.size + (font.box ? " box" : "");
+    if (face.indexOf(" ") >= 0 && face.charAt(0) !== '"')
+	face = '"' + face + '"';
+    var str = face + " " + font.size;
+    if (font.weight === "bold")
+	str += " bold";
+    if (font.style === "italic")
+	str += " italic";
+    if (font.decoration === "underline")
+	str += " underline";
+    if (font.box)
+	str += " box";
+    return str;
+};
+
+TextPrinter.prototype.printMidi = function() {
+    var midi = this.formatting.midi;
+    if (!midi)
+	return;
+    for (var cmd in midi) {
+	if (midi.hasOwnProperty(cmd)) {
+	    if (cmd === "drummap") {
+		for (var note in midi.drummap) {
+		    if (midi.drummap.hasOwnProperty(note))
+			this.printLine("%%MIDI drummap " + note + " " + midi.drummap[note]);
+		}
+	    } else
+		this.printLine("%%MIDI " + this.getMidiString(cmd, midi[cmd]));
+	}
+    }
+};
+
+var midiFractionCommands = [ "expand", "grace", "trim" ];
+var midiOctaveCommands = [ "bassprog", "chordprog" ];
+
+TextPrinter.prototype.getMidiString = function(cmd, params) {
+    if (midiFractionCommands.indexOf(cmd) >= 0)
+	return cmd + " " + params[0] + "/" + params[1];
+    if (midiOctaveCommands.indexOf(cmd) >= 0 && params.length > 1)
+	return cmd + " " + params[0] + " octave=" + params[1];
+    return params.length > 0 ? cmd + " " + params.join(" ") : cmd;
+};
+
+// The bar numbers aren't kept as a setting, but they can be figured out from the bars that have them.
+TextPrinter.prototype.printBarNumbers = function() {
+    // The bars whose number is a multiple of the setting get a number, so the setting is the largest number that they all divide by.
+    var every;
+    var atLineStart = false;
+    var gcd = function(a, b) { return b === 0 ? a : gcd(b, a % b); };
+    this.forEachElement(function(elem) {
+	if (elem.el_type === "bar" && elem.barNumber)
+	    every = every === undefined ? elem.barNumber : gcd(every, elem.barNumber);
+    });
+    for (var i = 0; i < this.lines.length; i++) {
+	if (this.lines[i].staff && this.lines[i].staff[0].barNumber)
+	    atLineStart = true;
+    }
+    if (every !== undefined)
+	this.printLine("%%barnumbers " + every);
+    else if (atLineStart)
+	this.printLine("%%barnumbers 0");
+};
+
+// The text that uses more than one font refers to the fonts by number, so they are defined in the header with %%setfont.
+TextPrinter.prototype.findTextFonts = function() {
+    this.textFonts = [];
+    var self = this;
+    var addFonts = function(text) {
+	if (!text || typeof text === "string")
+	    return;
+	for (var i = 0; i < text.length; i++) {
+	    if (text[i].font && self.findTextFont(text[i].font) < 0 && self.textFonts.length < 4)
+		self.textFonts.push(text[i].font);
+	}
+    };
+    var words = this.metaText.unalignedWords || [];
+    for (var i = 0; i < words.length; i++)
+	addFonts(words[i]);
+    for (var j = 0; j < this.lines.length; j++) {
+	var text = this.lines[j].text;
+	if (text && typeof text !== "string" && text.length === 1 && text[0].center)
+	    addFonts(text[0].text);
+	else
+	    addFonts(text);
+    }
+};
+
+TextPrinter.prototype.findTextFont = function(font) {
+    var str = this.getFontString(font);
+    for (var i = 0; i < this.textFonts.length; i++) {
+	if (this.getFontString(this.textFonts[i]) === str)
+	    return i;
+    }
+    return -1;
+};
+
+// A line of text that changes font is written with $1 to $4 for the fonts defined with %%setfont, and $0 to go back to the normal font.
+TextPrinter.prototype.getFontChangeString = function(text) {
+    if (typeof text === "string")
+	return text;
+    var str = "";
+    for (var i = 0; i < text.length; i++) {
+	if (text[i].font) {
+	    var num = this.findTextFont(text[i].font);
+	    if (num >= 0)
+		str += "$" + (num+1);
+	} else if (i > 0)
+	    str += "$0";
+	str += text[i].text;
+    }
+    return str;
+};
+
+TextPrinter.prototype.printWords = function() {
+    var words = this.metaText.unalignedWords || [];
+    for (var i = 0; i < words.length; i++)
+	this.printLine(("W: " + this.getFontChangeString(words[i])).replace(/\s+$/, ""));
+};
+
 TextPrinter.prototype.getElem = function() {
     if (this.abcline.length <= this.pos)
 	return null;
@@ -113,18 +691,38 @@ TextPrinter.prototype.getNextElem = function() {
 };
 
 TextPrinter.prototype.printBody = function() {
-    for(var line=0; line<this.abctune.lines.length; line++) {
-	var abcline = this.abctune.lines[line];
+    this.pending = {};
+    for(var line=this.bodyStart; line<this.lines.length; line++) {
+	var abcline = this.lines[line];
+	this.lineNum = line;
+	if (abcline.vskip)
+	    this.printLine("%%vskip " + abcline.vskip);
 	if (abcline.staff) {
 	    this.printABCLine(abcline.staff);
-	} else if (abcline.subtitle && line!==0) {
-	    //TODO
-	} else if (abcline.text) {
-	    //TODO
+	} else if (abcline.subtitle !== undefined) {
+	    this.printLine("T: " + abcline.subtitle);
+	} else if (abcline.text !== undefined) {
+	    this.printText(abcline.text);
+	} else if (abcline.newpage !== undefined) {
+	    this.printLine(abcline.newpage > 0 ? "%%newpage " + abcline.newpage : "%%newpage");
+	} else if (abcline.separator) {
+	    this.printLine("%%sep " + abcline.separator.spaceAbove + " " + abcline.separator.spaceBelow + " " + abcline.separator.lineLength);
 	}
     }
 };
 
+// A text block is kept as one string that starts with a space, because each of its lines was added with a space in front of it.
+TextPrinter.prototype.printText = function(text) {
+    if (typeof text === "string" && text.charAt(0) === " ") {
+	this.printLine("%%begintext");
+	this.printLine(text.substring(1));
+	this.printLine("%%endtext");
+    } else if (typeof text !== "string" && text.length === 1 && text[0].center)
+	this.printLine(("%%center " + this.getFontChangeString(text[0].text)).replace(/\s+$/, ""));
+    else
+	this.printLine(("%%text " + this.getFontChangeString(text)).replace(/\s+$/, ""));
+};
+
 TextPrinter.prototype.printABCLine = function(staffs) {
     for (this.s = 0; this.s < staffs.length; this.s++) {
 	this.printABCStaff(staffs[this.s]);
@@ -132,185 +730,525 @@ TextPrinter.prototype.printABCLine = function(staffs) {
 };
 
 TextPrinter.prototype.printABCStaff = function(abcstaff) {
-
+    var keyString = abcstaff.key ? this.getKeyString(abcstaff.key) : undefined;
+    var clefName = abcstaff.clef ? this.getClefName(abcstaff.clef) : undefined;
+    var overlays = this.findOverlays(abcstaff);
     for (this.v = 0; this.v < abcstaff.voices.length; this.v++) {
-	// TODO stuff about voices
+	if (overlays[this.v] !== undefined)
+	    continue;
+	var voice = abcstaff.voices[this.v];
+	var voiceOverlays = [];
+	for (var o = 0; o < overlays.length; o++) {
+	    if (overlays[o] === this.v)
+		voiceOverlays.push({ voice: abcstaff.voices[o], pos: 0 });
+	}
+	this.printFormattingChanges(voice);
+	// A part at the start of the music is written on its own line. In brackets it would be added to the end of the line before.
+	this.leadingParts = this.s === 0 && this.v === 0;
+	for (var j = 0; this.leadingParts && j < voice.length && voice[j].el_type !== "note" && voice[j].el_type !== "bar"; j++) {
+	    if (voice[j].el_type === "part")
+		this.printLine("P:" + voice[j].title);
+	}
+	// The clef and the note heads belong to the voice. When there is more than one voice, they are changed in the V: field, because
+	// in a K: field they would change all the voices that don't have their own.
+	var voiceParams = "";
+	var clefId = this.s + "-" + this.v;
+	if (this.state.clefs[clefId] === undefined)
+	    this.state.clefs[clefId] = this.getClefName(this.voiceDefinitions[this.voiceIds[this.s][this.v]-1].staff.clef || { type: "treble" });
+	var style = this.getLeadingElement(voice, "style");
+	if (this.multipleVoices) {
+	    voiceParams = this.getVoiceChanges(clefName, style);
+	    this.printString("[V:" + this.voiceIds[this.s][this.v] + voiceParams + "] ");
+	}
+	this.printPending();
+	var fields = [];
+	if (abcstaff.meter && this.v === 0) {
+	    var meter = this.getMeterString(abcstaff.meter);
+	    // The meter in the header is on the first line of music.
+	    if (this.state.meters[this.s] !== undefined || meter !== this.getMeterString(this.getFirstStaff().meter || {}))
+		fields.push("M:" + meter);
+	    this.state.meters[this.s] = meter;
+	} else if (this.state.meters[this.s] === undefined && abcstaff.meter)
+	    this.state.meters[this.s] = this.getMeterString(abcstaff.meter);
+	if (this.state.keys[clefId] === undefined)
+	    this.state.keys[clefId] = this.state.key;
+	if (keyString !== undefined && keyString !== this.state.keys[clefId]) {
+	    fields.push("K:" + keyString);
+	    this.state.keys[clefId] = keyString;
+	}
+	if (!this.multipleVoices) {
+	    voiceParams = this.getVoiceChanges(clefName, style);
+	    if (voiceParams)
+		fields.push("K:" + voiceParams.substring(1));
+	}
+	for (var i = 0; i < fields.length; i++)
+	    this.printString("[" + fields[i] + "] ");
+	this.printABCVoice(voice, voiceOverlays);
+    }
+
+};
 
-	// TODO this is where key sig is this.voice.addChild(this.printClef(abcstaff.clef));
-	// this.voice.addChild(this.printKeySignature(abcstaff.key));
-	// if (abcstaff.meter) this.voice.addChild(this.printTimeSignature(abcstaff.meter));
-	this.printABCVoice(abcstaff.voices[this.v]);
+// Returns the clef and note head settings of the current voice that are different from the line before it.
+TextPrinter.prototype.getVoiceChanges = function(clefName, style) {
+    var str = "";
+    var clefId = this.s + "-" + this.v;
+    // The clef belongs to the staff, so it is only written for the first voice on it.
+    if (clefName !== undefined && clefName !== this.state.clefs[clefId]) {
+	if (this.v === 0)
+	    str += " clef=" + clefName;
+	this.state.clefs[clefId] = clefName;
     }
+    if (style && this.state.styles[clefId] !== undefined && style.head !== this.state.styles[clefId])
+	str += " style=" + style.head;
+    if (style || this.state.styles[clefId] === undefined)
+	this.state.styles[clefId] = style ? style.head : "";
+    return str;
+};
 
+// Whether the current voice is in a line of music after this one.
+TextPrinter.prototype.hasNextLine = function() {
+    for (var i = this.lineNum+1; i < this.lines.length; i++) {
+	var staffs = this.lines[i].staff;
+	if (staffs)
+	    return staffs[this.s] !== undefined && staffs[this.s].voices[this.v] !== undefined;
+    }
+    return false;
+};
+
+TextPrinter.prototype.printPending = function() {
+    var pending = this.pending[this.s + "-" + this.v];
+    if (!pending)
+	return;
+    var abcline = this.abcline;
+    this.abcline = pending;
+    for (this.pos = 0; this.pos < pending.length; this.pos++) {
+	this.printABCElement();
+	this.printSpace();
+    }
+    this.abcline = abcline;
+};
+
+var positionDirectives = { vocalPosition: "vocal", dynamicPosition: "dynamic", chordPosition: "gchord", ornamentPosition: "ornament", volumePosition: "volume" };
+var noteFonts = [ "annotationfont", "gchordfont", "vocalfont", "tripletfont" ];
+var barFonts = [ "measurefont", "repeatfont" ];
+
+// The positions of the things above and below the staff, and the fonts that can change in the middle of the tune, are kept on each note
+// and bar. When they are different from the notes before them, the directive that changes them is written before the line of music,
+// or in an I: field if the change is in the middle of the line.
+TextPrinter.prototype.printFormattingChanges = function(voice) {
+    var firstNote;
+    var firstBar;
+    for (var i = 0; i < voice.length; i++) {
+	if (!firstNote && voice[i].el_type === "note")
+	    firstNote = voice[i];
+	if (!firstBar && voice[i].el_type === "bar")
+	    firstBar = voice[i];
+    }
+    var changes = this.getFormattingChanges(firstNote, "note").concat(this.getFormattingChanges(firstBar, "bar"));
+    for (i = 0; i < changes.length; i++)
+	this.printLine("%%" + changes[i]);
+};
+
+TextPrinter.prototype.getFormattingChanges = function(elem, type) {
+    var changes = [];
+    if (!elem)
+	return changes;
+    for (var key in positionDirectives) {
+	if (!positionDirectives.hasOwnProperty(key) || (key === "vocalPosition" && type === "bar"))
+	    continue;
+	var position = elem.positioning && elem.positioning[key] ? elem.positioning[key] : "auto";
+	if (position !== (this.state.positions[key] || "auto")) {
+	    changes.push(positionDirectives[key] + " " + position);
+	    this.state.positions[key] = position;
+	}
+    }
+    var fonts = type === "note" ? noteFonts : barFonts;
+    for (var i = 0; i < fonts.length; i++) {
+	var font = elem.fonts && elem.fonts[fonts[i]] ? elem.fonts[fonts[i]] : this.formatting[fonts[i]];
+	if (!font)
+	    continue;
+	var fontString = this.getFontString(font);
+	var current = this.state.fonts[fonts[i]] || (this.formatting[fonts[i]] ? this.getFontString(this.formatting[fonts[i]]) : undefined);
+	if (fontString !== current) {
+	    changes.push(fonts[i] + " " + fontString);
+	    this.state.fonts[fonts[i]] = fontString;
+	}
+    }
+    return changes;
 };
 
-TextPrinter.prototype.printABCVoice = function(abcline) {
+TextPrinter.prototype.printABCVoice = function(abcline, overlays) {
+    this.pending[this.s + "-" + this.v] = [];
     this.abcline = abcline;
+    this.inBeam = false;
+    this.beatStart = 0;
+    this.lastBeamable = null;
+    var leading = true;
+    var last = -1;
     for (this.pos=0; this.pos<this.abcline.length; this.pos++) {
+	if (this.abcline[this.pos].el_type === "note" || this.abcline[this.pos].el_type === "bar")
+	    last = this.pos;
+    }
+    for (this.pos=0; this.pos<this.abcline.length; this.pos++) {
+	var elem = this.getElem();
+	if (elem.el_type === "note" || elem.el_type === "bar")
+	    leading = false;
+	// The parser adds these at the start of every line from the voice's settings, so they were written in the V: or K: field.
+	if (leading && (elem.el_type === "stem" || elem.el_type === "style" || elem.el_type === "scale"))
+	    continue;
+	if (leading && this.leadingParts && elem.el_type === "part")
+	    continue;
+	// The parser adds the fields at the start of a line to the end of the line before it, so that is where they are written.
+	if (this.pos > last && last >= 0 && !this.multipleVoices && this.hasNextLine()) {
+	    this.pending[this.s + "-" + this.v].push(elem);
+	    continue;
+	}
+	if (elem.el_type === "bar")
+	    this.printOverlays(overlays, elem);
 	this.printABCElement();
     }
+    this.printOverlays(overlays);
+    this.text = this.text.replace(/ +$/, "");
     this.printNewLine();
+    this.printLyrics(abcline);
+};
+
+// Writes the notes of the overlays that are in the measure that ends with this bar line, or the notes after the last bar line if there isn't a bar.
+TextPrinter.prototype.printOverlays = function(overlays, bar) {
+    if (!overlays)
+	return;
+    var saved = { abcline: this.abcline, pos: this.pos, inBeam: this.inBeam, beatStart: this.beatStart, lastBeamable: this.lastBeamable };
+    for (var i = 0; i < overlays.length; i++) {
+	var overlay = overlays[i];
+	var end = overlay.pos;
+	while (end < overlay.voice.length && !(overlay.voice[end].el_type === "bar" && bar && overlay.voice[end].startChar === bar.startChar))
+	    end++;
+	if (bar && end === overlay.voice.length)
+	    continue;
+	this.abcline = overlay.voice;
+	var started = false;
+	for (this.pos = overlay.pos; this.pos < end; this.pos++) {
+	    var elem = this.getElem();
+	    var type = elem.el_type;
+	    // A measure without an overlay is filled with an invisible rest.
+	    if (elem.rest && elem.rest.type === "invisible" && bar && elem.startChar === bar.startChar)
+		continue;
+	    if (type === "bar" || type === "stem" || type === "style" || type === "scale")
+		continue;
+	    if (!started || type === "overlay") {
+		this.printSpace();
+		this.printString("& ");
+		this.inBeam = false;
+		this.beatStart = 0;
+		this.lastBeamable = null;
+		started = true;
+	    }
+	    this.printABCElement();
+	}
+	overlay.pos = bar ? end + 1 : end;
+    }
+    this.abcline = saved.abcline;
+    this.pos = saved.pos;
+    this.inBeam = saved.inBeam;
+    this.beatStart = saved.beatStart;
+    this.lastBeamable = saved.lastBeamable;
+};
+
+// Prints a w: line for each verse of the lyrics that are attached to the notes in this line.
+TextPrinter.prototype.printLyrics = function(abcline) {
+    var numVerses = 0;
+    var notes = [];
+    var i;
+    for (i = 0; i < abcline.length; i++) {
+	var elem = abcline[i];
+	if (elem.el_type === "note") {
+	    notes.push(elem);
+	    if (elem.lyric)
+		numVerses = Math.max(numVerses, elem.lyric.length);
+	}
+    }
+    for (var verse = 0; verse < numVerses; verse++) {
+	var last = -1;
+	for (i = 0; i < notes.length; i++) {
+	    if (notes[i].lyric && notes[i].lyric[verse] !== undefined)
+		last = i;
+	}
+	var words = "";
+	// After a syllable that ends with "_" the next note is skipped, and the notes after that are written with "_" while the syllable is held.
+	var skipNext = false;
+	var inMelisma = false;
+	for (i = 0; i <= last; i++) {
+	    var lyric = notes[i].lyric ? notes[i].lyric[verse] : undefined;
+	    if (notes[i].rest && lyric === undefined)
+		continue;
+	    if (!notes[i].rest && lyric && lyric.syllable) {
+		// Spaces inside a syllable are written as ~.
+		words += lyric.syllable.replace(/[ \u00A0]/g, "~");
+		switch (lyric.divider) {
+		case "-": words += "-"; break;
+		case "_": words += "_ "; break;
+		default: words += " ";
+		}
+		skipNext = lyric.divider === "_";
+		inMelisma = skipNext;
+	    } else if (skipNext)
+		skipNext = false;
+	    else
+		words += inMelisma ? "_ " : "* ";
+	}
+	var str = words.replace(/\s+$/, "");
+	if (str.length > 0) {
+	    this.printLyricFont(notes, verse);
+	    this.printString("w: " + str);
+	    this.printNewLine();
+	}
+    }
+};
+
+// The font of the lyrics is the one that was set when the w: line was read, so a change in the font is written before it.
+TextPrinter.prototype.printLyricFont = function(notes, verse) {
+    var font = this.formatting.vocalfont;
+    for (var i = 0; i < notes.length; i++) {
+	if (notes[i].lyric && notes[i].lyric[verse]) {
+	    font = notes[i].lyric[verse].font || font;
+	    break;
+	}
+    }
+    if (!font)
+	return;
+    var fontString = this.getFontString(font);
+    var current = this.state.fonts.vocalfont || (this.formatting.vocalfont ? this.getFontString(this.formatting.vocalfont) : undefined);
+    if (fontString !== current) {
+	this.printLine("%%vocalfont " + fontString);
+	this.state.fonts.vocalfont = fontString;
+    }
 };
 
 TextPrinter.prototype.printABCElement = function() {
     var elem = this.getElem();
     switch (elem.el_type) {
     case "note":
+	this.printInlineFormatting(elem);
 	this.printBeam();
 	break;
     case "bar":
+	this.text = this.text.replace(/ +$/, "");
+	this.printInlineFormatting(elem);
 	this.printBarLine(elem);
+	this.printSpace();
+	this.inBeam = false;
+	this.beatStart = 0;
+	this.lastBeamable = null;
 	break;
     case "meter":
-	//TODO this.printTimeSignature(elem);
+	this.printString("[M:" + this.getMeterString(elem) + "]", elem);
+	this.state.meters[this.s] = this.getMeterString(elem);
 	break;
     case "clef":
-	//TODO this.printClef(elem);
+	var clefName = this.getClefName(elem);
+	this.printString("[K:clef=" + clefName + "]", elem);
+	this.state.clefs[this.s + "-" + this.v] = clefName;
 	break;
     case "key":
-	//TODO this.printKeySignature(elem);
-    case "stem":
-	//TODO do nothing?
+	this.state.keys[this.s + "-" + this.v] = this.getKeyString(elem);
+	this.printString("[K:" + this.getKeyString(elem) + "]", elem);
+	break;
+    case "tempo":
+	this.printString("[Q:" + this.getTempoString(elem) + "]", elem);
 	break;
     case "part":
-	//TODO print part
+	this.printString("[P:" + elem.title + "]", elem);
+	break;
+    case "scale":
+	this.printString("[I:voicescale " + elem.size + "]", elem);
+	break;
+    case "midi":
+	this.printString("[I:MIDI " + this.getMidiString(elem.cmd, elem.params) + "]", elem);
 	break;
     default:
-	//TODO show we're missing something
+	// The stems, the note head style and the overlays are set by the voice, so there isn't anything to write for them.
     }
 };
 
+TextPrinter.prototype.printInlineFormatting = function(elem) {
+    var changes = this.getFormattingChanges(elem, elem.el_type);
+    for (var i = 0; i < changes.length; i++)
+	this.printString("[I:" + changes[i] + "]");
+};
+
 TextPrinter.prototype.printBeam = function() {
-    this.printSpace();
-    if (this.getElem().startBeam && !this.getElem().endBeam) {
-	while (this.getElem()) {
-	    this.printNote(this.getElem());
-	    if (this.getElem().endBeam) {
-		break;
-	    }
-	    this.pos++;
-	}
+    var elem = this.getElem();
+    if (this.beaming === "beat") {
+	if (!this.isBeamedWithPrevious(elem))
+	    this.printSpace();
     } else {
-	this.printNote(this.getElem());
+	if (!this.inBeam)
+	    this.printSpace();
+	if (elem.startBeam && !elem.endBeam)
+	    this.inBeam = true;
+	else if (elem.endBeam)
+	    this.inBeam = false;
     }
-    this.printSpace();
+    this.printNote(elem);
+    if (!this.inBeam)
+	this.printSpace();
+};
+
+// For the "beat" beaming, the notes shorter than a quarter note are beamed together when they are in the same beat. The beat is a
+// dotted quarter in compound meters like 6/8, and a quarter note otherwise. In an additive meter like 2+2+3/8, each group is a beat.
+TextPrinter.prototype.isBeamedWithPrevious = function(elem) {
+    var meter = this.state.meters[this.s] || "";
+    var compound = meter.match(/^(\d+)\/8$/);
+    var beat = compound && parseInt(compound[1], 10) % 3 === 0 && parseInt(compound[1], 10) > 3 ? 3/8 : 1/4;
+    var beatStarts = null;
+    var measureLength = 0;
+    if (/^[\d+.]+\/\d+( [\d+.]+\/\d+)*$/.test(meter) && /[+. ]/.test(meter)) {
+	var additive = { type: "specified", value: [] };
+	var fractions = meter.split(" ");
+	for (var i = 0; i < fractions.length; i++)
+	    additive.value.push({ num: fractions[i].split("/")[0], den: fractions[i].split("/")[1] });
+	beatStarts = meterInfo.beatStarts(additive);
+	measureLength = meterInfo.measureLength(additive);
+    }
+    var beatNumber = function(time) {
+	if (!beatStarts)
+	    return Math.floor(time / beat + 0.0001);
+	// A measure that is longer than the meter starts the groups over.
+	var measure = Math.floor(time / measureLength + 0.0001);
+	var offset = time - measure * measureLength;
+	var n = 0;
+	while (n < beatStarts.length - 1 && beatStarts[n + 1] <= offset + 0.0001)
+	    n++;
+	return measure * beatStarts.length + n;
+    };
+    var duration = (elem.duration || 0) * (this.tripletMultiplier || 1);
+    if (elem.startTriplet)
+	duration = (elem.duration || 0) * (elem.tripletMultiplier || 1);
+    var start = this.beatStart;
+    this.beatStart += duration;
+    var beamable = !elem.rest && elem.duration > 0 && elem.duration < 1/4;
+    var beamed = beamable && this.lastBeamable !== null && beatNumber(this.lastBeamable) === beatNumber(start);
+    this.lastBeamable = beamable ? start : null;
+    this.inBeam = beamable;
+    return beamed;
 };
 
 TextPrinter.prototype.printNote = function(elem) {
     var str = "";
 	var i;
-    if (elem.chord !== undefined) {
-	for (i=0; i<elem.chord.length; i++) {
-	    str+= '"'+elem.chord[i].name+'"';
-	}
-    }
-
-    //TODO unify map between names and symbols (to be used with abcparse?)
-    var decorations = {
-	"staccato" : ".",
-	"upbow" : "u",
-	"downbow" : "v",
-	"roll" : "~",
-	"fermata" : "H",
-	"slide" : "J",
-	"accent" : "L",
-	"mordent" : "M",
-	"pralltriller" : "P",
-	"trill" : "T",
-	"lower" : "."
-    };
+    if (elem.chord !== undefined)
+	str += this.getChordString(elem.chord);
 
-    if (elem.decoration !== undefined) {
-	for (i=0; i<elem.decoration.length; i++) {
-	    var dec = elem.decoration[i];
-	    if (decorations[dec]) {
-		str+=decorations[dec];
-	    } else {
-		str+="!"; //TODO hardcoded
-		str+=dec;
-		str+="!"; //TODO hardcoded
-	    }
-	}
-    }
+    if (elem.decoration !== undefined)
+	str += this.getDecorationString(elem.decoration);
+    if (elem.style)
+	str += this.wrapDecoration("style=" + elem.style);
 
     if (elem.gracenotes !== undefined) {
 	str+="{";
+	if (elem.gracenotes.length > 0 && elem.gracenotes[0].acciaccatura)
+	    str+="/";
 	for (i=0; i<elem.gracenotes.length; i++) {
-	    str+=this.getNoteString(elem.gracenotes[i]);
+	    str+=this.getNoteString(elem.gracenotes[i], false, this.getGraceDurationString(elem.gracenotes[i].duration));
+	    if (elem.gracenotes[i].end_beam && i < elem.gracenotes.length-1)
+		str+=" ";
 	}
 	str+="}";
     }
 
-    var ignoreslur = false;
-    if (elem.pitches.length === 1 && elem.pitches[0].startSlur) {
-	ignoreslur = true;
-	str+=this.multiplyString("(",elem.pitches[0].startSlur.length);
-    }
-
-    if (elem.startSlur) {
-	str+=this.multiplyString("(",elem.startSlur.length);
-    }
-
-    if ((elem.pitches.length === 1 && elem.pitches[0].endSlur) || elem.endSlur) {
-	ignoreslur = true;
-    }
+    // The slurs of a single note are kept on its pitch, and the slurs of a chord or rest are kept on the element.
+    var single = elem.pitches && elem.pitches.length === 1;
+    var startSlur = this.countSlurs(elem.startSlur) + (single ? this.countSlurs(elem.pitches[0].startSlur) : 0);
+    var endSlur = this.countSlurs(elem.endSlur) + (single ? this.countSlurs(elem.pitches[0].endSlur) : 0);
+    str+=this.multiplyString("(",startSlur);
 
     if (elem.startTriplet) {
-	str+="(3";
+	str+=this.getTripletString(elem);
+	this.tripletMultiplier = elem.tripletMultiplier;
     }
 
-    if (elem.pitches) {
-	if (elem.pitches.length > 1) str+="[";
-	for (i=0; i<elem.pitches.length; i++) {
-	    elem.pitches[i].duration = elem.duration;
-	    str+=this.getNoteString(elem.pitches[i], ignoreslur);
+    if (elem.rest) {
+	var rests = { invisible: "x", spacer: "y", multimeasure: "Z" };
+	str+=rests[elem.rest.type] || "z";
+	if (elem.rest.type === "multimeasure") {
+	    if (elem.duration !== 1)
+		str+=elem.duration;
+	} else if (elem.rest.type === "whole")
+	    str+=this.getDurationString(1);
+	else
+	    str+=this.getDurationString(elem.duration);
+	if (elem.startTie)
+	    str+="-";
+    } else if (elem.pitches) {
+	if (single)
+	    str+=this.getNoteString(elem.pitches[0], true, this.getDurationString(elem.duration));
+	else {
+	    str+="[";
+	    for (i=0; i<elem.pitches.length; i++)
+		str+=this.getNoteString(elem.pitches[i], false, "");
+	    str+="]" + this.getDurationString(elem.duration);
 	}
-	if (elem.pitches.length > 1) str+="]";
     }
 
-    if (elem.pitches.length === 1 && elem.pitches[0].endSlur) {
-	str+=this.multiplyString(")",elem.pitches[0].endSlur.length);
-    }
+    str+=this.multiplyString(")",endSlur);
 
-    if (elem.endSlur) {
-	str+=this.multiplyString(")",elem.endSlur.length);
-    }
+    if (elem.endTriplet)
+	this.tripletMultiplier = undefined;
 
     this.printString(str,elem);
 
 };
 
-// accidentals, ties and sometimes slurs, sometimes duration
-TextPrinter.prototype.getNoteString = function(pitchelem, ignoreslur) {
+TextPrinter.prototype.countSlurs = function(slurs) {
+    if (!slurs)
+	return 0;
+    return typeof slurs === "number" ? slurs : slurs.length;
+};
+
+// The chord symbols and annotations that are at the same place are kept together, separated by new lines, which are written as semicolons.
+TextPrinter.prototype.getChordString = function(chords) {
+    var positions = { above: "^", below: "_", left: "<", right: ">" };
     var str = "";
-    if (!ignoreslur && pitchelem.startSlur) {
-	str+="(";
+    for (var i=0; i<chords.length; i++) {
+	var chord = chords[i];
+	var prefix = positions[chord.position] || "";
+	if (chord.rel_position)
+	    prefix = "@" + chord.rel_position.x + "," + chord.rel_position.y;
+	var name = chord.name.replace(/\n/g, ";");
+	if (chord.position === "default")
+	    name = name.replace(/♭/g, "b").replace(/♯/g, "#");
+	str += '"' + prefix + name + '"';
     }
+    return str;
+};
 
-    var symb = "";
-    switch (pitchelem.accidental) {
-    case "quartersharp":
-	symb = "^/";
-	break;
-    case "dblsharp":
-	symb = "^^";
-	break;
-    case "sharp":
-	symb = "^";
-	break;
-    case "quarterflat":
-	symb = "_/";
-	break;
-    case "flat":
-	symb = "_";
-	break;
-    case "dblflat":
-	symb = "__";
-	break;
-    case "natural":
-	symb = "=";
+TextPrinter.prototype.wrapDecoration = function(name) {
+    return this.decorationStyle + name + this.decorationStyle;
+};
+
+TextPrinter.prototype.getDecorationString = function(decorations) {
+    var str = "";
+    for (var i=0; i<decorations.length; i++) {
+	if (decorations[i] === "staccato")
+	    str += ".";
+	else if (decorations[i] === "irishroll")
+	    str += "~"; // there isn't a name for this one.
+	else if (decorations[i])
+	    str += this.wrapDecoration(decorations[i]);
     }
-    str+=symb;
+    return str;
+};
+
+// accidentals, ties and sometimes slurs, sometimes duration
+TextPrinter.prototype.getNoteString = function(pitchelem, ignoreslur, duration) {
+    var str = "";
+    if (pitchelem.style)
+	str+=this.wrapDecoration("style=" + pitchelem.style);
+
+    if (!ignoreslur)
+	str+=this.multiplyString("(",this.countSlurs(pitchelem.startSlur));
+
+    str+=accidentalStrings[pitchelem.accidental] || "";
 
     var pitches = ["C","D","E","F","G","A","B"];
     var pitchstr = pitches[this.extractNote(pitchelem.pitch)];
@@ -331,34 +1269,58 @@ TextPrinter.prototype.getNoteString = function(pitchelem, ignoreslur) {
 
     str+=pitchstr;
 
-    if (pitchelem.duration) {
-	str+=this.getDurationString(pitchelem.duration);
-    }
-
-    if (!ignoreslur && pitchelem.endSlur) {
-	str+=")";
-    }
+    if (duration)
+	str+=duration;
 
     if (pitchelem.startTie) {
 	str+="-";
     }
 
+    if (!ignoreslur)
+	str+=this.multiplyString(")",this.countSlurs(pitchelem.endSlur));
+
     return str;
 };
 
-TextPrinter.prototype.getDurationString = function(duration) {
-    //TODO detect crooked rhythm
-    if (duration/this.l > 1) {
-	return duration/this.l;
-    }
-    var ret = "";
-    if (this.l/duration>1) {
-	ret+="/";
-	if (this.l/duration>2) {
-	    ret+=this.l/duration;
-	}
+// The default number of notes that a tuplet is played in the time of, from the abc standard.
+var tripletQ = { 2: 3, 3: 2, 4: 3, 5: 2, 6: 2, 7: 2, 8: 3, 9: 2 };
+
+// Returns "(3" for a normal triplet, or the long form "(p:q:r" if the tuplet isn't the default for that number of notes.
+TextPrinter.prototype.getTripletString = function(elem) {
+    var p = elem.startTriplet;
+    var q = elem.tripletMultiplier ? Math.round(p * elem.tripletMultiplier) : tripletQ[p];
+    var r = 0;
+    for (var i = this.pos; i < this.abcline.length; i++) {
+	if (this.abcline[i].el_type === "note")
+	    r++;
+	if (this.abcline[i].endTriplet)
+	    break;
     }
-    return ret;
+    if (r === p || r === 0)
+	r = "";
+    if (q === tripletQ[p] && r === "")
+	return "(" + p;
+    return "(" + p + ":" + (q === tripletQ[p] ? "" : q) + (r !== "" ? ":" + r : "");
+};
+
+TextPrinter.prototype.getDurationString = function(duration) {
+    return this.getRatioString(duration/this.l);
+};
+
+// The length of a grace note is relative to an eighth note, whatever the unit note length is.
+TextPrinter.prototype.getGraceDurationString = function(duration) {
+    return this.getRatioString(duration*8);
+};
+
+TextPrinter.prototype.getRatioString = function(ratio) {
+    if (Math.abs(ratio - 1) < 0.0001)
+	return "";
+    var fraction = this.getFraction(ratio);
+    if (fraction === "1/2")
+	return "/";
+    if (fraction.indexOf("1/") === 0)
+	return fraction.substring(1);
+    return fraction;
 };
 
 TextPrinter.prototype.extractNote = function(pitch) {
@@ -373,6 +1335,10 @@ TextPrinter.prototype.extractOctave = function(pitch) {
 
 TextPrinter.prototype.printBarLine = function(elem) {
     var barstr = "";
+    if (elem.chord !== undefined)
+	barstr += this.getChordString(elem.chord);
+    if (elem.decoration !== undefined)
+	barstr += this.getDecorationString(elem.decoration);
     switch (elem.type) {
     case "bar_thin": barstr+="|"; break;
     case "bar_thin_thick": barstr+="|]"; break;
@@ -381,7 +1347,14 @@ TextPrinter.prototype.printBarLine = function(elem) {
     case "bar_dbl_repeat": barstr+=":||:"; break;
     case "bar_left_repeat": barstr+="|:"; break;
     case "bar_right_repeat": barstr+=":|"; break;
-    case "bar_invisible": barstr+=""; break;
+    case "bar_invisible": barstr+=elem.startEnding ? "" : "[|]"; break;
+    }
+    if (elem.startEnding) {
+	// An ending that isn't a list of numbers is written as a quoted string.
+	var ending = /^[0-9,\-]+$/.test(elem.startEnding) ? elem.startEnding : '"' + elem.startEnding + '"';
+	if (elem.type === "bar_invisible" || ending.charAt(0) === '"')
+	    barstr+="[";
+	barstr+=ending;
     }
     this.printString(barstr,elem);
 };
@@ -392,4 +1365,164 @@ TextPrinter.prototype.multiplyString = function (s, n) {
     return ret;
 };
 
+// Joins each run of music lines together and splits it again with the same number of measures on each line.
+// The key, clef, and meter changes at the start of the lines become elements in the music, and the elements that the parser adds at
+// the start of every line are only kept on the first one.
+TextPrinter.prototype.rebreakLines = function(lines, barsPerLine) {
+    var ret = [];
+    var run = [];
+    for (var i = 0; i <= lines.length; i++) {
+	if (i < lines.length && lines[i].staff && !lines[i].vskip) {
+	    run.push(lines[i]);
+	    continue;
+	}
+	if (run.length > 0)
+	    ret = ret.concat(this.rebreakRun(run, barsPerLine));
+	run = i < lines.length && lines[i].staff ? [ lines[i] ] : [];
+	if (i < lines.length && !lines[i].staff)
+	    ret.push(lines[i]);
+    }
+    return ret;
+};
+
+TextPrinter.prototype.rebreakRun = function(run, barsPerLine) {
+    var first = run[0].staff;
+    var i;
+    var s;
+    var v;
+    // The lines can only be joined if they all have the same staffs and voices.
+    for (i = 1; i < run.length; i++) {
+	if (run[i].staff.length !== first.length)
+	    return run;
+	for (s = 0; s < first.length; s++) {
+	    if (run[i].staff[s].voices.length !== first[s].voices.length)
+		return run;
+	}
+    }
+
+    // The voices also need the same number of measures, so that each line has something in every voice.
+    var streams = [];
+    var numBars;
+    for (s = 0; s < first.length; s++) {
+	streams[s] = [];
+	for (v = 0; v < first[s].voices.length; v++) {
+	    streams[s][v] = this.joinVoice(run, s, v);
+	    var count = streams[s][v].filter(function(elem) { return elem.el_type === "bar"; }).length;
+	    if (numBars !== undefined && count !== numBars)
+		return run;
+	    numBars = count;
+	}
+    }
+
+    var ret = [];
+    var positions = [];
+    var keys = [];
+    var clefs = [];
+    for (s = 0; s < first.length; s++) {
+	positions[s] = [];
+	keys[s] = first[s].key;
+	clefs[s] = first[s].clef;
+    }
+    var done = false;
+    while (!done) {
+	done = true;
+	var line = { staff: [] };
+	for (s = 0; s < first.length; s++) {
+	    var staff = {};
+	    for (var key in first[s]) {
+		if (first[s].hasOwnProperty(key) && key !== "voices" && key !== "meter" && key !== "title" && key !== "barNumber")
+		    staff[key] = first[s][key];
+	    }
+	    if (ret.length === 0) {
+		if (first[s].meter)
+		    staff.meter = first[s].meter;
+		if (first[s].title)
+		    staff.title = first[s].title;
+	    }
+	    staff.key = keys[s];
+	    staff.clef = clefs[s];
+	    staff.voices = [];
+	    for (v = 0; v < streams[s].length; v++) {
+		var stream = streams[s][v];
+		var start = positions[s][v] || 0;
+		var end = start;
+		var bars = 0;
+		while (end < stream.length && bars < barsPerLine) {
+		    if (stream[end].el_type === "bar")
+			bars++;
+		    end++;
+		}
+		positions[s][v] = end;
+		if (end < stream.length)
+		    done = false;
+		var voice = stream.slice(start, end);
+		// The changes at the start of the new line belong to the staff.
+		while (voice.length > 0 && (voice[0].el_type === "key" || voice[0].el_type === "clef" || voice[0].el_type === "meter")) {
+		    if (v === 0)
+			staff[voice[0].el_type] = voice[0];
+		    voice.shift();
+		}
+		staff.voices.push(voice);
+	    }
+	    // The key and clef carry on to the next line.
+	    keys[s] = staff.key;
+	    clefs[s] = staff.clef;
+	    for (i = 0; i < staff.voices[0].length; i++) {
+		if (staff.voices[0][i].el_type === "key")
+		    keys[s] = staff.voices[0][i];
+		else if (staff.voices[0][i].el_type === "clef")
+		    clefs[s] = staff.voices[0][i];
+	    }
+	    line.staff.push(staff);
+	}
+	ret.push(line);
+    }
+    return ret;
+};
+
+TextPrinter.prototype.joinVoice = function(run, s, v) {
+    var stream = [];
+    // The changes that were made in the line before are already in the stream.
+    var key;
+    var clef;
+    var meter;
+    for (var i = 0; i < run.length; i++) {
+	var staff = run[i].staff[s];
+	var voice = staff.voices[v];
+	var start = 0;
+	if (i > 0) {
+	    if (staff.meter && this.getMeterString(staff.meter) !== meter)
+		stream.push(this.copyElement("meter", staff.meter));
+	    if (staff.key && this.getKeyString(staff.key) !== key)
+		stream.push(this.copyElement("key", staff.key));
+	    if (staff.clef && this.getClefName(staff.clef) !== clef)
+		stream.push(this.copyElement("clef", staff.clef));
+	    while (start < voice.length && (voice[start].el_type === "stem" || voice[start].el_type === "style" || voice[start].el_type === "scale"))
+		start++;
+	}
+	key = staff.key ? this.getKeyString(staff.key) : key;
+	clef = staff.clef ? this.getClefName(staff.clef) : clef;
+	meter = staff.meter ? this.getMeterString(staff.meter) : meter;
+	for (var j = start; j < voice.length; j++) {
+	    stream.push(voice[j]);
+	    if (voice[j].el_type === "key")
+		key = this.getKeyString(voice[j]);
+	    else if (voice[j].el_type === "clef")
+		clef = this.getClefName(voice[j]);
+	    else if (voice[j].el_type === "meter")
+		meter = this.getMeterString(voice[j]);
+	}
+    }
+    return stream;
+};
+
+TextPrinter.prototype.copyElement = function(type, obj) {
+    var elem = { el_type: type };
+    for (var key in obj) {
+	if (obj.hasOwnProperty(key))
+	    elem[key] = obj[key];
+    }
+    return elem;
+};
+
 module.exports = TextPrinter;
@@ -0,0 +1,1038 @@
+// abc2musicxml.js: Creates a partwise MusicXML document from a tune that was parsed by abc_parse.js.
+// Each staff becomes a part, and each voice on that staff becomes a MusicXML voice in that part.
+// The music is divided into measures at the bar lines, so the voices should have the same number of measures.
+
+var version = require('../../version');
+
+var abc2musicxml = {};
+
+(function() {
+	"use strict";
+
+	//
+	// Creating the text of the XML document
+	//
+
+	function escapeXml(str) {
+		return ("" + str).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+	}
+
+	function XmlWriter() {
+		this.lines = [];
+		this.depth = 0;
+	}
+
+	XmlWriter.prototype.tag = function(name, attrs) {
+		var str = "<" + name;
+		if (attrs) {
+			for (var key in attrs) {
+				if (attrs.hasOwnProperty(key) && attrs[key] !== undefined && attrs[key] !== null)
+					str += " " + key + '="' + escapeXml(attrs[key]) + '"';
+			}
+		}
+		return str;
+	};
+
+	XmlWriter.prototype.add = function(str) {
+		this.lines.push(new Array(this.depth + 1).join("  ") + str);
+	};
+
+	XmlWriter.prototype.open = function(name, attrs) {
+		this.add(this.tag(name, attrs) + ">");
+		this.depth++;
+	};
+
+	XmlWriter.prototype.close = function(name) {
+		this.depth--;
+		this.add("</" + name + ">");
+	};
+
+	// An element that has either text or nothing inside it.
+	XmlWriter.prototype.leaf = function(name, text, attrs) {
+		if (text === undefined || text === null || text === "")
+			this.add(this.tag(name, attrs) + "/>");
+		else
+			this.add(this.tag(name, attrs) + ">" + escapeXml(text) + "</" + name + ">");
+	};
+
+	XmlWriter.prototype.toString = function() {
+		return this.lines.join("\n") + "\n";
+	};
+
+	//
+	// Translating the abcjs values to MusicXML values
+	//
+
+	var steps = "CDEFGAB";
+
+	var accidentalAlter = { sharp: 1, flat: -1, natural: 0, dblsharp: 2, dblflat: -2, quartersharp: 0.5, quarterflat: -0.5 };
+	var accidentalName = { sharp: "sharp", flat: "flat", natural: "natural", dblsharp: "double-sharp", dblflat: "flat-flat", quartersharp: "quarter-sharp", quarterflat: "quarter-flat" };
+
+	var noteTypes = [
+		{ duration: 2, type: "breve" },
+		{ duration: 1, type: "whole" },
+		{ duration: 1/2, type: "half" },
+		{ duration: 1/4, type: "quarter" },
+		{ duration: 1/8, type: "eighth" },
+		{ duration: 1/16, type: "16th" },
+		{ duration: 1/32, type: "32nd" },
+		{ duration: 1/64, type: "64th" },
+		{ duration: 1/128, type: "128th" }
+	];
+
+	function isClose(a, b) {
+		return Math.abs(a - b) < 0.0001;
+	}
+
+	// Returns the note type and the number of dots for a duration that is a fraction of a whole note.
+	// If the duration can't be written as a single note, then the next shorter type is used.
+	function noteType(duration) {
+		for (var dots = 0; dots < 4; dots++) {
+			var base = duration / (2 - 1 / Math.pow(2, dots));
+			for (var i = 0; i < noteTypes.length; i++) {
+				if (isClose(base, noteTypes[i].duration))
+					return { type: noteTypes[i].type, dots: dots };
+			}
+		}
+		for (var j = 0; j < noteTypes.length; j++) {
+			if (noteTypes[j].duration < duration)
+				return { type: noteTypes[j].type, dots: 0 };
+		}
+		return { type: "128th", dots: 0 };
+	}
+
+	var modes = { "": "major", m: "minor", min: "minor", maj: "major", ion: "ionian", dor: "dorian", phr: "phrygian", lyd: "lydian", mix: "mixolydian", aeo: "aeolian", loc: "locrian" };
+
+	function writeKey(xml, key) {
+		var fifths = 0;
+		var accidentals = key.accidentals || [];
+		for (var i = 0; i < accidentals.length; i++) {
+			if (accidentals[i].acc === 'sharp')
+				fifths++;
+			else if (accidentals[i].acc === 'flat')
+				fifths--;
+		}
+		xml.open("key");
+		xml.leaf("fifths", fifths);
+		var mode = modes[(key.mode || "").substring(0, 3).toLowerCase()];
+		if (mode && key.root !== "none")
+			xml.leaf("mode", mode);
+		xml.close("key");
+	}
+
+	// The length of a measure in whole notes, or 0 if there isn't a meter.
+	function meterLength(meter) {
+		if (!meter)
+			return 0;
+		switch (meter.type) {
+			case "common_time":
+			case "cut_time":
+				return 1;
+			case "specified":
+				var len = 0;
+				for (var i = 0; i < meter.value.length; i++) {
+					var beats = ("" + meter.value[i].num).split('+');
+					var num = 0;
+					for (var j = 0; j < beats.length; j++)
+						num += parseInt(beats[j], 10) || 0;
+					len += num / parseInt(meter.value[i].den, 10);
+				}
+				return len;
+		}
+		return 0;
+	}
+
+	function writeTime(xml, meter) {
+		switch (meter.type) {
+			case "common_time":
+				xml.open("time", { symbol: "common" });
+				xml.leaf("beats", 4);
+				xml.leaf("beat-type", 4);
+				break;
+			case "cut_time":
+				xml.open("time", { symbol: "cut" });
+				xml.leaf("beats", 2);
+				xml.leaf("beat-type", 2);
+				break;
+			case "specified":
+				xml.open("time");
+				for (var i = 0; i < meter.value.length; i++) {
+					xml.leaf("beats", meter.value[i].num);
+					xml.leaf("beat-type", meter.value[i].den);
+				}
+				break;
+			default:
+				xml.open("time");
+				xml.leaf("senza-misura");
+				break;
+		}
+		xml.close("time");
+	}
+
+	var clefs = {
+		treble: { sign: "G", line: 2 },
+		bass: { sign: "F", line: 4 },
+		bass3: { sign: "F", line: 3 },
+		alto: { sign: "C", line: 3 },
+		alto1: { sign: "C", line: 1 },
+		alto2: { sign: "C", line: 2 },
+		tenor: { sign: "C", line: 4 },
+		perc: { sign: "percussion" },
+		none: { sign: "none" }
+	};
+
+	function writeClef(xml, clef) {
+		var type = clef.type || "treble";
+		var octave = 0;
+		var match = type.match(/^(.*)([+-])(8|15)$/);
+		if (match) {
+			type = match[1];
+			octave = (match[2] === '+' ? 1 : -1) * (match[3] === '8' ? 1 : 2);
+		}
+		var sign = clefs[type] || clefs.treble;
+		xml.open("clef");
+		xml.leaf("sign", sign.sign);
+		if (sign.line)
+			xml.leaf("line", sign.line);
+		if (octave)
+			xml.leaf("clef-octave-change", octave);
+		xml.close("clef");
+	}
+
+	var articulations = { staccato: "staccato", accent: "accent", emphasis: "accent", tenuto: "tenuto", marcato: "strong-accent", umarcato: "strong-accent", "^": "strong-accent", wedge: "staccatissimo", breath: "breath-mark" };
+	var ornaments = { trill: "trill-mark", mordent: "mordent", lowermordent: "mordent", uppermordent: "inverted-mordent", pralltriller: "inverted-mordent", turn: "turn", turnx: "turn", invertedturn: "inverted-turn", invertedturnx: "inverted-turn" };
+	var technical = { upbow: "up-bow", downbow: "down-bow", open: "open-string", snap: "snap-pizzicato", "+": "stopped", thumb: "thumb-position" };
+	var tremolos = { "/": 1, "//": 2, "///": 3, "////": 4 };
+	var dynamics = [ "p", "pp", "ppp", "pppp", "mp", "mf", "f", "ff", "fff", "ffff", "sfz" ];
+	var wedges = { "crescendo(": "crescendo", "diminuendo(": "diminuendo", "crescendo)": "stop", "diminuendo)": "stop" };
+	var words = { "D.S.": "D.S.", "D.C.": "D.C.", fine: "Fine" };
+
+	// The chord kinds that MusicXML has names for. Anything else is written with the kind "other" and the text as it appears in the abc.
+	var chordKinds = {
+		"": "major", "maj": "major", "M": "major",
+		"m": "minor", "min": "minor", "-": "minor",
+		"7": "dominant", "maj7": "major-seventh", "M7": "major-seventh", "m7": "minor-seventh", "min7": "minor-seventh", "-7": "minor-seventh",
+		"dim": "diminished", "o": "diminished", "dim7": "diminished-seventh", "o7": "diminished-seventh",
+		"aug": "augmented", "+": "augmented", "aug7": "augmented-seventh", "+7": "augmented-seventh",
+		"m7b5": "half-diminished", "m7♭5": "half-diminished", "ø": "half-diminished",
+		"mM7": "major-minor", "m(maj7)": "major-minor",
+		"6": "major-sixth", "m6": "minor-sixth",
+		"9": "dominant-ninth", "maj9": "major-ninth", "m9": "minor-ninth",
+		"11": "dominant-11th", "m11": "minor-11th", "13": "dominant-13th", "maj13": "major-13th",
+		"sus4": "suspended-fourth", "sus": "suspended-fourth", "sus2": "suspended-second",
+		"5": "power"
+	};
+
+	var chordAlter = { "": 0, "#": 1, "♯": 1, "b": -1, "♭": -1 };
+
+	function writeHarmony(xml, name) {
+		var match = name.match(/^([A-G])([#b♯♭]?)([^\/]*)(?:\/([A-G])([#b♯♭]?))?$/);
+		if (!match)
+			return false;
+		xml.open("harmony");
+		xml.open("root");
+		xml.leaf("root-step", match[1]);
+		if (chordAlter[match[2]])
+			xml.leaf("root-alter", chordAlter[match[2]]);
+		xml.close("root");
+		var kind = chordKinds[match[3]];
+		xml.leaf("kind", kind ? kind : "other", { text: match[3] });
+		if (match[4]) {
+			xml.open("bass");
+			xml.leaf("bass-step", match[4]);
+			if (chordAlter[match[5]])
+				xml.leaf("bass-alter", chordAlter[match[5]]);
+			xml.close("bass");
+		}
+		xml.close("harmony");
+		return true;
+	}
+
+	function writeWords(xml, text, placement) {
+		xml.open("direction", { placement: placement });
+		xml.open("direction-type");
+		xml.leaf("words", text);
+		xml.close("direction-type");
+		xml.close("direction");
+	}
+
+	function writeTempo(xml, tempo) {
+		xml.open("direction", { placement: "above" });
+		if (tempo.preString) {
+			xml.open("direction-type");
+			xml.leaf("words", tempo.preString);
+			xml.close("direction-type");
+		}
+		var beat = 0;
+		if (tempo.duration) {
+			for (var i = 0; i < tempo.duration.length; i++)
+				beat += tempo.duration[i];
+		}
+		if (tempo.bpm && beat) {
+			var type = noteType(beat);
+			xml.open("direction-type");
+			xml.open("metronome");
+			xml.leaf("beat-unit", type.type);
+			for (var d = 0; d < type.dots; d++)
+				xml.leaf("beat-unit-dot");
+			xml.leaf("per-minute", tempo.bpm);
+			xml.close("metronome");
+			xml.close("direction-type");
+		}
+		if (tempo.postString) {
+			xml.open("direction-type");
+			xml.leaf("words", tempo.postString);
+			xml.close("direction-type");
+		}
+		if (tempo.bpm && beat)
+			xml.leaf("sound", null, { tempo: Math.round(tempo.bpm * beat * 4 * 100) / 100 });
+		xml.close("direction");
+	}
+
+	// The ending numbers can be written like "1,3" or "1-3" in abc, but MusicXML needs each number listed.
+	function endingNumber(str) {
+		var numbers = [];
+		var parts = ("" + str).split(',');
+		for (var i = 0; i < parts.length; i++) {
+			var range = parts[i].split('-');
+			var start = parseInt(range[0], 10);
+			var end = range.length > 1 ? parseInt(range[1], 10) : start;
+			if (isNaN(start))
+				continue;
+			for (var n = start; n <= (isNaN(end) ? start : end); n++)
+				numbers.push(n);
+		}
+		return numbers.length > 0 ? numbers.join(", ") : "1";
+	}
+
+	//
+	// Gathering the music into parts and measures
+	//
+
+	// The accidentals of a key can be listed in any order, so this compares them without regard to order.
+	function sameKey(a, b) {
+		function signature(key) {
+			var accidentals = key && key.accidentals ? key.accidentals : [];
+			return accidentals.map(function(acc) { return acc.acc + acc.note.toUpperCase(); }).sort().join(",");
+		}
+		return signature(a) === signature(b);
+	}
+
+	// The staffs that weren't drawn because they only had rests are put back, so each staff is always in the same part.
+	function allStaffs(line) {
+		if (!line.hiddenStaffs)
+			return line.staff;
+		var staffs = [].concat(line.staff);
+		for (var i = 0; i < line.hiddenStaffs.length; i++)
+			staffs.splice(line.hiddenStaffs[i].index, 0, line.hiddenStaffs[i].staff);
+		return staffs;
+	}
+
+	// Combines the lines of the tune so that there is one array of elements for each voice on each staff.
+	// A marker is put in each voice where a new line of music starts, and if a line starts with a different key or clef than
+	// the previous line ended with, that is put in the voice, too.
+	function gatherStaves(tune) {
+		var staves = [];
+		for (var i = 0; i < tune.lines.length; i++) {
+			var line = tune.lines[i];
+			if (!line.staff)
+				continue;
+			var staffs = allStaffs(line);
+			for (var s = 0; s < staffs.length; s++) {
+				var staff = staffs[s];
+				if (!staff)
+					continue;
+				var lineStart = [];
+				if (!staves[s]) {
+					staves[s] = {
+						name: staff.title && staff.title.length > 0 ? staff.title[0] : "",
+						clef: staff.clef,
+						key: staff.key,
+						meter: staff.meter,
+						voices: [],
+						lastClef: staff.clef,
+						lastKey: staff.key
+					};
+				} else {
+					lineStart.push({ el_type: "line-break" });
+					if (staff.clef && staves[s].lastClef && staff.clef.type !== staves[s].lastClef.type)
+						lineStart.push({ el_type: "clef", type: staff.clef.type });
+					if (staff.key && staves[s].lastKey && !sameKey(staff.key, staves[s].lastKey))
+						lineStart.push({ el_type: "key", accidentals: staff.key.accidentals, root: staff.key.root, mode: staff.key.mode });
+				}
+				var info = staves[s];
+				info.lastClef = staff.clef || info.lastClef;
+				info.lastKey = staff.key || info.lastKey;
+				for (var v = 0; v < staff.voices.length; v++) {
+					if (!info.voices[v])
+						info.voices[v] = [];
+					info.voices[v] = info.voices[v].concat(lineStart, staff.voices[v]);
+					for (var e = 0; e < staff.voices[v].length; e++) {
+						var el = staff.voices[v][e];
+						if (el.el_type === 'clef')
+							info.lastClef = el;
+						else if (el.el_type === 'key')
+							info.lastKey = el;
+					}
+				}
+			}
+		}
+		return staves;
+	}
+
+	function isNote(el) {
+		return el.el_type === 'note' && el.duration > 0 && !(el.rest && el.rest.type === 'spacer');
+	}
+
+	function isMultiMeasureRest(el) {
+		return el.el_type === 'note' && el.rest && (el.rest.type === 'multimeasure' || el.rest.type === 'invisible-multimeasure');
+	}
+
+	function Measure() {
+		this.items = [];
+		this.hasNotes = false;
+	}
+
+	// Divides a voice into measures. The bar line at the end of a measure is the measure's rightBar and the bar line that starts a measure
+	// (a repeat sign or the beginning of an ending) is the next measure's leftBar.
+	function splitMeasures(voice, meter) {
+		var measures = [];
+		var measure = new Measure();
+		var measureLength = meterLength(meter);
+
+		function closeMeasure(bar) {
+			measure.rightBar = bar;
+			measures.push(measure);
+			measure = new Measure();
+			if (bar && (bar.type === 'bar_left_repeat' || bar.type === 'bar_dbl_repeat' || bar.startEnding))
+				measure.leftBar = bar;
+		}
+
+		for (var i = 0; i < voice.length; i++) {
+			var el = voice[i];
+			switch (el.el_type) {
+				case "bar":
+					if (measure.hasNotes)
+						closeMeasure(el);
+					else {
+						// A bar line at the beginning of a line or the beginning of the tune just decorates the start of the measure.
+						if (el.endEnding && measures.length > 0)
+							measures[measures.length-1].endingStop = true;
+						if (el.type === 'bar_left_repeat' || el.type === 'bar_dbl_repeat' || el.startEnding || !measure.leftBar)
+							measure.leftBar = el;
+					}
+					break;
+				case "line-break":
+					if (!measure.hasNotes)
+						measure.newSystem = true;
+					break;
+				case "meter":
+					measureLength = meterLength(el);
+					measure.items.push(el);
+					break;
+				case "note":
+					if (isMultiMeasureRest(el) && measureLength > 0) {
+						// The duration of a multi-measure rest is the number of measures.
+						var count = Math.max(1, Math.round(el.duration));
+						for (var m = 0; m < count; m++) {
+							if (m > 0)
+								closeMeasure(null);
+							measure.items.push({ el_type: "note", rest: { type: el.rest.type === 'multimeasure' ? 'rest' : 'invisible' }, duration: measureLength, measureRest: true, chord: m === 0 ? el.chord : undefined, decoration: m === 0 ? el.decoration : undefined });
+							measure.hasNotes = true;
+						}
+					} else if (isNote(el)) {
+						measure.items.push(el);
+						measure.hasNotes = true;
+					}
+					break;
+				default:
+					measure.items.push(el);
+					break;
+			}
+		}
+		// Anything after the last bar line that isn't a note (like a key change) isn't displayed, so it doesn't need to be in the output.
+		if (measure.hasNotes)
+			measures.push(measure);
+		return measures;
+	}
+
+	function noteDuration(el, tuplet) {
+		return el.duration * (tuplet ? tuplet.multiplier : 1);
+	}
+
+	// Finds the number of divisions of a quarter note that is needed so that all of the notes have a whole number duration.
+	function findDivisions(staves) {
+		var durations = [];
+		for (var s = 0; s < staves.length; s++) {
+			for (var v = 0; v < staves[s].voices.length; v++) {
+				var multiplier = 1;
+				var voice = staves[s].voices[v];
+				for (var i = 0; i < voice.length; i++) {
+					var el = voice[i];
+					if (el.el_type !== 'note')
+						continue;
+					if (el.startTriplet)
+						multiplier = el.tripletMultiplier;
+					durations.push(el.duration * multiplier * 4);
+					if (el.endTriplet)
+						multiplier = 1;
+				}
+			}
+		}
+		for (var divisions = 1; divisions <= 960; divisions++) {
+			var ok = true;
+			for (var j = 0; j < durations.length && ok; j++) {
+				var d = durations[j] * divisions;
+				ok = isClose(d, Math.round(d));
+			}
+			if (ok)
+				return divisions;
+		}
+		return 960;
+	}
+
+	//
+	// Writing the notes
+	//
+
+	// The state that is kept while going through one voice.
+	function VoiceState(key) {
+		this.setKey(key);
+		this.measureAlters = {};
+		this.tieAlters = {};
+		this.slurNumbers = {};
+		this.tuplet = null;
+		this.inBeam = false;
+		this.lyricHyphen = [];
+	}
+
+	VoiceState.prototype.setKey = function(key) {
+		this.keyAlters = {};
+		var accidentals = key && key.accidentals ? key.accidentals : [];
+		for (var i = 0; i < accidentals.length; i++)
+			this.keyAlters[accidentals[i].note.toUpperCase()] = accidentalAlter[accidentals[i].acc];
+	};
+
+	// Slurs are identified by a label in abcjs, but MusicXML uses small numbers that can be reused when the slur is done.
+	VoiceState.prototype.startSlur = function(label) {
+		var used = {};
+		for (var key in this.slurNumbers) {
+			if (this.slurNumbers.hasOwnProperty(key))
+				used[this.slurNumbers[key]] = true;
+		}
+		var number = 1;
+		while (used[number])
+			number++;
+		this.slurNumbers[label] = number;
+		return number;
+	};
+
+	VoiceState.prototype.endSlur = function(label) {
+		var number = this.slurNumbers[label];
+		delete this.slurNumbers[label];
+		return number ? number : 1;
+	};
+
+	// The accidental in effect for the pitch: either one that was written, one earlier in the measure on the same line or space,
+	// one that was tied from the previous note, or the one in the key signature.
+	VoiceState.prototype.alter = function(pitch) {
+		if (pitch.accidental) {
+			this.measureAlters[pitch.pitch] = accidentalAlter[pitch.accidental];
+			return accidentalAlter[pitch.accidental];
+		}
+		if (pitch.endTie && this.tieAlters[pitch.pitch] !== undefined)
+			return this.tieAlters[pitch.pitch];
+		if (this.measureAlters[pitch.pitch] !== undefined)
+			return this.measureAlters[pitch.pitch];
+		var step = steps.charAt(((pitch.pitch % 7) + 7) % 7);
+		return this.keyAlters[step] ? this.keyAlters[step] : 0;
+	};
+
+	function writePitch(xml, pitch, alter) {
+		var step = ((pitch.pitch % 7) + 7) % 7;
+		xml.open("pitch");
+		xml.leaf("step", steps.charAt(step));
+		if (alter)
+			xml.leaf("alter", alter);
+		xml.leaf("octave", 4 + Math.floor(pitch.pitch / 7));
+		xml.close("pitch");
+	}
+
+	function writeTypeAndDots(xml, duration) {
+		var type = noteType(duration);
+		xml.leaf("type", type.type);
+		for (var d = 0; d < type.dots; d++)
+			xml.leaf("dot");
+	}
+
+	function writeGraceNotes(xml, el, state, voiceNumber) {
+		for (var i = 0; i < el.gracenotes.length; i++) {
+			var grace = el.gracenotes[i];
+			xml.open("note");
+			xml.leaf("grace", null, { slash: grace.acciaccatura ? "yes" : undefined });
+			writePitch(xml, grace, state.alter(grace));
+			xml.leaf("voice", voiceNumber);
+			writeTypeAndDots(xml, grace.duration);
+			if (grace.accidental)
+				xml.leaf("accidental", accidentalName[grace.accidental]);
+			xml.close("note");
+		}
+	}
+
+	// Sorts the decorations into the parts of MusicXML that they go in.
+	function classifyDecorations(decorations) {
+		var ret = { articulations: [], ornaments: [], technical: [], fingering: [], fermata: [], dynamics: [], wedges: [], words: [], other: [] };
+		if (!decorations)
+			return ret;
+		for (var i = 0; i < decorations.length; i++) {
+			var dec = decorations[i];
+			if (articulations[dec])
+				ret.articulations.push(articulations[dec]);
+			else if (ornaments[dec])
+				ret.ornaments.push(ornaments[dec]);
+			else if (tremolos[dec])
+				ret.ornaments.push(dec);
+			else if (technical[dec])
+				ret.technical.push(technical[dec]);
+			else if (/^[0-5]$/.test(dec))
+				ret.fingering.push(dec);
+			else if (dec === 'fermata' || dec === 'invertedfermata')
+				ret.fermata.push(dec === 'fermata' ? "upright" : "inverted");
+			else if (dynamics.indexOf(dec) >= 0)
+				ret.dynamics.push(dec);
+			else if (wedges[dec])
+				ret.wedges.push(wedges[dec]);
+			else if (words[dec])
+				ret.words.push(words[dec]);
+			else
+				ret.other.push(dec);
+		}
+		return ret;
+	}
+
+	// The things that come before a note in the measure: chord symbols, annotations, and directions.
+	function writeBeforeNote(xml, el, decorations) {
+		var i;
+		if (el.chord) {
+			for (i = 0; i < el.chord.length; i++) {
+				var chord = el.chord[i];
+				if (chord.position === 'default' && writeHarmony(xml, chord.name))
+					continue;
+				writeWords(xml, chord.name, chord.position === 'below' ? "below" : "above");
+			}
+		}
+		for (i = 0; i < decorations.dynamics.length; i++) {
+			xml.open("direction", { placement: "below" });
+			xml.open("direction-type");
+			xml.open("dynamics");
+			xml.leaf(decorations.dynamics[i]);
+			xml.close("dynamics");
+			xml.close("direction-type");
+			xml.close("direction");
+		}
+		for (i = 0; i < decorations.wedges.length; i++) {
+			xml.open("direction", { placement: "below" });
+			xml.open("direction-type");
+			xml.leaf("wedge", null, { type: decorations.wedges[i] });
+			xml.close("direction-type");
+			xml.close("direction");
+		}
+		for (i = 0; i < decorations.other.length; i++) {
+			if (decorations.other[i] === 'segno' || decorations.other[i] === 'coda') {
+				xml.open("direction", { placement: "above" });
+				xml.open("direction-type");
+				xml.leaf(decorations.other[i]);
+				xml.close("direction-type");
+				xml.close("direction");
+			}
+		}
+		for (i = 0; i < decorations.words.length; i++)
+			writeWords(xml, decorations.words[i], "above");
+	}
+
+	function writeNotations(xml, notations) {
+		if (notations.length === 0)
+			return;
+		xml.open("notations");
+		for (var i = 0; i < notations.length; i++)
+			notations[i]();
+		xml.close("notations");
+	}
+
+	function writeLyrics(xml, lyrics, state) {
+		for (var i = 0; i < lyrics.length; i++) {
+			var lyric = lyrics[i];
+			if (!lyric || !lyric.syllable)
+				continue;
+			var continues = state.lyricHyphen[i];
+			var hyphen = lyric.divider === '-';
+			var syllabic = continues ? (hyphen ? "middle" : "end") : (hyphen ? "begin" : "single");
+			state.lyricHyphen[i] = hyphen;
+			xml.open("lyric", { number: i + 1 });
+			xml.leaf("syllabic", syllabic);
+			xml.leaf("text", lyric.syllable);
+			if (lyric.divider === '_')
+				xml.leaf("extend");
+			xml.close("lyric");
+		}
+	}
+
+	// Writes the note or rest, along with anything attached to it, and returns its duration in divisions.
+	function writeNote(xml, el, state, voiceNumber, divisions) {
+		var decorations = classifyDecorations(el.decoration);
+		writeBeforeNote(xml, el, decorations);
+
+		if (el.startTriplet)
+			state.tuplet = { actual: el.startTriplet, normal: Math.round(el.startTriplet * el.tripletMultiplier), multiplier: el.tripletMultiplier, first: true };
+		var tuplet = state.tuplet;
+		var duration = Math.round(noteDuration(el, tuplet) * 4 * divisions);
+
+		var beam = null;
+		if (el.startBeam && !el.endBeam) {
+			beam = "begin";
+			state.inBeam = true;
+		} else if (el.endBeam && state.inBeam) {
+			beam = "end";
+			state.inBeam = false;
+		} else if (state.inBeam)
+			beam = "continue";
+
+		if (el.gracenotes)
+			writeGraceNotes(xml, el, state, voiceNumber);
+
+		var pitches = el.pitches && !el.rest ? el.pitches : [ null ];
+		for (var p = 0; p < pitches.length; p++) {
+			var pitch = pitches[p];
+			var first = p === 0;
+			var notations = [];
+			xml.open("note", { "print-object": el.rest && el.rest.type === 'invisible' ? "no" : undefined });
+			if (!first)
+				xml.leaf("chord");
+			var alter = 0;
+			if (pitch) {
+				alter = state.alter(pitch);
+				writePitch(xml, pitch, alter);
+			} else
+				xml.leaf("rest", null, { measure: el.measureRest ? "yes" : undefined });
+			xml.leaf("duration", duration);
+			if (pitch && pitch.endTie)
+				xml.leaf("tie", null, { type: "stop" });
+			if (pitch && pitch.startTie) {
+				xml.leaf("tie", null, { type: "start" });
+				state.tieAlters[pitch.pitch] = alter;
+			}
+			xml.leaf("voice", voiceNumber);
+			if (!el.measureRest)
+				writeTypeAndDots(xml, el.duration);
+			if (pitch && pitch.accidental)
+				xml.leaf("accidental", accidentalName[pitch.accidental]);
+			if (tuplet) {
+				xml.open("time-modification");
+				xml.leaf("actual-notes", tuplet.actual);
+				xml.leaf("normal-notes", tuplet.normal);
+				xml.close("time-modification");
+			}
+			if (beam && first)
+				xml.leaf("beam", beam, { number: 1 });
+
+			if (pitch && pitch.endTie)
+				notations.push(function() { xml.leaf("tied", null, { type: "stop" }); });
+			if (pitch && pitch.startTie)
+				notations.push(function() { xml.leaf("tied", null, { type: "start" }); });
+			if (first)
+				addFirstNoteNotations(xml, notations, el, state, decorations, tuplet);
+			writeNotations(xml, notations);
+			if (first && el.lyric)
+				writeLyrics(xml, el.lyric, state);
+			xml.close("note");
+		}
+
+		if (tuplet)
+			tuplet.first = false;
+		if (el.endTriplet)
+			state.tuplet = null;
+		return duration;
+	}
+
+	// The slurs, tuplets and decorations are attached to the first note of a chord.
+	function addFirstNoteNotations(xml, notations, el, state, decorations, tuplet) {
+		var endSlurs = [].concat(el.endSlur || []);
+		var startSlurs = [].concat(el.startSlur || []);
+		if (el.pitches) {
+			for (var i = 0; i < el.pitches.length; i++) {
+				endSlurs = endSlurs.concat(el.pitches[i].endSlur || []);
+				startSlurs = startSlurs.concat(el.pitches[i].startSlur || []);
+			}
+		}
+		endSlurs.forEach(function(label) {
+			var number = state.endSlur(label);
+			notations.push(function() { xml.leaf("slur", null, { type: "stop", number: number }); });
+		});
+		startSlurs.forEach(function(slur) {
+			var number = state.startSlur(slur.label);
+			notations.push(function() { xml.leaf("slur", null, { type: "start", number: number }); });
+		});
+		if (tuplet && tuplet.first)
+			notations.push(function() { xml.leaf("tuplet", null, { type: "start" }); });
+		if (tuplet && el.endTriplet)
+			notations.push(function() { xml.leaf("tuplet", null, { type: "stop" }); });
+		if (decorations.ornaments.length > 0) {
+			notations.push(function() {
+				xml.open("ornaments");
+				for (var i = 0; i < decorations.ornaments.length; i++) {
+					var orn = decorations.ornaments[i];
+					if (tremolos[orn])
+						xml.leaf("tremolo", tremolos[orn], { type: "single" });
+					else
+						xml.leaf(orn);
+				}
+				xml.close("ornaments");
+			});
+		}
+		if (decorations.technical.length > 0 || decorations.fingering.length > 0) {
+			notations.push(function() {
+				xml.open("technical");
+				for (var i = 0; i < decorations.technical.length; i++)
+					xml.leaf(decorations.technical[i]);
+				for (var j = 0; j < decorations.fingering.length; j++)
+					xml.leaf("fingering", decorations.fingering[j]);
+				xml.close("technical");
+			});
+		}
+		if (decorations.articulations.length > 0) {
+			notations.push(function() {
+				xml.open("articulations");
+				for (var i = 0; i < decorations.articulations.length; i++)
+					xml.leaf(decorations.articulations[i]);
+				xml.close("articulations");
+			});
+		}
+		decorations.fermata.forEach(function(type) {
+			notations.push(function() { xml.leaf("fermata", null, { type: type }); });
+		});
+		if (decorations.other.indexOf('arpeggio') >= 0)
+			notations.push(function() { xml.leaf("arpeggiate"); });
+	}
+
+	//
+	// Writing the measures
+	//
+
+	var barStyles = {
+		bar_thin: "regular",
+		bar_thin_thin: "light-light",
+		bar_thin_thick: "light-heavy",
+		bar_thick_thin: "heavy-light",
+		bar_right_repeat: "light-heavy",
+		bar_dbl_repeat: "light-heavy",
+		bar_left_repeat: "regular",
+		bar_invisible: "none"
+	};
+
+	function writeLeftBarline(xml, measure) {
+		var bar = measure.leftBar;
+		if (!bar)
+			return;
+		var forward = bar.type === 'bar_left_repeat' || bar.type === 'bar_dbl_repeat';
+		if (!forward && !bar.startEnding && bar.type !== 'bar_thick_thin')
+			return;
+		xml.open("barline", { location: "left" });
+		xml.leaf("bar-style", forward || bar.type === 'bar_thick_thin' ? "heavy-light" : "regular");
+		if (bar.startEnding)
+			xml.leaf("ending", null, { number: endingNumber(bar.startEnding), type: "start" });
+		if (forward)
+			xml.leaf("repeat", null, { direction: "forward" });
+		xml.close("barline");
+	}
+
+	function writeRightBarline(xml, measure, endingNum) {
+		var bar = measure.rightBar;
+		var backward = bar && (bar.type === 'bar_right_repeat' || bar.type === 'bar_dbl_repeat');
+		var endEnding = (bar && bar.endEnding) || measure.endingStop;
+		var style = bar ? barStyles[bar.type] : "regular";
+		if (!backward && !endEnding && (!style || style === 'regular'))
+			return;
+		xml.open("barline", { location: "right" });
+		xml.leaf("bar-style", style ? style : "regular");
+		if (endEnding)
+			xml.leaf("ending", null, { number: endingNum, type: backward ? "stop" : "discontinue" });
+		if (backward)
+			xml.leaf("repeat", null, { direction: "backward" });
+		xml.close("barline");
+	}
+
+	function writeAttributes(xml, attributes) {
+		xml.open("attributes");
+		if (attributes.divisions)
+			xml.leaf("divisions", attributes.divisions);
+		if (attributes.key)
+			writeKey(xml, attributes.key);
+		if (attributes.meter)
+			writeTime(xml, attributes.meter);
+		if (attributes.clef)
+			writeClef(xml, attributes.clef);
+		xml.close("attributes");
+	}
+
+	// Writes the contents of one voice in a measure and returns its duration in divisions.
+	function writeVoiceMeasure(xml, measure, state, voiceNumber, part, divisions, isFirstVoice) {
+		var total = 0;
+		for (var i = 0; i < measure.items.length; i++) {
+			var el = measure.items[i];
+			switch (el.el_type) {
+				case "note":
+					total += writeNote(xml, el, state, voiceNumber, divisions);
+					break;
+				case "key":
+					state.setKey(el);
+					if (!sameKey(el, part.key)) {
+						part.key = el;
+						writeAttributes(xml, { key: el });
+					}
+					break;
+				case "meter":
+					if (isFirstVoice)
+						writeAttributes(xml, { meter: el });
+					break;
+				case "clef":
+					if (isFirstVoice && part.clef.type !== el.type) {
+						part.clef = el;
+						writeAttributes(xml, { clef: el });
+					}
+					break;
+				case "tempo":
+					if (isFirstVoice)
+						writeTempo(xml, el);
+					break;
+				case "part":
+					xml.open("direction", { placement: "above" });
+					xml.open("direction-type");
+					xml.leaf("rehearsal", el.title);
+					xml.close("direction-type");
+					xml.close("direction");
+					break;
+			}
+		}
+		state.measureAlters = {};
+		return total;
+	}
+
+	function measureDuration(measure) {
+		var total = 0;
+		var multiplier = 1;
+		for (var i = 0; i < measure.items.length; i++) {
+			var el = measure.items[i];
+			if (el.el_type !== 'note')
+				continue;
+			if (el.startTriplet)
+				multiplier = el.tripletMultiplier;
+			total += el.duration * multiplier;
+			if (el.endTriplet)
+				multiplier = 1;
+		}
+		return total;
+	}
+
+	abc2musicxml.convert = function(tune) {
+		var staves = gatherStaves(tune);
+		var divisions = findDivisions(staves);
+		var parts = [];
+		var numMeasures = 0;
+		for (var s = 0; s < staves.length; s++) {
+			var staff = staves[s];
+			var part = { id: "P" + (s + 1), name: staff.name, clef: staff.clef || { type: "treble" }, key: staff.key || { accidentals: [] }, meter: staff.meter, voices: [] };
+			for (var v = 0; v < staff.voices.length; v++) {
+				part.voices.push(splitMeasures(staff.voices[v], staff.meter));
+				numMeasures = Math.max(numMeasures, part.voices[v].length);
+			}
+			parts.push(part);
+		}
+
+		// If the first measure is shorter than the meter, then it is a pickup.
+		var pickup = false;
+		if (parts.length > 0 && parts[0].voices.length > 0 && parts[0].voices[0].length > 0) {
+			var len = meterLength(parts[0].meter);
+			pickup = len > 0 && measureDuration(parts[0].voices[0][0]) < len - 0.0001;
+		}
+
+		var xml = new XmlWriter();
+		xml.add('<?xml version="1.0" encoding="UTF-8" standalone="no"?>');
+		xml.add('<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 3.1 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">');
+		xml.open("score-partwise", { version: "3.1" });
+		var title = tune.metaText && tune.metaText.title ? ("" + tune.metaText.title).split("\n")[0] : "";
+		if (title) {
+			xml.open("work");
+			xml.leaf("work-title", title);
+			xml.close("work");
+		}
+		xml.open("identification");
+		if (tune.metaText && tune.metaText.composer)
+			xml.leaf("creator", tune.metaText.composer, { type: "composer" });
+		if (tune.metaText && tune.metaText.author)
+			xml.leaf("creator", tune.metaText.author, { type: "lyricist" });
+		xml.open("encoding");
+		xml.leaf("software", "abcjs " + version);
+		xml.close("encoding");
+		xml.close("identification");
+
+		xml.open("part-list");
+		for (var p = 0; p < parts.length; p++) {
+			xml.open("score-part", { id: parts[p].id });
+			xml.leaf("part-name", parts[p].name);
+			xml.close("score-part");
+		}
+		xml.close("part-list");
+
+		for (p = 0; p < parts.length; p++) {
+			part = parts[p];
+			xml.open("part", { id: part.id });
+			var states = [];
+			for (v = 0; v < part.voices.length; v++)
+				states.push(new VoiceState(part.key));
+			var meter = part.meter;
+			var endingNum = "1";
+			for (var m = 0; m < numMeasures; m++) {
+				var first = part.voices[0][m] || new Measure();
+				xml.open("measure", { number: pickup ? m : m + 1, implicit: pickup && m === 0 ? "yes" : undefined });
+				if (first.newSystem)
+					xml.leaf("print", null, { "new-system": "yes" });
+				if (first.leftBar && first.leftBar.startEnding)
+					endingNum = endingNumber(first.leftBar.startEnding);
+				writeLeftBarline(xml, first);
+				if (m === 0) {
+					writeAttributes(xml, { divisions: divisions, key: part.key, meter: part.meter, clef: part.clef });
+					if (p === 0 && tune.metaText && tune.metaText.tempo)
+						writeTempo(xml, tune.metaText.tempo);
+				}
+				for (v = 0; v < part.voices.length; v++) {
+					var measure = part.voices[v][m];
+					var duration;
+					if (measure)
+						duration = writeVoiceMeasure(xml, measure, states[v], v + 1, part, divisions, v === 0);
+					else if (v === 0) {
+						// This voice has run out of music, so fill the measure with a rest.
+						duration = Math.round(meterLength(meter) * 4 * divisions);
+						writeNote(xml, { el_type: "note", rest: { type: "rest" }, duration: meterLength(meter), measureRest: true }, states[v], 1, divisions);
+					} else
+						continue;
+					for (var i = 0; measure && i < measure.items.length; i++) {
+						if (measure.items[i].el_type === 'meter')
+							meter = measure.items[i];
+					}
+					if (v < part.voices.length - 1 && part.voices[v+1][m] && duration > 0) {
+						xml.open("backup");
+						xml.leaf("duration", duration);
+						xml.close("backup");
+					}
+				}
+				writeRightBarline(xml, first, endingNum);
+				xml.close("measure");
+			}
+			xml.close("part");
+		}
+		xml.close("score-partwise");
+		return xml.toString();
+	};
+})();
+
+module.exports = abc2musicxml;
@@ -0,0 +1,201 @@
+// midi-file-parser.js: Reads a Standard MIDI File into its header and a list of events for each track.
+// The delta times are turned into absolute ticks, running status is expanded, and a note-on with velocity 0 is reported as a note-off.
+// Only files that count time in ticks per quarter note can be read; SMPTE time is not supported.
+
+var midiFileParser = {};
+
+(function() {
+	"use strict";
+
+	// Returns the bytes of the file as something that can be indexed. A string is treated as one byte per character, like a binary string from a file reader.
+	function toBytes(data) {
+		if (typeof data === 'string') {
+			var bytes = [];
+			for (var i = 0; i < data.length; i++)
+				bytes.push(data.charCodeAt(i) & 0xff);
+			return bytes;
+		}
+		if (typeof ArrayBuffer !== 'undefined' && data instanceof ArrayBuffer)
+			return new Uint8Array(data);
+		return data;
+	}
+
+	function Reader(bytes, start, end) {
+		this.bytes = bytes;
+		this.pos = start;
+		this.end = end;
+	}
+
+	Reader.prototype.atEnd = function() {
+		return this.pos >= this.end;
+	};
+
+	Reader.prototype.byte = function() {
+		if (this.pos >= this.end)
+			throw new Error("The MIDI file ended in the middle of an event");
+		return this.bytes[this.pos++];
+	};
+
+	Reader.prototype.int = function(numBytes) {
+		var value = 0;
+		for (var i = 0; i < numBytes; i++)
+			value = value * 256 + this.byte();
+		return value;
+	};
+
+	Reader.prototype.variableLength = function() {
+		var value = 0;
+		var b;
+		do {
+			b = this.byte();
+			value = value * 128 + (b & 0x7f);
+		} while (b & 0x80);
+		return value;
+	};
+
+	Reader.prototype.string = function(length) {
+		var str = "";
+		for (var i = 0; i < length; i++)
+			str += String.fromCharCode(this.byte());
+		return str;
+	};
+
+	Reader.prototype.data = function(length) {
+		var data = [];
+		for (var i = 0; i < length; i++)
+			data.push(this.byte());
+		return data;
+	};
+
+	function readMeta(reader, event) {
+		var type = reader.byte();
+		var length = reader.variableLength();
+		var data = reader.data(length);
+		switch (type) {
+			case 0x01: case 0x02: case 0x03: case 0x04: case 0x05: case 0x06:
+				event.type = { 1: "text", 2: "copyright", 3: "trackName", 4: "instrumentName", 5: "lyric", 6: "marker" }[type];
+				event.text = String.fromCharCode.apply(null, data);
+				break;
+			case 0x2f:
+				event.type = "endOfTrack";
+				break;
+			case 0x51:
+				event.type = "tempo";
+				event.microsecondsPerBeat = data[0] * 65536 + data[1] * 256 + data[2];
+				break;
+			case 0x58:
+				event.type = "timeSignature";
+				event.numerator = data[0];
+				event.denominator = Math.pow(2, data[1]);
+				break;
+			case 0x59:
+				event.type = "keySignature";
+				// The number of sharps is positive, and the number of flats is negative.
+				event.key = data[0] > 127 ? data[0] - 256 : data[0];
+				event.minor = data[1] === 1;
+				break;
+			default:
+				event.type = "meta";
+				event.metaType = type;
+				event.data = data;
+				break;
+		}
+	}
+
+	function readTrack(reader) {
+		var events = [];
+		var ticks = 0;
+		var runningStatus = null;
+		while (!reader.atEnd()) {
+			ticks += reader.variableLength();
+			var event = { ticks: ticks };
+			var status = reader.byte();
+			if (status === 0xff) {
+				readMeta(reader, event);
+			} else if (status === 0xf0 || status === 0xf7) {
+				event.type = "sysex";
+				event.data = reader.data(reader.variableLength());
+			} else {
+				var first;
+				if (status & 0x80) {
+					runningStatus = status;
+					first = reader.byte();
+				} else {
+					if (runningStatus === null)
+						throw new Error("The MIDI file has data without a status byte");
+					first = status;
+					status = runningStatus;
+				}
+				event.channel = status & 0x0f;
+				switch (status & 0xf0) {
+					case 0x80:
+						event.type = "noteOff";
+						event.pitch = first;
+						event.velocity = reader.byte();
+						break;
+					case 0x90:
+						event.pitch = first;
+						event.velocity = reader.byte();
+						event.type = event.velocity === 0 ? "noteOff" : "noteOn";
+						break;
+					case 0xa0:
+						event.type = "aftertouch";
+						event.pitch = first;
+						event.value = reader.byte();
+						break;
+					case 0xb0:
+						event.type = "controller";
+						event.controller = first;
+						event.value = reader.byte();
+						break;
+					case 0xc0:
+						event.type = "programChange";
+						event.program = first;
+						break;
+					case 0xd0:
+						event.type = "channelAftertouch";
+						event.value = first;
+						break;
+					case 0xe0:
+						event.type = "pitchBend";
+						event.value = first + reader.byte() * 128;
+						break;
+				}
+			}
+			events.push(event);
+			if (event.type === "endOfTrack")
+				break;
+		}
+		return events;
+	}
+
+	// Returns { format, ticksPerBeat, tracks: [[events]] }. Throws an error if the data isn't a Standard MIDI File.
+	midiFileParser.parse = function(data) {
+		var bytes = toBytes(data);
+		var reader = new Reader(bytes, 0, bytes.length);
+		if (bytes.length < 14 || reader.string(4) !== "MThd")
+			throw new Error("This is not a MIDI file: it doesn't start with MThd");
+		var headerLength = reader.int(4);
+		var headerEnd = reader.pos + headerLength;
+		var format = reader.int(2);
+		var numTracks = reader.int(2);
+		var division = reader.int(2);
+		if (division & 0x8000)
+			throw new Error("MIDI files that use SMPTE time are not supported");
+		reader.pos = headerEnd;
+
+		var tracks = [];
+		while (tracks.length < numTracks && reader.pos + 8 <= bytes.length) {
+			var id = reader.string(4);
+			var length = reader.int(4);
+			var end = Math.min(bytes.length, reader.pos + length);
+			// Chunks that aren't tracks are allowed, and should be skipped.
+			if (id === "MTrk")
+				tracks.push(readTrack(new Reader(bytes, reader.pos, end)));
+			reader.pos = end;
+		}
+		return { format: format, ticksPerBeat: division, tracks: tracks };
+	};
+})();
+
+module.exports = midiFileParser;
@@ -0,0 +1,430 @@
+// midi2abc.js: Converts a Standard MIDI File to abc text.
+// The notes are quantized to a grid, split into measures, and written out by the TextPrinter.
+// Each track becomes an abc voice, or each channel if a track contains more than one channel (which is always the case for a format 0 file).
+// A voice only plays one thing at a time: notes that start together become a chord, and a note is cut short when the next note in the voice starts.
+
+var midiFileParser = require('./midi-file-parser');
+var TextPrinter = require('./abc2abc_write');
+
+var midi2abc = {};
+
+(function() {
+	"use strict";
+
+	var majorKeys = [ "Cb", "Gb", "Db", "Ab", "Eb", "Bb", "F", "C", "G", "D", "A", "E", "B", "F#", "C#" ];
+	var minorKeys = [ "Ab", "Eb", "Bb", "F", "C", "G", "D", "A", "E", "B", "F#", "C#", "G#", "D#", "A#" ];
+	var sharpOrder = "FCGDAEB";
+	var flatOrder = "BEADGCF";
+	var steps = "CDEFGAB";
+	var stepPitchClass = [ 0, 2, 4, 5, 7, 9, 11 ];
+	// The spelling of the notes that are not in the key: [step, alter].
+	var sharpSpelling = [ [0,0], [0,1], [1,0], [1,1], [2,0], [3,0], [3,1], [4,0], [4,1], [5,0], [5,1], [6,0] ];
+	var flatSpelling = [ [0,0], [1,-1], [1,0], [2,-1], [2,0], [3,0], [4,-1], [4,0], [5,-1], [5,0], [6,-1], [6,0] ];
+	var accidentals = { "2": "dblsharp", "1": "sharp", "0": "natural", "-1": "flat", "-2": "dblflat" };
+
+	// The Krumhansl-Kessler key profiles: how strongly each degree of the chromatic scale suggests the key.
+	var majorProfile = [ 6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88 ];
+	var minorProfile = [ 6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17 ];
+
+	// The meters that are tried when the file doesn't have a time signature. The first one wins unless another one is clearly better.
+	var meterCandidates = [ { num: 4, den: 4 }, { num: 3, den: 4 }, { num: 6, den: 8 } ];
+
+	var percussionChannel = 9;
+
+	//
+	// Reading the notes out of the file
+	//
+
+	function findNotes(track) {
+		var notes = [];
+		var open = {};
+		var lastTicks = 0;
+		for (var i = 0; i < track.length; i++) {
+			var event = track[i];
+			lastTicks = event.ticks;
+			var id = event.channel + "-" + event.pitch;
+			if (event.type === "noteOn") {
+				if (!open[id])
+					open[id] = [];
+				var note = { start: event.ticks, pitch: event.pitch, channel: event.channel, velocity: event.velocity };
+				open[id].push(note);
+				notes.push(note);
+			} else if (event.type === "noteOff" && open[id] && open[id].length > 0)
+				open[id].shift().end = event.ticks;
+		}
+		// Any notes that are still sounding when the track ends are ended there.
+		for (var j = 0; j < notes.length; j++) {
+			if (notes[j].end === undefined)
+				notes[j].end = Math.max(lastTicks, notes[j].start);
+		}
+		return notes;
+	}
+
+	function firstEvent(tracks, type) {
+		var found = null;
+		for (var t = 0; t < tracks.length; t++) {
+			for (var i = 0; i < tracks[t].length; i++) {
+				if (tracks[t][i].type === type) {
+					if (!found || tracks[t][i].ticks < found.ticks)
+						found = tracks[t][i];
+					break;
+				}
+			}
+		}
+		return found;
+	}
+
+	function trackName(track) {
+		for (var i = 0; i < track.length; i++) {
+			if (track[i].type === "trackName" && track[i].text.trim().length > 0)
+				return track[i].text.trim();
+		}
+		return undefined;
+	}
+
+	function findVoices(midi) {
+		var voices = [];
+		for (var t = 0; t < midi.tracks.length; t++) {
+			var notes = findNotes(midi.tracks[t]);
+			var name = trackName(midi.tracks[t]);
+			var channels = [];
+			for (var i = 0; i < notes.length; i++) {
+				if (channels.indexOf(notes[i].channel) < 0)
+					channels.push(notes[i].channel);
+			}
+			channels.sort(function(a, b) { return a - b; });
+			for (var c = 0; c < channels.length; c++) {
+				voices.push({
+					name: name,
+					channel: channels[c],
+					notes: notes.filter(function(note) { return note.channel === channels[c]; })
+				});
+			}
+		}
+		return voices;
+	}
+
+	//
+	// Working out the key and meter when the file doesn't say
+	//
+
+	function correlation(a, b) {
+		var meanA = 0, meanB = 0, i;
+		for (i = 0; i < a.length; i++) {
+			meanA += a[i] / a.length;
+			meanB += b[i] / b.length;
+		}
+		var num = 0, denA = 0, denB = 0;
+		for (i = 0; i < a.length; i++) {
+			num += (a[i] - meanA) * (b[i] - meanB);
+			denA += (a[i] - meanA) * (a[i] - meanA);
+			denB += (b[i] - meanB) * (b[i] - meanB);
+		}
+		return denA && denB ? num / Math.sqrt(denA * denB) : 0;
+	}
+
+	function fifthsForPitchClass(pitchClass) {
+		var fifths = (pitchClass * 7) % 12;
+		return fifths > 6 ? fifths - 12 : fifths;
+	}
+
+	// Compares the amount of time spent on each pitch class with the profile for each of the 24 keys.
+	function analyzeKey(voices) {
+		var histogram = [ 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0 ];
+		voices.forEach(function(voice) {
+			if (voice.channel === percussionChannel)
+				return;
+			voice.notes.forEach(function(note) {
+				histogram[note.pitch % 12] += Math.max(1, note.end - note.start);
+			});
+		});
+		var best = { fifths: 0, minor: false, score: -Infinity };
+		for (var tonic = 0; tonic < 12; tonic++) {
+			var major = [], minor = [];
+			for (var i = 0; i < 12; i++) {
+				major.push(majorProfile[(i - tonic + 12) % 12]);
+				minor.push(minorProfile[(i - tonic + 12) % 12]);
+			}
+			var majorScore = correlation(histogram, major);
+			var minorScore = correlation(histogram, minor);
+			if (majorScore > best.score)
+				best = { fifths: fifthsForPitchClass(tonic), minor: false, score: majorScore };
+			if (minorScore > best.score)
+				best = { fifths: fifthsForPitchClass((tonic + 3) % 12), minor: true, score: minorScore };
+		}
+		return best;
+	}
+
+	// Measures how much more weight the notes that start on the first beat of the measure have than the other notes, for each possible meter.
+	function analyzeMeter(voices, ticksPerBeat) {
+		var eighth = ticksPerBeat / 2;
+		var best = null;
+		for (var m = 0; m < meterCandidates.length; m++) {
+			var meter = meterCandidates[m];
+			var eighthsPerBar = meter.num * 8 / meter.den;
+			var weights = [];
+			for (var i = 0; i < eighthsPerBar; i++)
+				weights.push(0);
+			voices.forEach(function(voice) {
+				voice.notes.forEach(function(note) {
+					var pos = Math.round(note.start / eighth) % eighthsPerBar;
+					weights[pos] += Math.max(1, note.end - note.start) * note.velocity;
+				});
+			});
+			var total = weights.reduce(function(sum, w) { return sum + w; }, 0);
+			var score = total ? weights[0] / (total / eighthsPerBar) : 0;
+			if (!best || score > best.score * 1.1)
+				best = { num: meter.num, den: meter.den, score: score };
+		}
+		return best;
+	}
+
+	//
+	// Creating the abcjs elements
+	//
+
+	function makeKey(fifths, minor) {
+		fifths = Math.max(-7, Math.min(7, fifths));
+		var root = (minor ? minorKeys : majorKeys)[fifths + 7];
+		var key = { el_type: "key", root: root.charAt(0), acc: root.substring(1), mode: minor ? "m" : "", accidentals: [] };
+		for (var i = 0; i < Math.abs(fifths); i++) {
+			if (fifths > 0)
+				key.accidentals.push({ acc: "sharp", note: sharpOrder.charAt(i) });
+			else
+				key.accidentals.push({ acc: "flat", note: flatOrder.charAt(i) });
+		}
+		return key;
+	}
+
+	// Returns the step and alteration for each pitch class, using the notes of the key when possible.
+	function makeSpelling(fifths) {
+		var spelling = (fifths < 0 ? flatSpelling : sharpSpelling).slice();
+		var keyAlters = [ 0, 0, 0, 0, 0, 0, 0 ];
+		for (var i = 0; i < Math.abs(fifths); i++)
+			keyAlters[steps.indexOf((fifths > 0 ? sharpOrder : flatOrder).charAt(i))] = fifths > 0 ? 1 : -1;
+		for (var step = 0; step < 7; step++)
+			spelling[(stepPitchClass[step] + keyAlters[step] + 12) % 12] = [ step, keyAlters[step] ];
+		return { spelling: spelling, keyAlters: keyAlters };
+	}
+
+	// The note lengths that can be written with one note: the powers of two and the dotted powers of two.
+	function longestWritable(units, unitLength) {
+		var best = 1;
+		for (var len = 1; len <= units; len *= 2) {
+			best = len;
+			if (len + len / 2 <= units && len >= 2)
+				best = len + len / 2;
+		}
+		// A note can't be longer than a breve.
+		return Math.min(best, 2 / unitLength);
+	}
+
+	function isCompound(meter) {
+		return meter.den === 8 && meter.num % 3 === 0 && meter.num > 3;
+	}
+
+	// Turns the notes of a voice into a list of chords and rests that don't overlap, measured in grid units.
+	function makeEvents(notes, unitTicks) {
+		var quantized = notes.map(function(note) {
+			var start = Math.round(note.start / unitTicks);
+			return { start: start, end: Math.max(start + 1, Math.round(note.end / unitTicks)), pitch: note.pitch };
+		}).sort(function(a, b) { return a.start - b.start || a.pitch - b.pitch; });
+
+		var events = [];
+		var i = 0;
+		while (i < quantized.length) {
+			var chord = { start: quantized[i].start, end: quantized[i].end, pitches: [] };
+			while (i < quantized.length && quantized[i].start === chord.start) {
+				if (chord.pitches.indexOf(quantized[i].pitch) < 0)
+					chord.pitches.push(quantized[i].pitch);
+				chord.end = Math.min(chord.end, quantized[i].end);
+				i++;
+			}
+			if (i < quantized.length)
+				chord.end = Math.min(chord.end, quantized[i].start);
+			events.push(chord);
+		}
+		return events;
+	}
+
+	function VoiceWriter(spelling, meter, unitLength, unitsPerBar) {
+		this.spelling = spelling;
+		this.meter = meter;
+		this.unitLength = unitLength;
+		this.unitsPerBar = unitsPerBar;
+		this.beatUnits = Math.round((isCompound(meter) ? 3 / 8 : 1 / meter.den) / unitLength) || 1;
+		this.measures = [];
+	}
+
+	VoiceWriter.prototype.measure = function(index) {
+		while (this.measures.length <= index)
+			this.measures.push({ items: [], alters: {} });
+		return this.measures[index];
+	};
+
+	VoiceWriter.prototype.makePitch = function(midiPitch, measure) {
+		var spelled = this.spelling.spelling[midiPitch % 12];
+		var step = spelled[0];
+		var alter = spelled[1];
+		var octave = Math.floor((midiPitch - alter) / 12) - 1;
+		var pitch = { pitch: step + (octave - 4) * 7 };
+		var expected = measure.alters[pitch.pitch];
+		if (expected === undefined)
+			expected = this.spelling.keyAlters[step];
+		if (alter !== expected) {
+			pitch.accidental = accidentals["" + alter];
+			measure.alters[pitch.pitch] = alter;
+		}
+		return pitch;
+	};
+
+	// Adds a chord or a rest, splitting it at the bar lines and into lengths that can be written. The pieces of a chord are tied together.
+	VoiceWriter.prototype.add = function(start, end, pitches) {
+		var pos = start;
+		var previous = null;
+		while (pos < end) {
+			var measureIndex = Math.floor(pos / this.unitsPerBar);
+			var barEnd = (measureIndex + 1) * this.unitsPerBar;
+			var units = longestWritable(Math.min(end, barEnd) - pos, this.unitLength);
+			var measure = this.measure(measureIndex);
+			var el = { el_type: "note", duration: units * this.unitLength, start: pos - measureIndex * this.unitsPerBar };
+			if (pitches) {
+				var self = this;
+				el.pitches = pitches.map(function(p) { return self.makePitch(p, measure); });
+				if (previous) {
+					for (var i = 0; i < el.pitches.length; i++) {
+						previous.pitches[i].startTie = {};
+						el.pitches[i].endTie = true;
+					}
+				}
+				previous = el;
+			} else
+				el.rest = { type: "rest" };
+			measure.items.push(el);
+			pos += units;
+		}
+	};
+
+	// Beams together the notes shorter than a quarter that are in the same beat.
+	VoiceWriter.prototype.beam = function() {
+		var quarter = 1 / 4;
+		for (var m = 0; m < this.measures.length; m++) {
+			var items = this.measures[m].items;
+			var group = [];
+			for (var i = 0; i <= items.length; i++) {
+				var el = items[i];
+				var fits = el && !el.rest && el.duration < quarter && (group.length === 0 ||
+					Math.floor(el.start / this.beatUnits) === Math.floor(group[0].start / this.beatUnits));
+				if (!fits) {
+					if (group.length > 1) {
+						group[0].startBeam = true;
+						group[group.length - 1].endBeam = true;
+					}
+					group = el && !el.rest && el.duration < quarter ? [ el ] : [];
+				} else
+					group.push(el);
+			}
+			for (i = 0; i < items.length; i++)
+				delete items[i].start;
+		}
+	};
+
+	function averagePitch(notes) {
+		if (notes.length === 0)
+			return 60;
+		var total = 0;
+		for (var i = 0; i < notes.length; i++)
+			total += notes[i].pitch;
+		return total / notes.length;
+	}
+
+	// Converts the MIDI file to abc. The data can be a Uint8Array, an ArrayBuffer, an array of bytes, or a binary string.
+	// options.quantize is the shortest note, as the denominator of the note length: 16 means sixteenth notes (the default).
+	// options.barsPerLine is how many measures to put on each line of abc (the default is 4).
+	midi2abc.convert = function(data, options) {
+		options = options || {};
+		var midi = midiFileParser.parse(data);
+		var voices = findVoices(midi);
+		if (voices.length === 0)
+			throw new Error("The MIDI file doesn't contain any notes");
+
+		var keySignature = firstEvent(midi.tracks, "keySignature");
+		var key = keySignature ? { fifths: keySignature.key, minor: keySignature.minor } : analyzeKey(voices);
+		var timeSignature = firstEvent(midi.tracks, "timeSignature");
+		var meter = timeSignature ? { num: timeSignature.numerator, den: timeSignature.denominator } : analyzeMeter(voices, midi.ticksPerBeat);
+		var tempo = firstEvent(midi.tracks, "tempo");
+
+		// The grid needs to be at least as fine as the bottom of the time signature so that each measure is a whole number of units.
+		var quantize = Math.max(options.quantize || 16, meter.den);
+		var unitLength = 1 / quantize;
+		var unitTicks = midi.ticksPerBeat * 4 / quantize;
+		var unitsPerBar = Math.round(meter.num * quantize / meter.den);
+		var barsPerLine = options.barsPerLine || 4;
+
+		var keyElement = makeKey(key.fifths, key.minor);
+		var spelling = makeSpelling(key.fifths);
+		var meterElement = { el_type: "meter", type: "specified", value: [ { num: "" + meter.num, den: "" + meter.den } ] };
+
+		var writers = [];
+		var lastUnit = 0;
+		voices.forEach(function(voice) {
+			var writer = new VoiceWriter(spelling, meter, unitLength, unitsPerBar);
+			var events = makeEvents(voice.notes, unitTicks);
+			var pos = 0;
+			for (var i = 0; i < events.length; i++) {
+				if (events[i].start > pos)
+					writer.add(pos, events[i].start);
+				if (events[i].end > events[i].start)
+					writer.add(events[i].start, events[i].end, events[i].pitches);
+				pos = Math.max(pos, events[i].end);
+			}
+			writer.end = pos;
+			lastUnit = Math.max(lastUnit, pos);
+			writers.push(writer);
+		});
+
+		// Every voice is filled with rests to the end of the last measure.
+		var numMeasures = Math.max(1, Math.ceil(lastUnit / unitsPerBar));
+		writers.forEach(function(writer) {
+			writer.add(writer.end, numMeasures * unitsPerBar);
+			writer.beam();
+		});
+
+		var tune = { metaText: {}, formatting: {}, lines: [] };
+		// In a format 1 file, the name of the first track is the name of the song if that track doesn't have any notes.
+		var firstTrackName = midi.tracks.length > 0 ? trackName(midi.tracks[0]) : undefined;
+		var firstTrackHasNotes = voices.length > 0 && voices[0].name === firstTrackName && findNotes(midi.tracks[0]).length > 0;
+		if (firstTrackName && (midi.format === 0 || !firstTrackHasNotes))
+			tune.metaText.title = firstTrackName;
+		if (tempo)
+			tune.metaText.tempo = { duration: [ 1 / 4 ], bpm: Math.round(60000000 / tempo.microsecondsPerBeat) };
+
+		for (var start = 0; start < numMeasures; start += barsPerLine) {
+			var line = { staff: [] };
+			for (var v = 0; v < writers.length; v++) {
+				var staff = {
+					clef: { type: voices[v].channel === percussionChannel ? "perc" : averagePitch(voices[v].notes) < 57 ? "bass" : "treble" },
+					key: keyElement,
+					voices: [ [] ]
+				};
+				if (start === 0)
+					staff.meter = meterElement;
+				if (start === 0 && voices[v].name && !(tune.metaText.title === voices[v].name && midi.format === 0))
+					staff.title = [ voices[v].name ];
+				for (var m = start; m < Math.min(start + barsPerLine, numMeasures); m++) {
+					staff.voices[0] = staff.voices[0].concat(writers[v].measures[m].items);
+					staff.voices[0].push({ el_type: "bar", type: m === numMeasures - 1 ? "bar_thin_thick" : "bar_thin" });
+				}
+				line.staff.push(staff);
+			}
+			tune.lines.push(line);
+		}
+
+		var output = {};
+		var printer = new TextPrinter(output);
+		printer.printABC(tune);
+		return output.value;
+	};
+})();
+
+module.exports = midi2abc;
@@ -0,0 +1,847 @@
+// musicxml2abc.js: Converts a MusicXML document (either partwise or timewise) to abc text.
+// The MusicXML is turned into the same structure that abc_parse.js creates, and then that is written out by the TextPrinter.
+// Each staff of each part becomes an abc staff, and each MusicXML voice on that staff becomes an abc voice.
+// Compressed MusicXML (.mxl) files need to be unzipped before they are passed in.
+
+var xmlParser = require('./xml-parser');
+var TextPrinter = require('./abc2abc_write');
+
+var musicxml2abc = {};
+
+(function() {
+	"use strict";
+
+	var steps = "CDEFGAB";
+	var sharpOrder = "FCGDAEB";
+	var flatOrder = "BEADGCF";
+	var majorKeys = [ "Cb", "Gb", "Db", "Ab", "Eb", "Bb", "F", "C", "G", "D", "A", "E", "B", "F#", "C#" ];
+
+	// How many fifths the tonic of the mode is from the tonic of the major key with the same key signature, and how abc writes the mode.
+	var modes = {
+		major: { offset: 0, abc: "" },
+		ionian: { offset: 0, abc: "" },
+		minor: { offset: 3, abc: "m" },
+		aeolian: { offset: 3, abc: "m" },
+		dorian: { offset: 2, abc: "Dor" },
+		phrygian: { offset: 4, abc: "Phr" },
+		lydian: { offset: -1, abc: "Lyd" },
+		mixolydian: { offset: 1, abc: "Mix" },
+		locrian: { offset: 5, abc: "Loc" }
+	};
+
+	var noteTypes = { breve: 2, whole: 1, half: 1/2, quarter: 1/4, eighth: 1/8, "16th": 1/16, "32nd": 1/32, "64th": 1/64, "128th": 1/128 };
+
+	var accidentals = { "2": "dblsharp", "1": "sharp", "0.5": "quartersharp", "0": "natural", "-0.5": "quarterflat", "-1": "flat", "-2": "dblflat" };
+
+	var articulations = { staccato: "staccato", accent: "accent", tenuto: "tenuto", "strong-accent": "marcato", staccatissimo: "wedge", "breath-mark": "breath" };
+	var ornaments = { "trill-mark": "trill", mordent: "lowermordent", "inverted-mordent": "uppermordent", turn: "turn", "inverted-turn": "invertedturn" };
+	var technical = { "up-bow": "upbow", "down-bow": "downbow", "open-string": "open", "snap-pizzicato": "snap", stopped: "+", "thumb-position": "thumb" };
+	var dynamics = [ "p", "pp", "ppp", "pppp", "mp", "mf", "f", "ff", "fff", "ffff", "sfz" ];
+
+	var chordKinds = {
+		major: "", minor: "m", augmented: "aug", diminished: "dim",
+		dominant: "7", "major-seventh": "maj7", "minor-seventh": "m7", "diminished-seventh": "dim7", "augmented-seventh": "aug7",
+		"half-diminished": "m7b5", "major-minor": "m(maj7)",
+		"major-sixth": "6", "minor-sixth": "m6",
+		"dominant-ninth": "9", "major-ninth": "maj9", "minor-ninth": "m9",
+		"dominant-11th": "11", "major-11th": "maj11", "minor-11th": "m11",
+		"dominant-13th": "13", "major-13th": "maj13", "minor-13th": "m13",
+		"suspended-second": "sus2", "suspended-fourth": "sus4", power: "5", none: "N.C."
+	};
+
+	var barStyles = { "light-light": "bar_thin_thin", "light-heavy": "bar_thin_thick", "heavy-light": "bar_thick_thin", none: "bar_invisible" };
+
+	function isClose(a, b) {
+		return Math.abs(a - b) < 0.0001;
+	}
+
+	function number(str, defaultValue) {
+		var num = parseFloat(str);
+		return isNaN(num) ? defaultValue : num;
+	}
+
+	function trimmed(str) {
+		return str === undefined ? undefined : str.trim();
+	}
+
+	//
+	// Translating the MusicXML values to the abcjs values
+	//
+
+	function makeKey(keyNode) {
+		var fifths = Math.round(number(keyNode.childText("fifths"), 0));
+		var modeName = (trimmed(keyNode.childText("mode")) || "major").toLowerCase();
+		var mode = modes[modeName] || modes.major;
+		var index = fifths + mode.offset + 7;
+		if (index < 0 || index >= majorKeys.length) {
+			index = fifths + 7;
+			mode = modes.major;
+		}
+		var root = majorKeys[Math.max(0, Math.min(majorKeys.length - 1, index))];
+		var key = { el_type: "key", root: root.charAt(0), acc: root.substring(1), mode: mode.abc, accidentals: [] };
+		for (var i = 0; i < Math.min(7, Math.abs(fifths)); i++) {
+			if (fifths > 0)
+				key.accidentals.push({ acc: "sharp", note: sharpOrder.charAt(i) });
+			else
+				key.accidentals.push({ acc: "flat", note: flatOrder.charAt(i) });
+		}
+		return key;
+	}
+
+	function keyAlters(key) {
+		var alters = {};
+		for (var i = 0; i < key.accidentals.length; i++)
+			alters[key.accidentals[i].note.toUpperCase()] = key.accidentals[i].acc === "sharp" ? 1 : -1;
+		return alters;
+	}
+
+	function makeMeter(timeNode) {
+		if (timeNode.child("senza-misura"))
+			return { el_type: "meter", type: "none" };
+		var symbol = timeNode.attr("symbol");
+		var beats = timeNode.all("beats");
+		var beatTypes = timeNode.all("beat-type");
+		if (symbol === "common" && trimmed(beats[0].text) === "4" && trimmed(beatTypes[0].text) === "4")
+			return { el_type: "meter", type: "common_time" };
+		if (symbol === "cut" && trimmed(beats[0].text) === "2" && trimmed(beatTypes[0].text) === "2")
+			return { el_type: "meter", type: "cut_time" };
+		var value = [];
+		for (var i = 0; i < beats.length; i++)
+			value.push({ num: trimmed(beats[i].text), den: beatTypes[i] ? trimmed(beatTypes[i].text) : "4" });
+		return { el_type: "meter", type: "specified", value: value };
+	}
+
+	function meterLength(meter) {
+		if (!meter)
+			return 0;
+		if (meter.type === "common_time" || meter.type === "cut_time")
+			return 1;
+		if (meter.type !== "specified")
+			return 0;
+		var len = 0;
+		for (var i = 0; i < meter.value.length; i++) {
+			var beats = meter.value[i].num.split('+');
+			for (var j = 0; j < beats.length; j++)
+				len += number(beats[j], 0) / number(meter.value[i].den, 4);
+		}
+		return len;
+	}
+
+	function makeClef(clefNode) {
+		var sign = trimmed(clefNode.childText("sign"));
+		var line = trimmed(clefNode.childText("line"));
+		var type;
+		switch (sign) {
+			case "F": type = line === "3" ? "bass3" : "bass"; break;
+			case "C": type = { "1": "alto1", "2": "alto2", "4": "tenor" }[line] || "alto"; break;
+			case "percussion": type = "perc"; break;
+			case "none": type = "none"; break;
+			default: type = "treble"; break;
+		}
+		var octave = number(clefNode.childText("clef-octave-change"), 0);
+		if (octave === 1 || octave === -1)
+			type += octave > 0 ? "+8" : "-8";
+		return { el_type: "clef", type: type };
+	}
+
+	function makeHarmony(node) {
+		var root = node.child("root");
+		if (!root)
+			return null;
+		var alters = { "1": "#", "-1": "b" };
+		var name = trimmed(root.childText("root-step")) + (alters[trimmed(root.childText("root-alter"))] || "");
+		var kind = node.child("kind");
+		if (kind) {
+			if (kind.attr("text") !== undefined)
+				name += kind.attr("text");
+			else
+				name += chordKinds[trimmed(kind.text)] || "";
+		}
+		var bass = node.child("bass");
+		if (bass)
+			name += "/" + trimmed(bass.childText("bass-step")) + (alters[trimmed(bass.childText("bass-alter"))] || "");
+		return { name: name, position: "default" };
+	}
+
+	// Returns the written length of the note, which is what abc uses. The played length is different inside a tuplet.
+	function writtenDuration(note, divisions, timeModification) {
+		var type = trimmed(note.childText("type"));
+		var rest = note.child("rest");
+		if (noteTypes[type] && !(rest && rest.attr("measure") === "yes")) {
+			var base = noteTypes[type];
+			var duration = base;
+			var dots = note.all("dot").length;
+			for (var i = 0; i < dots; i++) {
+				base /= 2;
+				duration += base;
+			}
+			return duration;
+		}
+		var played = number(note.childText("duration"), 0) / divisions / 4;
+		if (timeModification)
+			played = played * timeModification.actual / timeModification.normal;
+		return played;
+	}
+
+	//
+	// Reading the parts
+	//
+
+	// The state of one MusicXML voice while the part is being read.
+	function Voice(id, staff) {
+		this.id = id;
+		this.staff = staff;
+		this.measures = [];
+		this.measureAlters = {};
+		this.tuplet = null;
+		this.graceNotes = [];
+		this.lastNote = null;
+	}
+
+	Voice.prototype.items = function(measureIndex) {
+		if (!this.measures[measureIndex])
+			this.measures[measureIndex] = [];
+		return this.measures[measureIndex];
+	};
+
+	Voice.prototype.closeTuplet = function() {
+		if (this.tuplet && this.lastNote)
+			this.lastNote.endTriplet = true;
+		this.tuplet = null;
+	};
+
+	function PartReader(partNode, name, lyricVerses) {
+		this.partNode = partNode;
+		this.name = name;
+		this.lyricVerses = lyricVerses;
+		this.voices = {};
+		this.measures = [];
+		this.divisions = 1;
+		this.numStaves = 1;
+		this.key = makeKey({ childText: function() { return undefined; } });
+		this.clefs = {};
+		this.pending = { chord: [], decoration: [] };
+		this.openWedge = null;
+	}
+
+	PartReader.prototype.voice = function(id, staff) {
+		if (!this.voices[id])
+			this.voices[id] = new Voice(id, staff);
+		return this.voices[id];
+	};
+
+	PartReader.prototype.read = function() {
+		var measureNodes = this.partNode.all("measure");
+		for (var m = 0; m < measureNodes.length; m++)
+			this.readMeasure(measureNodes[m], m);
+		for (var id in this.voices) {
+			if (this.voices.hasOwnProperty(id))
+				this.voices[id].closeTuplet();
+		}
+	};
+
+	PartReader.prototype.readMeasure = function(measureNode, index) {
+		var measure = { index: index, startItems: [], leftBar: {}, rightBar: {} };
+		this.measures.push(measure);
+		this.currentMeasure = measure;
+		this.notesSeen = false;
+		this.currentVoice = null;
+		for (var id in this.voices) {
+			if (this.voices.hasOwnProperty(id))
+				this.voices[id].measureAlters = {};
+		}
+
+		for (var i = 0; i < measureNode.children.length; i++) {
+			var node = measureNode.children[i];
+			switch (node.name) {
+				case "print":
+					if (node.attr("new-system") === "yes" || node.attr("new-page") === "yes")
+						measure.newSystem = true;
+					break;
+				case "attributes":
+					this.readAttributes(node);
+					break;
+				case "note":
+					this.readNote(node);
+					break;
+				case "forward":
+					this.readForward(node);
+					break;
+				case "direction":
+					this.readDirection(node);
+					break;
+				case "harmony":
+					var chord = makeHarmony(node);
+					if (chord)
+						this.pending.chord.push(chord);
+					break;
+				case "barline":
+					this.readBarline(node, measure);
+					break;
+			}
+		}
+
+		// Anything that was waiting for a note that didn't come is put on the last note of the measure.
+		if (this.currentVoice && this.currentVoice.lastNote)
+			this.attachPending(this.currentVoice.lastNote);
+	};
+
+	// Adds something that isn't a note to the music. At the start of a measure, it applies to all the voices; after that it only goes in the current voice.
+	PartReader.prototype.addItem = function(item, staff) {
+		if (!this.notesSeen || !this.currentVoice) {
+			item.staff = staff;
+			this.currentMeasure.startItems.push(item);
+		} else
+			this.currentVoice.items(this.currentMeasure.index).push(item);
+	};
+
+	PartReader.prototype.readAttributes = function(node) {
+		var i;
+		var first = this.currentMeasure.index === 0 && !this.notesSeen;
+		if (node.child("divisions"))
+			this.divisions = number(node.childText("divisions"), 1);
+		if (node.child("staves"))
+			this.numStaves = Math.max(1, Math.round(number(node.childText("staves"), 1)));
+		var keys = node.all("key");
+		if (keys.length > 0) {
+			this.key = makeKey(keys[0]);
+			if (first)
+				this.initialKey = this.key;
+			else
+				this.addItem(this.key);
+		}
+		var times = node.all("time");
+		if (times.length > 0) {
+			this.meter = makeMeter(times[0]);
+			if (first)
+				this.initialMeter = this.meter;
+			else
+				this.addItem(this.meter);
+		}
+		var clefs = node.all("clef");
+		for (i = 0; i < clefs.length; i++) {
+			var staff = number(clefs[i].attr("number"), 1);
+			var clef = makeClef(clefs[i]);
+			if (first || !this.clefs[staff])
+				this.clefs[staff] = clef;
+			else if (this.clefs[staff].type !== clef.type) {
+				this.clefs[staff] = clef;
+				this.addItem(clef, staff);
+			}
+		}
+	};
+
+	PartReader.prototype.readForward = function(node) {
+		if (!node.child("voice"))
+			return;
+		var voice = this.voice(trimmed(node.childText("voice")), number(node.childText("staff"), 1));
+		var duration = number(node.childText("duration"), 0) / this.divisions / 4;
+		if (duration > 0)
+			voice.items(this.currentMeasure.index).push({ el_type: "note", rest: { type: "invisible" }, duration: duration });
+	};
+
+	PartReader.prototype.readDirection = function(node) {
+		var placement = node.attr("placement");
+		var types = node.all("direction-type");
+		for (var i = 0; i < types.length; i++) {
+			for (var j = 0; j < types[i].children.length; j++) {
+				var child = types[i].children[j];
+				switch (child.name) {
+					case "words":
+						var text = trimmed(child.text).replace(/"/g, "'");
+						if (text.length > 0)
+							this.pending.chord.push({ name: text, position: placement === "below" ? "below" : "above" });
+						break;
+					case "rehearsal":
+						this.addItem({ el_type: "part", title: trimmed(child.text) });
+						break;
+					case "segno":
+					case "coda":
+						this.pending.decoration.push(child.name);
+						break;
+					case "dynamics":
+						for (var k = 0; k < child.children.length; k++) {
+							if (dynamics.indexOf(child.children[k].name) >= 0)
+								this.pending.decoration.push(child.children[k].name);
+						}
+						break;
+					case "wedge":
+						var type = child.attr("type");
+						if (type === "crescendo" || type === "diminuendo") {
+							this.openWedge = type;
+							this.pending.decoration.push(type + "(");
+						} else if (type === "stop" && this.openWedge) {
+							this.pending.decoration.push(this.openWedge + ")");
+							this.openWedge = null;
+						}
+						break;
+					case "metronome":
+						this.readMetronome(child);
+						break;
+				}
+			}
+		}
+	};
+
+	PartReader.prototype.readMetronome = function(node) {
+		var unit = noteTypes[trimmed(node.childText("beat-unit"))];
+		var bpm = number(node.childText("per-minute"), 0);
+		if (!unit || !bpm)
+			return;
+		var beat = unit;
+		var dots = node.all("beat-unit-dot").length;
+		for (var i = 0; i < dots; i++) {
+			unit /= 2;
+			beat += unit;
+		}
+		var tempo = { el_type: "tempo", duration: [ beat ], bpm: bpm };
+		if (this.currentMeasure.index === 0 && !this.notesSeen && !this.initialTempo)
+			this.initialTempo = tempo;
+		else
+			this.addItem(tempo);
+	};
+
+	PartReader.prototype.readBarline = function(node, measure) {
+		var bar = node.attr("location") === "left" ? measure.leftBar : measure.rightBar;
+		var style = trimmed(node.childText("bar-style"));
+		if (style)
+			bar.style = style;
+		var repeat = node.child("repeat");
+		if (repeat)
+			bar.repeat = repeat.attr("direction");
+		var ending = node.child("ending");
+		if (ending) {
+			if (ending.attr("type") === "start")
+				bar.startEnding = (ending.attr("number") || "1").replace(/\s+/g, "");
+			else
+				bar.endEnding = true;
+		}
+	};
+
+	PartReader.prototype.attachPending = function(el) {
+		if (this.pending.chord.length > 0)
+			el.chord = (el.chord || []).concat(this.pending.chord);
+		if (this.pending.decoration.length > 0)
+			el.decoration = (el.decoration || []).concat(this.pending.decoration);
+		this.pending = { chord: [], decoration: [] };
+	};
+
+	PartReader.prototype.readNote = function(node) {
+		var voice = this.voice(trimmed(node.childText("voice")) || "1", number(node.childText("staff"), 1));
+		var items = voice.items(this.currentMeasure.index);
+		this.currentVoice = voice;
+		this.notesSeen = true;
+
+		var timeModification = null;
+		var tm = node.child("time-modification");
+		if (tm)
+			timeModification = { actual: number(tm.childText("actual-notes"), 3), normal: number(tm.childText("normal-notes"), 2) };
+		var written = writtenDuration(node, this.divisions, timeModification);
+		var isRest = !!node.child("rest") || node.attr("print-object") === "no";
+		var pitch = isRest ? null : this.readPitch(node, voice);
+		var notations = node.all("notations");
+
+		if (node.child("grace")) {
+			if (pitch) {
+				var grace = pitch;
+				grace.duration = written;
+				if (node.child("grace").attr("slash") === "yes")
+					grace.acciaccatura = true;
+				voice.graceNotes.push(grace);
+			}
+			return;
+		}
+
+		if (node.child("chord") && voice.lastNote && voice.lastNote.pitches && pitch) {
+			voice.lastNote.pitches.push(pitch);
+			this.readNotations(notations, voice.lastNote, pitch, voice);
+			return;
+		}
+
+		var el = { el_type: "note", duration: written };
+		if (isRest)
+			el.rest = { type: node.attr("print-object") === "no" ? "invisible" : "rest" };
+		else
+			el.pitches = [ pitch ];
+		if (voice.graceNotes.length > 0) {
+			el.gracenotes = voice.graceNotes;
+			voice.graceNotes = [];
+		}
+		this.attachPending(el);
+
+		// Tuplets are ended when the notation says so, or when they add up to the expected length, or when a note outside a tuplet comes.
+		if (!timeModification)
+			voice.closeTuplet();
+		else {
+			var startsTuplet = notations.some(function(n) { return n.all("tuplet").some(function(t) { return t.attr("type") === "start"; }); });
+			if (startsTuplet)
+				voice.closeTuplet();
+			if (!voice.tuplet) {
+				el.startTriplet = timeModification.actual;
+				el.tripletMultiplier = timeModification.normal / timeModification.actual;
+				voice.tuplet = { total: 0, length: written * timeModification.actual };
+			}
+		}
+
+		var beams = node.all("beam").filter(function(b) { return b.attr("number") === undefined || b.attr("number") === "1"; });
+		if (beams.length > 0) {
+			var beam = trimmed(beams[0].text);
+			if (beam === "begin")
+				el.startBeam = true;
+			else if (beam === "end")
+				el.endBeam = true;
+		}
+
+		this.readNotations(notations, el, pitch, voice);
+		this.readLyrics(node, el);
+		items.push(el);
+		voice.lastNote = el;
+
+		if (voice.tuplet) {
+			voice.tuplet.total += written;
+			var stopsTuplet = notations.some(function(n) { return n.all("tuplet").some(function(t) { return t.attr("type") === "stop"; }); });
+			if (stopsTuplet || voice.tuplet.total >= voice.tuplet.length - 0.0001)
+				voice.closeTuplet();
+		}
+	};
+
+	// Returns the pitch, with an accidental if the alteration isn't what the key signature or an earlier accidental in the measure implies.
+	PartReader.prototype.readPitch = function(node, voice) {
+		var pitchNode = node.child("pitch");
+		var step, octave, alter = 0;
+		if (pitchNode) {
+			step = trimmed(pitchNode.childText("step"));
+			octave = number(pitchNode.childText("octave"), 4);
+			alter = number(pitchNode.childText("alter"), 0);
+		} else {
+			var unpitched = node.child("unpitched");
+			step = unpitched ? trimmed(unpitched.childText("display-step")) : "B";
+			octave = unpitched ? number(unpitched.childText("display-octave"), 4) : 4;
+		}
+		var pitch = { pitch: steps.indexOf(step) + (octave - 4) * 7 };
+		var expected = voice.measureAlters[pitch.pitch];
+		if (expected === undefined)
+			expected = keyAlters(this.key)[step] || 0;
+		var written = node.child("accidental");
+		if (alter !== expected || written) {
+			var accidental = accidentals["" + alter];
+			if (accidental)
+				pitch.accidental = accidental;
+			voice.measureAlters[pitch.pitch] = alter;
+		}
+		var ties = node.all("tie");
+		for (var i = 0; i < ties.length; i++) {
+			if (ties[i].attr("type") === "start")
+				pitch.startTie = {};
+			else if (ties[i].attr("type") === "stop")
+				pitch.endTie = true;
+		}
+		return pitch;
+	};
+
+	PartReader.prototype.readNotations = function(notations, el, pitch, voice) {
+		var decorations = [];
+		for (var i = 0; i < notations.length; i++) {
+			var children = notations[i].children;
+			for (var j = 0; j < children.length; j++) {
+				var child = children[j];
+				var k;
+				switch (child.name) {
+					case "slur":
+						var label = number(child.attr("number"), 1);
+						if (child.attr("type") === "start")
+							el.startSlur = (el.startSlur || []).concat([ { label: voice.id + "-" + label } ]);
+						else if (child.attr("type") === "stop")
+							el.endSlur = (el.endSlur || []).concat([ voice.id + "-" + label ]);
+						break;
+					case "tied":
+						if (pitch && child.attr("type") === "start")
+							pitch.startTie = {};
+						break;
+					case "fermata":
+						decorations.push(child.attr("type") === "inverted" ? "invertedfermata" : "fermata");
+						break;
+					case "arpeggiate":
+						decorations.push("arpeggio");
+						break;
+					case "articulations":
+					case "ornaments":
+					case "technical":
+						for (k = 0; k < child.children.length; k++) {
+							var name = child.children[k].name;
+							if (articulations[name])
+								decorations.push(articulations[name]);
+							else if (ornaments[name])
+								decorations.push(ornaments[name]);
+							else if (technical[name])
+								decorations.push(technical[name]);
+							else if (name === "fingering" && /^[0-5]$/.test(trimmed(child.children[k].text)))
+								decorations.push(trimmed(child.children[k].text));
+							else if (name === "tremolo")
+								decorations.push(new Array(Math.min(4, Math.max(1, number(child.children[k].text, 1))) + 1).join("/"));
+						}
+						break;
+					case "dynamics":
+						for (k = 0; k < child.children.length; k++) {
+							if (dynamics.indexOf(child.children[k].name) >= 0)
+								decorations.push(child.children[k].name);
+						}
+						break;
+				}
+			}
+		}
+		if (decorations.length > 0) {
+			el.decoration = el.decoration || [];
+			for (var d = 0; d < decorations.length; d++) {
+				if (el.decoration.indexOf(decorations[d]) < 0)
+					el.decoration.push(decorations[d]);
+			}
+		}
+	};
+
+	PartReader.prototype.readLyrics = function(node, el) {
+		var lyrics = node.all("lyric");
+		for (var i = 0; i < lyrics.length; i++) {
+			var verseName = lyrics[i].attr("number") || "1";
+			var verse = this.lyricVerses.indexOf(verseName);
+			if (verse < 0) {
+				verse = this.lyricVerses.length;
+				this.lyricVerses.push(verseName);
+			}
+			var text = lyrics[i].all("text").map(function(t) { return t.text; }).join(" ");
+			if (text.length === 0)
+				continue;
+			var syllabic = trimmed(lyrics[i].childText("syllabic"));
+			var divider = " ";
+			if (syllabic === "begin" || syllabic === "middle")
+				divider = "-";
+			else if (lyrics[i].child("extend"))
+				divider = "_";
+			if (!el.lyric)
+				el.lyric = [];
+			while (el.lyric.length < verse)
+				el.lyric.push(undefined);
+			el.lyric[verse] = { syllable: text, divider: divider };
+		}
+	};
+
+	//
+	// Putting the parts together into lines of music
+	//
+
+	// The bar line between two measures combines the right side of the first with the left side of the second.
+	function makeBar(right, left) {
+		var bar = { el_type: "bar", type: "bar_thin" };
+		var backward = right && right.repeat === "backward";
+		var forward = left && left.repeat === "forward";
+		if (backward && forward)
+			bar.type = "bar_dbl_repeat";
+		else if (backward)
+			bar.type = "bar_right_repeat";
+		else if (forward)
+			bar.type = "bar_left_repeat";
+		else if (right && barStyles[right.style])
+			bar.type = barStyles[right.style];
+		if (right && right.endEnding)
+			bar.endEnding = true;
+		if (left && left.startEnding)
+			bar.startEnding = left.startEnding;
+		return bar;
+	}
+
+	// Returns an array of abc staffs for the part. Each has the voices that are on that staff, in voice number order.
+	function staffsForPart(reader) {
+		var staffs = [];
+		for (var s = 1; s <= reader.numStaves; s++)
+			staffs.push({ number: s, voices: [] });
+		var ids = Object.keys(reader.voices).sort(function(a, b) { return number(a, 0) - number(b, 0); });
+		for (var i = 0; i < ids.length; i++) {
+			var voice = reader.voices[ids[i]];
+			var staff = staffs[Math.min(staffs.length, Math.max(1, voice.staff)) - 1];
+			staff.voices.push(voice);
+		}
+		return staffs.filter(function(staff) { return staff.voices.length > 0; });
+	}
+
+	function measureDuration(items) {
+		var total = 0;
+		var multiplier = 1;
+		for (var i = 0; i < items.length; i++) {
+			if (items[i].el_type !== "note")
+				continue;
+			if (items[i].startTriplet)
+				multiplier = items[i].tripletMultiplier;
+			total += items[i].duration * multiplier;
+			if (items[i].endTriplet)
+				multiplier = 1;
+		}
+		return total;
+	}
+
+	musicxml2abc.convert = function(xml) {
+		var root = xmlParser.parse(xml);
+		var partNodes;
+		if (root.name === "score-timewise")
+			partNodes = timewiseToPartwise(root);
+		else if (root.name === "score-partwise")
+			partNodes = root.all("part");
+		else
+			throw new Error("This is not a MusicXML file: the root element is <" + root.name + ">");
+
+		var partNames = {};
+		var partList = root.child("part-list");
+		if (partList) {
+			partList.all("score-part").forEach(function(scorePart) {
+				partNames[scorePart.attr("id")] = trimmed(scorePart.childText("part-name"));
+			});
+		}
+
+		var lyricVerses = [];
+		var readers = [];
+		var numMeasures = 0;
+		for (var p = 0; p < partNodes.length; p++) {
+			var reader = new PartReader(partNodes[p], partNames[partNodes[p].attr("id")], lyricVerses);
+			reader.read();
+			readers.push(reader);
+			numMeasures = Math.max(numMeasures, reader.measures.length);
+		}
+
+		var tune = { metaText: {}, formatting: {}, lines: [] };
+		var work = root.child("work");
+		var title = (work && trimmed(work.childText("work-title"))) || trimmed(root.childText("movement-title"));
+		if (title)
+			tune.metaText.title = title;
+		var identification = root.child("identification");
+		if (identification) {
+			var composers = identification.all("creator").filter(function(c) { return c.attr("type") === "composer"; });
+			if (composers.length > 0)
+				tune.metaText.composer = trimmed(composers[0].text);
+		}
+		if (readers.length > 0 && readers[0].initialTempo)
+			tune.metaText.tempo = readers[0].initialTempo;
+
+		// The lines are broken where the MusicXML starts a new system. If it doesn't say, then there are four measures on each line.
+		var lineStarts = [ 0 ];
+		var hasSystems = readers.length > 0 && readers[0].measures.some(function(m) { return m.newSystem; });
+		for (var m = 1; m < numMeasures; m++) {
+			if (hasSystems ? readers[0].measures[m] && readers[0].measures[m].newSystem : m % 4 === 0)
+				lineStarts.push(m);
+		}
+		lineStarts.push(numMeasures);
+
+		var firstKey = readers.length > 0 && readers[0].initialKey ? readers[0].initialKey : makeKey({ childText: function() { return undefined; } });
+		var firstMeter = readers.length > 0 ? readers[0].initialMeter : undefined;
+		var allStaffs = readers.map(staffsForPart);
+
+		for (var l = 0; l < lineStarts.length - 1; l++) {
+			var line = { staff: [] };
+			for (p = 0; p < readers.length; p++) {
+				var r = readers[p];
+				var staffs = allStaffs[p];
+				for (var s = 0; s < staffs.length; s++) {
+					var staff = {
+						clef: r.clefs[staffs[s].number] ? { type: r.clefs[staffs[s].number].type } : { type: "treble" },
+						key: r.initialKey || firstKey,
+						voices: []
+					};
+					// Like a parsed tune, the time signature is only on the first line; changes are elements in the voices.
+					if (l === 0)
+						staff.meter = r.initialMeter || firstMeter;
+					if (l === 0 && s === 0 && r.name)
+						staff.title = [ r.name ];
+					for (var v = 0; v < staffs[s].voices.length; v++)
+						staff.voices.push(voiceLine(r, staffs[s], staffs[s].voices[v], lineStarts[l], lineStarts[l+1], numMeasures, firstKey, firstMeter));
+					line.staff.push(staff);
+				}
+			}
+			tune.lines.push(line);
+		}
+
+		var output = {};
+		var printer = new TextPrinter(output);
+		printer.printABC(tune);
+		return output.value;
+	};
+
+	// Creates the elements for one voice for the measures that are on one line.
+	function voiceLine(reader, staff, voice, start, end, numMeasures, firstKey, firstMeter) {
+		var items = [];
+		if (start === 0) {
+			// If this part is in a different key or meter than the first part, that is set at the beginning of each of its voices.
+			if (reader.initialKey && reader.initialKey.root + reader.initialKey.acc + reader.initialKey.mode !== firstKey.root + firstKey.acc + firstKey.mode)
+				items.push(reader.initialKey);
+			if (reader.initialMeter && firstMeter && JSON.stringify(reader.initialMeter) !== JSON.stringify(firstMeter))
+				items.push(reader.initialMeter);
+			var first = reader.measures[0];
+			if (first && (first.leftBar.repeat === "forward" || first.leftBar.startEnding))
+				items.push(makeBar(null, first.leftBar));
+		}
+		var meter = reader.initialMeter || firstMeter;
+		for (var m = 0; m < start; m++) {
+			if (reader.measures[m]) {
+				reader.measures[m].startItems.forEach(function(item) {
+					if (item.el_type === "meter")
+						meter = item;
+				});
+			}
+		}
+		for (m = start; m < end; m++) {
+			var measure = reader.measures[m];
+			if (measure) {
+				for (var i = 0; i < measure.startItems.length; i++) {
+					var item = measure.startItems[i];
+					if (item.el_type === "meter")
+						meter = item;
+					if (item.staff === undefined || item.staff === staff.number)
+						items.push(item);
+				}
+			}
+			var notes = voice.measures[m] || [];
+			if (notes.length === 0 || measureDuration(notes) === 0) {
+				// This voice doesn't have anything in this measure, so fill it with space that is as long as the longest voice.
+				var longest = 0;
+				for (var id in reader.voices) {
+					if (reader.voices.hasOwnProperty(id) && reader.voices[id].measures[m])
+						longest = Math.max(longest, measureDuration(reader.voices[id].measures[m]));
+				}
+				if (!longest)
+					longest = meterLength(meter) || 1;
+				notes = notes.concat([ { el_type: "note", rest: { type: m >= reader.measures.length ? "rest" : "invisible" }, duration: longest } ]);
+			}
+			items = items.concat(notes);
+			var next = m + 1 < numMeasures ? reader.measures[m+1] : null;
+			var bar = makeBar(measure ? measure.rightBar : null, next ? next.leftBar : null);
+			if (m === numMeasures - 1 && bar.type === "bar_thin" && !(measure && measure.rightBar.style))
+				bar.type = "bar_thin_thick";
+			items.push(bar);
+		}
+		return items;
+	}
+
+	// A timewise score has the parts inside the measures, so turn it inside out so that it is the same as a partwise score.
+	function timewiseToPartwise(root) {
+		var parts = [];
+		var partIndex = {};
+		root.all("measure").forEach(function(measure) {
+			measure.all("part").forEach(function(partMeasure) {
+				var id = partMeasure.attr("id");
+				if (partIndex[id] === undefined) {
+					partIndex[id] = parts.length;
+					parts.push({ attributes: { id: id }, measures: [] });
+				}
+				// The contents of the part inside the measure become the contents of the measure inside the part.
+				partMeasure.name = "measure";
+				partMeasure.attributes = measure.attributes;
+				parts[partIndex[id]].measures.push(partMeasure);
+			});
+		});
+		return parts.map(function(part) {
+			return {
+				attr: function(name) { return part.attributes[name]; },
+				all: function() { return part.measures; }
+			};
+		});
+	}
+})();
+
+module.exports = musicxml2abc;
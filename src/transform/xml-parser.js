@@ -0,0 +1,128 @@
+// xml-parser.js: A small XML parser, so that MusicXML can be read when there isn't a browser to supply DOMParser.
+// It returns a tree of { name, attributes, children, text } objects. Comments, processing instructions and the DOCTYPE are skipped.
+// It doesn't validate the document: it is only meant to read well-formed files that were written by other programs.
+
+var xmlParser = {};
+
+(function() {
+	"use strict";
+
+	var entities = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+	function decodeEntities(str) {
+		return str.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, function(match, entity) {
+			if (entity.charAt(0) === '#') {
+				var code = entity.charAt(1) === 'x' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10);
+				return String.fromCharCode(code);
+			}
+			return entities[entity] !== undefined ? entities[entity] : match;
+		});
+	}
+
+	function XmlNode(name, attributes) {
+		this.name = name;
+		this.attributes = attributes;
+		this.children = [];
+		this.text = "";
+	}
+
+	// Returns the first child element with that name, or null.
+	XmlNode.prototype.child = function(name) {
+		for (var i = 0; i < this.children.length; i++) {
+			if (this.children[i].name === name)
+				return this.children[i];
+		}
+		return null;
+	};
+
+	// Returns all of the child elements with that name.
+	XmlNode.prototype.all = function(name) {
+		return this.children.filter(function(child) { return child.name === name; });
+	};
+
+	// Returns the text inside the child element with that name, or undefined if it isn't there.
+	XmlNode.prototype.childText = function(name) {
+		var child = this.child(name);
+		return child ? child.text : undefined;
+	};
+
+	XmlNode.prototype.attr = function(name) {
+		return this.attributes[name];
+	};
+
+	function parseAttributes(str) {
+		var attributes = {};
+		var re = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+		var match;
+		while ((match = re.exec(str)) !== null)
+			attributes[match[1]] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+		return attributes;
+	}
+
+	// Returns the root element of the document. Throws an error if the tags aren't matched.
+	xmlParser.parse = function(str) {
+		var root = null;
+		var stack = [];
+		var index = 0;
+		while (index < str.length) {
+			var lt = str.indexOf('<', index);
+			var text = str.substring(index, lt < 0 ? str.length : lt);
+			if (stack.length > 0 && text.length > 0)
+				stack[stack.length-1].text += decodeEntities(text);
+			if (lt < 0)
+				break;
+
+			var end;
+			if (str.substring(lt, lt + 4) === '<!--') {
+				end = str.indexOf('-->', lt);
+				index = end < 0 ? str.length : end + 3;
+			} else if (str.substring(lt, lt + 9) === '<![CDATA[') {
+				end = str.indexOf(']]>', lt);
+				if (stack.length > 0)
+					stack[stack.length-1].text += str.substring(lt + 9, end < 0 ? str.length : end);
+				index = end < 0 ? str.length : end + 3;
+			} else if (str.charAt(lt + 1) === '?') {
+				end = str.indexOf('?>', lt);
+				index = end < 0 ? str.length : end + 2;
+			} else if (str.charAt(lt + 1) === '!') {
+				// The DOCTYPE might contain an internal subset in square brackets.
+				var bracket = str.indexOf('[', lt);
+				end = str.indexOf('>', lt);
+				if (bracket >= 0 && bracket < end)
+					end = str.indexOf('>', str.indexOf(']', bracket));
+				index = end < 0 ? str.length : end + 1;
+			} else if (str.charAt(lt + 1) === '/') {
+				end = str.indexOf('>', lt);
+				var closeName = str.substring(lt + 2, end).trim();
+				var open = stack.pop();
+				if (!open || open.name !== closeName)
+					throw new Error("Unexpected closing tag </" + closeName + ">");
+				index = end + 1;
+			} else {
+				end = str.indexOf('>', lt);
+				if (end < 0)
+					throw new Error("Unterminated tag");
+				var tag = str.substring(lt + 1, end);
+				var selfClosing = tag.charAt(tag.length - 1) === '/';
+				if (selfClosing)
+					tag = tag.substring(0, tag.length - 1);
+				var nameEnd = tag.search(/\s|$/);
+				var node = new XmlNode(tag.substring(0, nameEnd), parseAttributes(tag.substring(nameEnd)));
+				if (stack.length > 0)
+					stack[stack.length-1].children.push(node);
+				else if (!root)
+					root = node;
+				if (!selfClosing)
+					stack.push(node);
+				index = end + 1;
+			}
+		}
+		if (stack.length > 0)
+			throw new Error("Missing closing tag </" + stack[stack.length-1].name + ">");
+		if (!root)
+			throw new Error("No XML element found");
+		return root;
+	};
+})();
+
+module.exports = xmlParser;
@@ -27,6 +27,7 @@ var AbsoluteElement = function AbsoluteElement(abcelem, duration, minspacing, ty
 	this.abcelem = abcelem;
 	this.duration = duration;
 	this.durationClass = options.durationClassOveride ? options.durationClassOveride : this.duration;
+	this.isTablature = !!options.tablature; // The fret numbers share the abcelem of the note that they are under.
 	this.minspacing = minspacing || 0;
 	this.x = 0;
 	this.children = [];
@@ -207,7 +208,8 @@ AbsoluteElement.prototype.draw = function (renderer, bartop) {
 		this.setClass("mark", "", "#00ff00");
 	if (this.hint)
 		this.setClass("abcjs-hint", "", null);
-	this.abcelem.abselem = this;
+	if (!this.isTablature)
+		this.abcelem.abselem = this;
 
 	var step = spacing.STEP;
 };
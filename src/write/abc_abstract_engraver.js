@@ -17,21 +17,25 @@
 var AbsoluteElement = require('./abc_absolute_element');
 var BeamElem = require('./abc_beam_element');
 var BraceElem = require('./abc_brace_element');
+var ChordDiagrams = require('./abc_chord_diagrams');
 var createClef = require('./abc_create_clef');
 var createKeySignature = require('./abc_create_key_signature');
 var createTimeSignature = require('./abc_create_time_signature');
 var Decoration = require('./abc_decoration');
 var EndingElem = require('./abc_ending_element');
 var glyphs = require('./abc_glyphs');
+var LyricElem = require('./abc_lyric_element');
 var RelativeElement = require('./abc_relative_element');
 var spacing = require('./abc_spacing');
 var StaffGroupElement = require('./abc_staff_group_element');
+var Tablature = require('./abc_tablature');
 var TempoElement = require('./abc_tempo_element');
 var TieElem = require('./abc_tie_element');
 var TripletElem = require('./abc_triplet_element');
 var VoiceElement = require('./abc_voice_element');
 
 var parseCommon = require('../parse/abc_common');
+var meterInfo = require('../data/abc_meter');
 
 var AbstractEngraver;
 
@@ -64,6 +68,15 @@ AbstractEngraver = function(renderer, tuneNumber, options) {
 	this.tuneNumber = tuneNumber;
 	this.isBagpipes = options.bagpipes;
 	this.flatBeams = options.flatbeams;
+	// There can be a tablature staff under each staff of music. A single definition applies to the first staff.
+	if (options.tablature) {
+		var tablature = Array.isArray(options.tablature) ? options.tablature : [ options.tablature ];
+		this.tablatures = [];
+		for (var i = 0; i < tablature.length; i++)
+			this.tablatures.push(tablature[i] ? new Tablature(tablature[i], tuneNumber) : undefined);
+	}
+	if (options.chordDiagrams)
+		this.chordDiagrams = new ChordDiagrams(options.chordDiagrams);
 	this.reset();
 };
 
@@ -144,6 +157,9 @@ AbstractEngraver.prototype.createABCLine = function(staffs, tempo) {
 
 AbstractEngraver.prototype.createABCStaff = function(staffgroup, abcstaff, tempo, s) {
 // If the tempo is passed in, then the first element should get the tempo attached to it.
+	var staffIndex = staffgroup.staffs.length; // This is different than s if there are tablature staves above this one.
+	var tablature = this.tablatures ? this.tablatures[s] : undefined;
+	var firstVoice;
   for (var v = 0; v < abcstaff.voices.length; v++) {
     var voice = new VoiceElement(v,abcstaff.voices.length);
     if (v===0) {
@@ -167,9 +183,10 @@ AbstractEngraver.prototype.createABCStaff = function(staffgroup, abcstaff, tempo
 	  }
     if (abcstaff.meter) {
     	if (abcstaff.meter.type === 'specified') {
-    		this.measureLength = abcstaff.meter.value[0].num / abcstaff.meter.value[0].den;
+    		this.measureLength = meterInfo.measureLength(abcstaff.meter);
 	    } else
 	    	this.measureLength = 1;
+		this.beatStarts = meterInfo.isAdditive(abcstaff.meter) ? meterInfo.beatStarts(abcstaff.meter) : null;
 		var ts = createTimeSignature(abcstaff.meter, this.tuneNumber);
 	    voice.addChild(ts);
 		this.startlimitelem = ts; // limit ties here
@@ -177,10 +194,15 @@ AbstractEngraver.prototype.createABCStaff = function(staffgroup, abcstaff, tempo
 	  if (voice.duplicate)
 		  voice.children = []; // we shouldn't reprint the above if we're reusing the same staff. We just created them to get the right spacing.
     var staffLines = abcstaff.clef.stafflines || abcstaff.clef.stafflines === 0 ? abcstaff.clef.stafflines : 5;
-    staffgroup.addVoice(voice,s,staffLines);
+    staffgroup.addVoice(voice,staffIndex,staffLines);
 	  var isSingleLineStaff = staffLines === 1;
+	  // Only the first voice of the staff is turned into tablature.
+	  this.tablature = v === 0 ? tablature : undefined;
 	  this.createABCVoice(abcstaff.voices[v],tempo, s, v, isSingleLineStaff, voice);
+	  this.tablature = undefined;
 	  staffgroup.setStaffLimits(voice);
+	  if (v === 0)
+		  firstVoice = voice;
 			if(abcstaff.brace === "start" || (!staffgroup.brace && abcstaff.brace)){
 				staffgroup.brace = new BraceElem(voice.staff, "brace");
 			}
@@ -198,6 +220,11 @@ AbstractEngraver.prototype.createABCStaff = function(staffgroup, abcstaff, tempo
 				staffgroup.bracket.continuing(voice.staff);
 			}
   }
+	if (tablature && firstVoice) {
+		var tabVoice = tablature.createVoice(firstVoice, abcstaff.key);
+		staffgroup.addVoice(tabVoice, staffgroup.staffs.length, tablature.numberOfLines(), Tablature.lineSpacing);
+		staffgroup.setStaffLimits(tabVoice);
+	}
 };
 
 function getBeamGroup(abcline, pos) {
@@ -216,10 +243,65 @@ function getBeamGroup(abcline, pos) {
 	return { count: group.length, elem: group };
 }
 
+// Returns where each element of the line starts in its measure.
+function measurePositions(abcline) {
+	var positions = [];
+	var time = 0;
+	var tripletMultiplier = 1;
+	for (var i = 0; i < abcline.length; i++) {
+		var elem = abcline[i];
+		positions.push(time);
+		if (elem.el_type === 'bar')
+			time = 0;
+		else if (elem.el_type === 'note') {
+			if (elem.startTriplet)
+				tripletMultiplier = elem.tripletMultiplier;
+			time += elem.duration * tripletMultiplier;
+			if (elem.endTriplet)
+				tripletMultiplier = 1;
+		}
+	}
+	return positions;
+}
+
+// In an additive meter, like M:2+2+3/8, notes that are written together are only beamed together if they are in the same group,
+// so the beam group is split where each group starts. A note that is left by itself isn't beamed.
+function splitBeamGroup(group, positions, beatStarts, measureLength) {
+	var beatNumber = function(time) {
+		// A measure that is longer than the meter starts the groups over.
+		var measure = Math.floor(time / measureLength + 0.0001);
+		var offset = time - measure * measureLength;
+		var n = 0;
+		while (n < beatStarts.length - 1 && beatStarts[n + 1] <= offset + 0.0001)
+			n++;
+		return measure * beatStarts.length + n;
+	};
+	var parts = [];
+	var part = [];
+	var lastBeat;
+	for (var i = 0; i < group.length; i++) {
+		var beat = beatNumber(positions[i]);
+		if (part.length > 0 && beat !== lastBeat) {
+			parts.push(part);
+			part = [];
+		}
+		part.push(group[i]);
+		lastBeat = beat;
+	}
+	parts.push(part);
+	for (i = 0; i < parts.length; i++) {
+		if (parts[i].length === 1)
+			parts[i] = parts[i][0];
+	}
+	return parts;
+}
+
 AbstractEngraver.prototype.createABCVoice = function(abcline, tempo, s, v, isSingleLineStaff, voice) {
   this.popCrossLineElems(s,v);
   this.stemdir = (this.isBagpipes)?"down":null;
   this.abcline = abcline;
+  // The hyphens and melisma lines between syllables don't continue on the next line.
+  this.openLyrics = [];
   if (this.partstartelem) {
     this.partstartelem = new EndingElem("", null, null);
 	  voice.addOther(this.partstartelem);
@@ -246,19 +328,24 @@ AbstractEngraver.prototype.createABCVoice = function(abcline, tempo, s, v, isSin
   }
 
 	var isFirstStaff = (s === 0);
+	var positions = measurePositions(this.abcline);
 	var pos = 0;
 	while (pos < this.abcline.length) {
 		var ret = getBeamGroup(this.abcline, pos);
-		var abselems = this.createABCElement(isFirstStaff, isSingleLineStaff, voice, ret.elem);
-		if (abselems) {
-			for (i = 0; i < abselems.length; i++) {
-				if (!this.tempoSet && tempo && !tempo.suppress) {
-					this.tempoSet = true;
-					var tempoElement = new AbsoluteElement(ret.elem, 0, 0, "tempo", this.tuneNumber, {});
-					tempoElement.addChild(new TempoElement(tempo, this.tuneNumber, createNoteHead));
-					voice.addChild(tempoElement);
+		// The meter is looked at here, not before the loop, because it can change in the middle of the line.
+		var parts = ret.count > 1 && this.beatStarts ? splitBeamGroup(ret.elem, positions.slice(pos, pos + ret.count), this.beatStarts, this.measureLength) : [ ret.elem ];
+		for (var p = 0; p < parts.length; p++) {
+			var abselems = this.createABCElement(isFirstStaff, isSingleLineStaff, voice, parts[p]);
+			if (abselems) {
+				for (i = 0; i < abselems.length; i++) {
+					if (!this.tempoSet && tempo && !tempo.suppress) {
+						this.tempoSet = true;
+						var tempoElement = new AbsoluteElement(parts[p], 0, 0, "tempo", this.tuneNumber, {});
+						tempoElement.addChild(new TempoElement(tempo, this.tuneNumber, createNoteHead));
+						voice.addChild(tempoElement);
+					}
+					voice.addChild(abselems[i]);
 				}
-				voice.addChild(abselems[i]);
 			}
 		}
 		pos += ret.count;
@@ -313,6 +400,9 @@ AbstractEngraver.prototype.createABCElement = function(isFirstStaff, isSingleLin
 //	  elemset[0].addChild(writeMeasureWidth(voice));
     break;
   case "meter":
+    if (elem.type === 'specified')
+      this.measureLength = meterInfo.measureLength(elem);
+    this.beatStarts = meterInfo.isAdditive(elem) ? meterInfo.beatStarts(elem) : null;
     elemset[0] = createTimeSignature(elem, this.tuneNumber);
 	  this.startlimitelem = elemset[0]; // limit ties here
     if (voice.duplicate && elemset.length > 0) elemset[0].invisible = true;
@@ -323,6 +413,8 @@ AbstractEngraver.prototype.createABCElement = function(isFirstStaff, isSingleLin
     if (voice.duplicate && elemset.length > 0) elemset[0].invisible = true;
     break;
   case "key":
+	  if (this.tablature)
+		  this.tablature.changeKey(voice.children.length, elem);
 	  var absKey = createKeySignature(elem, this.tuneNumber);
 	  if (absKey) {
 		  elemset[0] = absKey;
@@ -734,15 +826,52 @@ var ledgerLines = function(abselem, minPitch, maxPitch, isRest, symbolWidth, add
 		return { noteHead: noteHead, roomTaken: roomTaken, roomTakenRight: roomTakenRight, min: min, additionalLedgers: additionalLedgers, dir: dir, symbolWidth: symbolWidth };
 	};
 
-	AbstractEngraver.prototype.addLyric = function(abselem, elem) {
-		var lyricStr = "";
-		parseCommon.each(elem.lyric, function(ly) {
-			var div = ly.divider === ' ' ? "" : ly.divider;
-			lyricStr += ly.syllable + div + "\n";
-		});
-		var lyricDim = this.renderer.getTextSize(lyricStr, 'vocalfont', "lyric");
+	// A verse number at the start of the first syllable of a verse, like "1.~Ma-ry" or "(2)~Ma-ry", is drawn to the left of the note.
+	var verseLabel = /^(\d+[.)]|\(\d+\)|[IVXivx]+\.)\xA0+/;
+
+	AbstractEngraver.prototype.addLyric = function(abselem, elem, voice) {
 		var position = elem.positioning ? elem.positioning.vocalPosition : 'below';
-		abselem.addCentered(new RelativeElement(lyricStr, 0, lyricDim.width, undefined, {type:"lyric", position: position, height: lyricDim.height / spacing.STEP }));
+		var isRest = elem.rest !== undefined;
+		for (var verse = 0; verse < elem.lyric.length; verse++) {
+			var ly = elem.lyric[verse];
+			var open = this.openLyrics[verse];
+			if (!ly.syllable) {
+				// A note without a syllable continues the melisma of the last syllable. A rest ends it.
+				if (open && open.type === 'extender') {
+					if (isRest)
+						this.openLyrics[verse] = undefined;
+					else
+						open.setEndAnchor(abselem);
+				}
+				continue;
+			}
+
+			var font = ly.font ? ly.font : 'vocalfont';
+			var text = ly.syllable;
+			var label = verseLabel.exec(text);
+			if (label)
+				text = text.substring(label[0].length);
+			// The verses are spaced for the usual vocal font, so that a verse in a smaller font doesn't overlap the one above it.
+			var fontSize = Math.max(this.renderer.getFontAndAttr(font, "lyric").font.size, this.renderer.getFontAndAttr('vocalfont', "lyric").font.size);
+			var lineHeight = fontSize * 1.2 / spacing.STEP;
+			var textWidth = this.renderer.getTextSize(text, font, "lyric").width;
+			// Leave room for the hyphen, too.
+			var width = ly.divider === '-' ? this.renderer.getTextSize(text + "-", font, "lyric").width : textWidth;
+			var lyric = new RelativeElement(text, 0, width, undefined, {type:"lyric", position: position, verse: verse, lineHeight: lineHeight, font: font, textWidth: textWidth });
+			abselem.addCentered(lyric);
+			if (label) {
+				var labelWidth = this.renderer.getTextSize(label[1] + "\xA0", font, "lyric").width;
+				abselem.addExtra(new RelativeElement(label[1], -textWidth/2 - labelWidth, labelWidth, undefined, {type:"lyric", position: position, verse: verse, lineHeight: lineHeight, font: font, textWidth: labelWidth, klass: "verse-label" }));
+			}
+
+			if (open && open.type === 'hyphen')
+				open.setEndAnchor(lyric);
+			this.openLyrics[verse] = undefined;
+			if (ly.divider === '-' || ly.divider === '_') {
+				this.openLyrics[verse] = new LyricElem(ly.divider === '-' ? 'hyphen' : 'extender', lyric);
+				voice.addOther(this.openLyrics[verse]);
+			}
+		}
 	};
 
 	AbstractEngraver.prototype.addChord = function(abselem, elem, roomTaken, roomTakenRight) {
@@ -794,7 +923,14 @@ var ledgerLines = function(abselem, minPitch, maxPitch, isRest, symbolWidth, add
 						if (elem.positioning && elem.positioning.chordPosition)
 							pos2 = elem.positioning.chordPosition;
 
-						abselem.addCentered(new RelativeElement(chord.name, x, chordWidth, undefined, {type: "chord", position: pos2, height: chordHeight }));
+						// The fretboard diagram goes between the chord name and the staff, so the space for it is added to the chord.
+						var diagram = this.chordDiagrams && !this.chordDiagrams.chart && pos2 === 'above' ? this.chordDiagrams.getDiagram(chord.name) : undefined;
+						if (diagram) {
+							diagram = { chart: this.chordDiagrams, shape: diagram, offset: dim.height };
+							chordWidth = Math.max(chordWidth, this.chordDiagrams.width() + chordMargin);
+							chordHeight += this.chordDiagrams.height() / spacing.STEP;
+						}
+						abselem.addCentered(new RelativeElement(chord.name, x, chordWidth, undefined, {type: "chord", position: pos2, height: chordHeight, diagram: diagram }));
 					}
 			}
 		}
@@ -851,7 +987,7 @@ AbstractEngraver.prototype.createNote = function(elem, nostem, isSingleLineStaff
   }
 
   if (elem.lyric !== undefined) {
-  	this.addLyric(abselem, elem);
+  	this.addLyric(abselem, elem, voice);
   }
 
   if (elem.gracenotes !== undefined) {
@@ -0,0 +1,337 @@
+// abc_chord_diagrams.js: Draws fretboard diagrams for the chord symbols, for guitar, ukulele, or mandolin.
+// The shapes are worked out from the notes in the chord, using the same table of chord qualities that the flattener uses to play them,
+// so any chord that can be played can be drawn. The user can supply a shape for any chord to override the one that is found.
+
+var chordIntervals = require('../midi/abc_chord_intervals');
+
+var ChordDiagrams;
+
+(function() {
+	"use strict";
+
+	// The tunings are MIDI pitches, lowest string first. The ukulele's G string is tuned above the C string, so it never plays the bass note.
+	var instruments = {
+		guitar: { tuning: [ 40, 45, 50, 55, 59, 64 ], rootInBass: true },
+		ukulele: { tuning: [ 67, 60, 64, 69 ], rootInBass: false },
+		mandolin: { tuning: [ 55, 62, 69, 76 ], rootInBass: false }
+	};
+
+	var STRING_SPACING = 6; // in pixels
+	var FRET_SPACING = 7;
+	var NUM_FRETS = 4; // The number of frets that are drawn.
+	var MARK_HEIGHT = 6; // The space above the nut for the open and muted string marks.
+	var MARGIN = 4; // The space under the diagram.
+	var MAX_POSITION = 12; // The highest fret that a shape is looked for.
+	var MAX_FINGERS = 4;
+
+	var rootPitches = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+	var accidentals = { '#': 1, '♯': 1, 'b': -1, '♭': -1 };
+
+	// Splits the chord symbol into the root, the modifier, and the bass, the same way that the flattener does.
+	// For instance, "F#m7/E" is { root: 6, modifier: "m7", bass: 4 }. Returns undefined if it isn't a chord.
+	function parseChordName(name) {
+		if (name.charAt(0) === '(' && name.charAt(name.length - 1) === ')')
+			name = name.substring(1, name.length - 1);
+		var root = rootPitches[name.charAt(0)];
+		if (root === undefined)
+			return undefined;
+		var remaining = name.substring(1);
+		if (accidentals[remaining.charAt(0)]) {
+			root += accidentals[remaining.charAt(0)];
+			remaining = remaining.substring(1);
+		}
+		var chord = { root: (root + 12) % 12, modifier: remaining, bass: (root + 12) % 12 };
+		var slash = remaining.indexOf('/');
+		if (slash >= 0) {
+			chord.modifier = remaining.substring(0, slash);
+			var bass = rootPitches[remaining.charAt(slash + 1)];
+			if (bass !== undefined) {
+				bass += accidentals[remaining.charAt(slash + 2)] || 0;
+				chord.bass = (bass + 12) % 12;
+			}
+		}
+		return chord;
+	}
+
+	// A shape can be written like "x32010", or with commas if there are frets past 9, like "x,10,12,12,12,10", or as an array of numbers.
+	// A muted string is "x" in a string, or -1 in an array.
+	function parseShape(shape) {
+		var frets = typeof shape === 'string' ? (shape.indexOf(',') >= 0 ? shape.split(',') : shape.split('')) : shape;
+		var ret = [];
+		for (var i = 0; i < frets.length; i++) {
+			var fret = parseInt(frets[i], 10);
+			ret.push(isNaN(fret) ? -1 : fret);
+		}
+		return ret;
+	}
+
+	// params: { instrument: 'guitar'|'ukulele'|'mandolin', position: 'above'|'chart', shapes: { chordName: shape } }
+	ChordDiagrams = function(params) {
+		var instrument = instruments[params.instrument] ? instruments[params.instrument] : instruments.guitar;
+		this.tuning = instrument.tuning;
+		this.rootInBass = instrument.rootInBass;
+		this.chart = params.position === 'chart';
+		this.userShapes = params.shapes || {};
+		this.cache = {};
+	};
+
+	// Returns { name, frets, baseFret } for the chord, or undefined if the name isn't a chord or there is no way to play it.
+	ChordDiagrams.prototype.getDiagram = function(name) {
+		if (this.cache.hasOwnProperty(name))
+			return this.cache[name];
+		var frets;
+		if (this.userShapes[name])
+			frets = parseShape(this.userShapes[name]);
+		else {
+			var chord = parseChordName(name);
+			if (chord)
+				frets = this.findShape(chord);
+		}
+		var diagram;
+		if (frets) {
+			var highest = 0;
+			var lowest;
+			for (var i = 0; i < frets.length; i++) {
+				if (frets[i] > 0) {
+					highest = Math.max(highest, frets[i]);
+					lowest = lowest === undefined ? frets[i] : Math.min(lowest, frets[i]);
+				}
+			}
+			// If the shape fits in the first frets, then the nut is drawn. Otherwise the diagram starts at the lowest finger.
+			diagram = { name: name, frets: frets, baseFret: highest <= NUM_FRETS ? 1 : lowest };
+		}
+		this.cache[name] = diagram;
+		return diagram;
+	};
+
+	// The notes that have to be in the chord, in order of importance. The fifth can be left out, and if there are more notes than
+	// strings then the extensions at the end of the list are left out.
+	ChordDiagrams.prototype.requiredNotes = function(chord) {
+		var intervals = chordIntervals(chord.modifier);
+		var required = [];
+		for (var i = 0; i < intervals.length; i++) {
+			var note = (chord.root + intervals[i]) % 12;
+			if (intervals[i] !== 7 && required.indexOf(note) < 0)
+				required.push(note);
+		}
+		if (required.length > this.tuning.length)
+			required = required.slice(0, this.tuning.length);
+		return required;
+	};
+
+	// This tries every way of playing the notes of the chord in each position on the neck, and keeps the easiest one.
+	ChordDiagrams.prototype.findShape = function(chord) {
+		var self = this;
+		var intervals = chordIntervals(chord.modifier);
+		var chordNotes = [];
+		for (var i = 0; i < intervals.length; i++)
+			chordNotes.push((chord.root + intervals[i]) % 12);
+		if (chordNotes.indexOf(chord.bass) < 0)
+			chordNotes.push(chord.bass);
+		var required = this.requiredNotes(chord);
+		if (required.indexOf(chord.bass) < 0)
+			required.push(chord.bass);
+
+		var best;
+		var bestCost;
+		var frets = [];
+		var tryString = function(string, position) {
+			if (string === self.tuning.length) {
+				var cost = self.shapeCost(frets, chord, required);
+				if (cost !== undefined && (bestCost === undefined || cost < bestCost)) {
+					best = frets.slice();
+					bestCost = cost;
+				}
+				return;
+			}
+			var choices = [ -1, 0 ];
+			for (var f = position; f < position + NUM_FRETS; f++)
+				choices.push(f);
+			for (var c = 0; c < choices.length; c++) {
+				if (choices[c] >= 0 && chordNotes.indexOf((self.tuning[string] + choices[c]) % 12) < 0)
+					continue;
+				frets[string] = choices[c];
+				tryString(string + 1, position);
+			}
+		};
+		for (var position = 1; position <= MAX_POSITION; position++)
+			tryString(0, position);
+		return best;
+	};
+
+	// Returns how hard the shape is to play, or undefined if it isn't a good way to play the chord.
+	ChordDiagrams.prototype.shapeCost = function(frets, chord, required) {
+		var notes = [];
+		var lowestString;
+		var muted = 0;
+		var open = 0;
+		var fretted = 0;
+		var lowest;
+		var highest = 0;
+		for (var i = 0; i < frets.length; i++) {
+			if (frets[i] < 0) {
+				// A guitar can only leave out the strings below the bass note; the others would be strummed.
+				if (this.rootInBass && lowestString !== undefined)
+					return undefined;
+				muted++;
+				continue;
+			}
+			if (lowestString === undefined)
+				lowestString = i;
+			notes.push((this.tuning[i] + frets[i]) % 12);
+			if (frets[i] === 0)
+				open++;
+			else {
+				fretted++;
+				lowest = lowest === undefined ? frets[i] : Math.min(lowest, frets[i]);
+				highest = Math.max(highest, frets[i]);
+			}
+		}
+		for (i = 0; i < required.length; i++) {
+			if (notes.indexOf(required[i]) < 0)
+				return undefined;
+		}
+		if (this.rootInBass && notes[0] !== chord.bass)
+			return undefined;
+
+		// If nothing is open, then one finger can hold down all the strings at the lowest fret.
+		var fingers = fretted;
+		var barre = false;
+		if (open === 0 && fretted > 0) {
+			var atLowest = 0;
+			for (i = 0; i < frets.length; i++) {
+				if (frets[i] === lowest)
+					atLowest++;
+			}
+			if (atLowest > 1) {
+				barre = true;
+				fingers = fretted - atLowest + 1;
+			}
+		}
+		if (fingers > MAX_FINGERS)
+			return undefined;
+
+		return (lowest === undefined ? 0 : lowest * 2) + (highest - (lowest || 0)) + fingers + (barre ? 2 : 0) + muted * (this.rootInBass ? 1.5 : 10) - open * 0.5;
+	};
+
+	ChordDiagrams.prototype.width = function() {
+		return (this.tuning.length - 1) * STRING_SPACING;
+	};
+
+	ChordDiagrams.prototype.height = function() {
+		return MARK_HEIGHT + NUM_FRETS * FRET_SPACING + MARGIN;
+	};
+
+	// Draws the diagram with its top center at x, y. This is just the grid: the chord name is drawn by whatever called this.
+	ChordDiagrams.prototype.draw = function(renderer, x, y, diagram) {
+		var left = x - this.width() / 2;
+		var right = left + this.width();
+		var top = y + MARK_HEIGHT;
+		var bottom = top + NUM_FRETS * FRET_SPACING;
+		var path = "";
+		var i;
+		for (i = 0; i < this.tuning.length; i++) {
+			var sx = left + i * STRING_SPACING;
+			path += "M " + sx + " " + top + " L " + sx + " " + bottom + " ";
+		}
+		for (i = 0; i <= NUM_FRETS; i++) {
+			var fy = top + i * FRET_SPACING;
+			path += "M " + left + " " + fy + " L " + right + " " + fy + " ";
+		}
+		renderer.printPath({ path: path, stroke: "#000000", "stroke-width": 0.6, fill: "none" }, { history: 'ignore' });
+		if (diagram.baseFret === 1)
+			renderer.printPath({ path: "M " + left + " " + (top - 1) + " L " + right + " " + (top - 1) + " L " + right + " " + (top + 1) + " L " + left + " " + (top + 1) + " z", stroke: "none", fill: "#000000" }, { history: 'ignore' });
+		else
+			renderer.renderText({ x: right + 3, y: top - 7 + FRET_SPACING / 2, text: diagram.baseFret + "fr", type: 'annotationfont', klass: 'chord-diagram-fret', anchor: "start", centerVertically: true, noClass: true, history: 'ignore' });
+
+		// The fingers are dots between the frets, the open strings are circles, and the muted strings are crosses.
+		var dots = "";
+		var marks = "";
+		var r = STRING_SPACING / 2 - 0.5;
+		var m = MARK_HEIGHT / 2 - 1;
+		for (i = 0; i < diagram.frets.length && i < this.tuning.length; i++) {
+			var cx = left + i * STRING_SPACING;
+			var fret = diagram.frets[i];
+			if (fret < 0) {
+				var my = y + MARK_HEIGHT / 2 - 1;
+				marks += "M " + (cx - m) + " " + (my - m) + " L " + (cx + m) + " " + (my + m) + " M " + (cx - m) + " " + (my + m) + " L " + (cx + m) + " " + (my - m) + " ";
+			} else if (fret === 0) {
+				var oy = y + MARK_HEIGHT / 2 - 1;
+				marks += "M " + (cx - m) + " " + oy + " a " + m + " " + m + " 0 1 0 " + (m * 2) + " 0 a " + m + " " + m + " 0 1 0 " + (-m * 2) + " 0 ";
+			} else {
+				var cy = top + (fret - diagram.baseFret + 0.5) * FRET_SPACING;
+				dots += "M " + (cx - r) + " " + cy + " a " + r + " " + r + " 0 1 0 " + (r * 2) + " 0 a " + r + " " + r + " 0 1 0 " + (-r * 2) + " 0 ";
+			}
+		}
+		if (marks)
+			renderer.printPath({ path: marks, stroke: "#000000", "stroke-width": 0.6, fill: "none" }, { history: 'ignore' });
+		if (dots)
+			renderer.printPath({ path: dots, stroke: "none", fill: "#000000" }, { history: 'ignore' });
+	};
+
+	// The chords in the order that they first appear in the tune. Only the chord symbols are included, not the annotations.
+	ChordDiagrams.prototype.chordsInTune = function(abctune) {
+		var names = [];
+		for (var i = 0; i < abctune.lines.length; i++) {
+			var staffs = abctune.lines[i].staff;
+			if (!staffs)
+				continue;
+			for (var s = 0; s < staffs.length; s++) {
+				for (var v = 0; v < staffs[s].voices.length; v++) {
+					var voice = staffs[s].voices[v];
+					for (var e = 0; e < voice.length; e++) {
+						var chords = voice[e].chord;
+						if (!chords)
+							continue;
+						for (var c = 0; c < chords.length; c++) {
+							if (isChordSymbol(chords[c]) && names.indexOf(chords[c].name) < 0)
+								names.push(chords[c].name);
+						}
+					}
+				}
+			}
+		}
+		return names;
+	};
+
+	function isChordSymbol(chord) {
+		return chord.position !== "left" && chord.position !== "right" && chord.position !== "below" && chord.position !== "above";
+	}
+	ChordDiagrams.isChordSymbol = isChordSymbol;
+
+	// Draws all the chords in the tune in rows, centered across the page, at the current y-coordinate.
+	ChordDiagrams.prototype.drawChart = function(renderer, width, abctune) {
+		var names = this.chordsInTune(abctune);
+		var diagrams = [];
+		for (var i = 0; i < names.length; i++) {
+			var diagram = this.getDiagram(names[i]);
+			if (diagram)
+				diagrams.push(diagram);
+		}
+		if (diagrams.length === 0)
+			return;
+
+		var self = this;
+		var nameHeight = renderer.getTextSize("A", 'gchordfont', 'chord').height;
+		var cellWidth = this.width() + 24;
+		var perRow = Math.max(1, Math.floor(width / cellWidth));
+		renderer.wrapInAbsElem({el_type: "chordChart", startChar: -1, endChar: -1}, 'meta-top chord-chart', function() {
+			renderer.createElemSet({ klass: renderer.addClasses("meta-top chord-chart") });
+			for (var start = 0; start < diagrams.length; start += perRow) {
+				var row = diagrams.slice(start, start + perRow);
+				var x = renderer.padding.left + (width - row.length * cellWidth) / 2 + cellWidth / 2;
+				for (var d = 0; d < row.length; d++) {
+					renderer.renderText({ x: x, y: renderer.y, text: row[d].name, type: 'gchordfont', klass: 'chord', anchor: "middle", noClass: true, history: 'ignore' });
+					self.draw(renderer, x, renderer.y + nameHeight, row[d]);
+					x += cellWidth;
+				}
+				renderer.moveY(nameHeight + self.height());
+			}
+			var g = renderer.closeElemSet();
+			renderer.controller.recordHistory(g, true);
+			return g;
+		});
+	};
+})();
+
+module.exports = ChordDiagrams;
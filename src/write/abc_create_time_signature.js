@@ -37,7 +37,7 @@ var createTimeSignature;
 					for (var i2 = 0; i2 < elem.value[i].num.length; i2++)
 						numWidth += glyphs.getSymbolWidth(elem.value[i].num.charAt(i2));
 					var denWidth = 0;
-					for (i2 = 0; i2 < elem.value[i].num.length; i2++)
+					for (i2 = 0; i2 < elem.value[i].den.length; i2++)
 						denWidth += glyphs.getSymbolWidth(elem.value[i].den.charAt(i2));
 					var maxWidth = Math.max(numWidth, denWidth);
 					abselem.addRight(new RelativeElement(elem.value[i].num, x+(maxWidth-numWidth)/2, numWidth, 8, { thickness: glyphs.symbolHeightInPitches(elem.value[i].num.charAt(0)) }));
@@ -20,7 +20,9 @@
 var spacing = require('./abc_spacing');
 var AbstractEngraver = require('./abc_abstract_engraver');
 var Renderer = require('./abc_renderer');
+var Svg = require('./svg');
 var setupSelection = require('./selection');
+var noteEntry = require('./note-entry');
 
 /**
  * @class
@@ -58,11 +60,26 @@ var EngraverController = function(paper, params) {
 		this.staffwidthPrint = 680; // The number of pixels in 8.5", after 1cm of margin has been removed.
 	}
   this.editable = params.editable || false;
+	this.tablature = params.tablature;
+	this.chordDiagrams = params.chordDiagrams;
 	this.listeners = [];
 	if (params.clickListener)
 		this.addSelectListener(params.clickListener);
+	// noteEntry is either true or an object like noteEntry.defaults(). If it is an object, it is changed by the keyboard shortcuts, so
+	// passing the same object each time the music is redrawn keeps the user's choices.
+	if (params.noteEntry)
+		this.noteEntry = params.noteEntry === true ? noteEntry.defaults() : params.noteEntry;
+	this.entryListeners = [];
+	if (params.entryListener)
+		this.addEntryListener(params.entryListener);
+
+	// If paginate is set, then the music is split into page-sized SVGs, each in its own div inside the paper.
+	this.paginate = !!params.paginate;
+	this.firstPageNumber = params.firstPageNumber !== undefined ? params.firstPageNumber : 1;
+	this.paperDiv = paper;
 
   this.renderer=new Renderer(paper, params.regression, params.add_classes);
+	this.renderer.isPaginated = this.paginate;
 	this.renderer.setPaddingOverride(params);
   this.renderer.controller = this; // TODO-GD needed for highlighting
 
@@ -79,6 +96,7 @@ EngraverController.prototype.reset = function() {
 	this.engraver = null;
 	this.renderer.reset();
 	this.history = [];
+	this.pages = undefined;
 	this.currentAbsEl = null;
 	this.dragTarget = null;
 	this.dragMouseStart = { x: -1, y: -1 };
@@ -119,7 +137,7 @@ EngraverController.prototype.getMeasureWidths = function(abcTune) {
 	this.renderer.lineNumber = null;
 
 	this.renderer.newTune(abcTune);
-	this.engraver = new AbstractEngraver(this.renderer, 0, { bagpipes: abcTune.formatting.bagpipes, flatbeams: abcTune.formatting.flatbeams });
+	this.engraver = new AbstractEngraver(this.renderer, 0, { bagpipes: abcTune.formatting.bagpipes, flatbeams: abcTune.formatting.flatbeams, tablature: this.tablature, chordDiagrams: this.chordDiagrams });
 	this.engraver.setStemHeight(this.renderer.spacing.stemHeight);
 	if (abcTune.formatting.staffwidth) {
 		this.width = abcTune.formatting.staffwidth * 1.33; // The width is expressed in pt; convert to px.
@@ -178,7 +196,7 @@ EngraverController.prototype.engraveTune = function (abctune, tuneNumber) {
 	this.renderer.lineNumber = null;
 
 	this.renderer.newTune(abctune);
-	this.engraver = new AbstractEngraver(this.renderer, tuneNumber, { bagpipes: abctune.formatting.bagpipes, flatbeams: abctune.formatting.flatbeams });
+	this.engraver = new AbstractEngraver(this.renderer, tuneNumber, { bagpipes: abctune.formatting.bagpipes, flatbeams: abctune.formatting.flatbeams, tablature: this.tablature, chordDiagrams: this.chordDiagrams });
 	this.engraver.setStemHeight(this.renderer.spacing.stemHeight);
 	this.engraver.measureLength = abctune.getMeterFraction().num/abctune.getMeterFraction().den;
 	if (abctune.formatting.staffwidth) {
@@ -235,9 +253,23 @@ EngraverController.prototype.engraveTune = function (abctune, tuneNumber) {
 	}
 
 	// Do all the writing to output
-	this.renderer.topMargin(abctune);
+	if (this.paginate) {
+		// The page size is in points and is not scaled, so figure out how big it is in the units that are drawn.
+		this.pageWidth = abctune.formatting.pagewidth * 4 / 3 / scale;
+		this.pageHeight = abctune.formatting.pageheight * 4 / 3 / scale;
+		if (!this.pages) {
+			this.paperDiv.innerHTML = "";
+			this.pages = [];
+			this.pageNumber = this.firstPageNumber;
+		} else
+			this.pageNumber++; // Each tune starts on a new page.
+		this.startPage(abctune);
+	} else
+		this.renderer.topMargin(abctune);
 	//this.renderer.printHorizontalLine(this.width + this.renderer.padding.left + this.renderer.padding.right);
 	this.renderer.engraveTopText(this.width, abctune);
+	if (this.engraver.chordDiagrams && this.engraver.chordDiagrams.chart)
+		this.engraver.chordDiagrams.drawChart(this.renderer, this.width, abctune);
 	this.renderer.addMusicPadding();
 
 	this.staffgroups = [];
@@ -245,6 +277,11 @@ EngraverController.prototype.engraveTune = function (abctune, tuneNumber) {
 	for (var line = 0; line < abctune.lines.length; line++) {
 		this.renderer.lineNumber = line;
 		abcLine = abctune.lines[line];
+		if (this.pages && this.needsPageBreak(abctune, line)) {
+			this.finishPage(abctune, maxWidth, scale);
+			this.pageNumber = abcLine.newpage > 0 ? abcLine.newpage : this.pageNumber + 1;
+			this.startPage(abctune);
+		}
 		if (abcLine.staff) {
 			this.engraveStaffLine(abcLine.staffGroup);
 		} else if (abcLine.subtitle && line !== 0) {
@@ -258,11 +295,78 @@ EngraverController.prototype.engraveTune = function (abctune, tuneNumber) {
 
 	this.renderer.moveY(24); // TODO-PER: Empirically discovered. What variable should this be?
 	this.renderer.engraveExtraText(this.width, abctune);
-	this.renderer.setPaperSize(maxWidth, scale, this.responsive);
+	if (this.pages)
+		this.finishPage(abctune, maxWidth, scale);
+	else
+		this.renderer.setPaperSize(maxWidth, scale, this.responsive);
 
 	setupSelection(this);
 };
 
+EngraverController.prototype.startPage = function (abctune) {
+	var div = (this.paperDiv.ownerDocument || document).createElement("div");
+	div.setAttribute("class", "abcjs-page");
+	this.paperDiv.appendChild(div);
+	this.renderer.paper = new Svg(div);
+	this.pages.push({ div: div, paper: this.renderer.paper, pageNumber: this.pageNumber });
+	this.renderer.y = 0;
+	this.renderer.topMargin(abctune);
+	this.renderer.outputPageText(this.width, abctune.metaText.header, 'headerfont', 'header', this.pageNumber, true);
+	this.pageTop = this.renderer.y;
+	this.lastStaffGroupIndex = -1; // There is no space needed above the first system on the page.
+};
+
+EngraverController.prototype.finishPage = function (abctune, maxWidth, scale) {
+	this.renderer.y = this.pageHeight - this.renderer.padding.bottom;
+	this.renderer.outputPageText(this.width, abctune.metaText.footer, 'footerfont', 'footer', this.pageNumber, false);
+	this.renderer.setPaperSize(maxWidth, scale, this.responsive, { width: this.pageWidth, height: this.pageHeight });
+};
+
+// A new page is started if the line won't fit on this one, or if it is a %%newpage. Any text that comes right before
+// a staff system is kept with it, so that a subtitle isn't left by itself at the bottom of a page.
+EngraverController.prototype.needsPageBreak = function (abctune, line) {
+	if (this.renderer.y <= this.pageTop)
+		return false; // Nothing has been put on this page yet, so it doesn't help to start another one.
+	if (abctune.lines[line].newpage !== undefined)
+		return true;
+	var height = 0;
+	for (var i = line; i < abctune.lines.length; i++) {
+		var abcLine = abctune.lines[i];
+		if (abcLine.staffGroup) {
+			if (this.lastStaffGroupIndex > -1)
+				height += this.renderer.staffPadding(this.staffgroups[this.lastStaffGroupIndex], abcLine.staffGroup);
+			height += abcLine.staffGroup.height * spacing.STEP;
+			break;
+		}
+		if (abcLine.newpage !== undefined)
+			break;
+		height += textLineHeight(this.renderer, abcLine, i);
+	}
+	return this.renderer.y + height > this.pageHeight - this.renderer.padding.bottom;
+};
+
+// How much room the lines that aren't music will take. This matches what the renderer does when it outputs them.
+function textLineHeight(renderer, abcLine, line) {
+	if (abcLine.subtitle && line !== 0)
+		return renderer.spacing.subtitle + renderer.getTextSize(abcLine.subtitle, 'subtitlefont', 'abcjs-text abcjs-subtitle').height;
+	if (abcLine.text !== undefined) {
+		var fontSize = renderer.getFontAndAttr('textfont', 'defined-text').attr['font-size'];
+		var height = abcLine.vskip ? abcLine.vskip : 0;
+		if (abcLine.text === "")
+			return height + fontSize * 2;
+		var str = abcLine.text;
+		if (typeof str !== 'string') {
+			str = "";
+			for (var i = 0; i < abcLine.text.length; i++)
+				str += abcLine.text[i].text;
+		}
+		return height + fontSize + renderer.getTextSize(str, 'textfont', 'abcjs-defined-text').height;
+	}
+	if (abcLine.separator !== undefined && abcLine.separator.lineLength)
+		return abcLine.separator.spaceAbove + abcLine.separator.spaceBelow;
+	return 0;
+}
+
 EngraverController.prototype.recordHistory = function (svgEl, notSelectable) {
 	var isNote = this.currentAbsEl && this.currentAbsEl.abcelem && this.currentAbsEl.abcelem.el_type === "note" && !this.currentAbsEl.abcelem.rest && svgEl.tagName !== 'text';
 	var selectable = notSelectable !== true;
@@ -270,7 +374,10 @@ EngraverController.prototype.recordHistory = function (svgEl, notSelectable) {
 		if (!this.currentAbsEl || (this.currentAbsEl.abcelem.el_type !== "note" && this.currentAbsEl.abcelem.el_type !== "bar"))
 			selectable = false;
 	}
-	this.history.push({ absEl: this.currentAbsEl, svgEl: svgEl, selectable: selectable, isDraggable: isNote });
+	var entry = { absEl: this.currentAbsEl, svgEl: svgEl, selectable: selectable, isDraggable: isNote };
+	if (this.pages)
+		entry.page = this.pages.length - 1; // The coordinates are only meaningful on the same page.
+	this.history.push(entry);
 	//var last = this.history[this.history.length-1];
 	//console.log(last.svgEl, { selectable: last.selectable, isDraggable: last.isDraggable});
 };
@@ -353,6 +460,8 @@ EngraverController.prototype.engraveStaffLine = function (staffGroup) {
 		this.renderer.addStaffPadding(this.staffgroups[this.lastStaffGroupIndex], staffGroup);
 	this.renderer.voiceNumber = null;
 	staffGroup.draw(this.renderer);
+	if (this.pages)
+		staffGroup.page = this.pages.length - 1;
 	var height = staffGroup.height * spacing.STEP;
 	//this.renderer.printVerticalLine(this.width+this.renderer.padding.left, this.renderer.y, this.renderer.y+height);
   this.staffgroups[this.staffgroups.length] = staffGroup;
@@ -364,6 +473,20 @@ EngraverController.prototype.addSelectListener = function (clickListener) {
 	this.listeners[this.listeners.length] = clickListener;
 };
 
+EngraverController.prototype.addEntryListener = function (entryListener) {
+	this.entryListeners[this.entryListeners.length] = entryListener;
+};
+
+// Change the kind of note that clicking on the staff adds. Any of duration, dotted, accidental and rest can be passed.
+EngraverController.prototype.setNoteEntry = function (options) {
+	if (!this.noteEntry)
+		this.noteEntry = noteEntry.defaults();
+	for (var key in options) {
+		if (options.hasOwnProperty(key))
+			this.noteEntry[key] = options[key];
+	}
+};
+
 function centerWholeRests(voices) {
 	// whole rests are a special case: if they are by themselves in a measure, then they should be centered.
 	// (If they are not by themselves, that is probably a user error, but we'll just center it between the two items to either side of it.)
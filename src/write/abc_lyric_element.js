@@ -0,0 +1,59 @@
+// abc_lyric_element.js: The marks between the syllables of the lyrics.
+// A hyphen is drawn between the syllables of a word, and a melisma line is drawn under the notes that a syllable is held for.
+// These are created with the syllable that they follow, and the end is filled in as the notes after it are created.
+
+var sprintf = require('./sprintf');
+
+var LyricElem = function LyricElem(type, anchor1) {
+	this.type = type; // "hyphen" or "extender"
+	this.anchor1 = anchor1; // the lyric that this follows.
+	this.anchor2 = null; // for a hyphen, the next lyric, or null if the word continues on the next line. For an extender, the last note of the melisma.
+};
+
+LyricElem.prototype.setEndAnchor = function(anchor2) {
+	this.anchor2 = anchor2;
+};
+
+LyricElem.prototype.setUpperAndLowerElements = function(/*positionY*/) {
+	// This is placed with the lyric that it follows.
+};
+
+LyricElem.prototype.draw = function (renderer) {
+	var lyric = this.anchor1;
+	var size = renderer.getFontAndAttr(lyric.font, "lyric").font.size;
+	// This is where renderText puts the baseline of the lyric.
+	var baseline = renderer.calcY(lyric.lyricY()) + 7 + size / 2;
+	var thickness = Math.max(size / 16, 0.6);
+	var start = lyric.x + lyric.textWidth / 2;
+	var end;
+	var y;
+	var klass;
+	if (this.type === 'hyphen') {
+		var length = size / 3;
+		if (this.anchor2) {
+			var gap = this.anchor2.x - this.anchor2.textWidth / 2 - start;
+			length = Math.min(length, gap * 0.6);
+			if (length <= 0)
+				return null;
+			start += (gap - length) / 2;
+		} else
+			start += length / 2;
+		end = start + length;
+		y = baseline - size * 0.3;
+		klass = "hyphen";
+	} else {
+		if (!this.anchor2)
+			return null;
+		var head = this.anchor2.heads[0];
+		end = head ? head.x + head.w : this.anchor2.x + this.anchor2.w;
+		start += 1;
+		if (end <= start)
+			return null;
+		y = baseline;
+		klass = "extender";
+	}
+	var pathString = sprintf("M %f %f L %f %f L %f %f L %f %f z", start, y - thickness / 2, end, y - thickness / 2, end, y + thickness / 2, start, y + thickness / 2);
+	return renderer.printPath({path: pathString, stroke: "none", fill: "#000000", 'class': renderer.addClasses(klass)}, { history: 'ignore' });
+};
+
+module.exports = LyricElem;
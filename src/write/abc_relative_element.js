@@ -27,6 +27,7 @@ var RelativeElement = function RelativeElement(c, dx, w, pitch, opt) {
 	this.pitch2 = opt.pitch2;
 	this.linewidth = opt.linewidth;
 	this.klass = opt.klass;
+	this.diagram = opt.diagram; // The chord diagram that is drawn under a chord symbol.
 	this.top = pitch;
 	if (this.pitch2 !== undefined && this.pitch2 > this.top) this.top = this.pitch2;
 	this.bottom = pitch;
@@ -53,6 +54,12 @@ var RelativeElement = function RelativeElement(c, dx, w, pitch, opt) {
 			this.chordHeightAbove = this.height;
 			break;
 		case "lyric":
+			// Each verse is a line lower than the one before it. The extra line leaves room between the lyrics and what is below them.
+			this.verse = opt.verse || 0;
+			this.lineHeight = opt.lineHeight;
+			this.font = opt.font;
+			this.textWidth = opt.textWidth;
+			this.height = this.lineHeight * (this.verse + 2);
 			if (opt.position && opt.position === 'below')
 				this.lyricHeightBelow = this.height;
 			else
@@ -99,11 +106,11 @@ RelativeElement.prototype.setUpperAndLowerElements = function(positionY) {
 			break;
 		case "lyric":
 			if (this.lyricHeightAbove) {
-				this.top = positionY.lyricHeightAbove;
-				this.bottom = positionY.lyricHeightAbove;
+				this.top = positionY.lyricHeightAbove - this.verse * this.lineHeight;
+				this.bottom = this.top;
 			} else {
-				this.top = positionY.lyricHeightBelow;
-				this.bottom = positionY.lyricHeightBelow;
+				this.top = positionY.lyricHeightBelow - this.verse * this.lineHeight;
+				this.bottom = this.top;
 			}
 			break;
 		case "debug":
@@ -115,6 +122,11 @@ RelativeElement.prototype.setUpperAndLowerElements = function(positionY) {
 		window.console.error("RelativeElement position not set.", this.type, this.pitch, this.top, positionY);
 };
 
+// The pitch of the top of the line of lyrics that this is on.
+RelativeElement.prototype.lyricY = function() {
+	return this.pitch - this.verse * this.lineHeight;
+};
+
 RelativeElement.prototype.draw = function (renderer, bartop) {
 	if (this.pitch === undefined)
 		window.console.error(this.type + " Relative Element y-coordinate not set.");
@@ -131,10 +143,18 @@ RelativeElement.prototype.draw = function (renderer, bartop) {
 			this.graphelem = renderer.renderText({ x: this.x, y: y, text: ""+this.c, type: "measurefont", klass: 'bar-number', anchor: "middle", history: 'ignore'});
 			break;
 		case "lyric":
-			this.graphelem = renderer.renderText({ x: this.x, y: y, text: this.c, type: "vocalfont", klass: 'lyric', anchor: "middle"});
+			// The pitch is the top of the lyrics, so this is moved down to its own verse.
+			this.graphelem = renderer.renderText({ x: this.x, y: renderer.calcY(this.lyricY()), text: this.c, type: this.font, klass: this.klass ? this.klass : 'lyric', anchor: this.klass ? "start" : "middle"});
 			break;
 		case "chord":
-			this.graphelem = renderer.renderText({ x: this.x, y: y, text: this.c, type: 'gchordfont', klass: "chord", anchor: "middle"});
+			if (this.diagram) {
+				renderer.createElemSet({klass: renderer.addClasses("chord chord-diagram")});
+				renderer.renderText({ x: this.x, y: y, text: this.c, type: 'gchordfont', klass: "chord", anchor: "middle", noClass: true, history: 'ignore'});
+				this.diagram.chart.draw(renderer, this.x, y + this.diagram.offset, this.diagram.shape);
+				this.graphelem = renderer.closeElemSet();
+				renderer.controller.recordHistory(this.graphelem);
+			} else
+				this.graphelem = renderer.renderText({ x: this.x, y: y, text: this.c, type: 'gchordfont', klass: "chord", anchor: "middle"});
 			break;
 		case "decoration":
 			this.graphelem = renderer.renderText({ x: this.x, y: y, text: this.c, type: 'annotationfont', klass: "annotation", anchor: "middle", centerVertically: true});
@@ -154,6 +174,10 @@ RelativeElement.prototype.draw = function (renderer, bartop) {
 			this.graphelem = renderer.printStem(this.x, this.linewidth, y, renderer.calcY(this.pitch2)); break;
 		case "ledger":
 			this.graphelem = renderer.printStaveLine(this.x, this.x+this.w, this.pitch, renderer.addClasses("ledger")); break;
+		case "tabNumber":
+			this.graphelem = renderer.printTabNumber(this.x, this.pitch, this.c); break;
+		case "tabLabel":
+			this.graphelem = renderer.renderText({ x: this.x, y: y - 7, text: this.c, type: 'tablaturefont', klass: "tab-label", anchor: "start", centerVertically: true, history: 'not-selectable'}); break;
 	}
 	if (this.scalex!==1 && this.graphelem) {
 		renderer.scaleExistingElem(this.graphelem, this.scalex, this.scaley, this.x, y);
@@ -90,13 +90,17 @@ Renderer.prototype.setPrintMode = function (isPrint) {
  * Set the size of the canvas.
  * @param {object} maxwidth
  * @param {object} scale
+ * @param {string} responsive
+ * @param {object} page If the output is paginated, this is the { width:, height: } of the page, and the height is exactly that.
  */
-Renderer.prototype.setPaperSize = function (maxwidth, scale, responsive) {
+Renderer.prototype.setPaperSize = function (maxwidth, scale, responsive, page) {
 	var w = (maxwidth+this.padding.right)*scale;
 	var h = (this.y+this.padding.bottom)*scale;
-	if (this.isPrint)
+	if (page) {
+		w = Math.max(w, page.width*scale);
+		h = page.height*scale;
+	} else if (this.isPrint)
 		h = Math.max(h, 1056); // 11in x 72pt/in x 1.33px/pt
-	// TODO-PER: We are letting the page get as long as it needs now, but eventually that should go to a second page.
 	if (this.doRegression)
 		this.regressionLines.push("PAPER SIZE: ("+w+","+h+")");
 
@@ -320,13 +324,51 @@ Renderer.prototype.addMusicPadding = function() {
  * Leave space before printing a staff system
  */
 Renderer.prototype.addStaffPadding = function(lastStaffGroup, thisStaffGroup) {
+	this.moveY(this.staffPadding(lastStaffGroup, thisStaffGroup));
+};
+
+/**
+ * How much space addStaffPadding will leave between two staff systems
+ */
+Renderer.prototype.staffPadding = function(lastStaffGroup, thisStaffGroup) {
 	var lastStaff = lastStaffGroup.staffs[lastStaffGroup.staffs.length-1];
 	var lastBottomLine = -(lastStaff.bottom - 2); // The 2 is because the scale goes to 2 below the last line.
 	var nextTopLine = thisStaffGroup.staffs[0].top - 10; // Because 10 represents the top line.
 	var naturalSeparation = nextTopLine + lastBottomLine; // This is how far apart they'd be without extra spacing
 	var separationInPixels = naturalSeparation * spacing.STEP;
 	if (separationInPixels < this.spacing.staffSeparation)
-		this.moveY(this.spacing.staffSeparation-separationInPixels);
+		return this.spacing.staffSeparation-separationInPixels;
+	return 0;
+};
+
+/**
+ * The header or footer on one page of paginated output. "$P" is replaced with the page number.
+ * The header goes above the current position and the footer goes below it, and neither one changes the Y-coordinate.
+ * @param {number} width
+ * @param {object} text The { left:, center:, right: } strings.
+ * @param {string} font
+ * @param {string} type Either "header" or "footer".
+ * @param {number} pageNumber
+ * @param {bool} isHeader
+ */
+Renderer.prototype.outputPageText = function(width, text, font, type, pageNumber, isHeader) {
+	if (!text)
+		return;
+	var klass = isHeader ? 'header meta-top' : 'header meta-bottom';
+	var y = this.y;
+	if (isHeader)
+		this.y -= this.getTextSize("XXXX", font, 'abcjs-header abcjs-meta-top').height;
+	var substitute = function(str) {
+		return str ? str.replace(/\$P/g, pageNumber) : str;
+	};
+	this.controller.currentAbsEl = { tuneNumber: this.controller.engraver.tuneNumber, elemset: [], abcelem: { el_type: type, startChar: -1, endChar: -1, text: "" }};
+	var alignments = [ { key: 'left', x: this.padding.left, anchor: 'start' }, { key: 'center', x: this.padding.left + width / 2, anchor: 'middle' }, { key: 'right', x: this.padding.left + width, anchor: 'end' }];
+	for (var i = 0; i < alignments.length; i++) {
+		var el = this.outputTextIf(alignments[i].x, substitute(text[alignments[i].key]), font, klass, 0, null, alignments[i].anchor);
+		if (el[2])
+			this.controller.currentAbsEl.elemset.push(el[2]);
+	}
+	this.y = y;
 };
 
 /**
@@ -336,7 +378,7 @@ Renderer.prototype.addStaffPadding = function(lastStaffGroup, thisStaffGroup) {
  */
 Renderer.prototype.engraveTopText = function(width, abctune) {
 	var el;
-	if (abctune.metaText.header && this.isPrint) {
+	if (abctune.metaText.header && this.isPrint && !this.isPaginated) {
 		// Note: whether there is a header or not doesn't change any other positioning, so this doesn't change the Y-coordinate.
 		// This text goes above the margin, so we'll temporarily move up.
 		var headerTextHeight = this.getTextSize("XXXX", "headerfont", 'abcjs-header abcjs-meta-top').height;
@@ -413,6 +455,12 @@ Renderer.prototype.wrapInAbsElem = function(abcelem, klass, creator) {
 	this.controller.currentAbsEl.elemset = [el];
 };
 
+// A verse number at the start of a line of the W: words, like "1." or "(2)". Returns the match, or null.
+function wordsLabel(line) {
+	var text = typeof line === 'string' ? line : line.length > 0 ? line[0].text : '';
+	return /^(\d+[.)]|\(\d+\)|[IVXivx]+\.)\s+/.exec(text);
+}
+
 /**
  * Text that goes below the score
  * @param {number} width
@@ -432,23 +480,39 @@ Renderer.prototype.engraveExtraText = function(width, abctune) {
 			this.moveY(this.spacing.words, 1);
 			var historyLen = this.controller.history.length;
 			this.createElemSet({klass: "abcjs-meta-bottom abcjs-unaligned-words"});
+			// If the verses are numbered, the numbers go in a column to the left of the words.
+			var labelColumn = 0;
+			for (var i = 0; i < abctune.metaText.unalignedWords.length; i++) {
+				var label = wordsLabel(abctune.metaText.unalignedWords[i]);
+				if (label)
+					labelColumn = Math.max(labelColumn, this.getTextSize(label[1], 'wordsfont', 'meta-bottom unaligned-words').width + space.width * 2);
+			}
+			var wordsX = this.padding.left + spacing.INDENT + labelColumn;
 			for (var j = 0; j < abctune.metaText.unalignedWords.length; j++) {
-				if (abctune.metaText.unalignedWords[j] === '')
+				var line = abctune.metaText.unalignedWords[j];
+				var lineLabel = wordsLabel(line);
+				if (lineLabel) {
+					this.renderText({x: wordsX - space.width * 2, y: this.y, text: lineLabel[1], type: 'wordsfont', klass: 'meta-bottom verse-label', anchor: 'end', noClass: true});
+					if (typeof line === 'string')
+						line = line.substring(lineLabel[0].length);
+				}
+				if (line === '')
 					this.moveY(hash.font.size, 1);
-				else if (typeof abctune.metaText.unalignedWords[j] === 'string') {
-					this.outputTextIf(this.padding.left + spacing.INDENT, abctune.metaText.unalignedWords[j], 'wordsfont', 'meta-bottom unaligned-words', 0, 0, "start", true);
+				else if (typeof line === 'string') {
+					this.outputTextIf(wordsX, line, 'wordsfont', 'meta-bottom unaligned-words', 0, 0, "start", true);
 				} else {
 					var largestY = 0;
 					var offsetX = 0;
-					for (var k = 0; k < abctune.metaText.unalignedWords[j].length; k++) {
-						var thisWord = abctune.metaText.unalignedWords[j][k];
+					for (var k = 0; k < line.length; k++) {
+						var thisWord = line[k];
 						var type = (thisWord.font) ? thisWord.font : "wordsfont";
-						this.renderText({x: this.padding.left + spacing.INDENT + offsetX, y: this.y, text: thisWord.text, type: type, klass: 'meta-bottom unaligned-words', anchor: 'start', noClass: true});
-						var size = this.getTextSize(thisWord.text, type, 'meta-bottom unaligned-words');
+						var wordText = k === 0 && lineLabel ? thisWord.text.substring(lineLabel[0].length) : thisWord.text;
+						this.renderText({x: wordsX + offsetX, y: this.y, text: wordText, type: type, klass: 'meta-bottom unaligned-words', anchor: 'start', noClass: true});
+						var size = this.getTextSize(wordText, type, 'meta-bottom unaligned-words');
 						largestY = Math.max(largestY, size.height);
 						offsetX += size.width;
 						// If the phrase ends in a space, then that is not counted in the width, so we need to add that in ourselves.
-						if (thisWord.text[thisWord.text.length - 1] === ' ') {
+						if (wordText[wordText.length - 1] === ' ') {
 							offsetX += space.width;
 						}
 					}
@@ -479,7 +543,7 @@ Renderer.prototype.engraveExtraText = function(width, abctune) {
 		});
 	}
 
-	if (abctune.metaText.footer && this.isPrint) {
+	if (abctune.metaText.footer && this.isPrint && !this.isPaginated) { // When paginated, every page gets its own footer.
 		this.controller.currentAbsEl = { tuneNumber: this.controller.engraver.tuneNumber, elemset: [], abcelem: { el_type: "footer", startChar: -1, endChar: -1, text: "" }};
 		// Note: whether there is a footer or not doesn't change any other positioning, so this doesn't change the Y-coordinate.
 		el = this.outputTextIf(this.padding.left, abctune.metaText.footer.left, 'footerfont', 'header meta-bottom', 0, null, 'start');
@@ -766,15 +830,17 @@ Renderer.prototype.calcY = function(ofs) {
 /**
  * Print @param {number} numLines. If there is 1 line it is the B line. Otherwise the bottom line is the E line.
  */
-Renderer.prototype.printStave = function (startx, endx, numLines) {
+Renderer.prototype.printStave = function (startx, endx, numLines, linePitch) {
 	var klass = "abcjs-top-line";
+	if (!linePitch)
+		linePitch = 2;
 	this.paper.openGroup({ prepend: true, klass: "abcjs-staff abcjs-l" + this.lineNumber });
 	// If there is one line, it is the B line. Otherwise, the bottom line is the E line.
 	if (numLines === 1) {
 		this.printStaveLine(startx,endx,6, klass);
 	} else {
 		for (var i = numLines - 1; i >= 0; i--) {
-			this.printStaveLine(startx, endx, (i + 1) * 2, klass);
+			this.printStaveLine(startx, endx, 2 + i * linePitch, klass);
 			klass = undefined;
 		}
 	}
@@ -878,6 +944,16 @@ Renderer.prototype.renderText = function(params) {
 	return elem;
 };
 
+// The fret number is centered on the string, and the string is erased behind it so that it is readable.
+Renderer.prototype.printTabNumber = function (x, pitch, text) {
+	var size = this.getTextSize(text, 'tablaturefont', 'tab-number');
+	var y = this.calcY(pitch);
+	var left = x - size.width/2 - 1;
+	var top = y - size.height/2;
+	this.paper.path({ path: "M " + left + " " + top + " h " + (size.width + 2) + " v " + size.height + " h " + (-size.width - 2) + " z", fill: "#ffffff", stroke: "none", 'class': this.addClasses('tab-number-background') });
+	return this.renderText({ x: x, y: y - 7 + size.height/3, text: text, type: 'tablaturefont', klass: 'tab-number', anchor: "middle", centerVertically: true });
+};
+
 Renderer.prototype.moveY = function (em, numLines) {
 	if (numLines === undefined) numLines = 1;
 	this.y += em*numLines;
@@ -60,7 +60,7 @@ StaffGroupElement.prototype.setLimit = function(member, voice) {
 		voice.staff.specialY[member] = Math.max(voice.staff.specialY[member], voice.specialY[member]);
 };
 
-StaffGroupElement.prototype.addVoice = function (voice, staffnumber, stafflines) {
+StaffGroupElement.prototype.addVoice = function (voice, staffnumber, stafflines, linePitch) {
 	var voiceNum = this.voices.length;
 	this.voices[voiceNum] = voice;
 	if (this.staffs[staffnumber])
@@ -71,6 +71,7 @@ StaffGroupElement.prototype.addVoice = function (voice, staffnumber, stafflines)
 			top: 10,
 			bottom: 2,
 			lines: stafflines,
+			linePitch: linePitch, // The distance between the lines, if they aren't the usual 2 pitches apart.
 			voices: [voiceNum],
 			specialY: {
 				tempoHeightAbove: 0,
@@ -409,7 +410,7 @@ StaffGroupElement.prototype.draw = function (renderer) {
 			if (staff.lines !== 0) {
 				renderer.measureNumber = null;
 				renderer.noteNumber = null;
-				renderer.printStave(this.startx, this.w, staff.lines);
+				renderer.printStave(this.startx, this.w, staff.lines, staff.linePitch);
 			}
 			if (this.brace && this.brace.isStartVoice(i)) {//Tony
 				this.brace.draw(renderer, topLine, bottomLine); //tony
@@ -0,0 +1,328 @@
+// abc_tablature.js: Creates a staff of tablature that goes under a staff of music, for guitar, mandolin, or fiddle.
+// The tablature is a second voice that has an element for each element of the music, with the same duration, so that the
+// layout lines it up with the notes above it. The elements share the abcelem of the music, so clicking on a fret number selects the note.
+
+var AbsoluteElement = require('./abc_absolute_element');
+var RelativeElement = require('./abc_relative_element');
+var VoiceElement = require('./abc_voice_element');
+
+var Tablature;
+
+(function() {
+	"use strict";
+
+	// The tunings are the written pitches: the guitar sounds an octave lower than it is written.
+	var instruments = {
+		guitar: { tuning: [ "E,", "A,", "D", "G", "B", "e" ], frets: 19 },
+		mandolin: { tuning: [ "G,", "D", "A", "e" ], frets: 17 },
+		fiddle: { tuning: [ "G,", "D", "A", "e" ], frets: 7 }
+	};
+	instruments.violin = instruments.fiddle;
+
+	var LINE_SPACING = 3; // in pitches: the tablature lines are farther apart than staff lines so the numbers fit between them.
+	var MAX_STRETCH = 4; // The most frets that the fingers can reach in one position.
+
+	var scale = [ 0, 2, 4, 5, 7, 9, 11 ];
+	var accidentalOffsets = { sharp: 1, flat: -1, natural: 0, dblsharp: 2, dblflat: -2, quartersharp: 0, quarterflat: 0 };
+
+	// Turns an abc note name like "E," or "^f" into a MIDI pitch number.
+	function noteNameToMidi(name) {
+		var match = /^([\^_=]*)([A-Ga-g])([,']*)$/.exec(name);
+		if (!match)
+			return undefined;
+		var letter = match[2];
+		var midi = 60 + scale["CDEFGAB".indexOf(letter.toUpperCase())];
+		if (letter === letter.toLowerCase())
+			midi += 12;
+		for (var i = 0; i < match[3].length; i++)
+			midi += match[3].charAt(i) === ',' ? -12 : 12;
+		for (i = 0; i < match[1].length; i++) {
+			if (match[1].charAt(i) === '^')
+				midi++;
+			else if (match[1].charAt(i) === '_')
+				midi--;
+		}
+		return midi;
+	}
+
+	// params: { instrument: 'guitar'|'mandolin'|'fiddle', tuning: [ abc note names, lowest string first ], capo: number }
+	Tablature = function(params, tuneNumber) {
+		var instrument = instruments[params.instrument] ? instruments[params.instrument] : instruments.guitar;
+		var tuning = params.tuning ? params.tuning : instrument.tuning;
+		this.strings = [];
+		for (var i = 0; i < tuning.length; i++) {
+			var midi = noteNameToMidi(tuning[i]);
+			if (midi !== undefined)
+				this.strings.push(midi);
+		}
+		this.capo = params.capo ? parseInt(params.capo, 10) : 0;
+		this.frets = instrument.frets;
+		this.tuneNumber = tuneNumber;
+		this.keyAccidentals = [ 0, 0, 0, 0, 0, 0, 0 ];
+		this.barAccidentals = {};
+		this.tiedNotes = {};
+		this.position = undefined; // The fret that the hand was last at, so the next fingering doesn't jump around.
+		this.keyChanges = [];
+	};
+
+	// A key change that doesn't have any accidentals isn't drawn, so the engraver tells us about it directly.
+	// The index is the place in the voice's children where the key takes effect.
+	Tablature.prototype.changeKey = function(index, key) {
+		this.keyChanges.push({ index: index, key: key });
+	};
+
+	Tablature.prototype.setKey = function(key) {
+		this.keyAccidentals = [ 0, 0, 0, 0, 0, 0, 0 ];
+		if (!key || !key.accidentals)
+			return;
+		for (var i = 0; i < key.accidentals.length; i++) {
+			var acc = key.accidentals[i];
+			var step = "cdefgab".indexOf(acc.note.toLowerCase());
+			if (step >= 0 && accidentalOffsets[acc.acc] !== undefined)
+				this.keyAccidentals[step] = accidentalOffsets[acc.acc];
+		}
+	};
+
+	Tablature.prototype.pitchToMidi = function(note) {
+		if (note.midipitch)
+			return note.midipitch;
+		var pitch = note.pitch;
+		var step = ((pitch % 7) + 7) % 7;
+		var octave = Math.floor(pitch / 7);
+		if (note.accidental && accidentalOffsets[note.accidental] !== undefined)
+			this.barAccidentals[pitch] = accidentalOffsets[note.accidental];
+		var accidental = this.barAccidentals[pitch] !== undefined ? this.barAccidentals[pitch] : this.keyAccidentals[step];
+		return 60 + octave * 12 + scale[step] + accidental;
+	};
+
+	// Returns the place on each string that the pitch can be played, as { string, fret }. The fret is counted from the capo.
+	Tablature.prototype.placesForPitch = function(midi) {
+		var places = [];
+		for (var s = 0; s < this.strings.length; s++) {
+			var fret = midi - this.strings[s] - this.capo;
+			if (fret >= 0 && fret <= this.frets)
+				places.push({ string: s, fret: fret });
+		}
+		return places;
+	};
+
+	// How hard a fingering is to play: it must fit under the hand, it should be near where the hand already is, and lower positions are easier.
+	// Open strings can be played from any position.
+	Tablature.prototype.fingeringCost = function(fingering) {
+		var low, high, total = 0, count = 0;
+		for (var i = 0; i < fingering.length; i++) {
+			var fret = fingering[i].fret;
+			if (fret > 0) {
+				low = low === undefined ? fret : Math.min(low, fret);
+				high = high === undefined ? fret : Math.max(high, fret);
+				total += fret;
+				count++;
+			}
+		}
+		if (count === 0)
+			return 0;
+		var cost = total / count * 0.3;
+		if (high - low >= MAX_STRETCH)
+			cost += (high - low - MAX_STRETCH + 1) * 10;
+		if (this.position !== undefined)
+			cost += Math.abs(total / count - this.position);
+		return cost;
+	};
+
+	// Finds the easiest way to play all of the pitches at once, with each pitch on a different string.
+	// The pitches that can't be played are left out.
+	Tablature.prototype.chooseFingering = function(midiPitches) {
+		var self = this;
+		var choices = [];
+		var playable = [];
+		for (var i = 0; i < midiPitches.length; i++) {
+			var places = this.placesForPitch(midiPitches[i]);
+			if (places.length > 0) {
+				choices.push(places);
+				playable.push(i);
+			}
+		}
+		var best = null;
+		var bestCost;
+		var current = [];
+		var used = {};
+		function search(n) {
+			if (n === choices.length) {
+				var cost = self.fingeringCost(current);
+				if (best === null || cost < bestCost) {
+					best = current.slice(0);
+					bestCost = cost;
+				}
+				return;
+			}
+			for (var c = 0; c < choices[n].length; c++) {
+				var place = choices[n][c];
+				if (!used[place.string]) {
+					used[place.string] = true;
+					current.push({ string: place.string, fret: place.fret, index: playable[n] });
+					search(n + 1);
+					current.pop();
+					used[place.string] = false;
+				}
+			}
+		}
+		search(0);
+		if (best === null)
+			return [];
+
+		var total = 0, count = 0;
+		for (i = 0; i < best.length; i++) {
+			if (best[i].fret > 0) {
+				total += best[i].fret;
+				count++;
+			}
+		}
+		if (count > 0)
+			this.position = total / count;
+		return best;
+	};
+
+	Tablature.prototype.stringPitch = function(string) {
+		return 2 + string * LINE_SPACING;
+	};
+
+	Tablature.prototype.topPitch = function() {
+		return this.stringPitch(this.strings.length - 1);
+	};
+
+	Tablature.prototype.createNote = function(abselem) {
+		var elem = abselem.abcelem;
+		var tabelem = new AbsoluteElement(elem, abselem.duration, abselem.minspacing, abselem.type, this.tuneNumber, { durationClassOveride: abselem.durationClass, tablature: true });
+		tabelem.startTie = abselem.startTie;
+		if (elem.rest || !elem.pitches)
+			return tabelem;
+
+		var midiPitches = [];
+		var fingering = [];
+		var toPlace = []; // The index of each pitch that needs a place to be found for it.
+		for (var i = 0; i < elem.pitches.length; i++) {
+			var midi = this.pitchToMidi(elem.pitches[i]);
+			midiPitches.push(midi);
+			// A note that is tied from the note before isn't played again, so it stays on the same string.
+			var tied = this.tiedNotes[midi];
+			if (elem.pitches[i].endTie && tied)
+				fingering.push({ string: tied.string, fret: tied.fret, index: i, tied: true });
+			else
+				toPlace.push(i);
+		}
+		var placed = this.chooseFingering(toPlace.map(function(index) { return midiPitches[index]; }));
+		for (i = 0; i < placed.length; i++) {
+			var taken = false;
+			for (var j = 0; j < fingering.length; j++) {
+				if (fingering[j].string === placed[i].string)
+					taken = true;
+			}
+			if (!taken)
+				fingering.push({ string: placed[i].string, fret: placed[i].fret, index: toPlace[placed[i].index] });
+		}
+
+		this.tiedNotes = {};
+		for (i = 0; i < fingering.length; i++) {
+			var f = fingering[i];
+			var text = f.tied ? "(" + f.fret + ")" : "" + f.fret;
+			tabelem.addRight(new RelativeElement(text, 0, 0, this.stringPitch(f.string), { type: "tabNumber" }));
+			if (elem.pitches[f.index].startTie)
+				this.tiedNotes[midiPitches[f.index]] = f;
+		}
+		return tabelem;
+	};
+
+	Tablature.prototype.createBar = function(abselem) {
+		this.barAccidentals = {};
+		var elem = abselem.abcelem;
+		var tabelem = new AbsoluteElement(elem, 0, abselem.minspacing, 'bar', this.tuneNumber, { tablature: true });
+		var top = this.topPitch();
+		var middle = (top + 2) / 2;
+		var type = elem.type;
+		var dx = 0;
+		var addDots = function() {
+			tabelem.addRight(new RelativeElement("dots.dot", dx, 1, middle + 1));
+			tabelem.addRight(new RelativeElement("dots.dot", dx, 1, middle - 1));
+		};
+		var addLine = function(width) {
+			tabelem.addRight(new RelativeElement(null, dx, width > 1 ? 4 : 1, 2, { type: "bar", pitch2: top, linewidth: width }));
+		};
+		// These are the same shapes, in the same places, as the bar lines of the music.
+		if (type === "bar_right_repeat" || type === "bar_dbl_repeat") {
+			addDots();
+			dx += 6;
+		}
+		if (type !== "bar_left_repeat" && type !== "bar_thick_thin" && type !== "bar_invisible")
+			addLine(0.6);
+		if (type === "bar_right_repeat" || type === "bar_dbl_repeat" || type === "bar_left_repeat" || type === "bar_thin_thick" || type === "bar_thick_thin") {
+			dx += 4;
+			addLine(4);
+			dx += 5;
+		}
+		if (type === "bar_left_repeat" || type === "bar_thick_thin" || type === "bar_thin_thin" || type === "bar_dbl_repeat") {
+			dx += 3;
+			addLine(0.6);
+		}
+		if (type === "bar_left_repeat" || type === "bar_dbl_repeat") {
+			dx += 3;
+			addDots();
+		}
+		tabelem.extraw = abselem.extraw;
+		return tabelem;
+	};
+
+	// The clef of the tablature staff is the word TAB, written down the staff.
+	Tablature.prototype.createClef = function(abselem) {
+		var tabelem = new AbsoluteElement(abselem.abcelem, 0, abselem.minspacing, abselem.type, this.tuneNumber, { tablature: true });
+		tabelem.isClef = true;
+		var middle = (this.topPitch() + 2) / 2;
+		var letters = "TAB";
+		for (var i = 0; i < letters.length; i++)
+			tabelem.addRight(new RelativeElement(letters.charAt(i), 5, 0, middle + (1 - i) * 2.5, { type: "tabLabel" }));
+		return tabelem;
+	};
+
+	// This creates a voice that has one element for each element in the music. Only the notes, bars and clef have anything drawn;
+	// the rest take up the same time so that everything lines up.
+	Tablature.prototype.createVoice = function(voice, key) {
+		if (key)
+			this.setKey(key);
+		var tabVoice = new VoiceElement(0, 1);
+		tabVoice.isTablature = true;
+		var nextKeyChange = 0;
+		for (var i = 0; i < voice.children.length; i++) {
+			while (nextKeyChange < this.keyChanges.length && this.keyChanges[nextKeyChange].index <= i) {
+				this.setKey(this.keyChanges[nextKeyChange].key);
+				nextKeyChange++;
+			}
+			var abselem = voice.children[i];
+			var tabelem;
+			if (abselem.type === 'note' || abselem.type === 'rest')
+				tabelem = this.createNote(abselem);
+			else if (abselem.type === 'bar')
+				tabelem = this.createBar(abselem);
+			else if (abselem.isClef && i === 0)
+				tabelem = this.createClef(abselem);
+			else
+				tabelem = new AbsoluteElement(abselem.abcelem, abselem.duration, abselem.minspacing, abselem.type, this.tuneNumber, { tablature: true });
+			if (tabelem.type === 'note' || tabelem.type === 'rest') {
+				// The note and its fret numbers are the same thing, so selecting one selects the other.
+				abselem.tabElement = tabelem;
+				tabelem.musicElement = abselem;
+			}
+			tabVoice.addChild(tabelem);
+		}
+		for (; nextKeyChange < this.keyChanges.length; nextKeyChange++)
+			this.setKey(this.keyChanges[nextKeyChange].key);
+		this.keyChanges = [];
+		return tabVoice;
+	};
+
+	Tablature.prototype.numberOfLines = function() {
+		return this.strings.length;
+	};
+
+	Tablature.lineSpacing = LINE_SPACING;
+})();
+
+module.exports = Tablature;
@@ -0,0 +1,115 @@
+// note-entry.js: Adding notes by clicking on the staff. This is turned on with the noteEntry parameter.
+// When the user clicks on a place on the staff that doesn't have anything in it, the pitch is figured out from where the
+// click was and the clef that is in effect there, and the listeners are told where in the ABC string the note should go.
+// The note is not put in the ABC string here: that is up to the listener (the Editor does it.) No accidental is added
+// unless the user asked for one, so the key signature applies.
+//
+// While the music has the focus, these keys change what the next click will add:
+//		1 2 4 8 6 3: whole, half, quarter, eighth, sixteenth and thirty-second notes
+//		.: dotted or not
+//		^ #: sharp, _ b: flat, =: natural (pressing the same one again takes it off)
+//		r: a rest instead of a note
+//		Escape: back to a plain note with no accidental or dot
+
+var spacing = require('./abc_spacing');
+
+var durationKeys = { "1": 1, "2": 0.5, "4": 0.25, "8": 0.125, "6": 0.0625, "3": 0.03125 };
+var accidentalKeys = { "^": "^", "#": "^", "_": "_", "b": "_", "=": "=" };
+
+var noteEntry = {};
+
+noteEntry.defaults = function() {
+	return { duration: 0.25, dotted: false, accidental: "", rest: false };
+};
+
+function isNoteOrBar(child) {
+	return child.abcelem && (child.abcelem.el_type === "note" || child.abcelem.el_type === "bar") && child.abcelem.startChar >= 0;
+}
+
+function findVoice(staffgroups, y, page) {
+	var best = null;
+	var bestDistance = 9999999;
+	for (var i = 0; i < staffgroups.length; i++) {
+		if (staffgroups[i].page !== page)
+			continue;
+		var voices = staffgroups[i].voices;
+		for (var j = 0; j < voices.length; j++) {
+			var voice = voices[j];
+			if (voice.duplicate || voice.isTablature || !voice.staff || voice.staff.absoluteY === undefined)
+				continue;
+			// The middle line of the staff is at pitch 6.
+			var distance = Math.abs(y - (voice.staff.absoluteY - 6 * spacing.STEP));
+			if (distance < bestDistance) {
+				bestDistance = distance;
+				best = voice;
+			}
+		}
+	}
+	return best;
+}
+
+// "this" is the EngraverController. Returns true if a note was added.
+// If the music is paginated, page is the index of the page that was clicked on.
+noteEntry.click = function(x, y, page) {
+	var voice = findVoice(this.staffgroups, y, page);
+	if (!voice)
+		return false;
+
+	var clefPos = 0;
+	var before = null;
+	var first = null;
+	for (var i = 0; i < voice.children.length; i++) {
+		var child = voice.children[i];
+		if (child.x > x)
+			break;
+		if (child.type && child.type.indexOf("clef") >= 0 && child.abcelem && child.abcelem.verticalPos !== undefined)
+			clefPos = child.abcelem.verticalPos;
+		if (isNoteOrBar(child))
+			before = child;
+	}
+	for (i = 0; i < voice.children.length && !first; i++) {
+		if (isNoteOrBar(voice.children[i]))
+			first = voice.children[i];
+	}
+	if (!first)
+		return false; // There is nothing on this line to tell where in the ABC string it is.
+
+	var verticalPos = Math.round((voice.staff.absoluteY - y) / spacing.STEP);
+	var entry = this.noteEntry;
+	var info = {
+		startChar: before ? before.abcelem.endChar : first.abcelem.startChar,
+		pitch: verticalPos + clefPos,
+		accidental: entry.rest ? "" : entry.accidental,
+		duration: entry.dotted ? entry.duration * 1.5 : entry.duration,
+		rest: entry.rest,
+		tuneNumber: first.tuneNumber
+	};
+	for (i = 0; i < this.entryListeners.length; i++)
+		this.entryListeners[i](info);
+	return true;
+};
+
+// "this" is the EngraverController.
+noteEntry.keyDown = function(ev) {
+	var entry = this.noteEntry;
+	var key = ev.key;
+	if (ev.ctrlKey || ev.metaKey || ev.altKey)
+		return;
+	if (durationKeys[key])
+		entry.duration = durationKeys[key];
+	else if (key === ".")
+		entry.dotted = !entry.dotted;
+	else if (accidentalKeys[key])
+		entry.accidental = entry.accidental === accidentalKeys[key] ? "" : accidentalKeys[key];
+	else if (key === "r" || key === "R")
+		entry.rest = !entry.rest;
+	else if (key === "Escape") {
+		entry.dotted = false;
+		entry.accidental = "";
+		entry.rest = false;
+	} else
+		return;
+	ev.preventDefault();
+};
+
+module.exports = noteEntry;
@@ -0,0 +1,166 @@
+// pdf-document.js: Collects the pages of a PDF and writes out the file.
+// Each page is a content stream of PDF drawing operators that svg-to-pdf.js created. The fonts are shared by all the pages.
+// The streams are not compressed, so that this works the same in a browser and in node without any other library.
+
+var pdfFonts = require('./pdf-fonts');
+
+function PdfDocument(suppliedFonts) {
+	this.suppliedFonts = suppliedFonts;
+	this.pages = [];
+	this.fonts = [];
+	this.fontCache = {};
+}
+
+// Returns the font that text with these attributes is written with. The same object is returned for the same attributes.
+PdfDocument.prototype.getFont = function(face, weight, style) {
+	var family = pdfFonts.familyName(face);
+	var key = family + "|" + weight + "|" + style;
+	if (this.fontCache[key])
+		return this.fontCache[key];
+
+	var font = { family: family, weight: weight, style: style };
+	var supplied = pdfFonts.findSuppliedFont(this.suppliedFonts, family, weight, style);
+	if (supplied) {
+		// The same file might have been supplied for more than one style, so only embed it once.
+		for (var i = 0; i < this.fonts.length; i++) {
+			if (this.fonts[i].suppliedKey === supplied.key) {
+				this.fontCache[key] = this.fonts[i];
+				return this.fonts[i];
+			}
+		}
+		font.suppliedKey = supplied.key;
+		font.trueType = pdfFonts.readTrueType(supplied.data);
+		font.baseFont = supplied.key.replace(/[^A-Za-z0-9\-]/g, "");
+	} else {
+		font.baseFont = pdfFonts.standardFontName(family, weight, style);
+		for (var j = 0; j < this.fonts.length; j++) {
+			if (!this.fonts[j].trueType && this.fonts[j].baseFont === font.baseFont) {
+				this.fontCache[key] = this.fonts[j];
+				return this.fonts[j];
+			}
+		}
+	}
+	font.resourceName = "F" + (this.fonts.length + 1);
+	this.fonts.push(font);
+	this.fontCache[key] = font;
+	return font;
+};
+
+// The width and height are in points. The content is a string of PDF operators.
+PdfDocument.prototype.addPage = function(width, height, content) {
+	this.pages.push({ width: width, height: height, content: content });
+};
+
+function Writer() {
+	this.chunks = [];
+	this.length = 0;
+	this.offsets = [];
+}
+
+// The strings here only contain characters up to 255, since all text has been put in WinAnsiEncoding.
+Writer.prototype.write = function(str) {
+	var bytes = new Uint8Array(str.length);
+	for (var i = 0; i < str.length; i++)
+		bytes[i] = str.charCodeAt(i) & 0xff;
+	this.writeBytes(bytes);
+};
+
+Writer.prototype.writeBytes = function(bytes) {
+	this.chunks.push(bytes);
+	this.length += bytes.length;
+};
+
+Writer.prototype.startObject = function(num) {
+	this.offsets[num] = this.length;
+	this.write(num + " 0 obj\n");
+};
+
+Writer.prototype.object = function(num, str) {
+	this.startObject(num);
+	this.write(str + "\nendobj\n");
+};
+
+Writer.prototype.stream = function(num, dict, bytes) {
+	this.startObject(num);
+	this.write("<< " + dict + " /Length " + bytes.length + " >>\nstream\n");
+	if (typeof bytes === 'string')
+		this.write(bytes);
+	else
+		this.writeBytes(bytes);
+	this.write("\nendstream\nendobj\n");
+};
+
+Writer.prototype.toBytes = function() {
+	var out = new Uint8Array(this.length);
+	var pos = 0;
+	for (var i = 0; i < this.chunks.length; i++) {
+		out.set(this.chunks[i], pos);
+		pos += this.chunks[i].length;
+	}
+	return out;
+};
+
+function fontObjects(writer, font, num) {
+	if (!font.trueType) {
+		writer.object(num, "<< /Type /Font /Subtype /Type1 /BaseFont /" + font.baseFont + " /Encoding /WinAnsiEncoding >>");
+		return num + 1;
+	}
+	var tt = font.trueType;
+	writer.object(num, "<< /Type /Font /Subtype /TrueType /BaseFont /" + font.baseFont + " /FirstChar 32 /LastChar 255 /Widths [" + tt.widths.join(" ") + "]" +
+		" /Encoding /WinAnsiEncoding /FontDescriptor " + (num + 1) + " 0 R >>");
+	// Flag 32 means that the font uses the standard Latin character set.
+	writer.object(num + 1, "<< /Type /FontDescriptor /FontName /" + font.baseFont + " /Flags 32 /FontBBox [" + tt.bbox.join(" ") + "]" +
+		" /ItalicAngle " + tt.italicAngle + " /Ascent " + tt.ascent + " /Descent " + tt.descent + " /CapHeight " + tt.capHeight +
+		" /StemV 80 /FontFile2 " + (num + 2) + " 0 R >>");
+	var bytes = tt.bytes instanceof Uint8Array ? tt.bytes : new Uint8Array(tt.bytes);
+	writer.stream(num + 2, "/Length1 " + bytes.length, bytes);
+	return num + 3;
+}
+
+// Returns the PDF file as a Uint8Array.
+PdfDocument.prototype.output = function() {
+	var writer = new Writer();
+	// The % line with high bytes tells programs that look at the file that it is binary.
+	writer.write("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n");
+
+	// Object 1 is the catalog, 2 is the page tree, 3 is the resources that every page uses, then the fonts, then the pages.
+	var num = 4;
+	var fontRefs = [];
+	for (var i = 0; i < this.fonts.length; i++) {
+		fontRefs.push("/" + this.fonts[i].resourceName + " " + num + " 0 R");
+		num = fontObjects(writer, this.fonts[i], num);
+	}
+	writer.object(3, "<< /ProcSet [/PDF /Text] /Font << " + fontRefs.join(" ") + " >> >>");
+
+	var kids = [];
+	for (var p = 0; p < this.pages.length; p++) {
+		var page = this.pages[p];
+		kids.push(num + " 0 R");
+		writer.object(num, "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 " + round(page.width) + " " + round(page.height) + "] /Resources 3 0 R /Contents " + (num + 1) + " 0 R >>");
+		writer.stream(num + 1, "", page.content);
+		num += 2;
+	}
+	writer.object(2, "<< /Type /Pages /Kids [" + kids.join(" ") + "] /Count " + this.pages.length + " >>");
+	writer.object(1, "<< /Type /Catalog /Pages 2 0 R >>");
+
+	var xref = writer.length;
+	var table = "xref\n0 " + num + "\n0000000000 65535 f \n";
+	for (var n = 1; n < num; n++)
+		table += pad(writer.offsets[n]) + " 00000 n \n";
+	writer.write(table);
+	writer.write("trailer\n<< /Size " + num + " /Root 1 0 R >>\nstartxref\n" + xref + "\n%%EOF\n");
+	return writer.toBytes();
+};
+
+function pad(offset) {
+	var str = "" + offset;
+	while (str.length < 10)
+		str = "0" + str;
+	return str;
+}
+
+function round(value) {
+	return Math.round(value * 100) / 100;
+}
+
+module.exports = PdfDocument;
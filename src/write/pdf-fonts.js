@@ -0,0 +1,208 @@
+// pdf-fonts.js: The fonts that the text in a PDF is written with.
+// If the caller supplies a TrueType file for a font family, the whole file is embedded in the PDF, and the character widths are read
+// from it. Otherwise the closest of the standard PDF fonts (Helvetica, Times and Courier) is used. Those don't need to be embedded
+// because every PDF reader has them, and they are the same fonts that text-metrics.js measures with when there is no browser.
+// The text is written with WinAnsiEncoding, so only the characters in that encoding can be written. Any other character is written as "?".
+
+var textMetrics = require('./text-metrics');
+
+var pdfFonts = {};
+
+(function() {
+	"use strict";
+
+	// WinAnsiEncoding is the same as Latin-1 except for these characters in the range 128 to 159.
+	var winAnsiExtra = {
+		0x20ac: 128, 0x201a: 130, 0x0192: 131, 0x201e: 132, 0x2026: 133, 0x2020: 134, 0x2021: 135, 0x02c6: 136,
+		0x2030: 137, 0x0160: 138, 0x2039: 139, 0x0152: 140, 0x017d: 142, 0x2018: 145, 0x2019: 146, 0x201c: 147,
+		0x201d: 148, 0x2022: 149, 0x2013: 150, 0x2014: 151, 0x02dc: 152, 0x2122: 153, 0x0161: 154, 0x203a: 155,
+		0x0153: 156, 0x017e: 158, 0x0178: 159
+	};
+
+	// Returns the code for the character in WinAnsiEncoding, or -1 if it isn't there.
+	pdfFonts.winAnsiCode = function(ch) {
+		var code = ch.charCodeAt(0);
+		if (code >= 32 && code < 127)
+			return code;
+		if (code >= 160 && code <= 255)
+			return code;
+		if (winAnsiExtra[code])
+			return winAnsiExtra[code];
+		return -1;
+	};
+
+	function unicodeFromWinAnsi(code) {
+		if (code < 128 || code >= 160)
+			return code;
+		for (var key in winAnsiExtra) {
+			if (winAnsiExtra.hasOwnProperty(key) && winAnsiExtra[key] === code)
+				return parseInt(key, 10);
+		}
+		return -1;
+	}
+
+	// The font attributes on the svg text look like: font-family="&quot;Times New Roman&quot;, serif". Only the first one is used.
+	pdfFonts.familyName = function(face) {
+		var family = ("" + (face || "")).split(",")[0];
+		return family.replace(/["']/g, "").trim();
+	};
+
+	function isBold(weight) {
+		return weight === 'bold' || parseInt(weight, 10) >= 600;
+	}
+
+	function isItalic(style) {
+		return style === 'italic' || style === 'oblique';
+	}
+
+	// This follows the same rules as text-metrics.js, so that the text is written with the font it was measured with.
+	pdfFonts.standardFontName = function(family, weight, style) {
+		var lower = family.toLowerCase();
+		var bold = isBold(weight);
+		var italic = isItalic(style);
+		if (lower.indexOf('courier') >= 0 || lower.indexOf('mono') >= 0)
+			return "Courier" + (bold || italic ? "-" : "") + (bold ? "Bold" : "") + (italic ? "Oblique" : "");
+		if (lower.indexOf('sans-serif') < 0 && /times|serif|bookman|georgia|palatino/.test(lower)) {
+			if (bold && italic)
+				return "Times-BoldItalic";
+			return bold ? "Times-Bold" : italic ? "Times-Italic" : "Times-Roman";
+		}
+		return "Helvetica" + (bold || italic ? "-" : "") + (bold ? "Bold" : "") + (italic ? "Oblique" : "");
+	};
+
+	// The key for the fonts that were passed in is the family name, optionally followed by " bold", " italic" or " bold italic".
+	// The match isn't case sensitive. If there isn't one for the exact style, then the one for the family is used.
+	pdfFonts.findSuppliedFont = function(supplied, family, weight, style) {
+		if (!supplied)
+			return null;
+		var suffix = (isBold(weight) ? " bold" : "") + (isItalic(style) ? " italic" : "");
+		var names = [ (family + suffix).toLowerCase(), family.toLowerCase() ];
+		for (var i = 0; i < names.length; i++) {
+			for (var key in supplied) {
+				if (supplied.hasOwnProperty(key) && key.toLowerCase() === names[i])
+					return { key: key, data: supplied[key] };
+			}
+		}
+		return null;
+	};
+
+	function toBytes(data) {
+		if (typeof data === 'string') {
+			var bytes = [];
+			for (var i = 0; i < data.length; i++)
+				bytes.push(data.charCodeAt(i) & 0xff);
+			return bytes;
+		}
+		if (typeof ArrayBuffer !== 'undefined' && data instanceof ArrayBuffer)
+			return new Uint8Array(data);
+		return data;
+	}
+
+	function uint16(bytes, pos) {
+		return (bytes[pos] << 8) | bytes[pos+1];
+	}
+
+	function int16(bytes, pos) {
+		var value = uint16(bytes, pos);
+		return value >= 0x8000 ? value - 0x10000 : value;
+	}
+
+	function uint32(bytes, pos) {
+		return uint16(bytes, pos) * 0x10000 + uint16(bytes, pos+2);
+	}
+
+	function readTables(bytes) {
+		var tables = {};
+		var numTables = uint16(bytes, 4);
+		for (var i = 0; i < numTables; i++) {
+			var entry = 12 + i * 16;
+			var tag = String.fromCharCode(bytes[entry], bytes[entry+1], bytes[entry+2], bytes[entry+3]);
+			tables[tag] = uint32(bytes, entry + 8);
+		}
+		return tables;
+	}
+
+	// Returns a function that gives the glyph index for a unicode character, from the format 4 Windows Unicode subtable.
+	function readCmap(bytes, cmap) {
+		var numSubtables = uint16(bytes, cmap + 2);
+		var subtable = -1;
+		for (var i = 0; i < numSubtables; i++) {
+			var platform = uint16(bytes, cmap + 4 + i * 8);
+			var encoding = uint16(bytes, cmap + 6 + i * 8);
+			var offset = cmap + uint32(bytes, cmap + 8 + i * 8);
+			if (platform === 3 && (encoding === 1 || encoding === 0) && uint16(bytes, offset) === 4)
+				subtable = offset;
+		}
+		if (subtable < 0)
+			throw new Error("The TrueType font doesn't have a Unicode character map");
+		var segCount = uint16(bytes, subtable + 6) / 2;
+		var endCodes = subtable + 14;
+		var startCodes = endCodes + segCount * 2 + 2;
+		var idDeltas = startCodes + segCount * 2;
+		var idRangeOffsets = idDeltas + segCount * 2;
+		return function(code) {
+			for (var s = 0; s < segCount; s++) {
+				if (uint16(bytes, endCodes + s * 2) < code)
+					continue;
+				var start = uint16(bytes, startCodes + s * 2);
+				if (start > code)
+					return 0;
+				var rangeOffset = uint16(bytes, idRangeOffsets + s * 2);
+				var delta = uint16(bytes, idDeltas + s * 2);
+				if (rangeOffset === 0)
+					return (code + delta) & 0xffff;
+				var glyph = uint16(bytes, idRangeOffsets + s * 2 + rangeOffset + (code - start) * 2);
+				return glyph === 0 ? 0 : (glyph + delta) & 0xffff;
+			}
+			return 0;
+		};
+	}
+
+	// Reads what the PDF needs to know about a TrueType font. The widths are for the codes 32 to 255 in WinAnsiEncoding, in thousandths of an em.
+	pdfFonts.readTrueType = function(data) {
+		var bytes = toBytes(data);
+		var tables = readTables(bytes);
+		if (tables.head === undefined || tables.hhea === undefined || tables.hmtx === undefined || tables.cmap === undefined)
+			throw new Error("That is not a TrueType font that can be embedded");
+		var unitsPerEm = uint16(bytes, tables.head + 18);
+		var scale = function(value) { return Math.round(value * 1000 / unitsPerEm); };
+		var numberOfHMetrics = uint16(bytes, tables.hhea + 34);
+		var glyphForCode = readCmap(bytes, tables.cmap);
+		var advance = function(glyph) {
+			if (glyph >= numberOfHMetrics)
+				glyph = numberOfHMetrics - 1;
+			return uint16(bytes, tables.hmtx + glyph * 4);
+		};
+
+		var widths = [];
+		for (var code = 32; code <= 255; code++) {
+			var unicode = unicodeFromWinAnsi(code);
+			widths.push(unicode < 0 ? 0 : scale(advance(glyphForCode(unicode))));
+		}
+		var italicAngle = tables.post !== undefined ? int16(bytes, tables.post + 4) : 0;
+		var ascent = scale(int16(bytes, tables.hhea + 4));
+		return {
+			bytes: bytes,
+			widths: widths,
+			ascent: ascent,
+			descent: scale(int16(bytes, tables.hhea + 6)),
+			capHeight: ascent,
+			italicAngle: italicAngle,
+			bbox: [ scale(int16(bytes, tables.head + 36)), scale(int16(bytes, tables.head + 38)), scale(int16(bytes, tables.head + 40)), scale(int16(bytes, tables.head + 42)) ]
+		};
+	};
+
+	// The width of the text in the same units as the font size.
+	pdfFonts.textWidth = function(font, text, size) {
+		if (!font.trueType)
+			return textMetrics.measure(text, { face: font.family, size: size, weight: font.weight, style: font.style }).width;
+		var width = 0;
+		for (var i = 0; i < text.length; i++) {
+			var code = pdfFonts.winAnsiCode(text.charAt(i));
+			width += code < 0 ? font.trueType.widths['?'.charCodeAt(0) - 32] : font.trueType.widths[code - 32];
+		}
+		return width * size / 1000;
+	};
+})();
+
+module.exports = pdfFonts;
@@ -1,4 +1,5 @@
 var spacing = require('./abc_spacing');
+var noteEntry = require('./note-entry');
 
 function setupSelection(engraver) {
 	engraver.rangeHighlight = rangeHighlight;
@@ -14,9 +15,38 @@ function setupSelection(engraver) {
 			}
 		}
 	}
-	engraver.renderer.paper.svg.addEventListener('mousedown', mouseDown.bind(engraver));
-	engraver.renderer.paper.svg.addEventListener('mousemove', mouseMove.bind(engraver));
-	engraver.renderer.paper.svg.addEventListener('mouseup', mouseUp.bind(engraver));
+	if (engraver.pages) {
+		// Each page is a separate SVG. The pages of earlier tunes already have their listeners.
+		for (var p = 0; p < engraver.pages.length; p++) {
+			if (!engraver.pages[p].hasListeners) {
+				setupPaper(engraver, engraver.pages[p].paper.svg);
+				engraver.pages[p].hasListeners = true;
+			}
+		}
+	} else
+		setupPaper(engraver, engraver.renderer.paper.svg);
+}
+
+function setupPaper(engraver, svg) {
+	if (engraver.noteEntry) {
+		// The music needs to be able to get the focus to receive the keys that change the kind of note.
+		svg.setAttribute("tabindex", 0);
+		svg.addEventListener("keydown", noteEntry.keyDown.bind(engraver));
+	}
+	svg.addEventListener('mousedown', mouseDown.bind(engraver));
+	svg.addEventListener('mousemove', mouseMove.bind(engraver));
+	svg.addEventListener('mouseup', mouseUp.bind(engraver));
+}
+
+// When the output is paginated, the coordinates of the click are only for the page that was clicked on.
+function pageClicked(engraver, ev) {
+	if (!engraver.pages)
+		return undefined;
+	for (var i = 0; i < engraver.pages.length; i++) {
+		if (engraver.pages[i].paper.svg === ev.currentTarget)
+			return i;
+	}
+	return undefined;
 }
 
 function getCoord(ev) {
@@ -38,7 +68,7 @@ function getCoord(ev) {
 function elementFocused(ev) {
 	// If there had been another element focused and is being dragged, then report that before setting the new element up.
 	if (this.dragMechanism === "keyboard" && this.dragYStep !== 0 && this.dragTarget)
-		this.notifySelect(this.dragTarget, this.dragYStep);
+		notifySelect.bind(this)(this.dragTarget, this.dragYStep);
 
 	this.dragYStep = 0;
 }
@@ -106,12 +136,13 @@ function mouseDown(ev) {
 	var box = getCoord(ev);
 	var x = box[0];
 	var y = box[1];
+	var page = pageClicked(this, ev);
 
 	var minDistance = 9999999;
 	var closestIndex = -1;
 	for (var i = 0; i < this.history.length && minDistance > 0; i++) {
 		var el = this.history[i];
-		if (!el.selectable)
+		if (!el.selectable || el.page !== page)
 			continue;
 
 		// See if it is a direct hit on an element - if so, definitely take it (there are no overlapping elements)
@@ -130,6 +161,9 @@ function mouseDown(ev) {
 			}
 		}
 	}
+	// When adding notes, a click that isn't right on something puts a note there.
+	if (this.noteEntry && minDistance > 0 && noteEntry.click.bind(this)(x, y, page))
+		return;
 	if (closestIndex >= 0) {
 		this.dragTarget = this.history[closestIndex];
 		this.dragMechanism = "mouse";
@@ -168,6 +202,12 @@ function mouseUp(ev) {
 	if (this.dragTarget.absEl && this.dragTarget.absEl.highlight) {
 		this.selected = [this.dragTarget.absEl];
 		this.dragTarget.absEl.highlight(undefined, this.selectionColor);
+		// A note and the fret numbers under it on the tablature are selected together.
+		var partner = this.dragTarget.absEl.tabElement || this.dragTarget.absEl.musicElement;
+		if (partner) {
+			this.selected.push(partner);
+			partner.highlight(undefined, this.selectionColor);
+		}
 	}
 
 	notifySelect.bind(this)(this.dragTarget, this.dragYStep);
@@ -0,0 +1,426 @@
+// svg-to-pdf.js: Turns the svg that the engraver drew into the PDF drawing operators for one page.
+// Only what svg.js creates needs to be understood: groups, paths and text with tspans for the lines. The fill and stroke
+// colors are inherited from the groups the same way they are in svg. The music symbols are already paths, so they come
+// out exactly as they are on the screen. The sharp, flat and natural signs in text (for instance, in chord symbols) aren't
+// in the PDF fonts, so they are drawn with the same glyphs that are used on the staff.
+
+var glyphs = require('./abc_glyphs');
+var spacing = require('./abc_spacing');
+var pdfFonts = require('./pdf-fonts');
+
+var svgToPdf = {};
+
+(function() {
+	"use strict";
+
+	var accidentals = {
+		'♭': 'accidentals.flat',
+		'♯': 'accidentals.sharp',
+		'♮': 'accidentals.nat'
+	};
+
+	var namedColors = { black: [0, 0, 0], white: [1, 1, 1], red: [1, 0, 0], green: [0, 0.5, 0], blue: [0, 0, 1], gray: [0.5, 0.5, 0.5], grey: [0.5, 0.5, 0.5] };
+
+	function num(value) {
+		return "" + (Math.round(value * 1000) / 1000);
+	}
+
+	// Returns [r, g, b] with each between 0 and 1, or null if nothing should be painted.
+	function parseColor(color) {
+		if (!color || color === 'none' || color === 'transparent')
+			return null;
+		color = ("" + color).trim().toLowerCase();
+		if (namedColors[color])
+			return namedColors[color];
+		var match = /^#([0-9a-f]{3})$/.exec(color);
+		if (match)
+			return [ parseInt(match[1][0], 16) / 15, parseInt(match[1][1], 16) / 15, parseInt(match[1][2], 16) / 15 ];
+		match = /^#([0-9a-f]{6})$/.exec(color);
+		if (match)
+			return [ parseInt(match[1].substring(0, 2), 16) / 255, parseInt(match[1].substring(2, 4), 16) / 255, parseInt(match[1].substring(4, 6), 16) / 255 ];
+		match = /^rgba?\(([^)]*)\)$/.exec(color);
+		if (match) {
+			var parts = match[1].split(",");
+			// Something that is completely transparent isn't drawn. Anything else is drawn solid.
+			if (parts.length > 3 && parseFloat(parts[3]) === 0)
+				return null;
+			return [ parseFloat(parts[0]) / 255, parseFloat(parts[1]) / 255, parseFloat(parts[2]) / 255 ];
+		}
+		return [0, 0, 0];
+	}
+
+	function colorOperator(color, op) {
+		return num(color[0]) + " " + num(color[1]) + " " + num(color[2]) + " " + op + "\n";
+	}
+
+	// The style that a child gets from its parent.
+	function inheritStyle(el, parent) {
+		var style = {
+			fill: parent.fill,
+			stroke: parent.stroke,
+			strokeWidth: parent.strokeWidth,
+			fillOpacity: parent.fillOpacity,
+			strokeOpacity: parent.strokeOpacity
+		};
+		var attr = function(name) {
+			var value = el.getAttribute(name);
+			if (value === null && el.style && el.style[name] !== undefined && el.style[name] !== "")
+				value = el.style[name];
+			return value;
+		};
+		if (attr('fill') !== null)
+			style.fill = attr('fill');
+		if (attr('stroke') !== null)
+			style.stroke = attr('stroke');
+		if (attr('stroke-width') !== null)
+			style.strokeWidth = parseFloat(attr('stroke-width'));
+		if (attr('fill-opacity') !== null)
+			style.fillOpacity = parseFloat(attr('fill-opacity'));
+		if (attr('stroke-opacity') !== null)
+			style.strokeOpacity = parseFloat(attr('stroke-opacity'));
+		return style;
+	}
+
+	// The number of coordinates that each path command takes.
+	var pathArgs = { m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0 };
+
+	// An svg arc is turned into cubic curves, one for each quarter circle or less. This is the method in the svg spec, appendix F.6.5.
+	function arcToCurves(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+		if (rx === 0 || ry === 0)
+			return [[x2, y2]];
+		var phi = rotation * Math.PI / 180;
+		var cos = Math.cos(phi);
+		var sin = Math.sin(phi);
+		var dx = (x1 - x2) / 2;
+		var dy = (y1 - y2) / 2;
+		var x1p = cos * dx + sin * dy;
+		var y1p = -sin * dx + cos * dy;
+		rx = Math.abs(rx);
+		ry = Math.abs(ry);
+		var lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+		if (lambda > 1) {
+			rx *= Math.sqrt(lambda);
+			ry *= Math.sqrt(lambda);
+		}
+		var num1 = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+		var den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+		var coef = Math.sqrt(Math.max(0, num1 / den)) * (largeArc === sweep ? -1 : 1);
+		var cxp = coef * rx * y1p / ry;
+		var cyp = -coef * ry * x1p / rx;
+		var cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+		var cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+		var angle = function(ux, uy, vx, vy) {
+			return Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+		};
+		var theta = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+		var delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+		if (!sweep && delta > 0)
+			delta -= 2 * Math.PI;
+		else if (sweep && delta < 0)
+			delta += 2 * Math.PI;
+
+		var segments = Math.ceil(Math.abs(delta) / (Math.PI / 2));
+		var step = delta / segments;
+		var k = 4 / 3 * Math.tan(step / 4);
+		var point = function(t) {
+			var x = rx * Math.cos(t);
+			var y = ry * Math.sin(t);
+			return [cos * x - sin * y + cx, sin * x + cos * y + cy];
+		};
+		var derivative = function(t) {
+			var x = -rx * Math.sin(t);
+			var y = ry * Math.cos(t);
+			return [cos * x - sin * y, sin * x + cos * y];
+		};
+		var curves = [];
+		for (var i = 0; i < segments; i++) {
+			var t1 = theta + i * step;
+			var t2 = t1 + step;
+			var p1 = point(t1);
+			var p2 = point(t2);
+			var d1 = derivative(t1);
+			var d2 = derivative(t2);
+			curves.push([p1[0] + k * d1[0], p1[1] + k * d1[1], p2[0] - k * d2[0], p2[1] - k * d2[1], p2[0], p2[1]]);
+		}
+		return curves;
+	}
+
+	// Returns the PDF operators to construct the path. Everything is turned into moves, lines and cubic curves with absolute coordinates.
+	svgToPdf.pathOperators = function(d) {
+		var tokens = ("" + (d || "")).match(/[a-zA-Z]|-?(\d+\.?\d*|\.\d+)(e-?\d+)?/g) || [];
+		var out = "";
+		var x = 0, y = 0, startX = 0, startY = 0;
+		var lastControlX = null, lastControlY = null, lastCommand = "";
+		var cmd = null;
+		var i = 0;
+		while (i < tokens.length) {
+			if (/[a-zA-Z]/.test(tokens[i])) {
+				cmd = tokens[i];
+				i++;
+				if (cmd.toLowerCase() === 'z') {
+					out += "h\n";
+					x = startX;
+					y = startY;
+					lastCommand = 'z';
+					continue;
+				}
+			}
+			if (!cmd || !pathArgs.hasOwnProperty(cmd.toLowerCase()))
+				break;
+			var lower = cmd.toLowerCase();
+			var relative = cmd === lower;
+			var args = [];
+			for (var j = 0; j < pathArgs[lower]; j++, i++)
+				args.push(parseFloat(tokens[i]));
+			if (args.length === 0 || isNaN(args[args.length-1]))
+				break;
+			var ox = relative ? x : 0;
+			var oy = relative ? y : 0;
+			var controlX = null, controlY = null;
+			switch (lower) {
+				case 'm':
+					x = ox + args[0];
+					y = oy + args[1];
+					startX = x;
+					startY = y;
+					out += num(x) + " " + num(y) + " m\n";
+					// Additional coordinate pairs after a move are lines.
+					cmd = relative ? 'l' : 'L';
+					break;
+				case 'l':
+					x = ox + args[0];
+					y = oy + args[1];
+					out += num(x) + " " + num(y) + " l\n";
+					break;
+				case 'h':
+					x = ox + args[0];
+					out += num(x) + " " + num(y) + " l\n";
+					break;
+				case 'v':
+					y = oy + args[0];
+					out += num(x) + " " + num(y) + " l\n";
+					break;
+				case 'c':
+				case 's':
+					var c1x, c1y;
+					if (lower === 'c') {
+						c1x = ox + args[0];
+						c1y = oy + args[1];
+						args = args.slice(2);
+					} else if (lastCommand === 'c' || lastCommand === 's') {
+						c1x = 2 * x - lastControlX;
+						c1y = 2 * y - lastControlY;
+					} else {
+						c1x = x;
+						c1y = y;
+					}
+					controlX = ox + args[0];
+					controlY = oy + args[1];
+					x = ox + args[2];
+					y = oy + args[3];
+					out += num(c1x) + " " + num(c1y) + " " + num(controlX) + " " + num(controlY) + " " + num(x) + " " + num(y) + " c\n";
+					break;
+				case 'q':
+				case 't':
+					var qx, qy;
+					if (lower === 'q') {
+						qx = ox + args[0];
+						qy = oy + args[1];
+						args = args.slice(2);
+					} else if (lastCommand === 'q' || lastCommand === 't') {
+						qx = 2 * x - lastControlX;
+						qy = 2 * y - lastControlY;
+					} else {
+						qx = x;
+						qy = y;
+					}
+					var endX = ox + args[0];
+					var endY = oy + args[1];
+					// A quadratic curve is a cubic curve with the control points two thirds of the way to the quadratic control point.
+					out += num(x + 2 / 3 * (qx - x)) + " " + num(y + 2 / 3 * (qy - y)) + " " +
+						num(endX + 2 / 3 * (qx - endX)) + " " + num(endY + 2 / 3 * (qy - endY)) + " " + num(endX) + " " + num(endY) + " c\n";
+					controlX = qx;
+					controlY = qy;
+					x = endX;
+					y = endY;
+					break;
+				case 'a':
+					var curves = arcToCurves(x, y, args[0], args[1], args[2], args[3] !== 0, args[4] !== 0, ox + args[5], oy + args[6]);
+					for (var k = 0; k < curves.length; k++) {
+						var curve = curves[k];
+						if (curve.length === 2)
+							out += num(curve[0]) + " " + num(curve[1]) + " l\n";
+						else
+							out += num(curve[0]) + " " + num(curve[1]) + " " + num(curve[2]) + " " + num(curve[3]) + " " + num(curve[4]) + " " + num(curve[5]) + " c\n";
+					}
+					x = ox + args[5];
+					y = oy + args[6];
+					break;
+			}
+			lastControlX = controlX;
+			lastControlY = controlY;
+			lastCommand = lower;
+		}
+		return out;
+	};
+
+	function paint(style, construct) {
+		var fill = style.fillOpacity === 0 ? null : parseColor(style.fill === undefined ? "#000000" : style.fill);
+		var stroke = style.strokeOpacity === 0 ? null : parseColor(style.stroke);
+		if (!construct || (!fill && !stroke))
+			return "";
+		var out = "";
+		if (fill)
+			out += colorOperator(fill, "rg");
+		if (stroke) {
+			out += colorOperator(stroke, "RG");
+			out += num(style.strokeWidth === undefined || isNaN(style.strokeWidth) ? 1 : style.strokeWidth) + " w\n";
+		}
+		return out + construct + (fill && stroke ? "B\n" : fill ? "f\n" : "S\n");
+	}
+
+	// Puts a string in WinAnsiEncoding and escapes it for a PDF string.
+	function pdfString(text) {
+		var out = "(";
+		for (var i = 0; i < text.length; i++) {
+			var ch = text.charAt(i);
+			var code = pdfFonts.winAnsiCode(ch);
+			if (code < 0) {
+				ch = "?";
+				code = 63;
+			}
+			if (ch === '(' || ch === ')' || ch === '\\')
+				out += "\\" + ch;
+			else if (code >= 128)
+				out += "\\" + code.toString(8);
+			else
+				out += ch;
+		}
+		return out + ")";
+	}
+
+	// The glyphs are drawn for the size of the music, so they are scaled to the size of the text.
+	function accidentalGlyph(symbol, x, baseline, size) {
+		var factor = size / spacing.FONTSIZE;
+		var path = glyphs.getPathForSymbol(x, baseline - size * 0.3, symbol, factor, factor);
+		var d = "";
+		for (var i = 0; i < path.length; i++)
+			d += path[i].join(" ") + " ";
+		return svgToPdf.pathOperators(d);
+	}
+
+	function accidentalWidth(symbol, size) {
+		return glyphs.getSymbolWidth(symbol) * size / spacing.FONTSIZE;
+	}
+
+	// The text is split where there are accidentals, since those are drawn as paths.
+	function textRuns(text) {
+		var runs = [];
+		var current = "";
+		for (var i = 0; i < text.length; i++) {
+			var ch = text.charAt(i);
+			if (accidentals[ch]) {
+				if (current)
+					runs.push({ text: current });
+				runs.push({ symbol: accidentals[ch] });
+				current = "";
+			} else
+				current += ch;
+		}
+		if (current)
+			runs.push({ text: current });
+		return runs;
+	}
+
+	function emSize(value, size) {
+		if (value === null || value === undefined)
+			return 0;
+		value = "" + value;
+		if (value.indexOf("em") > 0)
+			return parseFloat(value) * size;
+		return parseFloat(value) || 0;
+	}
+
+	function textOperators(el, style, doc) {
+		var size = parseFloat(el.getAttribute('font-size')) || 12;
+		var font = doc.getFont(el.getAttribute('font-family'), el.getAttribute('font-weight'), el.getAttribute('font-style'));
+		var anchor = el.getAttribute('text-anchor');
+		var underline = el.getAttribute('text-decoration') === 'underline';
+		var fill = style.fillOpacity === 0 ? null : parseColor(style.fill === undefined ? "#000000" : style.fill);
+		if (!fill)
+			return "";
+		var x = parseFloat(el.getAttribute('x')) || 0;
+		var y = (parseFloat(el.getAttribute('y')) || 0) + emSize(el.getAttribute('dy'), size);
+		var out = colorOperator(fill, "rg");
+
+		var lines = [];
+		for (var i = 0; i < el.children.length; i++) {
+			var child = el.children[i];
+			if (child.tagName === 'tspan') {
+				if (lines.length > 0)
+					y += emSize(child.getAttribute('dy'), size);
+				var lineX = child.getAttribute('x');
+				lines.push({ text: child.textContent, x: lineX !== null ? parseFloat(lineX) : x, y: y });
+			} else if (child.nodeValue !== undefined)
+				lines.push({ text: child.nodeValue, x: x, y: y });
+		}
+
+		for (var j = 0; j < lines.length; j++) {
+			var runs = textRuns(lines[j].text);
+			var width = 0;
+			for (var r = 0; r < runs.length; r++) {
+				runs[r].width = runs[r].symbol ? accidentalWidth(runs[r].symbol, size) : pdfFonts.textWidth(font, runs[r].text, size);
+				width += runs[r].width;
+			}
+			var left = lines[j].x;
+			if (anchor === 'middle')
+				left -= width / 2;
+			else if (anchor === 'end')
+				left -= width;
+			var baseline = lines[j].y;
+			for (r = 0; r < runs.length; r++) {
+				if (runs[r].symbol)
+					out += accidentalGlyph(runs[r].symbol, left, baseline, size) + "f\n";
+				else {
+					// The page is upside down so that the svg coordinates can be used, so the text has to be turned back over.
+					out += "BT /" + font.resourceName + " " + num(size) + " Tf 1 0 0 -1 " + num(left) + " " + num(baseline) + " Tm " + pdfString(runs[r].text) + " Tj ET\n";
+				}
+				left += runs[r].width;
+			}
+			if (underline && width > 0)
+				out += num(left - width) + " " + num(baseline + size * 0.1) + " " + num(width) + " " + num(size * 0.05) + " re f\n";
+		}
+		return out;
+	}
+
+	function elementOperators(el, parentStyle, doc) {
+		if (!el.tagName)
+			return "";
+		var style = inheritStyle(el, parentStyle);
+		switch (el.tagName.toLowerCase()) {
+			case 'path':
+				return paint(style, svgToPdf.pathOperators(el.getAttribute('d')));
+			case 'text':
+				return textOperators(el, style, doc);
+			case 'g':
+			case 'svg':
+				var out = "";
+				for (var i = 0; i < el.children.length; i++)
+					out += elementOperators(el.children[i], style, doc);
+				return out;
+			default:
+				// The title and style elements don't draw anything.
+				return "";
+		}
+	}
+
+	// Returns the content stream for a page. scale is the number of points for each unit in the svg, and pageHeight is in points.
+	svgToPdf.page = function(svg, doc, scale, pageHeight) {
+		// The svg y-coordinates go down the page and the PDF ones go up, so the coordinates are flipped here.
+		var out = "q\n" + scale + " 0 0 " + (-scale) + " 0 " + num(pageHeight) + " cm\n";
+		out += elementOperators(svg, {}, doc);
+		return out + "Q\n";
+	};
+})();
+
+module.exports = svgToPdf;
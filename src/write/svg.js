@@ -19,14 +19,17 @@
 var svgNS = "http://www.w3.org/2000/svg";
 
 function Svg(wrapper) {
-	this.svg = createSvg();
+	// The wrapper might be in a virtual document when rendering without a browser, so create all the elements in the same document as the wrapper.
+	this.doc = wrapper.ownerDocument || document;
+	this.sizeCache = this.doc.sizeCache || sizeCache;
+	this.svg = createSvg(this.doc);
 	wrapper.appendChild(this.svg);
 }
 
 Svg.prototype.clear = function() {
 	if (this.svg) {
 		var wrapper = this.svg.parentNode;
-		this.svg = createSvg();
+		this.svg = createSvg(this.doc);
 		if (wrapper) {
 			// TODO-PER: If the wrapper is not present, then the underlying div was pulled out from under this instance. It's possible that is still useful (for creating the music off page?)
 			wrapper.innerHTML = "";
@@ -36,8 +39,8 @@ Svg.prototype.clear = function() {
 };
 
 Svg.prototype.setTitle = function(title) {
-	var titleEl = document.createElement("title");
-	var titleNode = document.createTextNode(title);
+	var titleEl = this.doc.createElement("title");
+	var titleNode = this.doc.createTextNode(title);
 	titleEl.appendChild(titleNode);
 	this.svg.insertBefore(titleEl, this.svg.firstChild);
 };
@@ -102,7 +105,7 @@ Svg.prototype.setScale = function(scale) {
 };
 
 Svg.prototype.insertStyles = function(styles) {
-	var el = document.createElementNS(svgNS, "style");
+	var el = this.doc.createElementNS(svgNS, "style");
 	el.textContent = styles;
 	this.svg.prepend(el);
 };
@@ -117,7 +120,7 @@ Svg.prototype.setParentStyles = function(attr) {
 	}
 	// This is the last thing that gets called, so delete the temporary SVG if one was created
 	if (this.dummySvg) {
-		var body = document.querySelector('body');
+		var body = this.doc.querySelector('body');
 		body.removeChild(this.dummySvg);
 		this.dummySvg = null;
 	}
@@ -152,7 +155,7 @@ Svg.prototype.rect = function(attr) {
 };
 
 Svg.prototype.text = function(text, attr, target) {
-	var el = document.createElementNS(svgNS, 'text');
+	var el = this.doc.createElementNS(svgNS, 'text');
 	for (var key in attr) {
 		if (attr.hasOwnProperty(key)) {
 			el.setAttribute(key, attr[key]);
@@ -160,7 +163,7 @@ Svg.prototype.text = function(text, attr, target) {
 	}
 	var lines = (""+text).split("\n");
 	for (var i = 0; i < lines.length; i++) {
-		var line = document.createElementNS(svgNS, 'tspan');
+		var line = this.doc.createElementNS(svgNS, 'tspan');
 		line.textContent = lines[i];
 		line.setAttribute("x", attr.x ? attr.x : 0);
 		if (i !== 0)
@@ -193,7 +196,7 @@ Svg.prototype.guessWidth = function(text, attr) {
 
 Svg.prototype.createDummySvg = function() {
 	if (!this.dummySvg) {
-		this.dummySvg = createSvg();
+		this.dummySvg = createSvg(this.doc);
 		var styles = [
 			"display: block !important;",
 			"height: 1px;",
@@ -201,7 +204,7 @@ Svg.prototype.createDummySvg = function() {
 			"position: absolute;"
 		];
 		this.dummySvg.setAttribute('style', styles.join(""));
-		var body = document.querySelector('body');
+		var body = this.doc.querySelector('body');
 		body.appendChild(this.dummySvg);
 	}
 
@@ -219,8 +222,8 @@ Svg.prototype.getTextSize = function(text, attr, el) {
 	if (text.length < 20) {
 		// The short text tends to be repetitive and getBBox is really slow, so lets cache.
 		key = text + JSON.stringify(attr);
-		if (sizeCache[key])
-			return sizeCache[key];
+		if (this.sizeCache[key])
+			return this.sizeCache[key];
 	}
 	var removeLater = !el;
 	if (!el)
@@ -242,13 +245,13 @@ Svg.prototype.getTextSize = function(text, attr, el) {
 			this.svg.removeChild(el);
 	}
 	if (key)
-		sizeCache[key] = size;
+		this.sizeCache[key] = size;
 	return size;
 };
 
 Svg.prototype.openGroup = function(options) {
 	options = options ? options : {};
-	var el = document.createElementNS(svgNS, "g");
+	var el = this.doc.createElementNS(svgNS, "g");
 	if (options.klass)
 		el.setAttribute("class", options.klass);
 	if (options.fill)
@@ -271,7 +274,7 @@ Svg.prototype.closeGroup = function() {
 };
 
 Svg.prototype.path = function(attr) {
-	var el = document.createElementNS(svgNS, "path");
+	var el = this.doc.createElementNS(svgNS, "path");
 	for (var key in attr) {
 		if (attr.hasOwnProperty(key)) {
 			if (key === 'path')
@@ -285,7 +288,7 @@ Svg.prototype.path = function(attr) {
 };
 
 Svg.prototype.pathToBack = function(attr) {
-	var el = document.createElementNS(svgNS, "path");
+	var el = this.doc.createElementNS(svgNS, "path");
 	for (var key in attr) {
 		if (attr.hasOwnProperty(key)) {
 			if (key === 'path')
@@ -321,8 +324,8 @@ Svg.prototype.setAttributeOnElement = function(el, attr) {
 	}
 };
 
-function createSvg() {
-	var svg = document.createElementNS(svgNS, "svg");
+function createSvg(doc) {
+	var svg = doc.createElementNS(svgNS, "svg");
 	svg.setAttributeNS("http://www.w3.org/2000/xmlns/", "xmlns:xlink", "http://www.w3.org/1999/xlink");
 	svg.setAttribute('role', 'img');    // for accessibility
 	return svg;
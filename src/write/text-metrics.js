@@ -0,0 +1,107 @@
+// text-metrics.js: Measures text without a browser, so that the music can be laid out when there is no DOM to call getBBox on.
+// The widths are from the Adobe font metrics for the standard PostScript fonts, in thousandths of an em, for the characters from space to tilde.
+// Any font that isn't recognized is measured as Helvetica, since the default fonts are sans serif.
+
+var glyphs = require('./abc_glyphs');
+var spacing = require('./abc_spacing');
+
+var textMetrics = {};
+
+(function() {
+	"use strict";
+
+	var firstChar = 32;
+	var averageWidth = 556;
+	var lineHeight = 1.15;
+	var lineSpacing = 1.2; // This matches the "dy" that is used for the second and following lines in svg.js.
+
+	var widths = {
+		helvetica: [
+			278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556,
+			556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667,
+			611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667,
+			667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500,
+			222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+		],
+		helveticaBold: [
+			278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556,
+			556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667,
+			611, 778, 722, 278, 556, 722, 611, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667,
+			667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556,
+			278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+		],
+		times: [
+			250, 333, 408, 500, 500, 833, 778, 180, 333, 333, 500, 564, 250, 333, 250, 278, 500, 500, 500,
+			500, 500, 500, 500, 500, 500, 500, 278, 278, 564, 564, 564, 444, 921, 722, 667, 667, 722, 611,
+			556, 722, 722, 333, 389, 722, 611, 889, 722, 722, 556, 722, 667, 556, 611, 722, 722, 944, 722,
+			722, 611, 333, 278, 333, 469, 500, 333, 444, 500, 444, 500, 444, 333, 500, 500, 278, 278, 500,
+			278, 778, 500, 500, 500, 500, 333, 389, 278, 500, 500, 722, 500, 500, 444, 480, 200, 480, 541
+		],
+		timesBold: [
+			250, 333, 555, 500, 500, 1000, 833, 278, 333, 333, 500, 570, 250, 333, 250, 278, 500, 500, 500,
+			500, 500, 500, 500, 500, 500, 500, 333, 333, 570, 570, 570, 500, 930, 722, 667, 722, 722, 667,
+			611, 778, 778, 389, 500, 778, 667, 944, 722, 778, 611, 778, 722, 556, 667, 722, 722, 1000, 722,
+			722, 667, 333, 278, 333, 581, 500, 333, 500, 556, 444, 556, 444, 333, 500, 556, 278, 333, 556,
+			278, 833, 556, 500, 556, 556, 444, 389, 333, 556, 500, 722, 500, 500, 444, 394, 220, 394, 520
+		],
+		timesItalic: [
+			250, 333, 420, 500, 500, 833, 778, 214, 333, 333, 500, 675, 250, 333, 250, 278, 500, 500, 500,
+			500, 500, 500, 500, 500, 500, 500, 333, 333, 675, 675, 675, 500, 920, 611, 611, 667, 722, 611,
+			611, 722, 722, 333, 444, 667, 556, 833, 667, 722, 611, 722, 611, 500, 556, 722, 611, 833, 611,
+			556, 556, 389, 278, 389, 422, 500, 333, 500, 500, 444, 500, 444, 278, 500, 500, 278, 278, 444,
+			278, 722, 500, 500, 500, 500, 389, 389, 278, 500, 444, 667, 444, 444, 389, 400, 275, 400, 541
+		]
+	};
+	widths.helveticaItalic = widths.helvetica;
+	widths.helveticaBoldItalic = widths.helveticaBold;
+	widths.timesBoldItalic = widths.timesBold;
+
+	// These characters are in chord symbols and text, so they are measured with the same glyphs that are used for the accidentals on the staff.
+	var accidentals = {
+		'♭': 'accidentals.flat',
+		'♯': 'accidentals.sharp',
+		'♮': 'accidentals.nat'
+	};
+
+	function fontTable(font) {
+		var family = (font.face || "").toLowerCase();
+		var bold = font.weight === 'bold' || parseInt(font.weight, 10) >= 600;
+		var italic = font.style === 'italic' || font.style === 'oblique';
+		if (family.indexOf('courier') >= 0 || family.indexOf('mono') >= 0)
+			return null;
+		var name = "helvetica";
+		if (family.indexOf('sans-serif') < 0 && /times|serif|bookman|georgia|palatino/.test(family))
+			name = "times";
+		if (bold)
+			name += "Bold";
+		if (italic)
+			name += "Italic";
+		return widths[name];
+	}
+
+	function charWidth(table, ch) {
+		if (accidentals[ch])
+			return glyphs.getSymbolWidth(accidentals[ch]) / spacing.FONTSIZE * 1000;
+		if (!table)
+			return 600; // All the characters in a monospace font are the same width.
+		var width = table[ch.charCodeAt(0) - firstChar];
+		return width !== undefined ? width : averageWidth;
+	}
+
+	// font is { face, size, weight, style }. Returns { width, height } in pixels.
+	textMetrics.measure = function(text, font) {
+		var size = parseFloat(font.size) || 12;
+		var table = fontTable(font);
+		var lines = ("" + text).split("\n");
+		var width = 0;
+		for (var i = 0; i < lines.length; i++) {
+			var lineWidth = 0;
+			for (var j = 0; j < lines[i].length; j++)
+				lineWidth += charWidth(table, lines[i].charAt(j));
+			width = Math.max(width, lineWidth);
+		}
+		return { width: width * size / 1000, height: size * (lineHeight + lineSpacing * (lines.length - 1)) };
+	};
+})();
+
+module.exports = textMetrics;
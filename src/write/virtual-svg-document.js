@@ -0,0 +1,337 @@
+// virtual-svg-document.js: A small stand-in for the browser's document, so that the music can be engraved in a plain javascript environment.
+// It only implements what svg.js and the engraver use: creating elements, putting them in a tree, setting attributes and styles, and getBBox.
+// Text is measured by the function that is passed in, and the size of paths is calculated from the path data.
+
+var textMetrics = require('./text-metrics');
+
+var svgNS = "http://www.w3.org/2000/svg";
+
+function VirtualSvgDocument(measureText) {
+	this.measureText = measureText || textMetrics.measure;
+	// The text sizes are cached per document in case different documents measure text differently.
+	this.sizeCache = {};
+	this.body = this.createElement("body");
+}
+
+VirtualSvgDocument.prototype.createElementNS = function(namespace, tagName) {
+	return new VirtualElement(this, tagName, namespace);
+};
+
+VirtualSvgDocument.prototype.createElement = function(tagName) {
+	return new VirtualElement(this, tagName.toLowerCase());
+};
+
+VirtualSvgDocument.prototype.createTextNode = function(text) {
+	return new VirtualTextNode(this, text);
+};
+
+VirtualSvgDocument.prototype.querySelector = function(selector) {
+	if (selector === 'body')
+		return this.body;
+	return null;
+};
+
+function escapeText(str) {
+	return ("" + str).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function escapeAttr(str) {
+	return escapeText(str).replace(/"/g, "&quot;");
+}
+
+function VirtualTextNode(doc, text) {
+	this.ownerDocument = doc;
+	this.parentNode = null;
+	this.nodeValue = "" + text;
+}
+
+Object.defineProperty(VirtualTextNode.prototype, "textContent", {
+	get: function() { return this.nodeValue; },
+	set: function(text) { this.nodeValue = "" + text; }
+});
+
+VirtualTextNode.prototype.toString = function() {
+	return escapeText(this.nodeValue);
+};
+
+function VirtualElement(doc, tagName, namespace) {
+	this.ownerDocument = doc;
+	this.tagName = tagName;
+	this.namespaceURI = namespace;
+	this.parentNode = null;
+	this.children = [];
+	this.attributes = {};
+	this.attributeOrder = [];
+	this.style = {};
+}
+
+Object.defineProperty(VirtualElement.prototype, "firstChild", {
+	get: function() { return this.children.length > 0 ? this.children[0] : null; }
+});
+
+Object.defineProperty(VirtualElement.prototype, "textContent", {
+	get: function() {
+		var text = "";
+		for (var i = 0; i < this.children.length; i++)
+			text += this.children[i].textContent;
+		return text;
+	},
+	set: function(text) {
+		this.removeAllChildren();
+		this.appendChild(this.ownerDocument.createTextNode(text));
+	}
+});
+
+Object.defineProperty(VirtualElement.prototype, "innerHTML", {
+	get: function() {
+		return this.children.join("");
+	},
+	set: function(html) {
+		// This is only used to clear the element, so markup is not parsed.
+		this.removeAllChildren();
+	}
+});
+
+Object.defineProperty(VirtualElement.prototype, "outerHTML", {
+	get: function() { return this.toString(); }
+});
+
+VirtualElement.prototype.removeAllChildren = function() {
+	for (var i = 0; i < this.children.length; i++)
+		this.children[i].parentNode = null;
+	this.children = [];
+};
+
+VirtualElement.prototype.appendChild = function(el) {
+	if (el.parentNode)
+		el.parentNode.removeChild(el);
+	el.parentNode = this;
+	this.children.push(el);
+	return el;
+};
+
+VirtualElement.prototype.insertBefore = function(el, before) {
+	if (el.parentNode)
+		el.parentNode.removeChild(el);
+	var index = before ? this.children.indexOf(before) : -1;
+	if (index < 0)
+		return this.appendChild(el);
+	el.parentNode = this;
+	this.children.splice(index, 0, el);
+	return el;
+};
+
+VirtualElement.prototype.prepend = function(el) {
+	this.insertBefore(el, this.firstChild);
+};
+
+VirtualElement.prototype.removeChild = function(el) {
+	var index = this.children.indexOf(el);
+	if (index >= 0) {
+		this.children.splice(index, 1);
+		el.parentNode = null;
+	}
+	return el;
+};
+
+VirtualElement.prototype.setAttribute = function(name, value) {
+	if (name === 'style') {
+		this.style = parseStyle(value);
+		return;
+	}
+	if (!this.attributes.hasOwnProperty(name))
+		this.attributeOrder.push(name);
+	this.attributes[name] = "" + value;
+};
+
+VirtualElement.prototype.setAttributeNS = function(namespace, name, value) {
+	this.setAttribute(name, value);
+};
+
+VirtualElement.prototype.getAttribute = function(name) {
+	if (name === 'style')
+		return styleString(this.style) || null;
+	return this.attributes.hasOwnProperty(name) ? this.attributes[name] : null;
+};
+
+VirtualElement.prototype.removeAttribute = function(name) {
+	if (name === 'style') {
+		this.style = {};
+		return;
+	}
+	if (this.attributes.hasOwnProperty(name)) {
+		delete this.attributes[name];
+		this.attributeOrder.splice(this.attributeOrder.indexOf(name), 1);
+	}
+};
+
+// There is no user interaction without a browser, so the listeners are never called.
+VirtualElement.prototype.addEventListener = function() {};
+VirtualElement.prototype.removeEventListener = function() {};
+
+VirtualElement.prototype.getBBox = function() {
+	switch (this.tagName) {
+		case 'text': return this.textBBox();
+		case 'path': return pathBBox(this.attributes.d);
+		default: return this.groupBBox();
+	}
+};
+
+VirtualElement.prototype.textBBox = function() {
+	var lines = [];
+	for (var i = 0; i < this.children.length; i++)
+		lines.push(this.children[i].textContent);
+	var size = parseFloat(this.attributes['font-size']) || 12;
+	var dim = this.ownerDocument.measureText(lines.join("\n"), {
+		face: this.attributes['font-family'],
+		size: size,
+		weight: this.attributes['font-weight'],
+		style: this.attributes['font-style']
+	});
+	var x = parseFloat(this.attributes.x) || 0;
+	var y = parseFloat(this.attributes.y) || 0;
+	var anchor = this.attributes['text-anchor'];
+	if (anchor === 'middle')
+		x -= dim.width / 2;
+	else if (anchor === 'end')
+		x -= dim.width;
+	// The y coordinate of text is the baseline, and most of the height of the line is above that.
+	return { x: x, y: y - size * 0.9, width: dim.width, height: dim.height };
+};
+
+VirtualElement.prototype.groupBBox = function() {
+	var box = null;
+	for (var i = 0; i < this.children.length; i++) {
+		if (this.children[i].getBBox)
+			box = unionBox(box, this.children[i].getBBox());
+	}
+	return box ? box : { x: 0, y: 0, width: 0, height: 0 };
+};
+
+VirtualElement.prototype.toString = function() {
+	var attrs = this.attributeOrder.slice();
+	var values = {};
+	for (var i = 0; i < attrs.length; i++)
+		values[attrs[i]] = this.attributes[attrs[i]];
+	// The namespace is implied in an HTML page, but a standalone svg needs it.
+	if (this.tagName === 'svg' && !values.xmlns) {
+		attrs.unshift('xmlns');
+		values.xmlns = svgNS;
+	}
+	var style = styleString(this.style);
+	if (style) {
+		attrs.push('style');
+		values.style = style;
+	}
+
+	var str = "<" + this.tagName;
+	for (var j = 0; j < attrs.length; j++)
+		str += " " + attrs[j] + '="' + escapeAttr(values[attrs[j]]) + '"';
+	if (this.children.length === 0)
+		return str + "/>";
+	return str + ">" + this.innerHTML + "</" + this.tagName + ">";
+};
+
+function parseStyle(str) {
+	var style = {};
+	var rules = ("" + str).split(';');
+	for (var i = 0; i < rules.length; i++) {
+		var colon = rules[i].indexOf(':');
+		if (colon > 0)
+			style[rules[i].substring(0, colon).trim()] = rules[i].substring(colon + 1).trim();
+	}
+	return style;
+}
+
+function styleString(style) {
+	var rules = [];
+	for (var key in style) {
+		if (style.hasOwnProperty(key) && style[key] !== "" && style[key] !== undefined && style[key] !== null)
+			rules.push(key + ": " + style[key] + ";");
+	}
+	return rules.join(" ");
+}
+
+function unionBox(box, add) {
+	if (add.width === 0 && add.height === 0)
+		return box;
+	if (!box)
+		return { x: add.x, y: add.y, width: add.width, height: add.height };
+	var left = Math.min(box.x, add.x);
+	var top = Math.min(box.y, add.y);
+	var right = Math.max(box.x + box.width, add.x + add.width);
+	var bottom = Math.max(box.y + box.height, add.y + add.height);
+	return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+// The number of coordinates that each path command takes.
+var pathArgs = { m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0 };
+
+// This includes the control points of the curves, so it might be a little larger than the actual path.
+function pathBBox(d) {
+	var tokens = ("" + (d || "")).match(/[a-zA-Z]|-?(\d+\.?\d*|\.\d+)(e-?\d+)?/g) || [];
+	var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+	var x = 0, y = 0, startX = 0, startY = 0;
+	var cmd = null;
+
+	function addPoint(px, py) {
+		minX = Math.min(minX, px);
+		maxX = Math.max(maxX, px);
+		minY = Math.min(minY, py);
+		maxY = Math.max(maxY, py);
+	}
+
+	var i = 0;
+	while (i < tokens.length) {
+		if (/[a-zA-Z]/.test(tokens[i])) {
+			cmd = tokens[i];
+			i++;
+			if (cmd.toLowerCase() === 'z') {
+				x = startX;
+				y = startY;
+				continue;
+			}
+		}
+		if (!cmd || !pathArgs.hasOwnProperty(cmd.toLowerCase()))
+			break;
+		var lower = cmd.toLowerCase();
+		var relative = cmd === lower;
+		var args = [];
+		for (var j = 0; j < pathArgs[lower]; j++, i++)
+			args.push(parseFloat(tokens[i]));
+		if (args.length === 0 || isNaN(args[args.length-1]))
+			break;
+		var ox = relative ? x : 0;
+		var oy = relative ? y : 0;
+		switch (lower) {
+			case 'h':
+				x = ox + args[0];
+				break;
+			case 'v':
+				y = oy + args[0];
+				break;
+			case 'a':
+				x = ox + args[5];
+				y = oy + args[6];
+				break;
+			default:
+				for (var k = 0; k < args.length - 2; k += 2)
+					addPoint(ox + args[k], oy + args[k+1]);
+				x = ox + args[args.length-2];
+				y = oy + args[args.length-1];
+				break;
+		}
+		addPoint(x, y);
+		if (lower === 'm') {
+			startX = x;
+			startY = y;
+			// Additional coordinate pairs after a move are lines.
+			cmd = relative ? 'l' : 'L';
+		}
+	}
+	if (minX === Infinity)
+		return { x: 0, y: 0, width: 0, height: 0 };
+	return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+module.exports = VirtualSvgDocument;